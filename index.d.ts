@@ -5,6 +5,7 @@ export interface BlockData {
   id: string;
   type: string;
   content?: string;
+  children?: BlockData[];
   [key: string]: any;
 }
 
@@ -23,12 +24,66 @@ export class Block {
   static image(id: string, url: string, alt: string, caption?: string): Block;
   static code(id: string, language: string, content: string): Block;
   static list(id: string, items: string[], listType?: 'ordered' | 'unordered'): Block;
+  static table(
+    id: string,
+    headers: string[],
+    rows: string[][],
+    options?: { align?: Array<'left' | 'center' | 'right' | null>; caption?: string }
+  ): Block;
+  static section(id: string, children?: Array<BlockData | Block>): Block;
+  static columns(id: string, children?: Array<BlockData | Block>): Block;
+  static toggle(id: string, summary: string, children?: Array<BlockData | Block>): Block;
 }
 
+export interface BlockTypeDefinition {
+  required?: string[];
+  schema?: Record<string, any>;
+  container?: boolean;
+  renderHTML?: (block: BlockData) => string;
+  renderMarkdown?: (block: BlockData) => string;
+  renderText?: (block: BlockData) => string;
+}
+
+export interface RegisteredBlockType extends BlockTypeDefinition {
+  name: string;
+  builtIn: boolean;
+  required: string[];
+  container: boolean;
+}
+
+export function registerBlockType(name: string, definition?: BlockTypeDefinition): RegisteredBlockType;
+export function unregisterBlockType(name: string): boolean;
+export function getBlockType(name: string): RegisteredBlockType | null;
+export function getBlockTypes(): string[];
+export function isContainerType(name: string): boolean;
+
 export interface BlockDocOptions {
   title: string;
   metadata?: Record<string, any>;
   blocks?: BlockData[];
+  historyDepth?: number;
+  revisions?: SerializedRevisions;
+}
+
+export interface OutlineEntry {
+  id: string;
+  anchor: string;
+  level: number;
+  text: string;
+  children: OutlineEntry[];
+}
+
+export interface Revision {
+  id: string;
+  parentId: string | null;
+  message: string;
+  author: string | null;
+  timestamp: string;
+}
+
+export interface SerializedRevisions {
+  head: string | null;
+  revisions: Array<Revision & { snapshot?: Article; delta?: Record<string, any> }>;
 }
 
 export interface Article {
@@ -37,41 +92,462 @@ export interface Article {
   blocks: BlockData[];
 }
 
+export interface MarkdownImportOptions {
+  title?: string;
+  metadata?: Record<string, any>;
+  dialect?: 'blockdoc';
+  baseUrl?: string;
+  onWarning?: (warning: FrontMatterWarning) => void;
+}
+
+export interface FrontMatterWarning {
+  line: number;
+  message: string;
+}
+
+export interface DroppedElement {
+  tag: string;
+  reason: string;
+  text: string;
+}
+
+export interface HTMLImportOptions {
+  title?: string;
+  metadata?: Record<string, any>;
+  baseUrl?: string;
+  onDrop?: (item: DroppedElement) => void;
+}
+
+export interface BlockPosition {
+  parentId: string | null;
+  index: number;
+}
+
+export interface BlockAddedEvent {
+  block: BlockData;
+  parentId: string | null;
+  index: number;
+}
+
+export type BlockRemovedEvent = BlockAddedEvent;
+
+export interface BlockUpdatedEvent {
+  id: string;
+  before: BlockData;
+  after: BlockData;
+  parentId: string | null;
+  index: number;
+}
+
+export interface BlockMovedEvent {
+  id: string;
+  block: BlockData;
+  from: BlockPosition;
+  to: BlockPosition;
+}
+
+export interface TitleUpdatedEvent {
+  before: string;
+  after: string;
+}
+
+export interface MetadataUpdatedEvent {
+  key: string;
+  before: any;
+  after: any;
+}
+
+export type BlockOperation =
+  | { op: 'insert'; block: BlockData; parentId?: string | null; position?: number; afterId?: string }
+  | { op: 'update'; id: string; updates: Partial<BlockData> }
+  | { op: 'remove'; id: string }
+  | { op: 'move'; id: string; parentId?: string | null; position?: number; afterId?: string }
+  | { op: 'setMetadata'; key: string; value?: any };
+
+export type JsonPatchOperation =
+  | { op: 'add' | 'replace' | 'test'; path: string; value: any }
+  | { op: 'remove'; path: string }
+  | { op: 'move' | 'copy'; from: string; path: string };
+
+export type DocumentChange =
+  | ({ type: 'block:added' } & BlockAddedEvent)
+  | ({ type: 'block:removed' } & BlockRemovedEvent)
+  | ({ type: 'block:updated' } & BlockUpdatedEvent)
+  | ({ type: 'block:moved' } & BlockMovedEvent)
+  | ({ type: 'title:updated' } & TitleUpdatedEvent)
+  | ({ type: 'metadata:updated' } & MetadataUpdatedEvent);
+
+export interface DocumentEvents {
+  'block:added': BlockAddedEvent;
+  'block:removed': BlockRemovedEvent;
+  'block:updated': BlockUpdatedEvent;
+  'block:moved': BlockMovedEvent;
+  'title:updated': TitleUpdatedEvent;
+  'metadata:updated': MetadataUpdatedEvent;
+  change: { changes: DocumentChange[] };
+}
+
 export class BlockDocDocument {
   article: Article;
 
   constructor(options: BlockDocOptions);
-  validate(): boolean;
-  addBlock(blockData: BlockData | Block): Block;
-  insertBlock(blockData: BlockData | Block, position: number): Block;
+  validate(options?: { throwOnError?: true }): boolean;
+  validate(options: { throwOnError: false }): ValidationIssue[];
+  setTitle(title: string): void;
+  setMetadata(key: string, value?: any): void;
+  addBlock(blockData: BlockData | Block, parentId?: string): Block;
+  insertBlock(blockData: BlockData | Block, position: number, parentId?: string): Block;
   getBlock(id: string): BlockData | null;
+  getParentBlock(id: string): BlockData | null;
+  getOutline(options?: { maxLevel?: number }): OutlineEntry[];
   updateBlock(id: string, updates: Partial<BlockData>): BlockData;
   removeBlock(id: string): boolean;
-  moveBlock(id: string, newPosition: number): boolean;
-  renderToHTML(): string;
-  renderToMarkdown(): string;
-  toJSON(): { article: Article };
+  moveBlock(id: string, newPosition: number, parentId?: string | null): boolean;
+  applyOperations(operations: BlockOperation[] | JsonPatchOperation[], options?: { history?: boolean; validate?: boolean }): void;
+  transaction<T>(callback: (document: BlockDocDocument) => T): T;
+  undo(): boolean;
+  redo(): boolean;
+  canUndo(): boolean;
+  canRedo(): boolean;
+  clearHistory(): void;
+  commit(message: string, author?: string): Revision;
+  history(): Revision[];
+  getRevision(revisionId: string): Revision & { article: Article };
+  checkout(revisionId: string): void;
+  on<K extends keyof DocumentEvents>(event: K, handler: (payload: DocumentEvents[K]) => void): () => void;
+  once<K extends keyof DocumentEvents>(event: K, handler: (payload: DocumentEvents[K]) => void): () => void;
+  off<K extends keyof DocumentEvents>(event: K, handler?: (payload: DocumentEvents[K]) => void): boolean;
+  emit<K extends keyof DocumentEvents>(event: K, payload: DocumentEvents[K]): boolean;
+  renderToHTML(options?: HTMLRenderOptions): string;
+  renderToHTMLPage(options?: HTMLPageOptions): string;
+  renderToHTMLStream(options?: HTMLRenderOptions): HTMLStream;
+  renderToMarkdown(options?: MarkdownRenderOptions): string;
+  renderToText(options?: TextRenderOptions): string;
+  toJSON(): { article: Article; revisions?: SerializedRevisions };
   toString(): string;
 
-  static fromJSON(json: string | { article: Article }): BlockDocDocument;
+  static fromJSON(json: string | { article: Article; revisions?: SerializedRevisions }): BlockDocDocument;
+  static fromMarkdown(markdown: string, options?: MarkdownImportOptions): BlockDocDocument;
+  static fromHTML(html: string, options?: HTMLImportOptions): BlockDocDocument;
+}
+
+export interface TextDiffSegment {
+  type: 'equal' | 'delete' | 'insert';
+  value: string;
+}
+
+export interface ValueChange<T = any> {
+  before: T;
+  after: T;
+}
+
+export type DiffOperation =
+  | { type: 'added'; id: string; block: BlockData; parentId: string | null; index: number }
+  | { type: 'removed'; id: string; block: BlockData; parentId: string | null; index: number }
+  | { type: 'moved'; id: string; from: BlockPosition; to: BlockPosition }
+  | {
+      type: 'updated';
+      id: string;
+      block: BlockData;
+      properties: Record<string, ValueChange>;
+      content: (ValueChange<string> & { diff: TextDiffSegment[] }) | null;
+    };
+
+export interface DocumentDiff {
+  title: ValueChange<string> | null;
+  metadata: Record<string, ValueChange>;
+  operations: DiffOperation[];
 }
 
-export function renderToHTML(article: Article): string;
-export function renderToMarkdown(article: Article): string;
+type ArticleSource = BlockDocDocument | { article: Article } | Article;
+
+export function diffDocuments(before: ArticleSource, after: ArticleSource): DocumentDiff;
+export interface BlockPlacement {
+  parentId: string | null;
+  afterId: string | null;
+}
+
+export type MergeConflict =
+  | { type: 'title'; base: string; ours: string; theirs: string }
+  | { type: 'metadata'; key: string; base: any; ours: any; theirs: any }
+  | { type: 'block'; id: string; base: BlockData | null; ours: BlockData | null; theirs: BlockData | null }
+  | { type: 'position'; id: string; base: BlockPlacement | null; ours: BlockPlacement; theirs: BlockPlacement };
+
+export type MergeResolution = 'base' | 'ours' | 'theirs' | { value: any } | undefined;
+
+export interface MergeOptions {
+  resolve?: (conflict: MergeConflict) => MergeResolution;
+}
+
+export interface MergeResult {
+  article: Article;
+  conflicts: MergeConflict[];
+}
+
+export function mergeDocuments(
+  base: ArticleSource,
+  ours: ArticleSource,
+  theirs: ArticleSource,
+  options?: MergeOptions
+): MergeResult;
+
+export interface CollaborationUpdate {
+  ops: Array<{ id: [number, string]; seq: number; type: string; deps?: Record<string, number>; [key: string]: any }>;
+}
+
+export interface CollaborativeDocumentOptions {
+  siteId?: string;
+  document?: BlockDocDocument;
+}
+
+export class CollaborativeDocument {
+  constructor(options?: CollaborativeDocumentOptions);
+  static fromState(state: CollaborationUpdate | Uint8Array, options?: { siteId?: string }): CollaborativeDocument;
+
+  siteId: string;
+  document: BlockDocDocument;
+
+  applyUpdate(update: CollaborationUpdate | Uint8Array): void;
+  encodeState(): CollaborationUpdate;
+  insertText(blockId: string, index: number, text: string): void;
+  deleteText(blockId: string, index: number, length: number): void;
+  toJSON(): { article: Article };
+  destroy(): void;
+
+  on(event: 'update', handler: (update: CollaborationUpdate) => void): () => void;
+  once(event: 'update', handler: (update: CollaborationUpdate) => void): () => void;
+  off(event: 'update', handler?: (update: CollaborationUpdate) => void): boolean;
+}
+
+export function encodeUpdate(update: CollaborationUpdate): Uint8Array;
+export function decodeUpdate(bytes: Uint8Array): CollaborationUpdate;
+
+export function renderDiffToHTML(diff: DocumentDiff): string;
+export function renderDiffToMarkdown(diff: DocumentDiff): string;
+
+export interface SanitizeOptions {
+  allowedTags?: string[];
+  allowedAttributes?: Record<string, string[]>;
+  allowedSchemes?: string[];
+}
+
+export interface TableOfContentsOptions {
+  maxLevel?: number;
+  title?: string;
+}
+
+export type BlockRenderer = (
+  block: BlockData,
+  defaultRenderer: (block?: BlockData) => string,
+  options: HTMLRenderOptions
+) => string;
+
+export interface HTMLRenderOptions {
+  classPrefix?: string;
+  wrapper?: boolean;
+  blockWrapper?: boolean;
+  title?: boolean;
+  anchors?: boolean;
+  toc?: TableOfContentsOptions | boolean;
+  iframe?: { width?: number | string; height?: number | string };
+  renderers?: Record<string, BlockRenderer>;
+  beforeBlock?: (block: BlockData, options: HTMLRenderOptions) => string | void | null;
+  afterBlock?: (block: BlockData, html: string, options: HTMLRenderOptions) => string | void | null;
+  sanitize?: SanitizeOptions | boolean;
+}
+
+export interface HTMLStream extends AsyncIterable<string> {
+  toReadableStream(): ReadableStream<Uint8Array>;
+}
+
+export type Theme = 'light' | 'dark' | 'auto';
+
+export interface HTMLPageOptions extends HTMLRenderOptions {
+  theme?: Theme;
+  head?: string;
+  lang?: string;
+  stylesheet?: boolean;
+}
+
+export interface StylesheetOptions {
+  theme?: Theme;
+  classPrefix?: string;
+}
+
+export interface TextRenderOptions {
+  title?: boolean;
+  width?: number;
+  bullet?: string;
+}
+
+export interface MarkdownRenderOptions {
+  toc?: TableOfContentsOptions | boolean;
+  anchors?: boolean;
+  frontMatter?: 'yaml' | 'toml' | false;
+  dialect?: 'gfm' | 'commonmark' | 'blockdoc';
+  bullet?: '-' | '*' | '+';
+  emphasis?: '*' | '_';
+  blockIds?: boolean;
+}
+
+export interface ValidationIssue {
+  blockId: string | null;
+  blockIndex: number | null;
+  property: string | null;
+  severity: 'error';
+  message: string;
+  keyword: string;
+  pointer: string;
+}
+
+export class BlockDocValidationError extends Error {
+  constructor(issues: ValidationIssue[]);
+  issues: ValidationIssue[];
+}
+
+export class BlockDocConflictError extends Error {
+  constructor(message: string, details?: { documentId?: string; expectedRevision?: number; currentRevision?: number });
+  documentId?: string;
+  expectedRevision?: number;
+  currentRevision?: number;
+}
+
+export class BlockDocExistsError extends Error {
+  constructor(documentId: string);
+  documentId: string;
+}
+
+export interface BlockTarget {
+  afterId?: string;
+  parentId?: string | null;
+  position?: number;
+}
+
+export class BlockDocClient {
+  constructor(baseUrl: string, options?: { headers?: Record<string, string> });
+  baseUrl: string;
+  headers: Record<string, string>;
+  revisions: Map<string, number>;
+  getDocument(documentId: string): Promise<BlockDocDocument>;
+  getRevision(documentId: string): number | undefined;
+  createDocument(document: BlockDocDocument): Promise<{ id: string; revision: number; message: string }>;
+  updateDocument(documentId: string, document: BlockDocDocument): Promise<{ message: string; revision: number }>;
+  deleteDocument(documentId: string): Promise<void>;
+  updateBlock(documentId: string, blockId: string, updates: Partial<BlockData>): Promise<BlockData>;
+  getBlocks(documentId: string): Promise<BlockData[]>;
+  getBlock(documentId: string, blockId: string): Promise<BlockData>;
+  insertBlock(documentId: string, block: BlockData, placement?: BlockTarget): Promise<{ block: BlockData; parentId: string | null; index: number }>;
+  moveBlock(documentId: string, blockId: string, placement: BlockTarget): Promise<{ id: string; parentId: string | null; index: number }>;
+  deleteBlock(documentId: string, blockId: string): Promise<void>;
+  listDocuments(query?: { limit?: number; offset?: number }): Promise<{ documents: Array<{ id: string; title: string; updatedAt?: string }>; total: number; limit: number; offset: number }>;
+}
+
+export function renderToHTML(article: Article, options?: HTMLRenderOptions): string;
+export function renderToHTMLPage(article: Article, options?: HTMLPageOptions): string;
+export function renderToHTMLStream(article: Article, options?: HTMLRenderOptions): HTMLStream;
+export function getStylesheet(options?: StylesheetOptions): string;
+export function renderToMarkdown(article: Article, options?: MarkdownRenderOptions): string;
+export function renderToText(article: Article, options?: TextRenderOptions): string;
+export function stripMarkdown(markdown: string): string;
 
 export const schema: any;
 export const version: string;
 
 // Submodule exports
 declare module 'blockdoc/renderers/html' {
-  export function renderToHTML(article: Article): string;
+  export function renderToHTML(article: Article, options?: HTMLRenderOptions): string;
+  export function renderToHTMLPage(article: Article, options?: HTMLPageOptions): string;
+  export function renderToHTMLStream(article: Article, options?: HTMLRenderOptions): HTMLStream;
 }
 
 declare module 'blockdoc/renderers/markdown' {
-  export function renderToMarkdown(article: Article): string;
+  export function renderToMarkdown(article: Article, options?: MarkdownRenderOptions): string;
+}
+
+declare module 'blockdoc/renderers/text' {
+  export function renderToText(article: Article, options?: TextRenderOptions): string;
+  export function stripMarkdown(markdown: string): string;
 }
 
 declare module 'blockdoc/utils/sanitize' {
   export function sanitizeHtml(html: string): string;
   export function sanitizeUrl(url: string): string;
-}
\ No newline at end of file
+  export function cleanHtml(html: string, options?: SanitizeOptions): string;
+  export const DEFAULT_SANITIZE_OPTIONS: Required<SanitizeOptions>;
+}
+
+declare module 'blockdoc/api/storage' {
+  export interface DocumentRecord {
+    id: string;
+    article: Article;
+    revision?: number;
+    createdAt?: string;
+    updatedAt?: string;
+    [key: string]: any;
+  }
+
+  export interface StorageAdapter {
+    get(id: string): Promise<DocumentRecord | null>;
+    list(options?: { limit?: number; offset?: number }): Promise<{ documents: DocumentRecord[]; total: number }>;
+    create(record: DocumentRecord): Promise<DocumentRecord>;
+    update(id: string, record: DocumentRecord, options?: RevisionOptions): Promise<DocumentRecord | null>;
+    delete(id: string, options?: RevisionOptions): Promise<DocumentRecord | null>;
+    patchBlock(id: string, blockId: string, updates: Partial<BlockData>, options?: RevisionOptions): Promise<{ document: DocumentRecord | null; block: BlockData | null }>;
+  }
+
+  export interface RevisionOptions {
+    revision?: number;
+  }
+
+  export function isStorageAdapter(storage: any): storage is StorageAdapter;
+  export function getRevision(record: DocumentRecord): number;
+
+  export class MemoryStorage implements StorageAdapter {
+    constructor(documents?: Record<string, DocumentRecord>);
+    documents: Record<string, DocumentRecord>;
+    get(id: string): Promise<DocumentRecord | null>;
+    list(options?: { limit?: number; offset?: number }): Promise<{ documents: DocumentRecord[]; total: number }>;
+    create(record: DocumentRecord): Promise<DocumentRecord>;
+    update(id: string, record: DocumentRecord, options?: RevisionOptions): Promise<DocumentRecord | null>;
+    delete(id: string, options?: RevisionOptions): Promise<DocumentRecord | null>;
+    patchBlock(id: string, blockId: string, updates: Partial<BlockData>, options?: RevisionOptions): Promise<{ document: DocumentRecord | null; block: BlockData | null }>;
+  }
+
+  export class FileStorage implements StorageAdapter {
+    constructor(directory: string);
+    directory: string;
+    get(id: string): Promise<DocumentRecord | null>;
+    list(options?: { limit?: number; offset?: number }): Promise<{ documents: DocumentRecord[]; total: number }>;
+    create(record: DocumentRecord): Promise<DocumentRecord>;
+    update(id: string, record: DocumentRecord, options?: RevisionOptions): Promise<DocumentRecord | null>;
+    delete(id: string, options?: RevisionOptions): Promise<DocumentRecord | null>;
+    patchBlock(id: string, blockId: string, updates: Partial<BlockData>, options?: RevisionOptions): Promise<{ document: DocumentRecord | null; block: BlockData | null }>;
+  }
+
+  export class SQLiteStorage implements StorageAdapter {
+    constructor(db: any, options?: { table?: string });
+    db: any;
+    table: string;
+    get(id: string): Promise<DocumentRecord | null>;
+    list(options?: { limit?: number; offset?: number }): Promise<{ documents: DocumentRecord[]; total: number }>;
+    create(record: DocumentRecord): Promise<DocumentRecord>;
+    update(id: string, record: DocumentRecord, options?: RevisionOptions): Promise<DocumentRecord | null>;
+    delete(id: string, options?: RevisionOptions): Promise<DocumentRecord | null>;
+    patchBlock(id: string, blockId: string, updates: Partial<BlockData>, options?: RevisionOptions): Promise<{ document: DocumentRecord | null; block: BlockData | null }>;
+  }
+}
+
+declare module 'blockdoc/api/server' {
+  import { StorageAdapter, DocumentRecord } from 'blockdoc/api/storage';
+
+  export interface BlockDocApiOptions {
+    storage?: StorageAdapter | Record<string, DocumentRecord>;
+    onDocumentCreated?: (document: DocumentRecord) => void;
+    onDocumentUpdated?: (document: DocumentRecord) => void;
+    onDocumentDeleted?: (document: DocumentRecord) => void;
+    onBlockUpdated?: (document: DocumentRecord, block: BlockData) => void;
+    requireIfMatch?: boolean;
+  }
+
+  export function createBlockDocApi(options?: BlockDocApiOptions): (req: any, res: any, next: () => void) => Promise<void>;
+}
@@ -0,0 +1,230 @@
+/**
+ * BlockDoc API Block Operations
+ *
+ * Changes to the blocks of stored documents, made through BlockDocDocument.
+ * Errors carry the HTTP status the server answers with.
+ */
+
+import { BlockDocDocument } from '../core/document.js';
+import { findBlock, collectBlockIds } from '../core/tree.js';
+
+/**
+ * Create an error answered with the given HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} [details] - More properties for the response body
+ * @returns {Error} Error with status and details properties
+ */
+export function createHttpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Find a block, anywhere in the block tree
+ * @param {Array<Object>} blocks - Top-level blocks
+ * @param {string} id - Block ID
+ * @returns {Object} Location with block, index, siblings and parent
+ * @throws {Error} With status 404 if there is no such block
+ */
+export function locateBlock(blocks, id) {
+  const location = findBlock(blocks, id);
+
+  if (!location) {
+    throw createHttpError(404, 'Block not found');
+  }
+  return location;
+}
+
+/**
+ * Load the blocks of a stored document into a BlockDocDocument, to change them
+ * through its methods. Store document.article.blocks afterwards.
+ * @param {Object} record - Stored document
+ * @returns {BlockDocDocument} Document without undo history
+ */
+export function loadDocument(record) {
+  const { title, blocks } = record.article;
+  return new BlockDocDocument({ title, blocks: blocks || [], historyDepth: 0 });
+}
+
+/**
+ * Apply updates to a block. The ID and type can't change.
+ * @param {BlockDocDocument} document - Document, changed in place
+ * @param {string} id - Block ID
+ * @param {Object} updates - Properties to set
+ * @returns {Object} Validated updates, as normalized by the Block class
+ * @throws {Error} With status 404 if there is no such block, 400 if the result is invalid,
+ *   409 if new children reuse IDs
+ */
+export function updateBlock(document, id, updates) {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    throw createHttpError(400, 'Invalid block format');
+  }
+
+  locateBlock(document.article.blocks, id);
+
+  const changes = {};
+  Object.keys(updates)
+    .filter((key) => !['id', 'type'].includes(key))
+    .forEach((key) => {
+      changes[key] = updates[key];
+    });
+  const block = applyChange(() => document.updateBlock(id, changes));
+
+  // Only send what changed, so concurrent changes to other properties are kept
+  const validated = {};
+  Object.keys(changes).forEach((key) => {
+    validated[key] = block[key];
+  });
+  return validated;
+}
+
+/**
+ * Insert a block
+ * @param {BlockDocDocument} document - Document, changed in place
+ * @param {Object} data - Block data
+ * @param {Object} [placement] - Where to insert the block, see resolvePlacement()
+ * @returns {Object} { block, parentId, index } with the inserted block
+ * @throws {Error} With status 400 for an invalid block or placement, 404 if a referenced
+ *   block doesn't exist, 409 if a block ID is taken
+ */
+export function insertBlock(document, data, placement = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw createHttpError(400, 'Invalid block format');
+  }
+
+  const { parentId, index } = resolvePlacement(document, placement);
+  const block = applyChange(() => (index === undefined
+    ? document.addBlock(data, parentId)
+    : document.insertBlock(data, index, parentId)));
+
+  return { block: block.toJSON(), ...placed(document, block.id, index) };
+}
+
+/**
+ * Remove a block and its children
+ * @param {BlockDocDocument} document - Document, changed in place
+ * @param {string} id - Block ID
+ * @throws {Error} With status 404 if there is no such block
+ */
+export function removeBlock(document, id) {
+  if (!document.removeBlock(id)) {
+    throw createHttpError(404, 'Block not found');
+  }
+}
+
+/**
+ * Move a block
+ * @param {BlockDocDocument} document - Document, changed in place
+ * @param {string} id - Block ID
+ * @param {Object} [placement] - Where to move the block, see resolvePlacement(); without a
+ *   parentId or afterId the block stays within its parent
+ * @returns {Object} { block, parentId, index } with the new location of the block
+ * @throws {Error} With status 400 for an invalid placement, 404 if a block doesn't exist
+ */
+export function moveBlock(document, id, placement = {}) {
+  const location = locateBlock(document.article.blocks, id);
+
+  if (placement.afterId !== undefined && collectBlockIds(location.block).includes(placement.afterId)) {
+    throw createHttpError(400, `Cannot move block "${id}" after itself`);
+  }
+
+  const currentParentId = location.parent ? location.parent.id : null;
+  const target = resolvePlacement(document, placement.parentId === undefined && placement.afterId === undefined
+    ? { ...placement, parentId: currentParentId }
+    : placement);
+  const sameList = target.parentId === currentParentId;
+  let { index } = target;
+
+  if (index === undefined) {
+    index = countChildren(document, target.parentId) - (sameList ? 1 : 0);
+  } else if (placement.afterId !== undefined && sameList && location.index < index) {
+    // Positions count without the moved block
+    index -= 1;
+  }
+
+  applyChange(() => document.moveBlock(id, index, target.parentId));
+  return { block: location.block, ...placed(document, id, placement.afterId === undefined ? placement.position : undefined) };
+}
+
+/**
+ * Find the container and index a block goes to
+ * @param {BlockDocDocument} document - Document
+ * @param {Object} placement - Placement
+ * @param {string} [placement.afterId] - Place right after this block, in its parent
+ * @param {string|null} [placement.parentId] - Container to place the block in; top level if null
+ *   or omitted
+ * @param {number} [placement.position] - Index in the container, at the end if omitted
+ * @returns {Object} { parentId, index }, without index for the end of the container
+ * @throws {Error} With status 400 for an invalid placement, 404 if a block doesn't exist
+ */
+function resolvePlacement(document, { afterId, parentId, position }) {
+  if (afterId === undefined) {
+    return { parentId: parentId ?? null, index: position };
+  }
+
+  if (position !== undefined) {
+    throw createHttpError(400, 'Use either afterId or position');
+  }
+
+  const location = locateBlock(document.article.blocks, afterId);
+  const afterParentId = location.parent ? location.parent.id : null;
+
+  if (parentId !== undefined && parentId !== afterParentId) {
+    throw createHttpError(400, `Block "${afterId}" is not in "${parentId}"`);
+  }
+  return { parentId: afterParentId, index: location.index + 1 };
+}
+
+/**
+ * Count the blocks in the document or in a container block
+ * @param {BlockDocDocument} document - Document
+ * @param {string|null} parentId - Container block ID; null for the top level
+ * @returns {number} Number of blocks; 0 if there is no such block, which moveBlock() reports
+ */
+function countChildren(document, parentId) {
+  if (parentId === null) {
+    return document.article.blocks.length;
+  }
+
+  const parent = document.getBlock(parentId);
+  return parent && parent.children ? parent.children.length : 0;
+}
+
+/**
+ * Get where a block ended up. BlockDocDocument clamps positions, while the
+ * API rejects any position the block couldn't be placed at.
+ * @param {BlockDocDocument} document - Document
+ * @param {string} id - Block ID
+ * @param {number} [position] - Requested position
+ * @returns {Object} { parentId, index }
+ * @throws {Error} With status 400 if the block is not at the requested position
+ */
+function placed(document, id, position) {
+  const location = findBlock(document.article.blocks, id);
+
+  if (position !== undefined && location.index !== position) {
+    throw createHttpError(400, `Invalid position: ${position}`);
+  }
+  return { parentId: location.parent ? location.parent.id : null, index: location.index };
+}
+
+/**
+ * Make a change through BlockDocDocument, answering its errors with 409 for
+ * taken block IDs, 404 for missing blocks and 400 for anything else
+ * @param {Function} change - Change
+ * @returns {*} What change returns
+ * @throws {Error} With the status for the error of the change
+ */
+function applyChange(change) {
+  try {
+    return change();
+  } catch (error) {
+    if (/ already exists$/.test(error.message)) {
+      throw createHttpError(409, error.message);
+    }
+    throw createHttpError(/ not found$/.test(error.message) ? 404 : 400, error.message);
+  }
+}
@@ -5,6 +5,7 @@
  */
 
 import { BlockDocDocument } from '../core/document.js';
+import { BlockDocConflictError } from '../core/errors.js';
 
 export class BlockDocClient {
   /**
@@ -20,90 +21,202 @@ export class BlockDocClient {
       'Accept': 'application/json',
       ...options.headers
     };
+    // Last known revision of each document, sent as If-Match with changes
+    this.revisions = new Map();
   }
 
   /**
    * Make an API request
    * @param {string} path - API path
    * @param {Object} options - Fetch options
+   * @param {string} [documentId] - Document the request is about; its revision is
+   *   sent as If-Match and updated from the ETag of the response
    * @returns {Promise<Object>} Response data
+   * @throws {BlockDocConflictError} If the document was changed since its known revision
    * @private
    */
-  async _request(path, options = {}) {
+  async _request(path, options = {}, documentId) {
     const url = `${this.baseUrl}${path}`;
+    const headers = { ...this.headers, ...options.headers };
+    
+    if (documentId !== undefined && options.method && this.revisions.has(documentId)) {
+      headers['If-Match'] = `"${this.revisions.get(documentId)}"`;
+    }
     
     const response = await fetch(url, {
-      headers: this.headers,
-      ...options
+      ...options,
+      headers
     });
     
+    if (response.status === 412) {
+      const { revision } = await response.json().catch(() => ({}));
+      throw new BlockDocConflictError(`Document "${documentId}" has been modified`, {
+        documentId,
+        expectedRevision: this.revisions.get(documentId),
+        currentRevision: revision
+      });
+    }
+    
     if (!response.ok) {
       const error = await response.text();
       throw new Error(`API request failed: ${response.status} ${error}`);
     }
     
+    const etag = response.headers.get('ETag');
+    const match = etag && etag.match(/^(?:W\/)?"(\d+)"$/);
+    if (documentId !== undefined && match) {
+      this.revisions.set(documentId, parseInt(match[1], 10));
+    }
+    
     // Return JSON response or null for 204 No Content
     return response.status === 204 ? null : await response.json();
   }
 
   /**
-   * Get a document by ID
+   * Get a document by ID, remembering its revision
    * @param {string} documentId - Document ID
    * @returns {Promise<BlockDocDocument>} The document
    */
   async getDocument(documentId) {
-    const data = await this._request(`documents/${documentId}`);
+    const data = await this._request(`documents/${documentId}`, {}, documentId);
     return BlockDocDocument.fromJSON(data);
   }
 
+  /**
+   * Get the last known revision of a document
+   * @param {string} documentId - Document ID
+   * @returns {number|undefined} Revision, undefined if the document wasn't loaded or changed by this client
+   */
+  getRevision(documentId) {
+    return this.revisions.get(documentId);
+  }
+
   /**
    * Create a new document
    * @param {BlockDocDocument} document - The document to create
-   * @returns {Promise<Object>} Creation result with ID
+   * @returns {Promise<Object>} Creation result with ID and revision
    */
   async createDocument(document) {
-    return this._request('documents', {
+    const result = await this._request('documents', {
       method: 'POST',
       body: JSON.stringify(document.toJSON())
     });
+    
+    this.revisions.set(result.id, result.revision);
+    return result;
   }
 
   /**
-   * Update an existing document
+   * Update an existing document. The change is only made if nobody changed the
+   * document since it was loaded or last changed by this client.
    * @param {string} documentId - Document ID
    * @param {BlockDocDocument} document - Updated document
-   * @returns {Promise<Object>} Update result
+   * @returns {Promise<Object>} Update result with the new revision
+   * @throws {BlockDocConflictError} If the document was changed by someone else;
+   *   load it again to resolve the conflict
    */
   async updateDocument(documentId, document) {
     return this._request(`documents/${documentId}`, {
       method: 'PUT',
       body: JSON.stringify(document.toJSON())
-    });
+    }, documentId);
   }
 
   /**
-   * Delete a document
+   * Delete a document, unless it was changed by someone else
    * @param {string} documentId - Document ID
    * @returns {Promise<void>}
+   * @throws {BlockDocConflictError} If the document was changed by someone else
    */
   async deleteDocument(documentId) {
     await this._request(`documents/${documentId}`, {
       method: 'DELETE'
-    });
+    }, documentId);
+    
+    this.revisions.delete(documentId);
   }
 
   /**
-   * Update a specific block in a document
+   * Update a specific block in a document, unless the document was changed by someone else
    * @param {string} documentId - Document ID
    * @param {string} blockId - Block ID
    * @param {Object} updates - Properties to update
    * @returns {Promise<Object>} Updated block
+   * @throws {BlockDocConflictError} If the document was changed by someone else
    */
   async updateBlock(documentId, blockId, updates) {
     return this._request(`documents/${documentId}/blocks/${blockId}`, {
       method: 'PATCH',
       body: JSON.stringify(updates)
-    });
+    }, documentId);
+  }
+
+  /**
+   * Get the blocks of a document. The known revision of the document is left
+   * as it is, as the blocks may be newer than the loaded document.
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Array<Object>>} Top-level blocks, with their children
+   */
+  async getBlocks(documentId) {
+    const { blocks } = await this._request(`documents/${documentId}/blocks`);
+    return blocks;
+  }
+
+  /**
+   * Get a block of a document, wherever it is in the block tree
+   * @param {string} documentId - Document ID
+   * @param {string} blockId - Block ID
+   * @returns {Promise<Object>} The block
+   */
+  async getBlock(documentId, blockId) {
+    return this._request(`documents/${documentId}/blocks/${blockId}`);
+  }
+
+  /**
+   * Insert a block into a document, unless the document was changed by someone else
+   * @param {string} documentId - Document ID
+   * @param {Object} block - Block data, with a unique ID
+   * @param {Object} [placement] - Where to insert the block, at the end of the document by default
+   * @param {string} [placement.afterId] - Insert right after this block
+   * @param {string} [placement.parentId] - Container block to insert the block into
+   * @param {number} [placement.position] - Index among the blocks of the document or container
+   * @returns {Promise<Object>} { block, parentId, index } with the inserted block
+   * @throws {BlockDocConflictError} If the document was changed by someone else
+   */
+  async insertBlock(documentId, block, placement = {}) {
+    return this._request(`documents/${documentId}/blocks`, {
+      method: 'POST',
+      body: JSON.stringify({ ...placement, block })
+    }, documentId);
+  }
+
+  /**
+   * Move a block within a document, unless the document was changed by someone else
+   * @param {string} documentId - Document ID
+   * @param {string} blockId - Block ID
+   * @param {Object} placement - Where to move the block: afterId, parentId and/or position
+   *   as for insertBlock(); without afterId or parentId the block stays in its container
+   * @returns {Promise<Object>} { id, parentId, index } with the new location of the block
+   * @throws {BlockDocConflictError} If the document was changed by someone else
+   */
+  async moveBlock(documentId, blockId, placement) {
+    return this._request(`documents/${documentId}/blocks/${blockId}/move`, {
+      method: 'POST',
+      body: JSON.stringify(placement)
+    }, documentId);
+  }
+
+  /**
+   * Delete a block and its children, unless the document was changed by someone else
+   * @param {string} documentId - Document ID
+   * @param {string} blockId - Block ID
+   * @returns {Promise<void>}
+   * @throws {BlockDocConflictError} If the document was changed by someone else
+   */
+  async deleteBlock(documentId, blockId) {
+    await this._request(`documents/${documentId}/blocks/${blockId}`, {
+      method: 'DELETE'
+    }, documentId);
   }
 
   /**
@@ -3,12 +3,43 @@
  *
  * Express middleware for creating a BlockDoc API server
  * Note: This is a minimal implementation meant for simple use cases.
- * For production, use a proper database and more robust error handling.
+ * Documents are kept in memory unless a storage adapter is given, see storage.js.
  */
 
+import { Readable, pipeline } from 'stream';
+import { renderToHTMLStream } from '../renderers/html.js';
+import { renderToMarkdown } from '../renderers/markdown.js';
+import { MemoryStorage, isStorageAdapter, getRevision } from './storage.js';
+import { BlockDocConflictError, BlockDocExistsError } from '../core/errors.js';
+import { getSchemaErrors } from '../core/validation.js';
+import {
+  createHttpError,
+  locateBlock,
+  loadDocument,
+  updateBlock,
+  insertBlock,
+  removeBlock,
+  moveBlock,
+} from './blocks.js';
+
+/**
+ * Create Express middleware serving the BlockDoc API under /api/blockdoc/
+ * @param {Object} [options] - API options
+ * @param {Object} [options.storage] - Storage adapter, or an object holding the documents by ID
+ *   in memory. Default: a new MemoryStorage
+ * @param {Function} [options.onDocumentCreated] - Called with each created document
+ * @param {Function} [options.onDocumentUpdated] - Called with each updated document
+ * @param {Function} [options.onDocumentDeleted] - Called with each deleted document
+ * @param {Function} [options.onBlockUpdated] - Called with the document and block after a block update
+ * @param {boolean} [options.requireIfMatch=false] - Reject changes to documents without an If-Match header
+ * @returns {Function} Express middleware
+ */
 export function createBlockDocApi(options = {}) {
+  const storage = isStorageAdapter(options.storage) ? options.storage : new MemoryStorage(options.storage);
+  const context = { ...options, storage };
+
   // This function returns Express middleware that handles BlockDoc API endpoints
-  return function blockDocApiMiddleware(req, res, next) {
+  return async function blockDocApiMiddleware(req, res, next) {
     // Skip non-matching routes
     if (!req.path.startsWith('/api/blockdoc/')) {
       return next();
@@ -22,22 +53,37 @@ export function createBlockDocApi(options = {}) {
       if (pathParts[0] === 'documents') {
         if (req.method === 'GET' && pathParts.length === 1) {
           // GET /api/blockdoc/documents - List documents
-          return handleListDocuments(req, res, options);
+          return await handleListDocuments(req, res, context);
         } else if (req.method === 'POST' && pathParts.length === 1) {
           // POST /api/blockdoc/documents - Create document
-          return handleCreateDocument(req, res, options);
+          return await handleCreateDocument(req, res, context);
         } else if (req.method === 'GET' && pathParts.length === 2) {
           // GET /api/blockdoc/documents/:id - Get document
-          return handleGetDocument(req, res, pathParts[1], options);
+          return await handleGetDocument(req, res, pathParts[1], context);
         } else if (req.method === 'PUT' && pathParts.length === 2) {
           // PUT /api/blockdoc/documents/:id - Update document
-          return handleUpdateDocument(req, res, pathParts[1], options);
+          return await handleUpdateDocument(req, res, pathParts[1], context);
         } else if (req.method === 'DELETE' && pathParts.length === 2) {
           // DELETE /api/blockdoc/documents/:id - Delete document
-          return handleDeleteDocument(req, res, pathParts[1], options);
+          return await handleDeleteDocument(req, res, pathParts[1], context);
+        } else if (req.method === 'GET' && pathParts.length === 3 && pathParts[2] === 'blocks') {
+          // GET /api/blockdoc/documents/:id/blocks - List blocks
+          return await handleListBlocks(req, res, pathParts[1], context);
+        } else if (req.method === 'POST' && pathParts.length === 3 && pathParts[2] === 'blocks') {
+          // POST /api/blockdoc/documents/:id/blocks - Insert block
+          return await handleInsertBlock(req, res, pathParts[1], context);
+        } else if (req.method === 'GET' && pathParts.length === 4 && pathParts[2] === 'blocks') {
+          // GET /api/blockdoc/documents/:id/blocks/:blockId - Get block
+          return await handleGetBlock(req, res, pathParts[1], pathParts[3], context);
         } else if (req.method === 'PATCH' && pathParts.length === 4 && pathParts[2] === 'blocks') {
           // PATCH /api/blockdoc/documents/:id/blocks/:blockId - Update block
-          return handleUpdateBlock(req, res, pathParts[1], pathParts[3], options);
+          return await handleUpdateBlock(req, res, pathParts[1], pathParts[3], context);
+        } else if (req.method === 'DELETE' && pathParts.length === 4 && pathParts[2] === 'blocks') {
+          // DELETE /api/blockdoc/documents/:id/blocks/:blockId - Delete block
+          return await handleDeleteBlock(req, res, pathParts[1], pathParts[3], context);
+        } else if (req.method === 'POST' && pathParts.length === 5 && pathParts[2] === 'blocks' && pathParts[4] === 'move') {
+          // POST /api/blockdoc/documents/:id/blocks/:blockId/move - Move block
+          return await handleMoveBlock(req, res, pathParts[1], pathParts[3], context);
         }
       }
       
@@ -57,6 +103,21 @@ export function createBlockDocApi(options = {}) {
       // No matching route
       res.status(404).json({ error: 'Not found' });
     } catch (error) {
+      if (error instanceof BlockDocConflictError) {
+        // Someone else changed the document since the revision in If-Match
+        setRevision(res, error.currentRevision);
+        return res.status(412).json({ error: 'Document has been modified', revision: error.currentRevision });
+      }
+      
+      if (error instanceof BlockDocExistsError) {
+        // Another request created a document with the same ID first
+        return res.status(409).json({ error: 'Document already exists' });
+      }
+      
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, ...error.details });
+      }
+      
       console.error('BlockDoc API Error:', error);
       res.status(500).json({ error: error.message || 'Internal server error' });
     }
@@ -64,32 +125,28 @@ export function createBlockDocApi(options = {}) {
 }
 
 // Route handlers
-// Note: These functions would typically interact with a database
 
-function handleListDocuments(req, res, options) {
-  const { storage = {} } = options;
+async function handleListDocuments(req, res, options) {
+  const { storage } = options;
   const limit = parseInt(req.query.limit) || 10;
   const offset = parseInt(req.query.offset) || 0;
   
-  // In a real implementation, this would query a database
-  const documents = Object.values(storage)
-    .slice(offset, offset + limit)
-    .map(doc => ({
+  const { documents, total } = await storage.list({ limit, offset });
+  
+  res.json({
+    documents: documents.map(doc => ({
       id: doc.id,
       title: doc.article.title,
       updatedAt: doc.updatedAt
-    }));
-  
-  res.json({
-    documents,
-    total: Object.keys(storage).length,
+    })),
+    total,
     limit,
     offset
   });
 }
 
-function handleCreateDocument(req, res, options) {
-  const { storage = {}, onDocumentCreated } = options;
+async function handleCreateDocument(req, res, options) {
+  const { storage, onDocumentCreated } = options;
   const document = req.body;
   
   // Validate document
@@ -97,41 +154,57 @@ function handleCreateDocument(req, res, options) {
     return res.status(400).json({ error: 'Invalid document format' });
   }
   
+  validateDocument(document);
+  
   // Generate ID if not provided
   const id = document.id || generateId();
   
+  if (await storage.get(id)) {
+    return res.status(409).json({ error: 'Document already exists' });
+  }
+  
   // Store document
-  const storedDocument = {
+  const storedDocument = await storage.create({
     ...document,
     id,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
-  };
-  
-  storage[id] = storedDocument;
+  });
+  const revision = getRevision(storedDocument);
   
   // Trigger event handler if provided
   if (typeof onDocumentCreated === 'function') {
     onDocumentCreated(storedDocument);
   }
   
-  res.status(201).json({ id, message: 'Document created' });
+  setRevision(res, revision);
+  res.status(201).json({ id, revision, message: 'Document created' });
 }
 
-function handleGetDocument(req, res, documentId, options) {
-  const { storage = {} } = options;
+async function handleGetDocument(req, res, documentId, options) {
+  const { storage } = options;
+  const document = await storage.get(documentId);
   
-  if (!storage[documentId]) {
+  if (!document) {
     return res.status(404).json({ error: 'Document not found' });
   }
   
-  res.json(storage[documentId]);
+  const revision = getRevision(document);
+  setRevision(res, revision);
+  res.json({ ...document, revision });
 }
 
-function handleUpdateDocument(req, res, documentId, options) {
-  const { storage = {}, onDocumentUpdated } = options;
+async function handleUpdateDocument(req, res, documentId, options) {
+  const { storage, onDocumentUpdated } = options;
+  const precondition = readPrecondition(req, res, options);
   
-  if (!storage[documentId]) {
+  if (!precondition) {
+    return;
+  }
+  
+  const existing = await storage.get(documentId);
+  
+  if (!existing) {
     return res.status(404).json({ error: 'Document not found' });
   }
   
@@ -142,33 +215,43 @@ function handleUpdateDocument(req, res, documentId, options) {
     return res.status(400).json({ error: 'Invalid document format' });
   }
   
+  validateDocument(document);
+  
   // Update document
-  const updatedDocument = {
+  const updatedDocument = await storage.update(documentId, {
     ...document,
     id: documentId,
-    createdAt: storage[documentId].createdAt,
+    createdAt: existing.createdAt,
     updatedAt: new Date().toISOString()
-  };
+  }, precondition);
   
-  storage[documentId] = updatedDocument;
+  if (!updatedDocument) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
   
   // Trigger event handler if provided
   if (typeof onDocumentUpdated === 'function') {
     onDocumentUpdated(updatedDocument);
   }
   
-  res.json({ message: 'Document updated' });
+  const revision = getRevision(updatedDocument);
+  setRevision(res, revision);
+  res.json({ message: 'Document updated', revision });
 }
 
-function handleDeleteDocument(req, res, documentId, options) {
-  const { storage = {}, onDocumentDeleted } = options;
+async function handleDeleteDocument(req, res, documentId, options) {
+  const { storage, onDocumentDeleted } = options;
+  const precondition = readPrecondition(req, res, options);
   
-  if (!storage[documentId]) {
-    return res.status(404).json({ error: 'Document not found' });
+  if (!precondition) {
+    return;
   }
   
-  const deletedDocument = storage[documentId];
-  delete storage[documentId];
+  const deletedDocument = await storage.delete(documentId, precondition);
+  
+  if (!deletedDocument) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
   
   // Trigger event handler if provided
   if (typeof onDocumentDeleted === 'function') {
@@ -178,63 +261,230 @@ function handleDeleteDocument(req, res, documentId, options) {
   res.status(204).end();
 }
 
-function handleUpdateBlock(req, res, documentId, blockId, options) {
-  const { storage = {}, onBlockUpdated } = options;
+async function handleUpdateBlock(req, res, documentId, blockId, options) {
+  const { storage, onBlockUpdated } = options;
+  const precondition = readPrecondition(req, res, options);
   
-  if (!storage[documentId]) {
-    return res.status(404).json({ error: 'Document not found' });
+  if (!precondition) {
+    return;
   }
   
-  const document = storage[documentId];
-  const blockIndex = document.article.blocks.findIndex(block => block.id === blockId);
+  const { document, block: updatedBlock } = await writeDocument(storage, documentId, precondition, (current, revision) => {
+    // Check the updated block and the document it ends up in before storing
+    // it; the id and type are kept
+    const changed = loadDocument(current);
+    const updates = updateBlock(changed, blockId, req.body);
+    current.article.blocks = changed.article.blocks;
+    validateDocument(current);
+    
+    // Only patch the revision that was checked
+    return storage.patchBlock(documentId, blockId, updates, { revision });
+  });
   
-  if (blockIndex === -1) {
-    return res.status(404).json({ error: 'Block not found' });
+  if (!document) {
+    throw createHttpError(404, 'Document not found');
   }
   
-  // Update block
-  const updates = req.body;
-  const block = document.article.blocks[blockIndex];
-  
-  // Cannot change id or type
-  const { id, type, ...allowedUpdates } = updates;
-  
-  // Apply updates
-  const updatedBlock = {
-    ...block,
-    ...allowedUpdates
-  };
-  
-  document.article.blocks[blockIndex] = updatedBlock;
-  document.updatedAt = new Date().toISOString();
+  if (!updatedBlock) {
+    throw createHttpError(404, 'Block not found');
+  }
   
   // Trigger event handler if provided
   if (typeof onBlockUpdated === 'function') {
     onBlockUpdated(document, updatedBlock);
   }
   
+  setRevision(res, getRevision(document));
   res.json(updatedBlock);
 }
 
+async function handleListBlocks(req, res, documentId, options) {
+  const { storage } = options;
+  const document = await storage.get(documentId);
+  
+  if (!document) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  
+  setRevision(res, getRevision(document));
+  res.json({ blocks: document.article.blocks || [] });
+}
+
+async function handleGetBlock(req, res, documentId, blockId, options) {
+  const { storage } = options;
+  const document = await storage.get(documentId);
+  
+  if (!document) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  
+  const { block } = locateBlock(document.article.blocks || [], blockId);
+  
+  setRevision(res, getRevision(document));
+  res.json(block);
+}
+
+async function handleInsertBlock(req, res, documentId, options) {
+  const { block, position, afterId, parentId } = req.body || {};
+  const { document, result } = await changeDocument(req, res, documentId, options, (changed) =>
+    insertBlock(changed, block, { position, afterId, parentId })
+  );
+  
+  if (!document) {
+    return;
+  }
+  
+  setRevision(res, getRevision(document));
+  res.status(201).json(result);
+}
+
+async function handleDeleteBlock(req, res, documentId, blockId, options) {
+  const { document } = await changeDocument(req, res, documentId, options, (changed) =>
+    removeBlock(changed, blockId)
+  );
+  
+  if (!document) {
+    return;
+  }
+  
+  setRevision(res, getRevision(document));
+  res.status(204).end();
+}
+
+async function handleMoveBlock(req, res, documentId, blockId, options) {
+  const { position, afterId, parentId } = req.body || {};
+  const { document, result } = await changeDocument(req, res, documentId, options, (changed) =>
+    moveBlock(changed, blockId, { position, afterId, parentId })
+  );
+  
+  if (!document) {
+    return;
+  }
+  
+  setRevision(res, getRevision(document));
+  res.json({ id: blockId, parentId: result.parentId, index: result.index });
+}
+
+/**
+ * Check a document against the BlockDoc schema, as BlockDocDocument.validate() does
+ * @param {Object} document - Document with an article property
+ * @throws {Error} With status 422 and an errors list of { pointer, message } if the
+ *   document is invalid; pointers are relative to the document
+ */
+function validateDocument(document) {
+  const errors = getSchemaErrors({ article: document.article });
+  
+  if (errors.length > 0) {
+    throw createHttpError(422, 'Invalid document', {
+      errors: errors.map((error) => ({ pointer: error.instancePath, message: error.message })),
+    });
+  }
+}
+
+/**
+ * Change the blocks of a stored document. Without If-Match, the change is
+ * retried if someone else changed the document at the same time.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {string} documentId - Document ID
+ * @param {Object} options - API options
+ * @param {Function} change - Called with a BlockDocDocument holding the blocks of
+ *   the stored document, to change them through its methods
+ * @returns {Promise<Object>} { document, result } with the stored document and the
+ *   return value of change, or an empty object if the request was rejected
+ * @throws {Error} If the change fails or the document is at another revision
+ */
+async function changeDocument(req, res, documentId, options, change) {
+  const { storage } = options;
+  const precondition = readPrecondition(req, res, options);
+  
+  if (!precondition) {
+    return {};
+  }
+  
+  return writeDocument(storage, documentId, precondition, async (record, revision) => {
+    const changed = loadDocument(record);
+    const result = change(changed);
+    record.article.blocks = changed.article.blocks;
+    validateDocument(record);
+    record.updatedAt = new Date().toISOString();
+    
+    const document = await storage.update(documentId, record, { revision });
+    
+    if (!document) {
+      throw createHttpError(404, 'Document not found');
+    }
+    return { document, result };
+  });
+}
+
+/**
+ * Write a stored document based on the revision read, so that what was checked
+ * is what gets changed. Without If-Match, the write is tried again, up to three
+ * times, if someone else changed the document in between.
+ * @param {Object} storage - Storage adapter
+ * @param {string} documentId - Document ID
+ * @param {Object} precondition - Precondition from readPrecondition()
+ * @param {Function} write - Called with a copy of the stored document and its
+ *   revision; must only store the change at that revision
+ * @returns {Promise<*>} What write returns
+ * @throws {Error} If the write fails or the document is at another revision
+ */
+async function writeDocument(storage, documentId, precondition, write) {
+  for (let attempt = 1; ; attempt++) {
+    const record = await storage.get(documentId);
+    
+    if (!record) {
+      throw createHttpError(404, 'Document not found');
+    }
+    
+    const revision = getRevision(record);
+    
+    if (precondition.revision !== undefined && precondition.revision !== revision) {
+      throw new BlockDocConflictError(`Document "${documentId}" is at revision ${revision}, not ${precondition.revision}`, {
+        documentId,
+        expectedRevision: precondition.revision,
+        currentRevision: revision,
+      });
+    }
+    
+    try {
+      return await write(record, revision);
+    } catch (error) {
+      if (!(error instanceof BlockDocConflictError) || precondition.revision !== undefined || attempt === 3) {
+        throw error;
+      }
+    }
+  }
+}
+
 // Render handlers
 function handleRenderToHTML(req, res) {
-  const { renderToHTML } = require('../renderers/html.js');
   const document = req.body;
   
   if (!document || !document.article) {
     return res.status(400).json({ error: 'Invalid document format' });
   }
   
+  let stream;
   try {
-    const html = renderToHTML(document.article);
-    res.send(html);
+    stream = renderToHTMLStream(document.article);
   } catch (error) {
-    res.status(400).json({ error: `Rendering failed: ${error.message}` });
+    return res.status(400).json({ error: `Rendering failed: ${error.message}` });
   }
+  
+  // Send blocks as they are rendered; once the first chunk is out the status
+  // can't change, so a failure midway only ends the response early
+  res.status(200);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  pipeline(Readable.from(stream), res, (error) => {
+    if (error) {
+      console.error('BlockDoc API Error:', error);
+    }
+  });
 }
 
 function handleRenderToMarkdown(req, res) {
-  const { renderToMarkdown } = require('../renderers/markdown.js');
   const document = req.body;
   
   if (!document || !document.article) {
@@ -249,6 +499,54 @@ function handleRenderToMarkdown(req, res) {
   }
 }
 
+// Revision helpers
+
+/**
+ * Read the revision a change is based on from the If-Match header
+ * @param {Object} req - Request
+ * @param {Object} res - Response, used to reject requests without the header if required
+ * @param {Object} options - API options
+ * @returns {Object|null} Storage options with the expected revision, undefined for any
+ *   revision, or null if the request was rejected for a missing or malformed header
+ */
+function readPrecondition(req, res, options) {
+  const header = req.headers && req.headers['if-match'];
+  
+  if (header === undefined) {
+    if (options.requireIfMatch) {
+      res.status(428).json({ error: 'If-Match header required' });
+      return null;
+    }
+    return { revision: undefined };
+  }
+  
+  const value = header.trim();
+  
+  if (value === '*') {
+    return { revision: undefined };
+  }
+  
+  const match = value.match(/^(W\/)?"([^"]*)"$/);
+  
+  if (!match) {
+    res.status(400).json({ error: 'If-Match header must be * or a single ETag' });
+    return null;
+  }
+  
+  // ETags are quoted revision numbers; If-Match compares strongly, so weak
+  // ETags and anything else can't match
+  return { revision: !match[1] && /^\d+$/.test(match[2]) ? parseInt(match[2], 10) : NaN };
+}
+
+/**
+ * Send the revision of a document as its ETag
+ * @param {Object} res - Response
+ * @param {number} revision - Revision
+ */
+function setRevision(res, revision) {
+  res.setHeader('ETag', `"${revision}"`);
+}
+
 // Helper function to generate a simple ID
 function generateId() {
   return `doc_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
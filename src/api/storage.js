@@ -0,0 +1,494 @@
+/**
+ * BlockDoc API Storage
+ *
+ * Storage adapters for the API server. Every adapter stores document records
+ * (a BlockDoc document with its id, revision, createdAt and updatedAt) and
+ * implements the same asynchronous methods:
+ *
+ * - get(id): the record, or null
+ * - list({ limit, offset }): { documents, total }, oldest first
+ * - create(record): the stored record at revision 1; rejects if the ID is taken
+ * - update(id, record, { revision }): the stored record, or null if there is none to replace
+ * - delete(id, { revision }): the deleted record, or null
+ * - patchBlock(id, blockId, updates, { revision }): { document, block } with the
+ *   updated record and block, each null if not found
+ *
+ * Every change adds one to the revision. Changes given a revision reject with a
+ * BlockDocConflictError unless the stored record is at that revision.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { findBlock } from '../core/tree.js';
+import { BlockDocConflictError, BlockDocExistsError } from '../core/errors.js';
+import { cloneValue } from '../utils/clone.js';
+
+/**
+ * Check that an object has every method of a storage adapter
+ * @param {*} storage - Value to check
+ * @returns {boolean} True if it is a storage adapter
+ */
+export function isStorageAdapter(storage) {
+  return Boolean(storage) && ['get', 'list', 'create', 'update', 'delete', 'patchBlock']
+    .every((method) => typeof storage[method] === 'function');
+}
+
+/**
+ * Get the revision of a record. Records stored before revisions were tracked are at revision 0.
+ * @param {Object} record - Document record
+ * @returns {number} Revision
+ */
+export function getRevision(record) {
+  return Number.isInteger(record.revision) ? record.revision : 0;
+}
+
+/**
+ * Storage keeping records in memory, lost when the process exits
+ */
+export class MemoryStorage {
+  /**
+   * Create a memory storage
+   * @param {Object<string, Object>} [documents] - Object used to hold the records by ID,
+   *   e.g. to share them with other code. Default: an object without prototype
+   */
+  constructor(documents = Object.create(null)) {
+    this.documents = documents;
+  }
+
+  async get(id) {
+    return hasOwn(this.documents, id) ? cloneValue(this.documents[id]) : null;
+  }
+
+  async list({ limit, offset = 0 } = {}) {
+    const records = Object.values(this.documents).sort(compareRecords);
+    return { documents: page(records, limit, offset).map(cloneValue), total: records.length };
+  }
+
+  async create(record) {
+    if (hasOwn(this.documents, record.id)) {
+      throw new BlockDocExistsError(record.id);
+    }
+
+    setOwn(this.documents, record.id, cloneValue({ ...record, revision: 1 }));
+    return cloneValue(this.documents[record.id]);
+  }
+
+  async update(id, record, options = {}) {
+    if (!hasOwn(this.documents, id)) {
+      return null;
+    }
+
+    setOwn(this.documents, id, cloneValue(replaceRecord(this.documents[id], record, options)));
+    return cloneValue(this.documents[id]);
+  }
+
+  async delete(id, options = {}) {
+    if (!hasOwn(this.documents, id)) {
+      return null;
+    }
+
+    const record = this.documents[id];
+    checkRevision(record, options);
+    delete this.documents[id];
+    return cloneValue(record);
+  }
+
+  async patchBlock(id, blockId, updates, options = {}) {
+    if (!hasOwn(this.documents, id)) {
+      return { document: null, block: null };
+    }
+
+    const result = applyBlockUpdates(this.documents[id], blockId, updates, options);
+    if (result.block) {
+      setOwn(this.documents, id, result.document);
+    }
+    return cloneValue(result);
+  }
+}
+
+/**
+ * Storage writing each record to a JSON file named after its ID
+ */
+export class FileStorage {
+  /**
+   * Create a file storage
+   * @param {string} directory - Directory of the JSON files, created when needed
+   */
+  constructor(directory) {
+    if (typeof directory !== 'string' || directory === '') {
+      throw new Error('Storage directory must be a non-empty string');
+    }
+
+    this.directory = directory;
+    this._queues = new Map();
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(this._file(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async list({ limit, offset = 0 } = {}) {
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { documents: [], total: 0 };
+      }
+      throw error;
+    }
+
+    const records = await Promise.all(names
+      .filter((name) => name.endsWith('.json'))
+      .map(async (name) => JSON.parse(await fs.readFile(path.join(this.directory, name), 'utf8'))));
+
+    records.sort(compareRecords);
+    return { documents: page(records, limit, offset), total: records.length };
+  }
+
+  async create(record) {
+    const stored = { ...record, revision: 1 };
+    await fs.mkdir(this.directory, { recursive: true });
+
+    try {
+      await fs.writeFile(this._file(record.id), JSON.stringify(stored, null, 2), { flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new BlockDocExistsError(record.id);
+      }
+      throw error;
+    }
+
+    return stored;
+  }
+
+  async update(id, record, options = {}) {
+    return this._exclusive(id, async () => {
+      const current = await this.get(id);
+
+      if (!current) {
+        return null;
+      }
+
+      const stored = replaceRecord(current, record, options);
+      await this._write(stored);
+      return stored;
+    });
+  }
+
+  async delete(id, options = {}) {
+    return this._exclusive(id, async () => {
+      const record = await this.get(id);
+
+      if (record) {
+        checkRevision(record, options);
+        await fs.rm(this._file(id), { force: true });
+      }
+      return record;
+    });
+  }
+
+  async patchBlock(id, blockId, updates, options = {}) {
+    return this._exclusive(id, async () => {
+      const record = await this.get(id);
+
+      if (!record) {
+        return { document: null, block: null };
+      }
+
+      const result = applyBlockUpdates(record, blockId, updates, options);
+      if (result.block) {
+        await this._write(result.document);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Run changes of a record one after the other, so a change can't read the
+   * record while another one is writing it
+   * @param {string} id - Document ID
+   * @param {Function} change - Async function making the change
+   * @returns {Promise<*>} Result of the change
+   * @private
+   */
+  async _exclusive(id, change) {
+    const previous = this._queues.get(id) || Promise.resolve();
+    const result = previous.then(change, change);
+    const queued = result.catch(() => {});
+
+    this._queues.set(id, queued);
+    queued.then(() => {
+      if (this._queues.get(id) === queued) {
+        this._queues.delete(id);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Path of the file of a record. IDs are URI-encoded so they can't leave the directory.
+   * @param {string} id - Document ID
+   * @returns {string} File path
+   * @private
+   */
+  _file(id) {
+    return path.join(this.directory, `${encodeURIComponent(id).replace(/^\./, '%2E')}.json`);
+  }
+
+  /**
+   * Replace the file of a record, writing to a temporary file first so readers
+   * never see a partial file
+   * @param {Object} record - Document record
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _write(record) {
+    const file = this._file(record.id);
+    const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+
+    await fs.writeFile(temporary, JSON.stringify(record, null, 2));
+    await fs.rename(temporary, file);
+  }
+}
+
+/**
+ * Storage keeping records in an SQLite table, through a database object with
+ * the API of better-sqlite3: prepare(sql) returning statements with get(),
+ * all() and run(), exec(sql) and transaction(fn)
+ */
+export class SQLiteStorage {
+  /**
+   * Create an SQLite storage, creating its table if it doesn't exist
+   * @param {Object} db - Open database, e.g. `new Database('blockdoc.db')` from better-sqlite3
+   * @param {Object} [options] - Storage options
+   * @param {string} [options.table='blockdoc_documents'] - Table name
+   */
+  constructor(db, { table = 'blockdoc_documents' } = {}) {
+    if (!db || typeof db.prepare !== 'function') {
+      throw new Error('SQLite storage needs a database with a prepare() method');
+    }
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+      throw new Error(`Invalid table name "${table}"`);
+    }
+
+    this.db = db;
+    this.table = table;
+
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      created_at TEXT,
+      updated_at TEXT
+    )`);
+
+    this.statements = {
+      get: db.prepare(`SELECT data FROM ${table} WHERE id = ?`),
+      list: db.prepare(`SELECT data FROM ${table} ORDER BY created_at, id LIMIT ? OFFSET ?`),
+      count: db.prepare(`SELECT COUNT(*) AS total FROM ${table}`),
+      insert: db.prepare(`INSERT INTO ${table} (id, data, created_at, updated_at) VALUES (?, ?, ?, ?)`),
+      update: db.prepare(`UPDATE ${table} SET data = ?, created_at = ?, updated_at = ? WHERE id = ?`),
+      delete: db.prepare(`DELETE FROM ${table} WHERE id = ?`),
+    };
+
+    // Reading and writing a record in one transaction keeps concurrent changes from overwriting each other
+    this._transaction = db.transaction((change) => change());
+  }
+
+  async get(id) {
+    return this._get(id);
+  }
+
+  async list({ limit, offset = 0 } = {}) {
+    // SQLite reads a negative limit as no limit
+    const rows = this.statements.list.all(limit === undefined ? -1 : limit, offset);
+    const { total } = this.statements.count.get();
+    return { documents: rows.map((row) => JSON.parse(row.data)), total };
+  }
+
+  async create(record) {
+    if (this._get(record.id)) {
+      throw new BlockDocExistsError(record.id);
+    }
+
+    const stored = { ...record, revision: 1 };
+    this.statements.insert.run(record.id, JSON.stringify(stored), record.createdAt ?? null, record.updatedAt ?? null);
+    return stored;
+  }
+
+  async update(id, record, options = {}) {
+    return this._transaction(() => {
+      const current = this._get(id);
+
+      if (!current) {
+        return null;
+      }
+
+      const stored = replaceRecord(current, record, options);
+      this._update(stored);
+      return stored;
+    });
+  }
+
+  async delete(id, options = {}) {
+    return this._transaction(() => {
+      const record = this._get(id);
+
+      if (record) {
+        checkRevision(record, options);
+        this.statements.delete.run(id);
+      }
+      return record;
+    });
+  }
+
+  async patchBlock(id, blockId, updates, options = {}) {
+    return this._transaction(() => {
+      const record = this._get(id);
+
+      if (!record) {
+        return { document: null, block: null };
+      }
+
+      const result = applyBlockUpdates(record, blockId, updates, options);
+      if (result.block) {
+        this._update(result.document);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Read a record
+   * @param {string} id - Document ID
+   * @returns {Object|null} Record
+   * @private
+   */
+  _get(id) {
+    const row = this.statements.get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Replace a record
+   * @param {Object} record - Record
+   * @returns {boolean} False if there was no record to replace
+   * @private
+   */
+  _update(record) {
+    const { changes } = this.statements.update.run(JSON.stringify(record), record.createdAt ?? null, record.updatedAt ?? null, record.id);
+    return changes > 0;
+  }
+}
+
+/**
+ * Check that a record is at the revision a change is based on
+ * @param {Object} record - Stored record
+ * @param {Object} options - Change options
+ * @param {number} [options.revision] - Expected revision, any if undefined
+ * @returns {number} Revision of the record after the change
+ * @throws {BlockDocConflictError} If the record is at another revision
+ */
+function checkRevision(record, { revision } = {}) {
+  const current = getRevision(record);
+
+  if (revision !== undefined && revision !== current) {
+    throw new BlockDocConflictError(`Document "${record.id}" is at revision ${current}, not ${revision}`, {
+      documentId: record.id,
+      expectedRevision: revision,
+      currentRevision: current,
+    });
+  }
+
+  return current + 1;
+}
+
+/**
+ * Build the record replacing a stored one
+ * @param {Object} current - Stored record
+ * @param {Object} record - New record
+ * @param {Object} options - Change options, see checkRevision()
+ * @returns {Object} Record to store
+ * @throws {BlockDocConflictError} If the stored record is at another revision
+ */
+function replaceRecord(current, record, options) {
+  return { ...record, id: current.id, revision: checkRevision(current, options) };
+}
+
+/**
+ * Apply updates to a block of a record, anywhere in the block tree. The ID and
+ * type of the block are kept.
+ * @param {Object} record - Document record, left unchanged
+ * @param {string} blockId - Block ID
+ * @param {Object} updates - Properties to set
+ * @param {Object} options - Change options, see checkRevision()
+ * @returns {Object} { document, block } with the updated copies, or the record and
+ *   a null block if the block was not found
+ * @throws {BlockDocConflictError} If the record is at another revision
+ */
+function applyBlockUpdates(record, blockId, updates, options) {
+  const revision = checkRevision(record, options);
+  const document = cloneValue(record);
+  const location = findBlock((document.article && document.article.blocks) || [], blockId);
+
+  if (!location) {
+    return { document: record, block: null };
+  }
+
+  const block = { ...location.block, ...updates, id: location.block.id, type: location.block.type };
+
+  location.siblings[location.index] = block;
+  document.revision = revision;
+  document.updatedAt = new Date().toISOString();
+  return { document, block };
+}
+
+/**
+ * Sort records oldest first, then by ID
+ * @param {Object} a - Record
+ * @param {Object} b - Record
+ * @returns {number} Sort order
+ */
+function compareRecords(a, b) {
+  return String(a.createdAt ?? '').localeCompare(String(b.createdAt ?? '')) || String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Take a page of records
+ * @param {Array<Object>} records - Records
+ * @param {number} [limit] - Maximum number of records, all if undefined
+ * @param {number} offset - Number of records to skip
+ * @returns {Array<Object>} Page
+ */
+function page(records, limit, offset) {
+  return records.slice(offset, limit === undefined ? undefined : offset + limit);
+}
+
+/**
+ * Check for an own property
+ * @param {Object} object - Object
+ * @param {string} key - Key
+ * @returns {boolean} True if the object has the property
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Set an own property, even for keys such as "__proto__" that plain
+ * assignment would treat specially
+ * @param {Object} object - Object
+ * @param {string} key - Key
+ * @param {*} value - Value
+ */
+function setOwn(object, key, value) {
+  Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+}
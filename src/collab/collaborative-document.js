@@ -0,0 +1,852 @@
+/**
+ * BlockDoc Collaborative Document
+ *
+ * Real-time collaboration on a BlockDocDocument through CRDT updates
+ */
+
+import { BlockDocDocument } from '../core/document.js';
+import { EventEmitter } from '../core/emitter.js';
+import { isContainerType } from '../core/registry.js';
+import { isDeepEqual } from '../utils/equal.js';
+import { cloneValue } from '../utils/clone.js';
+import { Sequence, compareIds, idKey } from './sequence.js';
+
+/**
+ * Site ID of the operations describing the initial document. All replicas
+ * created from the same article produce identical initial operations.
+ * @type {string}
+ */
+const SEED_SITE = '';
+
+/**
+ * Operations that change the block tree or the title, after which the whole
+ * document is brought up to date instead of single blocks
+ * @type {Set<string>}
+ */
+const STRUCTURE_OPS = new Set(['title', 'create', 'delete', 'place']);
+
+/**
+ * Encode an update as bytes for transports that carry binary data
+ * @param {Object} update - Update emitted by a CollaborativeDocument
+ * @returns {Uint8Array} Encoded update
+ */
+export function encodeUpdate(update) {
+  return new TextEncoder().encode(JSON.stringify(update));
+}
+
+/**
+ * Decode an update encoded with encodeUpdate()
+ * @param {Uint8Array} bytes - Encoded update
+ * @returns {Object} Update
+ */
+export function decodeUpdate(bytes) {
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+export class CollaborativeDocument extends EventEmitter {
+  /**
+   * Create a replica of a collaboratively edited document.
+   *
+   * Local changes are made through `document`, the regular BlockDocDocument
+   * API; each change is emitted as an `update` event to be delivered to the
+   * other replicas, which apply it with applyUpdate(). Replicas that have
+   * applied the same updates have the same content, in any delivery order.
+   *
+   * @param {Object} [options] - Replica options
+   * @param {string} [options.siteId] - Unique ID of this replica; random if omitted
+   * @param {BlockDocDocument} [options.document] - Initial document; replicas
+   *   starting from the same article can exchange updates right away. Omit it
+   *   to start empty and load the state of another replica.
+   */
+  constructor({ siteId = randomSiteId(), document } = {}) {
+    super();
+
+    if (typeof siteId !== 'string' || !siteId) {
+      throw new Error('Site ID must be a non-empty string');
+    }
+
+    this.siteId = siteId;
+    this.document = document || new BlockDocDocument({ title: '' });
+
+    this._clock = 0;
+    this._log = [];
+    this._applied = new Set();
+    // Number of operations integrated from each site; they are integrated in order
+    this._seen = new Map();
+    this._pending = [];
+    this._title = null;
+    this._metadata = new Map();
+    this._blocks = new Map();
+    this._lists = new Map();
+    this._outgoing = null;
+    this._receiving = false;
+
+    if (document) {
+      this._seed(document.article);
+    }
+
+    this._unsubscribe = this.document.on('change', ({ changes }) => this._onDocumentChange(changes));
+  }
+
+  /**
+   * Create a replica from the state of another replica
+   * @param {Object|Uint8Array} state - Result of encodeState()
+   * @param {Object} [options] - Replica options
+   * @param {string} [options.siteId] - Unique ID of the new replica
+   * @returns {CollaborativeDocument} New replica
+   */
+  static fromState(state, options = {}) {
+    const replica = new CollaborativeDocument({ siteId: options.siteId });
+    replica.applyUpdate(state);
+    return replica;
+  }
+
+  /**
+   * Apply an update received from another replica. Updates may arrive more
+   * than once and out of order; operations whose dependencies are missing
+   * wait until those arrive. An update that can't be applied to the document
+   * leaves the replica unchanged.
+   * @param {Object|Uint8Array} update - Update or encoded update
+   * @throws {Error} If the update is invalid or makes a block invalid
+   */
+  applyUpdate(update) {
+    const { ops } = update instanceof Uint8Array ? decodeUpdate(update) : update;
+
+    if (!Array.isArray(ops)) {
+      throw new Error('Invalid update: missing ops');
+    }
+
+    const snapshot = this._snapshot();
+
+    try {
+      let changed = false;
+
+      ops.forEach((op) => {
+        const key = idKey(op.id);
+        if (this._applied.has(key) || this._pending.some((pending) => idKey(pending.id) === key)) {
+          return;
+        }
+
+        if (this._integrate(op)) {
+          changed = true;
+        } else {
+          this._pending.push(op);
+        }
+      });
+
+      // Retry waiting operations until none of them can be applied
+      let progress = changed;
+      while (progress) {
+        progress = false;
+        this._pending = this._pending.filter((op) => {
+          if (this._integrate(op)) {
+            progress = true;
+            return false;
+          }
+          return true;
+        });
+      }
+
+      if (changed) {
+        this._updateDocument(this._log.slice(snapshot.logLength));
+      }
+    } catch (error) {
+      this._restore(snapshot);
+      throw error;
+    }
+  }
+
+  /**
+   * Everything this replica knows, to bring a new replica up to date
+   * @returns {Object} Update holding all operations
+   */
+  encodeState() {
+    return { ops: [...this._log, ...this._pending] };
+  }
+
+  /**
+   * Insert text into a block's content at a character position. Editors
+   * should prefer this over updateBlock() on the document, because the
+   * insertion keeps its place among concurrent edits.
+   * @param {string} blockId - Block ID
+   * @param {number} index - Character position
+   * @param {string} text - Text to insert
+   */
+  insertText(blockId, index, text) {
+    this._local(() => {
+      this._insertText(this._requireBlock(blockId), blockId, index, text);
+      this._updateDocument(this._outgoing);
+    });
+  }
+
+  /**
+   * Delete characters from a block's content
+   * @param {string} blockId - Block ID
+   * @param {number} index - Position of the first character
+   * @param {number} length - Number of characters to delete
+   */
+  deleteText(blockId, index, length) {
+    this._local(() => {
+      this._deleteText(this._requireBlock(blockId), blockId, index, length);
+      this._updateDocument(this._outgoing);
+    });
+  }
+
+  /**
+   * Export the current content
+   * @returns {Object} Document as `{ article }`
+   */
+  toJSON() {
+    const metadata = {};
+    [...this._metadata.keys()].sort().forEach((key) => {
+      const register = this._metadata.get(key);
+      if (!register.removed) {
+        metadata[key] = cloneValue(register.value);
+      }
+    });
+
+    return {
+      article: {
+        title: this._title ? this._title.value : '',
+        metadata,
+        blocks: this._buildBlocks(),
+      },
+    };
+  }
+
+  /**
+   * Stop following changes of the document
+   */
+  destroy() {
+    this._unsubscribe();
+  }
+
+  /**
+   * Create the operations describing an initial article
+   * @param {Object} article - Article
+   * @private
+   */
+  _seed(article) {
+    const siteId = this.siteId;
+    this.siteId = SEED_SITE;
+
+    this._local(() => {
+      this._emit({ type: 'title', value: article.title });
+      Object.keys(article.metadata || {}).sort().forEach((key) => {
+        this._emit({ type: 'metadata', key, value: article.metadata[key] });
+      });
+      this._syncChildren(null, article.blocks);
+    }, false);
+
+    this.siteId = siteId;
+  }
+
+  /**
+   * Translate document changes into operations
+   * @param {Array<Object>} changes - Changes from the document's `change` event
+   * @private
+   */
+  _onDocumentChange(changes) {
+    if (this._receiving) {
+      return;
+    }
+
+    this._local(() => {
+      changes.forEach((change) => {
+        switch (change.type) {
+        case 'block:added':
+          this._writeTree(change.block, change.parentId, change.index);
+          break;
+        case 'block:removed':
+          this._emit({ type: 'delete', blockId: change.block.id });
+          break;
+        case 'block:updated':
+          this._writeBlock(change.after);
+          if (Array.isArray(change.after.children)) {
+            this._syncChildren(change.id, change.after.children);
+          }
+          break;
+        case 'block:moved':
+          this._place(change.id, change.to.parentId, change.to.index);
+          break;
+        case 'title:updated':
+          this._emit({ type: 'title', value: change.after });
+          break;
+        case 'metadata:updated':
+          this._emit(change.after === undefined
+            ? { type: 'metadata', key: change.key, remove: true }
+            : { type: 'metadata', key: change.key, value: change.after });
+          break;
+        default:
+          break;
+        }
+      });
+    });
+  }
+
+  /**
+   * Collect the operations created by a callback and emit them as one update.
+   * If the callback throws, its operations are taken back and not emitted.
+   * @param {Function} callback - Function creating operations with _emit()
+   * @param {boolean} [broadcast=true] - Whether to emit an `update` event
+   * @private
+   */
+  _local(callback, broadcast = true) {
+    if (this._outgoing) {
+      callback();
+      return;
+    }
+
+    const snapshot = this._snapshot();
+    this._outgoing = [];
+    let ops;
+
+    try {
+      callback();
+      ops = this._outgoing;
+    } catch (error) {
+      this._restore(snapshot);
+      throw error;
+    } finally {
+      this._outgoing = null;
+    }
+
+    if (broadcast && ops.length > 0) {
+      this.emit('update', { ops });
+    }
+  }
+
+  /**
+   * Create, apply and queue a local operation. Operations are numbered per
+   * site, and the first one of an update lists the operations of other sites
+   * it was made after, so that replicas integrate them in causal order.
+   * @param {Object} fields - Operation without ID
+   * @param {number} [length=1] - Number of timestamps the operation uses
+   * @private
+   */
+  _emit(fields, length = 1) {
+    const op = {
+      id: [this._clock + 1, this.siteId],
+      seq: (this._seen.get(this.siteId) || 0) + 1,
+      ...fields,
+    };
+
+    if (this._outgoing.length === 0) {
+      op.deps = {};
+      this._seen.forEach((seq, siteId) => {
+        if (siteId !== this.siteId) {
+          op.deps[siteId] = seq;
+        }
+      });
+    }
+
+    this._clock += length;
+    this._integrate(op);
+    this._outgoing.push(op);
+  }
+
+  /**
+   * Write a block, its position and its children
+   * @param {Object} block - Block data
+   * @param {string|null} parentId - Parent block ID
+   * @param {number} index - Position among the visible siblings
+   * @private
+   */
+  _writeTree(block, parentId, index) {
+    this._writeBlock(block);
+    this._place(block.id, parentId, index);
+
+    if (Array.isArray(block.children)) {
+      this._syncChildren(block.id, block.children);
+    }
+  }
+
+  /**
+   * Make the children of a parent match a block list
+   * @param {string|null} parentId - Parent block ID
+   * @param {Array<Object>} children - Block list
+   * @private
+   */
+  _syncChildren(parentId, children) {
+    const wanted = new Set(children.map((child) => child.id));
+
+    this._visibleChildren(parentId)
+      .filter(({ blockId }) => !wanted.has(blockId))
+      .forEach(({ blockId }) => this._emit({ type: 'delete', blockId }));
+
+    children.forEach((child, index) => {
+      const current = this._visibleChildren(parentId)[index];
+
+      if (current && current.blockId === child.id) {
+        this._writeBlock(child);
+        if (Array.isArray(child.children)) {
+          this._syncChildren(child.id, child.children);
+        }
+      } else {
+        this._writeTree(child, parentId, index);
+      }
+    });
+  }
+
+  /**
+   * Write the properties and content of a block, without its children
+   * @param {Object} block - Block data
+   * @private
+   */
+  _writeBlock(block) {
+    let node = this._blocks.get(block.id);
+
+    if (!node || node.deleted.value) {
+      this._emit({ type: 'create', blockId: block.id });
+      node = this._blocks.get(block.id);
+    }
+
+    const { id, content, ...properties } = block;
+    const current = readProperties(node);
+    delete properties.children;
+
+    new Set([...Object.keys(current), ...Object.keys(properties)]).forEach((key) => {
+      if (isDeepEqual(current[key], properties[key])) {
+        return;
+      }
+
+      this._emit(properties[key] === undefined
+        ? { type: 'set', blockId: id, key, remove: true }
+        : { type: 'set', blockId: id, key, value: properties[key] });
+    });
+
+    // Only the changed middle part of the text is replaced
+    const before = Array.from(readText(node));
+    const after = Array.from(content || '');
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+      start++;
+    }
+    let end = 0;
+    while (end < before.length - start && end < after.length - start &&
+      before[before.length - 1 - end] === after[after.length - 1 - end]) {
+      end++;
+    }
+
+    this._deleteText(node, id, start, before.length - start - end);
+    this._insertText(node, id, start, after.slice(start, after.length - end).join(''));
+  }
+
+  /**
+   * Create an operation placing a block at a position
+   * @param {string} blockId - Block ID
+   * @param {string|null} parentId - Parent block ID
+   * @param {number} index - Position among the visible siblings, not counting the block itself
+   * @private
+   */
+  _place(blockId, parentId, index) {
+    const siblings = this._visibleChildren(parentId).filter((entry) => entry.blockId !== blockId);
+    const previous = index > 0 ? siblings[Math.min(index, siblings.length) - 1] : null;
+
+    this._emit({ type: 'place', blockId, parentId, after: previous ? previous.slot : null });
+  }
+
+  /**
+   * Create an operation inserting text
+   * @param {Object} node - Block node
+   * @param {string} blockId - Block ID
+   * @param {number} index - Character position
+   * @param {string} text - Text to insert
+   * @private
+   */
+  _insertText(node, blockId, index, text) {
+    const length = Array.from(text).length;
+
+    if (length === 0) {
+      return;
+    }
+
+    const visible = node.text.visible();
+    const previous = index > 0 ? visible[Math.min(index, visible.length) - 1] : null;
+
+    this._emit({ type: 'text', blockId, after: previous ? previous.id : null, text }, length);
+  }
+
+  /**
+   * Create an operation deleting text
+   * @param {Object} node - Block node
+   * @param {string} blockId - Block ID
+   * @param {number} index - Position of the first character
+   * @param {number} length - Number of characters
+   * @private
+   */
+  _deleteText(node, blockId, index, length) {
+    const ids = node.text.visible().slice(index, index + length).map((item) => item.id);
+
+    if (ids.length > 0) {
+      this._emit({ type: 'erase', blockId, ids });
+    }
+  }
+
+  /**
+   * Apply an operation if its dependencies are present
+   * @param {Object} op - Operation
+   * @returns {boolean} True if applied, false if it has to wait
+   * @private
+   */
+  _integrate(op) {
+    if (!this._follows(op)) {
+      return false;
+    }
+
+    const node = op.blockId !== undefined ? this._blocks.get(op.blockId) : null;
+
+    switch (op.type) {
+    case 'title':
+      if (!this._title || compareIds(op.id, this._title.id) > 0) {
+        this._title = { id: op.id, value: op.value };
+      }
+      break;
+    case 'metadata':
+      setRegister(this._metadata, op);
+      break;
+    case 'create':
+      if (!node) {
+        this._blocks.set(op.blockId, {
+          deleted: { id: op.id, value: false },
+          properties: new Map(),
+          text: new Sequence(),
+          location: null,
+        });
+      } else if (compareIds(op.id, node.deleted.id) > 0) {
+        node.deleted = { id: op.id, value: false };
+      }
+      break;
+    case 'delete':
+      if (!node) return false;
+      if (compareIds(op.id, node.deleted.id) > 0) {
+        node.deleted = { id: op.id, value: true };
+      }
+      break;
+    case 'set':
+      if (!node) return false;
+      setRegister(node.properties, op);
+      break;
+    case 'text': {
+      if (!node || (op.after && !node.text.has(op.after))) return false;
+      let after = op.after;
+      Array.from(op.text).forEach((character, offset) => {
+        const id = [op.id[0] + offset, op.id[1]];
+        node.text.insert(after, id, character);
+        after = id;
+      });
+      break;
+    }
+    case 'erase':
+      if (!node || !op.ids.every((id) => node.text.has(id))) return false;
+      op.ids.forEach((id) => node.text.delete(id));
+      break;
+    case 'place': {
+      if (!node || (op.parentId !== null && !this._blocks.has(op.parentId))) return false;
+      const list = this._getList(op.parentId);
+      if (op.after && !list.has(op.after)) return false;
+      list.insert(op.after, op.id, op.blockId);
+      if (!node.location || compareIds(op.id, node.location.id) > 0) {
+        node.location = { id: op.id, parentId: op.parentId };
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown collaboration operation: ${op.type}`);
+    }
+
+    const length = op.type === 'text' ? Array.from(op.text).length : 1;
+    this._clock = Math.max(this._clock, op.id[0] + length - 1);
+    this._applied.add(idKey(op.id));
+    this._seen.set(op.id[1], op.seq);
+    this._log.push(op);
+    return true;
+  }
+
+  /**
+   * Check whether every operation an operation was made after has been integrated
+   * @param {Object} op - Operation
+   * @returns {boolean} True if the operation can be integrated
+   * @private
+   */
+  _follows(op) {
+    if (op.seq !== (this._seen.get(op.id[1]) || 0) + 1) {
+      return false;
+    }
+
+    const deps = op.deps || {};
+    return Object.keys(deps).every((siteId) => (this._seen.get(siteId) || 0) >= deps[siteId]);
+  }
+
+  /**
+   * Bring the document up to date with the replicated state, without
+   * echoing the change back as local operations or undo steps. Blocks are
+   * checked as local changes are, so every replica accepts the same content.
+   * @param {Array<Object>} ops - Operations integrated since the last update
+   * @throws {Error} If a block becomes invalid; the document is left unchanged
+   * @private
+   */
+  _updateDocument(ops) {
+    const operations = this._contentOperations(ops) ||
+      [{ op: 'replace', path: '/article', value: this.toJSON().article }];
+
+    this._receiving = true;
+
+    try {
+      this.document.applyOperations(operations, { history: false, validate: false });
+    } finally {
+      this._receiving = false;
+    }
+  }
+
+  /**
+   * Describe operations that only change block properties, text or metadata
+   * as document operations for the blocks and keys involved
+   * @param {Array<Object>} ops - Integrated operations
+   * @returns {Array<Object>|null} Block operations, or null if the structure changed
+   * @private
+   */
+  _contentOperations(ops) {
+    const blockIds = new Set();
+    const keys = new Set();
+
+    const structural = ops.some((op) => {
+      if (op.type === 'metadata') {
+        keys.add(op.key);
+        return false;
+      }
+
+      // Removed properties can't be expressed as updates, and type changes may add or drop children
+      if (STRUCTURE_OPS.has(op.type) || (op.type === 'set' && (op.remove || op.key === 'type'))) {
+        return true;
+      }
+
+      blockIds.add(op.blockId);
+      return false;
+    });
+
+    if (structural) {
+      return null;
+    }
+
+    const operations = [...keys].map((key) => {
+      const register = this._metadata.get(key);
+      return { op: 'setMetadata', key, value: register.removed ? undefined : cloneValue(register.value) };
+    });
+
+    blockIds.forEach((blockId) => {
+      // Text of deleted blocks can still be edited concurrently
+      if (this.document.getBlock(blockId)) {
+        const node = this._blocks.get(blockId);
+        operations.push({
+          op: 'update',
+          id: blockId,
+          updates: { ...readProperties(node), content: readText(node) },
+        });
+      }
+    });
+
+    return operations;
+  }
+
+  /**
+   * Note how far the replicated state has come, to restore it with _restore()
+   * @returns {Object} Snapshot
+   * @private
+   */
+  _snapshot() {
+    return { logLength: this._log.length, pending: [...this._pending], clock: this._clock };
+  }
+
+  /**
+   * Take back the operations integrated since a snapshot, by replaying the
+   * operations integrated before it
+   * @param {Object} snapshot - Result of _snapshot()
+   * @private
+   */
+  _restore({ logLength, pending, clock }) {
+    const log = this._log.slice(0, logLength);
+
+    this._log = [];
+    this._applied = new Set();
+    this._seen = new Map();
+    this._title = null;
+    this._metadata = new Map();
+    this._blocks = new Map();
+    this._lists = new Map();
+    log.forEach((op) => this._integrate(op));
+
+    this._pending = pending;
+    this._clock = clock;
+  }
+
+  /**
+   * Visible blocks placed in a parent, in order
+   * @param {string|null} parentId - Parent block ID
+   * @returns {Array<Object>} Entries with blockId and slot
+   * @private
+   */
+  _visibleChildren(parentId) {
+    const list = this._lists.get(parentId);
+
+    if (!list) {
+      return [];
+    }
+
+    return list.visible()
+      .filter((item) => {
+        const node = this._blocks.get(item.value);
+        return node && !node.deleted.value && node.location && idKey(node.location.id) === item.key;
+      })
+      .map((item) => ({ blockId: item.value, slot: item.id }));
+  }
+
+  /**
+   * Build the block tree from the replicated state
+   * @returns {Array<Object>} Blocks
+   * @private
+   */
+  _buildBlocks() {
+    const visited = new Set();
+
+    const build = (parentId) => this._visibleChildren(parentId)
+      .filter(({ blockId }) => !visited.has(blockId))
+      .map(({ blockId }) => {
+        visited.add(blockId);
+        const node = this._blocks.get(blockId);
+        const properties = readProperties(node);
+        const block = { id: blockId, ...properties, content: readText(node) };
+
+        if (isContainerType(properties.type)) {
+          block.children = build(blockId);
+        }
+
+        return block;
+      });
+
+    const blocks = build(null);
+
+    // Concurrent moves of two blocks into each other leave both without a
+    // path to the top level; such blocks are shown at the end of the document
+    [...this._blocks.keys()].sort().forEach((blockId) => {
+      if (!visited.has(blockId) && this._isInCycle(blockId)) {
+        const node = this._blocks.get(blockId);
+        const properties = readProperties(node);
+        const block = { id: blockId, ...properties, content: readText(node) };
+        visited.add(blockId);
+
+        if (isContainerType(properties.type)) {
+          block.children = build(blockId);
+        }
+        blocks.push(block);
+      }
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Check whether a block's chain of parents loops instead of reaching the top level
+   * @param {string} blockId - Block ID
+   * @returns {boolean} True if the block is visible but cut off by a cycle
+   * @private
+   */
+  _isInCycle(blockId) {
+    const seen = new Set();
+    let current = blockId;
+
+    while (current !== null) {
+      const node = this._blocks.get(current);
+
+      if (!node || node.deleted.value || !node.location) {
+        return false;
+      }
+
+      if (seen.has(current)) {
+        return true;
+      }
+
+      seen.add(current);
+      current = node.location.parentId;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get the slot sequence of a parent
+   * @param {string|null} parentId - Parent block ID
+   * @returns {Sequence} Slots of the parent's children
+   * @private
+   */
+  _getList(parentId) {
+    if (!this._lists.has(parentId)) {
+      this._lists.set(parentId, new Sequence());
+    }
+    return this._lists.get(parentId);
+  }
+
+  /**
+   * Get the node of a visible block
+   * @param {string} blockId - Block ID
+   * @returns {Object} Block node
+   * @private
+   */
+  _requireBlock(blockId) {
+    const node = this._blocks.get(blockId);
+
+    if (!node || node.deleted.value) {
+      throw new Error(`Block with ID "${blockId}" not found`);
+    }
+
+    return node;
+  }
+}
+
+/**
+ * Apply a last-writer-wins write to a register map
+ * @param {Map<string, Object>} registers - Registers by key
+ * @param {Object} op - Operation with id, key and value or remove
+ */
+function setRegister(registers, op) {
+  const register = registers.get(op.key);
+
+  if (!register || compareIds(op.id, register.id) > 0) {
+    registers.set(op.key, { id: op.id, value: op.value, removed: Boolean(op.remove) });
+  }
+}
+
+/**
+ * Current property values of a block node
+ * @param {Object} node - Block node
+ * @returns {Object} Properties sorted by name
+ */
+function readProperties(node) {
+  const properties = {};
+
+  [...node.properties.keys()].sort().forEach((key) => {
+    const register = node.properties.get(key);
+    if (!register.removed) {
+      properties[key] = cloneValue(register.value);
+    }
+  });
+
+  return properties;
+}
+
+/**
+ * Current text of a block node
+ * @param {Object} node - Block node
+ * @returns {string} Content
+ */
+function readText(node) {
+  return node.text.visible().map((item) => item.value).join('');
+}
+
+/**
+ * Random site ID for replicas created without one
+ * @returns {string} Site ID
+ */
+function randomSiteId() {
+  return Math.random().toString(36).slice(2, 10);
+}
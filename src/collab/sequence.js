@@ -0,0 +1,95 @@
+/**
+ * BlockDoc Sequence CRDT
+ *
+ * Replicated growable array (RGA) used for block lists and block text
+ */
+
+/**
+ * Compare two operation IDs. IDs are `[counter, siteId]` Lamport timestamps,
+ * ordered by counter and then by site ID.
+ * @param {Array} a - First ID
+ * @param {Array} b - Second ID
+ * @returns {number} Negative, zero or positive like Array.prototype.sort expects
+ */
+export function compareIds(a, b) {
+  if (a[0] !== b[0]) {
+    return a[0] - b[0];
+  }
+
+  if (a[1] === b[1]) {
+    return 0;
+  }
+
+  return a[1] < b[1] ? -1 : 1;
+}
+
+/**
+ * Turn an operation ID into a string usable as a map key
+ * @param {Array} id - Operation ID
+ * @returns {string} Key such as "12@alice"
+ */
+export function idKey(id) {
+  return `${id[0]}@${id[1]}`;
+}
+
+export class Sequence {
+  constructor() {
+    this.items = [];
+    this.keys = new Map();
+  }
+
+  /**
+   * Check whether an element exists, deleted or not
+   * @param {Array} id - Element ID
+   * @returns {boolean} True if the element was inserted
+   */
+  has(id) {
+    return this.keys.has(idKey(id));
+  }
+
+  /**
+   * Insert an element after another one. Concurrent insertions after the same
+   * element are ordered by descending ID, so every replica ends up with the
+   * same order whatever order the insertions arrive in.
+   * @param {Array|null} after - ID of the preceding element, null for the start
+   * @param {Array} id - ID of the new element
+   * @param {*} value - Element value
+   */
+  insert(after, id, value) {
+    const key = idKey(id);
+
+    if (this.keys.has(key)) {
+      return;
+    }
+
+    let index = after ? this.items.indexOf(this.keys.get(idKey(after))) + 1 : 0;
+
+    while (index < this.items.length && compareIds(this.items[index].id, id) > 0) {
+      index++;
+    }
+
+    const item = { id, key, value, deleted: false };
+    this.items.splice(index, 0, item);
+    this.keys.set(key, item);
+  }
+
+  /**
+   * Mark an element as deleted; it stays in place so later insertions can refer to it
+   * @param {Array} id - Element ID
+   */
+  delete(id) {
+    const item = this.keys.get(idKey(id));
+
+    if (item) {
+      item.deleted = true;
+    }
+  }
+
+  /**
+   * Elements that are not deleted, in order
+   * @returns {Array<Object>} Items with id, key and value
+   */
+  visible() {
+    return this.items.filter((item) => !item.deleted);
+  }
+}
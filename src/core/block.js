@@ -4,25 +4,7 @@
  * Represents a single content block within a BlockDoc document
  */
 
-// Define allowed block types
-const ALLOWED_TYPES = [
-  'text',
-  'heading',
-  'image',
-  'code',
-  'list',
-  'quote',
-  'embed',
-  'divider',
-];
-
-// Define type-specific required properties
-const TYPE_REQUIREMENTS = {
-  heading: ['level'],
-  code: ['language'],
-  image: ['url', 'alt'],
-  list: ['items', 'listType'],
-};
+import { getBlockType, getBlockTypes } from './registry.js';
 
 export class Block {
   /**
@@ -38,11 +20,13 @@ export class Block {
       throw new Error('Block ID is required');
     }
 
-    if (!data.type || !ALLOWED_TYPES.includes(data.type)) {
+    const definition = data.type ? getBlockType(data.type) : null;
+
+    if (!definition) {
       throw new Error(
         `Invalid block type: ${
           data.type
-        }. Allowed types are: ${ALLOWED_TYPES.join(', ')}`
+        }. Allowed types are: ${getBlockTypes().join(', ')}`
       );
     }
 
@@ -52,8 +36,7 @@ export class Block {
     this.content = data.content || '';
 
     // Check type-specific required properties
-    const requiredProps = TYPE_REQUIREMENTS[this.type] || [];
-    for (const prop of requiredProps) {
+    for (const prop of definition.required) {
       if (data[prop] === undefined) {
         throw new Error(
           `Block of type "${this.type}" requires property "${prop}"`
@@ -62,6 +45,13 @@ export class Block {
       this[prop] = data[prop];
     }
 
+    // Container blocks hold their children as blocks
+    if (definition.container) {
+      this.children = (data.children || []).map((child) =>
+        child instanceof Block ? child : new Block(child)
+      );
+    }
+
     // Copy any additional properties
     Object.keys(data).forEach((key) => {
       if (!['id', 'type', 'content'].includes(key) && this[key] === undefined) {
@@ -105,6 +95,12 @@ export class Block {
       }
     });
 
+    if (Array.isArray(this.children)) {
+      result.children = this.children.map((child) =>
+        child instanceof Block ? child.toJSON() : child
+      );
+    }
+
     return result;
   }
 
@@ -193,4 +189,73 @@ export class Block {
       listType,
     });
   }
-}
+  /**
+   * Create a table block
+   * @param {string} id - Block ID
+   * @param {Array<string>} headers - Header row cells
+   * @param {Array<Array<string>>} rows - Body rows, each an array of cells
+   * @param {Object} [options] - Optional table properties
+   * @param {Array<string|null>} [options.align] - Column alignment (left, center, right or null)
+   * @param {string} [options.caption] - Table caption
+   * @returns {Block} New block instance
+   */
+  static table(id, headers, rows, options = {}) {
+    const { align, caption } = options;
+
+    return new Block({
+      id,
+      type: 'table',
+      content: '',
+      headers,
+      rows,
+      ...(align ? { align } : {}),
+      ...(caption ? { caption } : {}),
+    });
+  }
+
+  /**
+   * Create a section block grouping related blocks
+   * @param {string} id - Block ID
+   * @param {Array<Object|Block>} [children=[]] - Child blocks
+   * @returns {Block} New block instance
+   */
+  static section(id, children = []) {
+    return new Block({
+      id,
+      type: 'section',
+      content: '',
+      children,
+    });
+  }
+
+  /**
+   * Create a columns block, each child being rendered as one column
+   * @param {string} id - Block ID
+   * @param {Array<Object|Block>} [children=[]] - Child blocks, one per column
+   * @returns {Block} New block instance
+   */
+  static columns(id, children = []) {
+    return new Block({
+      id,
+      type: 'columns',
+      content: '',
+      children,
+    });
+  }
+
+  /**
+   * Create a collapsible toggle block
+   * @param {string} id - Block ID
+   * @param {string} summary - Text shown while collapsed
+   * @param {Array<Object|Block>} [children=[]] - Child blocks revealed when expanded
+   * @returns {Block} New block instance
+   */
+  static toggle(id, summary, children = []) {
+    return new Block({
+      id,
+      type: 'toggle',
+      content: summary,
+      children,
+    });
+  }
+}
\ No newline at end of file
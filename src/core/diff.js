@@ -0,0 +1,272 @@
+/**
+ * BlockDoc Document Diff
+ *
+ * Structural comparison of two documents, keyed by block ID
+ */
+
+import { walkBlocks } from './tree.js';
+import { isDeepEqual } from '../utils/equal.js';
+import { cloneValue } from '../utils/clone.js';
+import { diffWords } from '../utils/text-diff.js';
+
+/**
+ * Properties compared separately from the other block properties
+ * @type {Array<string>}
+ */
+const STRUCTURAL_PROPERTIES = ['id', 'content', 'children'];
+
+/**
+ * Compare two documents block by block.
+ *
+ * Blocks are matched by ID, wherever they sit in the tree. A block counts as
+ * moved when its parent changed or when its order relative to the other
+ * blocks kept in the same list changed; blocks that only shift because of
+ * insertions or removals around them are not reported as moved.
+ *
+ * @param {Object} before - Original document, `{ article }` object or article
+ * @param {Object} after - Changed document, `{ article }` object or article
+ * @returns {Object} Diff with title, metadata and operations
+ */
+export function diffDocuments(before, after) {
+  const a = toArticle(before);
+  const b = toArticle(after);
+
+  const beforeIndex = indexBlocks(a.blocks);
+  const afterIndex = indexBlocks(b.blocks);
+  const moved = findMovedBlocks(beforeIndex, afterIndex);
+  const operations = [];
+
+  // Removed blocks are reported once, with their descendants included
+  walkBlocks(a.blocks, (block, index, siblings, parent) => {
+    if (afterIndex.has(block.id)) {
+      return true;
+    }
+
+    const parentId = parent ? parent.id : null;
+    if (parentId === null || afterIndex.has(parentId)) {
+      operations.push({ type: 'removed', id: block.id, block: cloneValue(block), parentId, index });
+    }
+    return true;
+  });
+
+  walkBlocks(b.blocks, (block, index, siblings, parent) => {
+    const parentId = parent ? parent.id : null;
+    const original = beforeIndex.get(block.id);
+
+    if (!original) {
+      if (parentId === null || beforeIndex.has(parentId)) {
+        operations.push({ type: 'added', id: block.id, block: cloneValue(block), parentId, index });
+      }
+      return true;
+    }
+
+    if (moved.has(block.id)) {
+      operations.push({
+        type: 'moved',
+        id: block.id,
+        from: { parentId: original.parentId, index: original.index },
+        to: { parentId, index },
+      });
+    }
+
+    const update = diffBlock(original.block, block);
+    if (update) {
+      operations.push(update);
+    }
+    return true;
+  });
+
+  return {
+    title: a.title === b.title ? null : { before: a.title, after: b.title },
+    metadata: diffProperties(a.metadata || {}, b.metadata || {}, []),
+    operations,
+  };
+}
+
+/**
+ * Compare two versions of the same block, ignoring its children
+ * @param {Object} before - Original block data
+ * @param {Object} after - Changed block data
+ * @returns {Object|null} An 'updated' operation, or null if the block is unchanged
+ */
+export function diffBlock(before, after) {
+  const properties = diffProperties(before, after, STRUCTURAL_PROPERTIES);
+  const contentChanged = (before.content || '') !== (after.content || '');
+
+  if (Object.keys(properties).length === 0 && !contentChanged) {
+    return null;
+  }
+
+  return {
+    type: 'updated',
+    id: after.id,
+    block: cloneValue(after),
+    properties,
+    content: contentChanged
+      ? { before: before.content || '', after: after.content || '', diff: diffWords(before.content, after.content) }
+      : null,
+  };
+}
+
+/**
+ * Extract the article from a document, `{ article }` object or article
+ * @param {Object} input - Document-like value
+ * @returns {Object} Article
+ */
+export function toArticle(input) {
+  const article = input && input.article ? input.article : input;
+
+  if (!article || !Array.isArray(article.blocks)) {
+    throw new Error('Invalid article structure');
+  }
+
+  return article;
+}
+
+/**
+ * Map every block ID to the block and its position
+ * @param {Array<Object>} blocks - Block list
+ * @returns {Map<string, Object>} Entries of { block, parentId, index }
+ */
+export function indexBlocks(blocks) {
+  const index = new Map();
+
+  walkBlocks(blocks, (block, position, siblings, parent) => {
+    index.set(block.id, { block, parentId: parent ? parent.id : null, index: position });
+  });
+
+  return index;
+}
+
+/**
+ * Find the blocks that changed parent or order within their list
+ * @param {Map<string, Object>} beforeIndex - Index of the original blocks
+ * @param {Map<string, Object>} afterIndex - Index of the changed blocks
+ * @returns {Set<string>} IDs of moved blocks
+ */
+export function findMovedBlocks(beforeIndex, afterIndex) {
+  const moved = new Set();
+  const beforeLists = new Map();
+  const afterLists = new Map();
+
+  const addToList = (lists, parentId, id) => {
+    if (!lists.has(parentId)) {
+      lists.set(parentId, []);
+    }
+    lists.get(parentId).push(id);
+  };
+
+  afterIndex.forEach((entry, id) => {
+    const original = beforeIndex.get(id);
+
+    if (!original) {
+      return;
+    }
+
+    if (original.parentId !== entry.parentId) {
+      moved.add(id);
+      return;
+    }
+
+    addToList(afterLists, entry.parentId, id);
+  });
+
+  // Lists in original order, restricted to the blocks that stayed in them
+  beforeIndex.forEach((entry, id) => {
+    const current = afterIndex.get(id);
+    if (current && current.parentId === entry.parentId) {
+      addToList(beforeLists, entry.parentId, id);
+    }
+  });
+
+  afterLists.forEach((afterIds, parentId) => {
+    const kept = new Set(longestCommonSubsequence(beforeLists.get(parentId), afterIds));
+    afterIds.filter((id) => !kept.has(id)).forEach((id) => moved.add(id));
+  });
+
+  return moved;
+}
+
+/**
+ * Longest common subsequence of two ID lists. IDs are unique within each list,
+ * so this is the longest run of the second list in the order of the first, found
+ * in O(n log n) time and linear space
+ * @param {Array<string>} a - First list
+ * @param {Array<string>} b - Second list
+ * @returns {Array<string>} Common IDs in order
+ */
+function longestCommonSubsequence(a, b) {
+  // The common prefix and suffix are kept as they are
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const positions = new Map();
+  for (let i = start; i < endA; i++) {
+    positions.set(a[i], i);
+  }
+
+  // Going backwards through b, tails[k] is the index starting the run of
+  // length k + 1 with the highest position in a; next links each index to the
+  // one after it. Of equally long runs, this keeps the blocks that come first.
+  const tails = [];
+  const next = new Map();
+
+  for (let j = endB - 1; j >= start; j--) {
+    const position = positions.get(b[j]);
+    if (position === undefined) {
+      continue;
+    }
+
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (positions.get(b[tails[middle]]) > position) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    next.set(j, low > 0 ? tails[low - 1] : -1);
+    tails[low] = j;
+  }
+
+  const common = [];
+  for (let j = tails.length > 0 ? tails[tails.length - 1] : -1; j !== -1; j = next.get(j)) {
+    common.push(b[j]);
+  }
+
+  return [...b.slice(0, start), ...common, ...b.slice(endB)];
+}
+
+/**
+ * Compare the properties of two objects
+ * @param {Object} before - Original object
+ * @param {Object} after - Changed object
+ * @param {Array<string>} ignored - Property names to skip
+ * @returns {Object} Changed properties mapped to { before, after }
+ */
+function diffProperties(before, after, ignored) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach((key) => {
+    if (ignored.includes(key) || isDeepEqual(before[key], after[key])) {
+      return;
+    }
+
+    changes[key] = { before: before[key], after: after[key] };
+  });
+
+  return changes;
+}
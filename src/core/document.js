@@ -4,66 +4,165 @@
  * Core class for creating, manipulating and rendering BlockDoc documents
  */
 
-import Ajv from 'ajv';
-import addFormats from 'ajv-formats';
-import { schema } from '../schema-loader.js';
-import { renderToHTML } from '../renderers/html.js';
+import { renderToHTML, renderToHTMLPage, renderToHTMLStream } from '../renderers/html.js';
 import { renderToMarkdown } from '../renderers/markdown.js';
+import { renderToText } from '../renderers/text.js';
 import { Block } from './block.js';
+import { isContainerType } from './registry.js';
+import { getValidationIssues } from './validation.js';
+import { BlockDocValidationError } from './errors.js';
+import { walkBlocks, findBlock, collectBlockIds } from './tree.js';
+import { History, invertOperation } from './history.js';
+import { RevisionLog } from './revisions.js';
+import { getOutline } from './outline.js';
+import { EventEmitter } from './emitter.js';
+import { isDeepEqual } from '../utils/equal.js';
+import { cloneValue } from '../utils/clone.js';
+import { applyJsonPatch } from '../utils/json-patch.js';
+import { parseMarkdown } from '../importers/markdown.js';
+import { parseHTML } from '../importers/html.js';
 
-export class BlockDocDocument {
+/**
+ * Validate an article against the BlockDoc schema
+ * @param {Object} article - Article to validate
+ * @throws {BlockDocValidationError} If validation fails
+ */
+function validateArticle(article) {
+  const issues = getValidationIssues({ article });
+
+  if (issues.length > 0) {
+    throw new BlockDocValidationError(issues);
+  }
+}
+
+/**
+ * Copy block data without the children that already exist elsewhere
+ * @param {Object} block - Block data
+ * @param {Function} exists - Called with a block ID, truthy if the block exists
+ * @returns {Object} Block data
+ */
+function withoutExistingChildren(block, exists) {
+  if (!Array.isArray(block.children)) {
+    return block;
+  }
+
+  return {
+    ...block,
+    children: block.children
+      .filter((child) => !exists(child.id))
+      .map((child) => withoutExistingChildren(child, exists)),
+  };
+}
+
+/**
+ * Resolve a position the way Array.prototype.splice does
+ * @param {number} position - Requested position, negative values count from the end
+ * @param {number} length - Length of the list
+ * @returns {number} Index within 0..length
+ */
+function toSpliceIndex(position, length) {
+  const index = Math.trunc(Number(position)) || 0;
+  return index < 0 ? Math.max(length + index, 0) : Math.min(index, length);
+}
+
+export class BlockDocDocument extends EventEmitter {
   /**
    * Create a new BlockDoc document
    * @param {Object} options - Document initialization options
    * @param {string} options.title - Document title
    * @param {Object} [options.metadata] - Optional document metadata
    * @param {Array<Object>} [options.blocks] - Initial blocks to add
+   * @param {number} [options.historyDepth=100] - Maximum number of undo steps kept; 0 disables undo
+   * @param {Object} [options.revisions] - Committed revisions, as exported by toJSON()
    */
-  constructor({ title, metadata = {}, blocks = [] }) {
+  constructor({ title, metadata = {}, blocks = [], historyDepth = 100, revisions }) {
+    super();
+
     this.article = {
       title,
       metadata,
       blocks: [],
     };
+    this.undoHistory = new History({ depth: historyDepth });
+    this.revisions = new RevisionLog(revisions);
+    this._pendingEvents = [];
+    this._batchLevel = 0;
 
     // Add initial blocks if provided
     if (blocks && Array.isArray(blocks)) {
       blocks.forEach((block) => this.addBlock(block));
     }
+
+    // Initial blocks are not undoable
+    this.undoHistory.clear();
   }
 
   /**
    * Validate the document against the BlockDoc schema
-   * @returns {boolean} True if valid
-   * @throws {Error} If validation fails
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.throwOnError=true] - Throw if the document is invalid;
+   *   when false, return what is wrong instead
+   * @returns {boolean|Array<Object>} True if valid or, with throwOnError false, the
+   *   issues found, empty if valid. Each issue has blockId, blockIndex, property,
+   *   severity, message, keyword and pointer
+   * @throws {BlockDocValidationError} If validation fails, with the issues
    */
-  validate() {
-    const ajv = new Ajv();
-    addFormats(ajv);
-    const validate = ajv.compile(schema);
-    const valid = validate({ article: this.article });
-
-    if (!valid) {
-      const errors = validate.errors;
-      throw new Error(`Invalid BlockDoc document: ${JSON.stringify(errors)}`);
+  validate({ throwOnError = true } = {}) {
+    if (!throwOnError) {
+      return getValidationIssues({ article: this.article });
     }
 
+    validateArticle(this.article);
     return true;
   }
 
   /**
-   * Add a block to the document
+   * Change the document title
+   * @param {string} title - New title
+   */
+  setTitle(title) {
+    if (typeof title !== 'string') {
+      throw new Error('Title must be a string');
+    }
+
+    this._execute({ type: 'title', before: this.article.title, after: title });
+  }
+
+  /**
+   * Set or remove a metadata value
+   * @param {string} key - Metadata key
+   * @param {*} [value] - New value; undefined removes the key
+   */
+  setMetadata(key, value) {
+    if (typeof key !== 'string' || !key) {
+      throw new Error('Metadata key must be a non-empty string');
+    }
+
+    this._execute({
+      type: 'metadata',
+      key,
+      before: cloneValue(this.article.metadata[key]),
+      after: cloneValue(value),
+    });
+  }
+
+  /**
+   * Add a block to the end of the document or of a container block
    * @param {Object} blockData - Block data
+   * @param {string} [parentId] - ID of the container block to add to
    * @returns {Block} The created block
    */
-  addBlock(blockData) {
-    // Check if ID already exists
-    if (this.getBlock(blockData.id)) {
-      throw new Error(`Block with ID "${blockData.id}" already exists`);
-    }
+  addBlock(blockData, parentId) {
+    const siblings = this._getChildList(parentId);
+    const block = this._createBlock(blockData);
+
+    this._execute({
+      type: 'insert',
+      block: block.toJSON(),
+      parentId: parentId ?? null,
+      index: siblings.length,
+    });
 
-    const block = new Block(blockData);
-    this.article.blocks.push(block.toJSON());
     return block;
   }
 
@@ -71,67 +170,116 @@ export class BlockDocDocument {
    * Insert a block at a specific position
    * @param {Object} blockData - Block data
    * @param {number} position - Position to insert at
+   * @param {string} [parentId] - ID of the container block to insert into
    * @returns {Block} The created block
    */
-  insertBlock(blockData, position) {
-    // Check if ID already exists
-    if (this.getBlock(blockData.id)) {
-      throw new Error(`Block with ID "${blockData.id}" already exists`);
-    }
+  insertBlock(blockData, position, parentId) {
+    const siblings = this._getChildList(parentId);
+    const block = this._createBlock(blockData);
+
+    this._execute({
+      type: 'insert',
+      block: block.toJSON(),
+      parentId: parentId ?? null,
+      index: toSpliceIndex(position, siblings.length),
+    });
 
-    const block = new Block(blockData);
-    this.article.blocks.splice(position, 0, block.toJSON());
     return block;
   }
 
   /**
-   * Get a block by ID
+   * Get a block by ID, searching inside container blocks
    * @param {string} id - Block ID
    * @returns {Object|null} The block or null if not found
    */
   getBlock(id) {
-    return this.article.blocks.find((block) => block.id === id) || null;
+    const location = findBlock(this.article.blocks, id);
+    return location ? location.block : null;
+  }
+
+  /**
+   * Get the container block holding a block
+   * @param {string} id - Block ID
+   * @returns {Object|null} The parent block, or null for top-level or missing blocks
+   */
+  getParentBlock(id) {
+    const location = findBlock(this.article.blocks, id);
+    return location ? location.parent : null;
+  }
+
+  /**
+   * Get the headings of the document as a tree, e.g. to build a table of contents
+   * @param {Object} [options] - Outline options
+   * @param {number} [options.maxLevel=6] - Deepest heading level included
+   * @returns {Array<Object>} Top-level headings with id, anchor, level, text and children
+   */
+  getOutline(options) {
+    return getOutline(this.article.blocks, options);
   }
 
   /**
-   * Update a block by ID
+   * Update a block by ID. The ID of a block can't be changed.
    * @param {string} id - Block ID
    * @param {Object} updates - Properties to update
    * @returns {Object} The updated block
+   * @throws {Error} If the block doesn't exist, the updates change its ID,
+   *   or the result is invalid
    */
   updateBlock(id, updates) {
-    const index = this.article.blocks.findIndex((block) => block.id === id);
+    const location = findBlock(this.article.blocks, id);
 
-    if (index === -1) {
+    if (!location) {
       throw new Error(`Block with ID "${id}" not found`);
     }
 
     // Create a new block with the updates
-    const currentBlock = this.article.blocks[index];
+    const currentBlock = location.block;
+
+    if (updates.id !== undefined && updates.id !== currentBlock.id) {
+      throw new Error(`Cannot change the ID of block "${id}"`);
+    }
+
     const updatedBlock = { ...currentBlock, ...updates };
 
     // Validate the updated block
     const block = new Block(updatedBlock);
 
+    // Replaced children must not clash with blocks elsewhere in the document
+    if (updates.children) {
+      const ownIds = collectBlockIds(currentBlock);
+      this._assertUniqueIds(block.toJSON(), ownIds);
+    }
+
     // Update the block in the document
-    this.article.blocks[index] = block.toJSON();
+    this._execute({
+      type: 'update',
+      id,
+      before: cloneValue(currentBlock),
+      after: block.toJSON(),
+    });
 
-    return this.article.blocks[index];
+    return this.getBlock(id);
   }
 
   /**
-   * Remove a block by ID
+   * Remove a block by ID, together with any child blocks
    * @param {string} id - Block ID
    * @returns {boolean} True if removed
    */
   removeBlock(id) {
-    const index = this.article.blocks.findIndex((block) => block.id === id);
+    const location = findBlock(this.article.blocks, id);
 
-    if (index === -1) {
+    if (!location) {
       return false;
     }
 
-    this.article.blocks.splice(index, 1);
+    this._execute({
+      type: 'remove',
+      block: cloneValue(location.block),
+      parentId: location.parent ? location.parent.id : null,
+      index: location.index,
+    });
+
     return true;
   }
 
@@ -139,50 +287,664 @@ export class BlockDocDocument {
    * Move a block to a new position
    * @param {string} id - Block ID
    * @param {number} newPosition - New position
+   * @param {string|null} [parentId] - Container block to move into; null for the top level,
+   *   omitted to stay within the current parent
    * @returns {boolean} True if moved
    */
-  moveBlock(id, newPosition) {
-    const index = this.article.blocks.findIndex((block) => block.id === id);
+  moveBlock(id, newPosition, parentId) {
+    const location = findBlock(this.article.blocks, id);
 
-    if (index === -1) {
+    if (!location) {
       return false;
     }
 
-    if (newPosition < 0 || newPosition >= this.article.blocks.length) {
+    const currentParentId = location.parent ? location.parent.id : null;
+    const targetParentId = parentId === undefined ? currentParentId : parentId;
+    const target = this._getChildList(targetParentId);
+
+    if (targetParentId !== null && collectBlockIds(location.block).includes(targetParentId)) {
+      throw new Error(`Cannot move block "${id}" into itself`);
+    }
+
+    // Within the same list the block only changes places with its siblings
+    const maxPosition = target === location.siblings ? target.length - 1 : target.length;
+
+    if (newPosition < 0 || newPosition > maxPosition) {
       throw new Error(`Invalid position: ${newPosition}`);
     }
 
-    // Remove the block from its current position
-    const [block] = this.article.blocks.splice(index, 1);
+    this._execute({
+      type: 'move',
+      id,
+      from: { parentId: currentParentId, index: location.index },
+      to: { parentId: targetParentId, index: newPosition },
+    });
+
+    return true;
+  }
+
+  /**
+   * Group all changes made by a callback into a single undo step and a
+   * single `change` event. If the callback throws, its changes are reverted,
+   * no events are emitted for them and the error is rethrown.
+   * @param {Function} callback - Function making changes, called with the document
+   * @returns {*} The callback's return value
+   */
+  transaction(callback) {
+    return this._batch(() => {
+      this.undoHistory.beginGroup();
+      const start = this.undoHistory.groupSize();
+      const eventStart = this._pendingEvents.length;
+
+      try {
+        const result = callback(this);
+        this.undoHistory.endGroup();
+        return result;
+      } catch (error) {
+        this.undoHistory
+          .truncateGroup(start)
+          .reverse()
+          .forEach((operation) => this._applyOperation(invertOperation(operation)));
+        this.undoHistory.endGroup();
+        this._pendingEvents.splice(eventStart);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Apply a list of changes atomically. Accepts block operations addressed by
+   * block ID or an RFC 6902 JSON Patch against `toJSON()`. The result is
+   * validated against the schema; if any operation fails, every change of the
+   * batch is reverted and the error is rethrown.
+   * @param {Array<Object>} operations - Block operations or JSON Patch operations
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.history=true] - Set to false to keep the batch out of the undo history
+   * @param {boolean} [options.validate=true] - Set to false to only check the changed
+   *   blocks, as addBlock() and updateBlock() do, instead of the whole result
+   * @throws {Error} If an operation is invalid or the result does not validate
+   */
+  applyOperations(operations, { history = true, validate = true } = {}) {
+    if (!Array.isArray(operations)) {
+      throw new Error('Operations must be an array');
+    }
+
+    if (!history) {
+      this.undoHistory.pause(() => this.applyOperations(operations, { validate }));
+      return;
+    }
+
+    // JSON Patch operations are addressed by path instead of block ID
+    if (operations.some((operation) => operation && typeof operation.path === 'string')) {
+      this._applyJsonPatch(operations, validate);
+      return;
+    }
+
+    this.transaction(() => {
+      operations.forEach((operation, index) => {
+        try {
+          this._applyBlockOperation(operation);
+        } catch (error) {
+          const name = operation && operation.op ? ` "${operation.op}"` : '';
+          throw new Error(`Operation ${index}${name} failed: ${error.message}`);
+        }
+      });
+
+      if (validate) {
+        this.validate();
+      }
+    });
+  }
+
+  /**
+   * Undo the latest change or transaction
+   * @returns {boolean} True if a change was undone
+   */
+  undo() {
+    const step = this.undoHistory.undo();
+
+    if (!step) {
+      return false;
+    }
+
+    this._batch(() => {
+      [...step]
+        .reverse()
+        .forEach((operation) => this._applyOperation(invertOperation(operation)));
+    });
+    return true;
+  }
+
+  /**
+   * Redo the latest undone change or transaction
+   * @returns {boolean} True if a change was redone
+   */
+  redo() {
+    const step = this.undoHistory.redo();
 
-    // Insert it at the new position
-    this.article.blocks.splice(newPosition, 0, block);
+    if (!step) {
+      return false;
+    }
 
+    this._batch(() => {
+      step.forEach((operation) => this._applyOperation(operation));
+    });
     return true;
   }
 
+  /**
+   * Check whether there is a change to undo
+   * @returns {boolean} True if undo is possible
+   */
+  canUndo() {
+    return this.undoHistory.canUndo();
+  }
+
+  /**
+   * Check whether there is an undone change to redo
+   * @returns {boolean} True if redo is possible
+   */
+  canRedo() {
+    return this.undoHistory.canRedo();
+  }
+
+  /**
+   * Forget all undo and redo steps
+   */
+  clearHistory() {
+    this.undoHistory.clear();
+  }
+
+  /**
+   * Record the current state of the document as a revision
+   * @param {string} message - Description of the changes
+   * @param {string} [author] - Author of the changes
+   * @returns {Object} The revision's id, parentId, message, author and timestamp
+   * @throws {Error} If the message is empty or the document is invalid
+   */
+  commit(message, author = null) {
+    if (typeof message !== 'string' || !message.trim()) {
+      throw new Error('Commit message must be a non-empty string');
+    }
+
+    if (author !== null && typeof author !== 'string') {
+      throw new Error('Commit author must be a string');
+    }
+
+    this.validate();
+    return this.revisions.commit(this.article, { message, author });
+  }
+
+  /**
+   * List the committed revisions
+   * @returns {Array<Object>} Revisions, newest first, with id, parentId, message, author and timestamp
+   */
+  history() {
+    return this.revisions.list();
+  }
+
+  /**
+   * Get the article of a committed revision
+   * @param {string} revisionId - Revision ID
+   * @returns {Object} Revision details with its article
+   * @throws {Error} If the revision doesn't exist
+   */
+  getRevision(revisionId) {
+    const article = this.revisions.getArticle(revisionId);
+    return { ...this.revisions.get(revisionId), article };
+  }
+
+  /**
+   * Restore the content of a committed revision. The restore is a single undo
+   * step, and the next commit is based on the restored revision.
+   * @param {string} revisionId - Revision ID
+   * @throws {Error} If the revision doesn't exist
+   */
+  checkout(revisionId) {
+    const article = this.revisions.getArticle(revisionId);
+
+    this.transaction(() => this._reconcile(article));
+    this.revisions.setHead(revisionId);
+  }
+
+  /**
+   * Apply a single operation passed to applyOperations()
+   * @param {Object} operation - Block operation
+   * @private
+   */
+  _applyBlockOperation(operation) {
+    if (!operation || typeof operation !== 'object') {
+      throw new Error('Operation must be an object');
+    }
+
+    switch (operation.op) {
+    case 'insert': {
+      if (!operation.block) {
+        throw new Error('Insert operation requires a block');
+      }
+
+      if (operation.afterId !== undefined) {
+        const location = this._locate(operation.afterId);
+        this.insertBlock(operation.block, location.index + 1, location.parentId);
+      } else if (operation.position !== undefined) {
+        this.insertBlock(operation.block, operation.position, operation.parentId);
+      } else {
+        this.addBlock(operation.block, operation.parentId);
+      }
+      break;
+    }
+    case 'update':
+      if (!operation.updates || typeof operation.updates !== 'object') {
+        throw new Error('Update operation requires updates');
+      }
+      this.updateBlock(operation.id, operation.updates);
+      break;
+    case 'remove':
+      this._locate(operation.id);
+      this.removeBlock(operation.id);
+      break;
+    case 'move': {
+      const current = this._locate(operation.id);
+
+      if (operation.afterId !== undefined) {
+        const after = this._locate(operation.afterId);
+        // Taking the block out of its list first shifts the later siblings
+        const shift = after.parentId === current.parentId && current.index < after.index ? 0 : 1;
+        this.moveBlock(operation.id, after.index + shift, after.parentId);
+      } else {
+        this.moveBlock(operation.id, operation.position, operation.parentId);
+      }
+      break;
+    }
+    case 'setMetadata':
+      this.setMetadata(operation.key, operation.value);
+      break;
+    default:
+      throw new Error(`Unknown operation: ${operation.op}`);
+    }
+  }
+
+  /**
+   * Apply a JSON Patch by reconciling the document with the patched copy
+   * @param {Array<Object>} patch - JSON Patch operations
+   * @param {boolean} [validate=true] - Whether to validate the patched article against the schema
+   * @private
+   */
+  _applyJsonPatch(patch, validate = true) {
+    const result = applyJsonPatch(this.toJSON(), patch);
+
+    if (!result || typeof result !== 'object' || !result.article) {
+      throw new Error('Invalid BlockDoc document: missing article property');
+    }
+
+    if (validate) {
+      validateArticle(result.article);
+    } else if (!Array.isArray(result.article.blocks)) {
+      throw new Error('Invalid BlockDoc document: blocks must be an array');
+    }
+
+    const seen = new Set();
+    walkBlocks(result.article.blocks, (block) => {
+      if (seen.has(block.id)) {
+        throw new Error(`Block with ID "${block.id}" already exists`);
+      }
+      seen.add(block.id);
+    });
+
+    this.transaction(() => this._reconcile(result.article));
+  }
+
+  /**
+   * Turn the document into a given article with the smallest set of block
+   * operations, so history and events describe the actual changes
+   * @param {Object} article - Valid target article
+   * @private
+   */
+  _reconcile(article) {
+    if (this.article.title !== article.title) {
+      this.setTitle(article.title);
+    }
+
+    const metadata = article.metadata || {};
+    new Set([...Object.keys(this.article.metadata), ...Object.keys(metadata)]).forEach((key) => {
+      if (!isDeepEqual(this.article.metadata[key], metadata[key])) {
+        this.setMetadata(key, metadata[key]);
+      }
+    });
+
+    const targetIds = new Set();
+    walkBlocks(article.blocks, (block) => {
+      targetIds.add(block.id);
+    });
+
+    // Place blocks parent-first, so earlier siblings always sit in front
+    const place = (blocks, parentId) => {
+      blocks.forEach((target, index) => {
+        const location = findBlock(this.article.blocks, target.id);
+
+        if (!location) {
+          // Existing blocks nested in a new one are moved in when their turn comes
+          const block = this._createBlock(withoutExistingChildren(target, (id) => this.getBlock(id)));
+          this._execute({ type: 'insert', block: block.toJSON(), parentId, index });
+        } else {
+          const currentParentId = location.parent ? location.parent.id : null;
+
+          if (currentParentId !== parentId || location.index !== index) {
+            this._execute({
+              type: 'move',
+              id: target.id,
+              from: { parentId: currentParentId, index: location.index },
+              to: { parentId, index },
+            });
+          }
+
+          this._updateProperties(target);
+        }
+
+        if (Array.isArray(target.children)) {
+          place(target.children, target.id);
+        }
+      });
+    };
+    place(article.blocks, null);
+
+    // Whatever is left over was removed; nested leftovers go with their parent
+    const removed = [];
+    walkBlocks(this.article.blocks, (block) => {
+      if (!targetIds.has(block.id)) {
+        removed.push(block.id);
+      }
+    });
+    removed.forEach((id) => this.removeBlock(id));
+  }
+
+  /**
+   * Update the properties of a block to match a target, keeping its children
+   * @param {Object} target - Block data to match
+   * @private
+   */
+  _updateProperties(target) {
+    const current = this.getBlock(target.id);
+    const properties = new Block(target).toJSON();
+    const { children: currentChildren, ...currentProperties } = current;
+    delete properties.children;
+
+    if (isDeepEqual(properties, currentProperties)) {
+      return;
+    }
+
+    const after = new Block({
+      ...properties,
+      ...(currentChildren ? { children: currentChildren } : {}),
+    }).toJSON();
+
+    this._execute({ type: 'update', id: target.id, before: cloneValue(current), after });
+  }
+
+  /**
+   * Find a block and describe its position
+   * @param {string} id - Block ID
+   * @returns {Object} Position with parentId and index
+   * @throws {Error} If the block does not exist
+   * @private
+   */
+  _locate(id) {
+    const location = findBlock(this.article.blocks, id);
+
+    if (!location) {
+      throw new Error(`Block with ID "${id}" not found`);
+    }
+
+    return { parentId: location.parent ? location.parent.id : null, index: location.index };
+  }
+
+  /**
+   * Apply an operation and record it in the history
+   * @param {Object} operation - Operation to apply
+   * @private
+   */
+  _execute(operation) {
+    this._batch(() => {
+      this._applyOperation(operation);
+      this.undoHistory.record(operation);
+    });
+  }
+
+  /**
+   * Run a callback, emitting the events of all changes it makes once it is done
+   * @param {Function} callback - Function making changes
+   * @returns {*} The callback's return value
+   * @private
+   */
+  _batch(callback) {
+    this._batchLevel++;
+
+    try {
+      return callback();
+    } finally {
+      this._batchLevel--;
+
+      if (this._batchLevel === 0) {
+        this._flushEvents();
+      }
+    }
+  }
+
+  /**
+   * Emit the queued block events followed by one `change` event
+   * @private
+   */
+  _flushEvents() {
+    const events = this._pendingEvents;
+    this._pendingEvents = [];
+
+    if (events.length === 0) {
+      return;
+    }
+
+    events.forEach(({ name, payload }) => this.emit(name, payload));
+    this.emit('change', {
+      changes: events.map(({ name, payload }) => ({ type: name, ...payload })),
+    });
+  }
+
+  /**
+   * Queue a block event until the current batch ends
+   * @param {string} name - Event name
+   * @param {Object} payload - Event payload
+   * @private
+   */
+  _queueEvent(name, payload) {
+    this._pendingEvents.push({ name, payload });
+  }
+
+  /**
+   * Apply an already validated operation to the article
+   * @param {Object} operation - Operation to apply
+   * @private
+   */
+  _applyOperation(operation) {
+    switch (operation.type) {
+    case 'insert':
+      this._getChildList(operation.parentId).splice(operation.index, 0, cloneValue(operation.block));
+      this._queueEvent('block:added', {
+        block: cloneValue(operation.block),
+        parentId: operation.parentId,
+        index: operation.index,
+      });
+      break;
+    case 'remove': {
+      const location = findBlock(this.article.blocks, operation.block.id);
+      location.siblings.splice(location.index, 1);
+      this._queueEvent('block:removed', {
+        block: cloneValue(operation.block),
+        parentId: operation.parentId,
+        index: operation.index,
+      });
+      break;
+    }
+    case 'update': {
+      const location = findBlock(this.article.blocks, operation.id);
+      location.siblings[location.index] = cloneValue(operation.after);
+      this._queueEvent('block:updated', {
+        id: operation.id,
+        before: cloneValue(operation.before),
+        after: cloneValue(operation.after),
+        parentId: location.parent ? location.parent.id : null,
+        index: location.index,
+      });
+      break;
+    }
+    case 'move': {
+      const location = findBlock(this.article.blocks, operation.id);
+      const [block] = location.siblings.splice(location.index, 1);
+      this._getChildList(operation.to.parentId).splice(operation.to.index, 0, block);
+      this._queueEvent('block:moved', {
+        id: operation.id,
+        block: cloneValue(block),
+        from: { ...operation.from },
+        to: { ...operation.to },
+      });
+      break;
+    }
+    case 'title':
+      this.article.title = operation.after;
+      this._queueEvent('title:updated', { before: operation.before, after: operation.after });
+      break;
+    case 'metadata':
+      if (operation.after === undefined) {
+        delete this.article.metadata[operation.key];
+      } else {
+        this.article.metadata[operation.key] = cloneValue(operation.after);
+      }
+      this._queueEvent('metadata:updated', {
+        key: operation.key,
+        before: cloneValue(operation.before),
+        after: cloneValue(operation.after),
+      });
+      break;
+    default:
+      throw new Error(`Unknown operation type: ${operation.type}`);
+    }
+  }
+
+  /**
+   * Create a block, ensuring its ID and those of its children are unused
+   * @param {Object} blockData - Block data
+   * @returns {Block} The created block
+   * @private
+   */
+  _createBlock(blockData) {
+    // Check if ID already exists
+    if (this.getBlock(blockData.id)) {
+      throw new Error(`Block with ID "${blockData.id}" already exists`);
+    }
+
+    const block = new Block(blockData);
+    this._assertUniqueIds(block.toJSON());
+    return block;
+  }
+
+  /**
+   * Ensure a block tree does not reuse IDs already present in the document
+   * @param {Object} blockData - Block data including children
+   * @param {Array<string>} [ignoredIds=[]] - Existing IDs that may be reused
+   * @throws {Error} If an ID is used twice
+   * @private
+   */
+  _assertUniqueIds(blockData, ignoredIds = []) {
+    const seen = new Set();
+
+    for (const blockId of collectBlockIds(blockData)) {
+      const taken = !ignoredIds.includes(blockId) && this.getBlock(blockId);
+
+      if (seen.has(blockId) || taken) {
+        throw new Error(`Block with ID "${blockId}" already exists`);
+      }
+      seen.add(blockId);
+    }
+  }
+
+  /**
+   * Get the block list of the document or of a container block
+   * @param {string|null} [parentId] - Container block ID; omit for the top level
+   * @returns {Array<Object>} Block list
+   * @private
+   */
+  _getChildList(parentId) {
+    if (parentId === undefined || parentId === null) {
+      return this.article.blocks;
+    }
+
+    const parent = this.getBlock(parentId);
+
+    if (!parent) {
+      throw new Error(`Block with ID "${parentId}" not found`);
+    }
+
+    if (!isContainerType(parent.type)) {
+      throw new Error(`Block "${parentId}" of type "${parent.type}" cannot contain blocks`);
+    }
+
+    parent.children = parent.children || [];
+    return parent.children;
+  }
+
   /**
    * Render the document to HTML
+   * @param {Object} [options] - Rendering options, see renderToHTML()
    * @returns {string} HTML representation
    */
-  renderToHTML() {
-    return renderToHTML(this.article);
+  renderToHTML(options) {
+    return renderToHTML(this.article, options);
+  }
+
+  /**
+   * Render the document as a complete HTML page
+   * @param {Object} [options] - Page options, see renderToHTMLPage()
+   * @returns {string} HTML page
+   */
+  renderToHTMLPage(options) {
+    return renderToHTMLPage(this.article, options);
+  }
+
+  /**
+   * Render the document to HTML one top-level block at a time
+   * @param {Object} [options] - Rendering options, see renderToHTML()
+   * @returns {Object} Async iterable of HTML chunks, see renderToHTMLStream()
+   */
+  renderToHTMLStream(options) {
+    return renderToHTMLStream(this.article, options);
   }
 
   /**
    * Render the document to Markdown
+   * @param {Object} [options] - Rendering options, see renderToMarkdown()
    * @returns {string} Markdown representation
    */
-  renderToMarkdown() {
-    return renderToMarkdown(this.article);
+  renderToMarkdown(options) {
+    return renderToMarkdown(this.article, options);
   }
 
   /**
-   * Export the document as a JSON object
+   * Render the document to plain text
+   * @param {Object} [options] - Rendering options, see renderToText()
+   * @returns {string} Text representation
+   */
+  renderToText(options) {
+    return renderToText(this.article, options);
+  }
+
+  /**
+   * Export the document as a JSON object, with its revisions once there are any
    * @returns {Object} Document as JSON object
    */
   toJSON() {
-    return { article: this.article };
+    if (this.revisions.size === 0) {
+      return { article: this.article };
+    }
+
+    return { article: this.article, revisions: this.revisions.toJSON() };
   }
 
   /**
@@ -209,6 +971,37 @@ export class BlockDocDocument {
       title: data.article.title,
       metadata: data.article.metadata || {},
       blocks: data.article.blocks || [],
+      revisions: data.revisions,
     });
   }
+
+  /**
+   * Create a BlockDoc document from Markdown
+   * @param {string} markdown - Markdown source, optionally with YAML front matter
+   * @param {Object} [options] - Import options
+   * @param {string} [options.title] - Title to use instead of the first H1
+   * @param {Object} [options.metadata] - Metadata merged over the front matter
+   * @param {Function} [options.onWarning] - Called with `{ line, message }` for every skipped front matter key
+   * @param {string} [options.dialect] - 'blockdoc' to read BlockDoc-flavoured Markdown
+   * @param {string} [options.baseUrl] - Address of the source, to resolve relative image URLs against
+   * @returns {BlockDocDocument} New document instance
+   */
+  static fromMarkdown(markdown, options = {}) {
+    return new BlockDocDocument(parseMarkdown(markdown, options));
+  }
+
+  /**
+   * Create a BlockDoc document from HTML
+   * @param {string} html - HTML fragment or page
+   * @param {Object} [options] - Import options
+   * @param {string} [options.title] - Title to use instead of the first H1
+   * @param {Object} [options.metadata] - Document metadata
+   * @param {string} [options.baseUrl] - Address of the page, to resolve relative URLs against
+   * @param {Function} [options.onDrop] - Called with `{ tag, reason, text }` for every element that was dropped
+   * @returns {BlockDocDocument} New document instance
+   */
+  static fromHTML(html, options = {}) {
+    const { title, metadata, blocks } = parseHTML(html, options);
+    return new BlockDocDocument({ title, metadata, blocks });
+  }
 }
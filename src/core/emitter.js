@@ -0,0 +1,93 @@
+/**
+ * BlockDoc Event Emitter
+ *
+ * Minimal event emitter that works in Node and in the browser
+ */
+
+export class EventEmitter {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  /**
+   * Register an event handler
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Function removing the handler again
+   */
+  on(event, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for "${event}" must be a function`);
+    }
+
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, []);
+    }
+
+    this._listeners.get(event).push(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Register an event handler that is removed after its first call
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Function removing the handler again
+   */
+  once(event, handler) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      handler(payload);
+    };
+    // Lets off() remove the handler by the function that was passed in
+    wrapper.listener = handler;
+
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove an event handler, or all handlers of an event when none is given.
+   * Handlers registered with once() are removed by the handler passed to once().
+   * @param {string} event - Event name
+   * @param {Function} [handler] - Handler to remove
+   * @returns {boolean} True if a handler was removed
+   */
+  off(event, handler) {
+    const handlers = this._listeners.get(event);
+
+    if (!handlers) {
+      return false;
+    }
+
+    if (!handler) {
+      this._listeners.delete(event);
+      return true;
+    }
+
+    const index = handlers.findIndex((listener) => listener === handler || listener.listener === handler);
+    if (index === -1) {
+      return false;
+    }
+
+    handlers.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Call every handler registered for an event
+   * @param {string} event - Event name
+   * @param {*} payload - Event payload
+   * @returns {boolean} True if there were handlers
+   */
+  emit(event, payload) {
+    const handlers = this._listeners.get(event);
+
+    if (!handlers || handlers.length === 0) {
+      return false;
+    }
+
+    // Copy so handlers may unsubscribe while the event is dispatched
+    [...handlers].forEach((handler) => handler(payload));
+    return true;
+  }
+}
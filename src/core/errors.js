@@ -0,0 +1,58 @@
+/**
+ * BlockDoc Errors
+ *
+ * Error classes for failures callers are expected to handle
+ */
+
+/**
+ * Thrown when a document was changed by someone else since the revision a
+ * change was based on
+ */
+export class BlockDocConflictError extends Error {
+  /**
+   * Create a conflict error
+   * @param {string} message - Error message
+   * @param {Object} [details] - Conflict details
+   * @param {string} [details.documentId] - ID of the document
+   * @param {number} [details.expectedRevision] - Revision the change was based on
+   * @param {number} [details.currentRevision] - Revision of the stored document
+   */
+  constructor(message, { documentId, expectedRevision, currentRevision } = {}) {
+    super(message);
+    this.name = 'BlockDocConflictError';
+    this.documentId = documentId;
+    this.expectedRevision = expectedRevision;
+    this.currentRevision = currentRevision;
+  }
+}
+
+/**
+ * Thrown when creating a document with an ID that is already taken
+ */
+export class BlockDocExistsError extends Error {
+  /**
+   * Create an exists error
+   * @param {string} documentId - ID of the document
+   */
+  constructor(documentId) {
+    super(`Document "${documentId}" already exists`);
+    this.name = 'BlockDocExistsError';
+    this.documentId = documentId;
+  }
+}
+
+/**
+ * Thrown when a document does not match the BlockDoc schema
+ */
+export class BlockDocValidationError extends Error {
+  /**
+   * Create a validation error
+   * @param {Array<Object>} issues - What is wrong, as returned by
+   *   BlockDocDocument.validate({ throwOnError: false })
+   */
+  constructor(issues) {
+    super(`Invalid BlockDoc document: ${issues.map((issue) => issue.message).join('; ')}`);
+    this.name = 'BlockDocValidationError';
+    this.issues = issues;
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * BlockDoc History
+ *
+ * Undo/redo stacks of invertible document operations
+ */
+
+/**
+ * Invert a document operation
+ * @param {Object} operation - Operation as recorded by BlockDocDocument
+ * @returns {Object} Operation undoing the given one
+ */
+export function invertOperation(operation) {
+  switch (operation.type) {
+  case 'insert':
+    return { ...operation, type: 'remove' };
+  case 'remove':
+    return { ...operation, type: 'insert' };
+  case 'update':
+  case 'title':
+  case 'metadata':
+    return { ...operation, before: operation.after, after: operation.before };
+  case 'move':
+    return { ...operation, from: operation.to, to: operation.from };
+  default:
+    throw new Error(`Cannot invert operation of type "${operation.type}"`);
+  }
+}
+
+export class History {
+  /**
+   * Create a new history
+   * @param {Object} [options] - History options
+   * @param {number} [options.depth=100] - Maximum number of undo steps kept; 0 disables history
+   */
+  constructor({ depth = 100 } = {}) {
+    this.depth = depth;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.group = null;
+    this.groupLevel = 0;
+    this.paused = 0;
+  }
+
+  /**
+   * Run a callback without adding undo steps for its operations. Operations
+   * are still collected in open groups, so failed transactions can be reverted.
+   * @param {Function} callback - Function making changes
+   * @returns {*} The callback's return value
+   */
+  pause(callback) {
+    this.paused++;
+
+    try {
+      return callback();
+    } finally {
+      this.paused--;
+    }
+  }
+
+  /**
+   * Record an operation as a new undo step, or as part of the open group
+   * @param {Object} operation - Operation to record
+   */
+  record(operation) {
+    if (this.group) {
+      this.group.push(operation);
+      return;
+    }
+
+    this._push([operation]);
+  }
+
+  /**
+   * Start grouping operations into a single undo step. Groups may be nested;
+   * the step is recorded when the outermost group ends.
+   */
+  beginGroup() {
+    if (this.groupLevel === 0) {
+      this.group = [];
+    }
+    this.groupLevel++;
+  }
+
+  /**
+   * Finish the current group
+   * @returns {Array<Object>} Operations of the group when the outermost group ends, otherwise an empty list
+   */
+  endGroup() {
+    if (this.groupLevel === 0) {
+      throw new Error('No history group to end');
+    }
+
+    this.groupLevel--;
+
+    if (this.groupLevel > 0) {
+      return [];
+    }
+
+    const operations = this.group;
+    this.group = null;
+
+    if (operations.length > 0) {
+      this._push(operations);
+    }
+
+    return operations;
+  }
+
+  /**
+   * Number of operations recorded in the open group
+   * @returns {number} Operation count, 0 when no group is open
+   */
+  groupSize() {
+    return this.group ? this.group.length : 0;
+  }
+
+  /**
+   * Remove the operations recorded in the open group after a given point
+   * @param {number} size - Number of operations to keep
+   * @returns {Array<Object>} The removed operations, oldest first
+   */
+  truncateGroup(size) {
+    return this.group ? this.group.splice(size) : [];
+  }
+
+  /**
+   * Take the latest undo step
+   * @returns {Array<Object>|null} Operations of the step, or null if there is nothing to undo
+   */
+  undo() {
+    const step = this.undoStack.pop();
+
+    if (!step) {
+      return null;
+    }
+
+    this.redoStack.push(step);
+    return step;
+  }
+
+  /**
+   * Take the latest redo step
+   * @returns {Array<Object>|null} Operations of the step, or null if there is nothing to redo
+   */
+  redo() {
+    const step = this.redoStack.pop();
+
+    if (!step) {
+      return null;
+    }
+
+    this.undoStack.push(step);
+    return step;
+  }
+
+  /**
+   * Check whether there is a step to undo
+   * @returns {boolean} True if undo is possible
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check whether there is a step to redo
+   * @returns {boolean} True if redo is possible
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Forget all recorded steps
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Push a new undo step, dropping redo steps and the oldest steps beyond the depth
+   * @param {Array<Object>} step - Operations of the step
+   * @private
+   */
+  _push(step) {
+    if (this.paused > 0) {
+      return;
+    }
+
+    this.redoStack = [];
+
+    if (this.depth <= 0) {
+      return;
+    }
+
+    this.undoStack.push(step);
+
+    if (this.undoStack.length > this.depth) {
+      this.undoStack.splice(0, this.undoStack.length - this.depth);
+    }
+  }
+}
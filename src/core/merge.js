@@ -0,0 +1,422 @@
+/**
+ * BlockDoc Document Merge
+ *
+ * Three-way merge of concurrent edits, keyed by block ID
+ */
+
+import { isContainerType } from './registry.js';
+import { toArticle, indexBlocks, findMovedBlocks } from './diff.js';
+import { isDeepEqual } from '../utils/equal.js';
+import { cloneValue } from '../utils/clone.js';
+
+const SIDES = ['base', 'ours', 'theirs'];
+
+/**
+ * Marker for values changed differently on both sides
+ * @type {symbol}
+ */
+const CONFLICT = Symbol('conflict');
+
+/**
+ * Merge two documents that were both changed from a common base.
+ *
+ * Blocks are matched by ID. Changes made on one side only, and changes to
+ * different properties of the same block, are merged automatically; so are
+ * moves, additions and removals. A conflict is raised when both sides change
+ * the same property of a block differently, when one side changes a block the
+ * other side removed, when both sides move a block to different places, and
+ * when both sides change the title or the same metadata key differently.
+ *
+ * Every conflict is passed to `options.resolve`, which may return 'base',
+ * 'ours' or 'theirs' to pick a side, or `{ value }` to use a custom value
+ * (block data, `null` to remove the block, or a title or metadata value).
+ * Conflicts it doesn't resolve fall back to ours and are returned.
+ *
+ * @param {Object} base - Common ancestor: document, `{ article }` object or article
+ * @param {Object} ours - Our changed version
+ * @param {Object} theirs - Their changed version
+ * @param {Object} [options] - Merge options
+ * @param {Function} [options.resolve] - Called with each conflict, returns its resolution
+ * @returns {Object} The merged article and the unresolved conflicts
+ */
+export function mergeDocuments(base, ours, theirs, options = {}) {
+  const articles = {
+    base: toArticle(base),
+    ours: toArticle(ours),
+    theirs: toArticle(theirs),
+  };
+  const conflicts = [];
+
+  // Returns { side } or { value }; unresolved conflicts fall back to ours
+  const resolve = (conflict) => {
+    const resolution = options.resolve ? options.resolve(conflict) : undefined;
+
+    if (resolution === undefined) {
+      conflicts.push(conflict);
+      return { side: 'ours' };
+    }
+
+    if (SIDES.includes(resolution)) {
+      return { side: resolution };
+    }
+
+    if (resolution && typeof resolution === 'object' && 'value' in resolution) {
+      return { value: resolution.value };
+    }
+
+    throw new Error(`Invalid resolution for ${conflict.type} conflict: ${JSON.stringify(resolution)}`);
+  };
+
+  const pick = (conflict) => {
+    const resolution = resolve(conflict);
+    return resolution.side ? conflict[resolution.side] : resolution.value;
+  };
+
+  const title = mergeValue(articles.base.title, articles.ours.title, articles.theirs.title, () => pick({
+    type: 'title',
+    base: articles.base.title,
+    ours: articles.ours.title,
+    theirs: articles.theirs.title,
+  }));
+
+  const metadata = mergeMetadata(articles, pick);
+  const blocks = mergeBlocks(articles, pick, resolve);
+
+  return {
+    article: { title, metadata, blocks },
+    conflicts,
+  };
+}
+
+/**
+ * Three-way merge of a single value
+ * @param {*} base - Base value
+ * @param {*} ours - Our value
+ * @param {*} theirs - Their value
+ * @param {Function} onConflict - Called when both sides changed the value differently
+ * @returns {*} Merged value
+ */
+function mergeValue(base, ours, theirs, onConflict) {
+  if (isDeepEqual(ours, theirs) || isDeepEqual(theirs, base)) {
+    return ours;
+  }
+
+  if (isDeepEqual(ours, base)) {
+    return theirs;
+  }
+
+  return onConflict();
+}
+
+/**
+ * Merge metadata key by key
+ * @param {Object} articles - Base, ours and theirs articles
+ * @param {Function} pick - Returns the resolved value of a conflict
+ * @returns {Object} Merged metadata
+ */
+function mergeMetadata(articles, pick) {
+  const metadata = {};
+  const values = SIDES.map((side) => articles[side].metadata || {});
+  const keys = new Set(values.flatMap((value) => Object.keys(value)));
+
+  keys.forEach((key) => {
+    const [base, ours, theirs] = values.map((value) => value[key]);
+    const merged = mergeValue(base, ours, theirs, () => pick({ type: 'metadata', key, base, ours, theirs }));
+
+    if (merged !== undefined) {
+      metadata[key] = merged;
+    }
+  });
+
+  return metadata;
+}
+
+/**
+ * Merge the block trees
+ * @param {Object} articles - Base, ours and theirs articles
+ * @param {Function} pick - Returns the resolved value of a conflict
+ * @param {Function} resolve - Returns the resolution of a conflict
+ * @returns {Array<Object>} Merged blocks
+ */
+function mergeBlocks(articles, pick, resolve) {
+  const indexes = {};
+  SIDES.forEach((side) => {
+    indexes[side] = indexBlocks(articles[side].blocks);
+  });
+
+  const moved = {
+    ours: findMovedBlocks(indexes.base, indexes.ours),
+    theirs: findMovedBlocks(indexes.base, indexes.theirs),
+  };
+
+  const ids = new Set();
+  SIDES.forEach((side) => {
+    indexes[side].forEach((entry, id) => ids.add(id));
+  });
+
+  // Properties of every block that survives the merge
+  const properties = new Map();
+  ids.forEach((id) => {
+    const merged = mergeBlockProperties(id, indexes, pick);
+    if (merged) {
+      properties.set(id, merged);
+    }
+  });
+
+  // Where each surviving block goes, and which version decides its order
+  const placements = new Map();
+  properties.forEach((block, id) => {
+    placements.set(id, placeBlock(id, indexes, moved, resolve));
+  });
+  reattachOrphans(placements, indexes);
+
+  return buildTree(null, properties, placements, indexes);
+}
+
+/**
+ * Decide whether a block survives and merge its properties
+ * @param {string} id - Block ID
+ * @param {Object} indexes - Block indexes of base, ours and theirs
+ * @param {Function} pick - Returns the resolved value of a conflict
+ * @returns {Object|null} Block data without children, or null if the block is removed
+ */
+function mergeBlockProperties(id, indexes, pick) {
+  const [base, ours, theirs] = SIDES.map((side) => {
+    const entry = indexes[side].get(id);
+    return entry ? withoutChildren(entry.block) : null;
+  });
+
+  const conflict = () => {
+    const resolved = pick({
+      type: 'block',
+      id,
+      ...Object.fromEntries(SIDES.map((side) => {
+        const entry = indexes[side].get(id);
+        return [side, entry ? cloneValue(entry.block) : null];
+      })),
+    });
+
+    return resolved ? { ...withoutChildren(resolved), id } : null;
+  };
+
+  if (!ours && !theirs) {
+    return null;
+  }
+
+  // Removed on one side: fine unless the other side changed the block
+  if (base && (!ours || !theirs)) {
+    const [kept, keptSide] = ours ? [ours, 'ours'] : [theirs, 'theirs'];
+    const unchanged = isDeepEqual(kept, base) && !childrenChanged(id, indexes.base, indexes[keptSide]);
+
+    return unchanged ? null : conflict();
+  }
+
+  if (!ours || !theirs) {
+    return ours || theirs;
+  }
+
+  const merged = {};
+  const keys = new Set([...Object.keys(base || {}), ...Object.keys(ours), ...Object.keys(theirs)]);
+
+  for (const key of keys) {
+    const value = mergeValue(base ? base[key] : undefined, ours[key], theirs[key], () => CONFLICT);
+
+    if (value === CONFLICT) {
+      return conflict();
+    }
+
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Decide the parent of a block and the version whose order it follows
+ * @param {string} id - Block ID
+ * @param {Object} indexes - Block indexes of base, ours and theirs
+ * @param {Object} moved - IDs moved in ours and theirs
+ * @param {Function} resolve - Returns the resolution of a conflict
+ * @returns {Object} Placement with parentId and source side
+ */
+function placeBlock(id, indexes, moved, resolve) {
+  const inBase = indexes.base.has(id);
+  const movedOurs = indexes.ours.has(id) && (!inBase || moved.ours.has(id));
+  const movedTheirs = indexes.theirs.has(id) && (!inBase || moved.theirs.has(id));
+
+  let source = 'base';
+
+  if (movedOurs && movedTheirs) {
+    const ours = describePlacement(id, indexes.ours);
+    const theirs = describePlacement(id, indexes.theirs);
+
+    source = 'ours';
+
+    if (!isDeepEqual(ours, theirs)) {
+      const base = inBase ? describePlacement(id, indexes.base) : null;
+      const resolution = resolve({ type: 'position', id, base, ours, theirs });
+
+      if (!resolution.side || (resolution.side === 'base' && !base)) {
+        throw new Error(`Position conflict of block "${id}" must be resolved with 'ours' or 'theirs'`);
+      }
+
+      source = resolution.side;
+    }
+  } else if (movedOurs) {
+    source = 'ours';
+  } else if (movedTheirs) {
+    source = 'theirs';
+  }
+
+  return { parentId: indexes[source].get(id).parentId, source };
+}
+
+/**
+ * Describe where a block sits in a version
+ * @param {string} id - Block ID
+ * @param {Map<string, Object>} index - Block index of the version
+ * @returns {Object} Parent ID and the ID of the preceding sibling
+ */
+function describePlacement(id, index) {
+  const entry = index.get(id);
+  const siblings = getChildIds(entry.parentId, index);
+  const position = siblings.indexOf(id);
+
+  return { parentId: entry.parentId, afterId: position > 0 ? siblings[position - 1] : null };
+}
+
+/**
+ * Move blocks whose parent did not survive into the closest surviving
+ * ancestor, and break parent cycles created by crossing moves
+ * @param {Map<string, Object>} placements - Placements of the surviving blocks
+ * @param {Object} indexes - Block indexes of base, ours and theirs
+ */
+function reattachOrphans(placements, indexes) {
+  const parentIn = (id) => {
+    for (const side of SIDES) {
+      const entry = indexes[side].get(id);
+      if (entry) {
+        return entry.parentId;
+      }
+    }
+    return null;
+  };
+
+  placements.forEach((placement) => {
+    let parentId = placement.parentId;
+    const visited = new Set();
+
+    while (parentId !== null && !placements.has(parentId) && !visited.has(parentId)) {
+      visited.add(parentId);
+      parentId = parentIn(parentId);
+    }
+
+    if (parentId !== placement.parentId) {
+      placement.parentId = placements.has(parentId) ? parentId : null;
+      placement.orphan = true;
+    }
+  });
+
+  placements.forEach((placement, id) => {
+    const visited = new Set([id]);
+    let parentId = placement.parentId;
+
+    while (parentId !== null) {
+      if (visited.has(parentId)) {
+        // Crossing moves, e.g. A into B on one side and B into A on the other
+        placement.parentId = indexes.base.has(id) ? indexes.base.get(id).parentId : null;
+        placement.orphan = true;
+        break;
+      }
+      visited.add(parentId);
+      parentId = placements.get(parentId).parentId;
+    }
+  });
+}
+
+/**
+ * Build the merged block list of a parent
+ * @param {string|null} parentId - Parent block ID, null for the top level
+ * @param {Map<string, Object>} properties - Merged block properties
+ * @param {Map<string, Object>} placements - Block placements
+ * @param {Object} indexes - Block indexes of base, ours and theirs
+ * @returns {Array<Object>} Blocks
+ */
+function buildTree(parentId, properties, placements, indexes) {
+  const members = [...placements.entries()]
+    .filter(([, placement]) => placement.parentId === parentId)
+    .map(([id]) => id);
+
+  // Blocks neither side moved keep their base order...
+  const order = getChildIds(parentId, indexes.base)
+    .filter((id) => members.includes(id) && placements.get(id).source === 'base' && !placements.get(id).orphan);
+
+  // ...the others follow the block before them in the version that placed them
+  ['ours', 'theirs'].forEach((side) => {
+    const siblings = getChildIds(parentId, indexes[side]);
+
+    siblings.forEach((id, position) => {
+      const placement = placements.get(id);
+
+      if (!members.includes(id) || placement.source !== side || placement.orphan) {
+        return;
+      }
+
+      // Blocks placed by the other version don't sit where this version had them
+      const previous = siblings
+        .slice(0, position)
+        .reverse()
+        .find((sibling) => order.includes(sibling) && ['base', side].includes(placements.get(sibling).source));
+      order.splice(previous ? order.indexOf(previous) + 1 : 0, 0, id);
+    });
+  });
+
+  members.filter((id) => !order.includes(id)).forEach((id) => order.push(id));
+
+  return order.map((id) => {
+    const block = { ...properties.get(id) };
+
+    if (isContainerType(block.type)) {
+      block.children = buildTree(id, properties, placements, indexes);
+    }
+
+    return block;
+  });
+}
+
+/**
+ * IDs of the blocks in a list of a version, in order
+ * @param {string|null} parentId - Parent block ID, null for the top level
+ * @param {Map<string, Object>} index - Block index of the version
+ * @returns {Array<string>} Block IDs
+ */
+function getChildIds(parentId, index) {
+  return [...index.entries()]
+    .filter(([, entry]) => entry.parentId === parentId)
+    .sort((a, b) => a[1].index - b[1].index)
+    .map(([id]) => id);
+}
+
+/**
+ * Check whether a version changed which blocks a container holds
+ * @param {string} id - Block ID
+ * @param {Map<string, Object>} baseIndex - Block index of the base
+ * @param {Map<string, Object>} index - Block index of the version
+ * @returns {boolean} True if the children differ from the base
+ */
+function childrenChanged(id, baseIndex, index) {
+  return !isDeepEqual(getChildIds(id, baseIndex), getChildIds(id, index));
+}
+
+/**
+ * Copy block data without its children
+ * @param {Object} block - Block data
+ * @returns {Object} Block properties
+ */
+function withoutChildren(block) {
+  const properties = cloneValue(block);
+  delete properties.children;
+  return properties;
+}
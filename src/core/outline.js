@@ -0,0 +1,83 @@
+/**
+ * BlockDoc Outline
+ *
+ * Heading anchors and the heading tree used for tables of contents
+ */
+
+import { walkBlocks } from './tree.js';
+import { slugify } from '../utils/slug.js';
+
+/**
+ * Resolve the level of a heading block the way the renderers do
+ * @param {number|string} level - Level from the block
+ * @returns {number} Level between 1 and 6, 2 if missing or invalid
+ */
+export function normalizeHeadingLevel(level) {
+  return Math.min(Math.max(parseInt(level) || 2, 1), 6);
+}
+
+/**
+ * Assign an anchor to every heading block. Anchors are slugs of the block
+ * IDs, so they stay the same when the heading text is edited; IDs that slug
+ * to the same value get a numeric suffix in document order.
+ * @param {Array<Object>} blocks - Block list
+ * @returns {Map<string, string>} Anchors by block ID
+ */
+export function headingAnchors(blocks) {
+  const anchors = new Map();
+  const used = new Set();
+
+  walkBlocks(blocks, (block) => {
+    if (block.type !== 'heading') {
+      return true;
+    }
+
+    const base = slugify(block.id) || 'heading';
+    let anchor = base;
+    for (let suffix = 2; used.has(anchor); suffix++) {
+      anchor = `${base}-${suffix}`;
+    }
+
+    used.add(anchor);
+    anchors.set(block.id, anchor);
+    return true;
+  });
+
+  return anchors;
+}
+
+/**
+ * Build the heading tree of a block list. Each heading holds the headings of
+ * a lower level that follow it, up to the next heading of its level or higher.
+ * @param {Array<Object>} blocks - Block list
+ * @param {Object} [options] - Outline options
+ * @param {number} [options.maxLevel=6] - Deepest heading level included
+ * @returns {Array<Object>} Top-level entries of { id, anchor, level, text, children }
+ */
+export function getOutline(blocks, { maxLevel = 6 } = {}) {
+  const anchors = headingAnchors(blocks);
+  const root = { level: 0, children: [] };
+  const stack = [root];
+
+  walkBlocks(blocks, (block) => {
+    if (block.type !== 'heading') {
+      return true;
+    }
+
+    const level = normalizeHeadingLevel(block.level);
+    if (level > maxLevel) {
+      return true;
+    }
+
+    while (stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+
+    const entry = { id: block.id, anchor: anchors.get(block.id), level, text: block.content || '', children: [] };
+    stack[stack.length - 1].children.push(entry);
+    stack.push(entry);
+    return true;
+  });
+
+  return root.children;
+}
@@ -0,0 +1,199 @@
+/**
+ * BlockDoc Block Type Registry
+ *
+ * Keeps track of the block types known to BlockDoc, including custom types
+ * registered by applications
+ */
+
+// Built-in block types and their required properties
+const BUILT_IN_TYPES = {
+  text: { required: [] },
+  heading: { required: ['level'] },
+  image: { required: ['url', 'alt'] },
+  code: { required: ['language'] },
+  list: { required: ['items', 'listType'] },
+  quote: { required: [] },
+  embed: { required: [] },
+  divider: { required: [] },
+  table: { required: ['headers', 'rows'] },
+  section: { required: [], container: true },
+  columns: { required: [], container: true },
+  toggle: { required: [], container: true },
+  toc: { required: [] },
+};
+
+const registry = new Map();
+const listeners = new Set();
+
+Object.keys(BUILT_IN_TYPES).forEach((name) => {
+  registry.set(name, { name, builtIn: true, ...BUILT_IN_TYPES[name] });
+});
+
+/**
+ * Register a custom block type
+ * @param {string} name - Block type name
+ * @param {Object} [definition] - Block type definition
+ * @param {Array<string>} [definition.required] - Properties required by the type
+ * @param {Object} [definition.schema] - JSON schema applied to blocks of this type
+ * @param {boolean} [definition.container] - Whether blocks of this type hold child blocks
+ * @param {Function} [definition.renderHTML] - Renders a block to HTML (block) => string
+ * @param {Function} [definition.renderMarkdown] - Renders a block to Markdown (block) => string
+ * @param {Function} [definition.renderText] - Renders a block to plain text (block) => string
+ * @returns {Object} The registered definition
+ */
+export function registerBlockType(name, definition = {}) {
+  if (!name || typeof name !== 'string' || !/^[a-zA-Z0-9-_]+$/.test(name)) {
+    throw new Error(`Invalid block type name: ${name}`);
+  }
+
+  const existing = registry.get(name);
+  if (existing && existing.builtIn) {
+    throw new Error(`Cannot override built-in block type: ${name}`);
+  }
+
+  const {
+    required = [],
+    schema,
+    container = false,
+    renderHTML,
+    renderMarkdown,
+    renderText,
+  } = definition;
+
+  if (!Array.isArray(required)) {
+    throw new Error(`Block type "${name}" must declare required properties as an array`);
+  }
+
+  const entry = {
+    name,
+    builtIn: false,
+    required: [...required],
+    schema,
+    container: Boolean(container),
+    renderHTML,
+    renderMarkdown,
+    renderText,
+  };
+
+  registry.set(name, entry);
+  listeners.forEach((listener) => listener());
+  return entry;
+}
+
+/**
+ * Remove a previously registered custom block type
+ * @param {string} name - Block type name
+ * @returns {boolean} True if the type was removed
+ */
+export function unregisterBlockType(name) {
+  const existing = registry.get(name);
+
+  if (!existing || existing.builtIn) {
+    return false;
+  }
+
+  registry.delete(name);
+  listeners.forEach((listener) => listener());
+  return true;
+}
+
+/**
+ * Be notified when block types are registered or removed, e.g. to drop
+ * anything derived from them
+ * @param {Function} listener - Called without arguments after each change
+ * @returns {Function} Stops the notifications
+ */
+export function onBlockTypesChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Get the definition of a block type
+ * @param {string} name - Block type name
+ * @returns {Object|null} Block type definition or null if unknown
+ */
+export function getBlockType(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * Check whether a block type holds child blocks
+ * @param {string} name - Block type name
+ * @returns {boolean} True if the type is a container
+ */
+export function isContainerType(name) {
+  const definition = registry.get(name);
+  return Boolean(definition && definition.container);
+}
+
+/**
+ * Get the names of all known block types
+ * @returns {Array<string>} Block type names
+ */
+export function getBlockTypes() {
+  return Array.from(registry.keys());
+}
+
+/**
+ * Extend a BlockDoc JSON schema with the registered custom block types
+ * @param {Object} baseSchema - The base BlockDoc schema
+ * @returns {Object} Schema accepting all registered block types
+ */
+export function buildSchema(baseSchema) {
+  const result = JSON.parse(JSON.stringify(baseSchema));
+  const blockSchema = findBlockSchema(result);
+
+  if (!blockSchema) {
+    return result;
+  }
+
+  const typeSchema = blockSchema.properties && blockSchema.properties.type;
+  if (typeSchema && Array.isArray(typeSchema.enum)) {
+    typeSchema.enum = getBlockTypes();
+  }
+
+  registry.forEach((entry) => {
+    if (entry.builtIn) {
+      return;
+    }
+
+    const rules = [];
+    if (entry.container) {
+      rules.push({ required: ['children'] });
+    }
+    if (entry.required.length > 0) {
+      rules.push({ required: entry.required });
+    }
+    if (entry.schema) {
+      rules.push(entry.schema);
+    }
+
+    if (rules.length > 0) {
+      blockSchema.allOf = blockSchema.allOf || [];
+      blockSchema.allOf.push({
+        if: { properties: { type: { const: entry.name } } },
+        then: rules.length === 1 ? rules[0] : { allOf: rules },
+      });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Locate the schema describing a single block
+ * @param {Object} schema - BlockDoc schema
+ * @returns {Object|null} Block schema or null if not present
+ */
+function findBlockSchema(schema) {
+  if (schema.definitions && schema.definitions.block) {
+    return schema.definitions.block;
+  }
+
+  const article = schema.properties && schema.properties.article;
+  const blocks = article && article.properties && article.properties.blocks;
+  const items = blocks && blocks.items;
+
+  return items && typeof items === 'object' ? items : null;
+}
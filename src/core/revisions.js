@@ -0,0 +1,365 @@
+/**
+ * BlockDoc Revisions
+ *
+ * Committed versions of a document, stored as a base snapshot plus block-level deltas
+ */
+
+import { walkBlocks } from './tree.js';
+import { isDeepEqual } from '../utils/equal.js';
+import { cloneValue } from '../utils/clone.js';
+
+export class RevisionLog {
+  /**
+   * Create a revision log
+   * @param {Object} [data] - Serialized log, as returned by toJSON()
+   * @param {Array<Object>} [data.revisions] - Stored revisions
+   * @param {string|null} [data.head] - ID of the revision the document is based on
+   * @throws {Error} If the serialized log is invalid
+   */
+  constructor({ revisions = [], head = null } = {}) {
+    if (!Array.isArray(revisions)) {
+      throw new Error('Invalid revision log: revisions must be an array');
+    }
+
+    this.revisions = [];
+    this.ids = new Map();
+    this.head = null;
+    this._headState = null;
+
+    revisions.forEach((revision) => {
+      const { id, parentId, snapshot, delta } = revision;
+
+      if (typeof id !== 'string' || this.ids.has(id)) {
+        throw new Error(`Invalid revision log: invalid or duplicate revision ID ${JSON.stringify(id)}`);
+      }
+      if (parentId === null ? !snapshot : !this.ids.has(parentId) || !delta) {
+        throw new Error(`Invalid revision log: revision "${id}" has no base`);
+      }
+
+      this._store(cloneValue(revision));
+    });
+
+    if (head !== null) {
+      this.setHead(head);
+    }
+  }
+
+  /**
+   * Number of stored revisions
+   * @returns {number} Revision count
+   */
+  get size() {
+    return this.revisions.length;
+  }
+
+  /**
+   * Record the state of an article as a new revision based on the head revision
+   * @param {Object} article - Article to store
+   * @param {Object} details - Revision details
+   * @param {string} details.message - Description of the changes
+   * @param {string|null} details.author - Author of the changes
+   * @returns {Object} Revision details
+   */
+  commit(article, { message, author }) {
+    const state = flatten(article);
+    const revision = {
+      id: this._nextId(),
+      parentId: this.head,
+      message,
+      author,
+      timestamp: new Date().toISOString(),
+    };
+
+    // The first revision is the base snapshot; later ones only store what changed
+    if (this.head === null) {
+      revision.snapshot = cloneValue(article);
+    } else {
+      revision.delta = diffStates(this._getState(this.head), state);
+    }
+
+    this._store(revision);
+    this.head = revision.id;
+    this._headState = state;
+    return describe(revision);
+  }
+
+  /**
+   * Make a stored revision the base of the next commit
+   * @param {string} id - Revision ID
+   * @throws {Error} If the revision doesn't exist
+   */
+  setHead(id) {
+    this._require(id);
+    this.head = id;
+    this._headState = null;
+  }
+
+  /**
+   * Details of every revision, newest first
+   * @returns {Array<Object>} Revision details
+   */
+  list() {
+    return this.revisions.map(describe).reverse();
+  }
+
+  /**
+   * Details of a revision
+   * @param {string} id - Revision ID
+   * @returns {Object|null} Revision details, or null if not found
+   */
+  get(id) {
+    const revision = this.ids.get(id);
+    return revision ? describe(revision) : null;
+  }
+
+  /**
+   * Rebuild the article stored in a revision
+   * @param {string} id - Revision ID
+   * @returns {Object} Article
+   * @throws {Error} If the revision doesn't exist
+   */
+  getArticle(id) {
+    return unflatten(this._getState(id));
+  }
+
+  /**
+   * Export the log for storage
+   * @returns {Object} Serializable log
+   */
+  toJSON() {
+    return { head: this.head, revisions: cloneValue(this.revisions) };
+  }
+
+  /**
+   * Add a revision to the log
+   * @param {Object} revision - Stored revision
+   * @private
+   */
+  _store(revision) {
+    Object.freeze(revision);
+    this.revisions.push(revision);
+    this.ids.set(revision.id, revision);
+  }
+
+  /**
+   * Get a stored revision
+   * @param {string} id - Revision ID
+   * @returns {Object} Stored revision
+   * @private
+   */
+  _require(id) {
+    const revision = this.ids.get(id);
+
+    if (!revision) {
+      throw new Error(`Revision "${id}" not found`);
+    }
+
+    return revision;
+  }
+
+  /**
+   * Rebuild the flat state of a revision by applying the deltas since the base snapshot
+   * @param {string} id - Revision ID
+   * @returns {Object} Flat state
+   * @private
+   */
+  _getState(id) {
+    if (id === this.head && this._headState) {
+      return this._headState;
+    }
+
+    const chain = [];
+    for (let revision = this._require(id); revision; revision = this.ids.get(revision.parentId)) {
+      chain.unshift(revision);
+    }
+
+    const state = flatten(chain[0].snapshot);
+    chain.slice(1).forEach((revision) => applyDelta(state, revision.delta));
+
+    if (id === this.head) {
+      this._headState = state;
+    }
+    return state;
+  }
+
+  /**
+   * Generate the ID of the next revision
+   * @returns {string} Revision ID
+   * @private
+   */
+  _nextId() {
+    let number = this.revisions.length + 1;
+    while (this.ids.has(`r${number}`)) {
+      number++;
+    }
+    return `r${number}`;
+  }
+}
+
+/**
+ * Public details of a stored revision
+ * @param {Object} revision - Stored revision
+ * @returns {Object} Revision ID, parent ID, message, author and timestamp
+ */
+function describe({ id, parentId, message, author, timestamp }) {
+  return { id, parentId, message, author, timestamp };
+}
+
+/**
+ * Turn an article into a flat state: block data by ID and child lists by parent ID
+ * @param {Object} article - Article
+ * @returns {Object} Flat state
+ */
+function flatten(article) {
+  const blocks = new Map();
+  const lists = new Map([[null, article.blocks.map((block) => block.id)]]);
+
+  walkBlocks(article.blocks, (block) => {
+    const { children, ...data } = block;
+    blocks.set(block.id, cloneValue(data));
+
+    if (Array.isArray(children)) {
+      lists.set(block.id, children.map((child) => child.id));
+    }
+  });
+
+  return {
+    title: article.title,
+    metadata: cloneValue(article.metadata || {}),
+    blocks,
+    lists,
+  };
+}
+
+/**
+ * Turn a flat state back into an article
+ * @param {Object} state - Flat state
+ * @returns {Object} Article
+ */
+function unflatten(state) {
+  const build = (ids) => ids.map((id) => {
+    const block = cloneValue(state.blocks.get(id));
+
+    if (state.lists.has(id)) {
+      block.children = build(state.lists.get(id));
+    }
+
+    return block;
+  });
+
+  return {
+    title: state.title,
+    metadata: cloneValue(state.metadata),
+    blocks: build(state.lists.get(null)),
+  };
+}
+
+/**
+ * Describe the changes between two flat states. Changed blocks are stored
+ * whole, and child lists are stored whole when their order or content changed.
+ * @param {Object} before - Original state
+ * @param {Object} after - Changed state
+ * @returns {Object} Delta
+ */
+function diffStates(before, after) {
+  const delta = {};
+
+  if (before.title !== after.title) {
+    delta.title = after.title;
+  }
+
+  const metadata = changedEntries(
+    new Map(Object.entries(before.metadata)),
+    new Map(Object.entries(after.metadata))
+  );
+  if (metadata) {
+    delta.metadata = metadata;
+  }
+
+  const blocks = changedEntries(before.blocks, after.blocks);
+  if (blocks) {
+    delta.blocks = blocks;
+  }
+
+  // The top-level list has a null key, so lists are stored as [parentId, ids] pairs
+  const lists = [];
+  after.lists.forEach((ids, parentId) => {
+    if (!isDeepEqual(before.lists.get(parentId), ids)) {
+      lists.push([parentId, [...ids]]);
+    }
+  });
+  const removedLists = [...before.lists.keys()].filter((parentId) => !after.lists.has(parentId));
+
+  if (lists.length > 0 || removedLists.length > 0) {
+    delta.lists = {};
+    if (lists.length > 0) {
+      delta.lists.set = lists;
+    }
+    if (removedLists.length > 0) {
+      delta.lists.removed = removedLists;
+    }
+  }
+
+  return delta;
+}
+
+/**
+ * Compare two maps
+ * @param {Map} before - Original entries
+ * @param {Map} after - Changed entries
+ * @returns {Object|null} Changes as { set, removed }, or null if nothing changed
+ */
+function changedEntries(before, after) {
+  const set = {};
+  const removed = [];
+
+  after.forEach((value, key) => {
+    if (!before.has(key) || !isDeepEqual(before.get(key), value)) {
+      set[key] = cloneValue(value);
+    }
+  });
+  before.forEach((value, key) => {
+    if (!after.has(key)) {
+      removed.push(key);
+    }
+  });
+
+  if (Object.keys(set).length === 0 && removed.length === 0) {
+    return null;
+  }
+
+  const changes = {};
+  if (Object.keys(set).length > 0) {
+    changes.set = set;
+  }
+  if (removed.length > 0) {
+    changes.removed = removed;
+  }
+  return changes;
+}
+
+/**
+ * Apply a delta to a flat state in place
+ * @param {Object} state - Flat state
+ * @param {Object} delta - Delta created by diffStates()
+ */
+function applyDelta(state, delta) {
+  if (delta.title !== undefined) {
+    state.title = delta.title;
+  }
+
+  if (delta.metadata) {
+    Object.assign(state.metadata, cloneValue(delta.metadata.set || {}));
+    (delta.metadata.removed || []).forEach((key) => delete state.metadata[key]);
+  }
+
+  if (delta.blocks) {
+    Object.entries(delta.blocks.set || {}).forEach(([id, data]) => state.blocks.set(id, cloneValue(data)));
+    (delta.blocks.removed || []).forEach((id) => state.blocks.delete(id));
+  }
+
+  if (delta.lists) {
+    (delta.lists.set || []).forEach(([parentId, ids]) => state.lists.set(parentId, [...ids]));
+    (delta.lists.removed || []).forEach((parentId) => state.lists.delete(parentId));
+  }
+}
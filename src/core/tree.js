@@ -0,0 +1,67 @@
+/**
+ * BlockDoc Block Tree Helpers
+ *
+ * Utilities for traversing blocks nested inside container blocks
+ */
+
+/**
+ * Visit every block in a block list depth-first
+ * @param {Array<Object>} blocks - Block list
+ * @param {Function} callback - Called with (block, index, siblings, parent); return false to stop
+ * @param {Object|null} [parent=null] - Parent block of the list
+ * @returns {boolean} False if the traversal was stopped early
+ */
+export function walkBlocks(blocks, callback, parent = null) {
+  for (let index = 0; index < blocks.length; index++) {
+    const block = blocks[index];
+
+    if (callback(block, index, blocks, parent) === false) {
+      return false;
+    }
+
+    if (Array.isArray(block.children)) {
+      if (walkBlocks(block.children, callback, block) === false) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Find a block anywhere in a block tree
+ * @param {Array<Object>} blocks - Block list
+ * @param {string} id - Block ID
+ * @returns {Object|null} Location with block, index, siblings and parent, or null if not found
+ */
+export function findBlock(blocks, id) {
+  let location = null;
+
+  walkBlocks(blocks, (block, index, siblings, parent) => {
+    if (block.id === id) {
+      location = { block, index, siblings, parent };
+      return false;
+    }
+    return true;
+  });
+
+  return location;
+}
+
+/**
+ * Collect the IDs of a block and all of its descendants
+ * @param {Object} block - Block data
+ * @returns {Array<string>} Block IDs
+ */
+export function collectBlockIds(block) {
+  const ids = [block.id];
+
+  if (Array.isArray(block.children)) {
+    walkBlocks(block.children, (child) => {
+      ids.push(child.id);
+    });
+  }
+
+  return ids;
+}
@@ -0,0 +1,115 @@
+/**
+ * BlockDoc Schema Validation
+ *
+ * Checks documents against the BlockDoc JSON schema, extended with the
+ * registered block types
+ */
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { schema } from '../schema-loader.js';
+import { buildSchema, onBlockTypesChange } from './registry.js';
+
+// Compiling the schema takes a while, so the validator is kept until the
+// block types it was built for change
+let compiledValidator = null;
+
+onBlockTypesChange(() => {
+  compiledValidator = null;
+});
+
+/**
+ * Get the compiled validator for the schema with the registered block types
+ * @returns {Function} AJV validate function
+ */
+function getValidator() {
+  if (!compiledValidator) {
+    const ajv = new Ajv({ allErrors: true });
+    addFormats(ajv);
+    compiledValidator = ajv.compile(buildSchema(schema));
+  }
+  return compiledValidator;
+}
+
+/**
+ * Check a document against the BlockDoc schema
+ * @param {Object} document - Document, with an article property
+ * @returns {Array<Object>} Every failed check as an AJV error, with the JSON pointer
+ *   of the failing value as instancePath; empty if the document is valid
+ */
+export function getSchemaErrors(document) {
+  const validate = getValidator();
+
+  if (validate(document)) {
+    return [];
+  }
+
+  // A failed block type rule also fails its "if", which says nothing more
+  return validate.errors.filter((error) => error.keyword !== 'if');
+}
+
+/**
+ * Check a document against the BlockDoc schema, describing each failed check
+ * so that an editor can show it next to the block it is about
+ * @param {Object} document - Document, with an article property
+ * @returns {Array<Object>} Issues, empty if the document is valid. Each has the
+ *   blockId and blockIndex (in its parent) of the innermost block the failing value
+ *   is in, null outside of blocks; the property of that block or of the article it
+ *   is about; severity 'error'; a message; the AJV keyword; and the JSON pointer
+ */
+export function getValidationIssues(document) {
+  return getSchemaErrors(document).map((error) => toValidationIssue(document, error));
+}
+
+/**
+ * Describe an AJV error of a document
+ * @param {Object} document - Validated document
+ * @param {Object} error - AJV error
+ * @returns {Object} Validation issue
+ */
+function toValidationIssue(document, error) {
+  const segments = error.instancePath
+    .split('/')
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  // Follow the pointer, noting the blocks it passes; start is where the path
+  // within the article or the innermost block begins
+  let start = segments[0] === 'article' ? 1 : 0;
+  let value = document;
+  let block = null;
+  let blockIndex = null;
+
+  segments.forEach((segment, index) => {
+    value = value && typeof value === 'object' ? value[segment] : undefined;
+
+    const listKey = block === null ? 'blocks' : 'children';
+    if (start > 0 && start === index - 1 && segments[start] === listKey && /^\d+$/.test(segment)) {
+      block = value;
+      blockIndex = Number(segment);
+      start = index + 1;
+    }
+  });
+
+  const path = segments.slice(start);
+  const blockId = block && typeof block.id === 'string' ? block.id : null;
+
+  let owner = start > 0 ? 'the article' : 'the document';
+  if (blockIndex !== null) {
+    owner = blockId !== null ? `block "${blockId}"` : `block ${blockIndex}`;
+  }
+
+  const subject = path.length > 0
+    ? `Property "${path.join('.')}" of ${owner}`
+    : owner.charAt(0).toUpperCase() + owner.slice(1);
+
+  return {
+    blockId,
+    blockIndex,
+    property: path.length > 0 ? path[0] : error.params.missingProperty || error.params.additionalProperty || null,
+    severity: 'error',
+    message: `${subject} ${error.message}`,
+    keyword: error.keyword,
+    pointer: error.instancePath,
+  };
+}
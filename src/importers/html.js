@@ -0,0 +1,669 @@
+/**
+ * BlockDoc HTML Importer
+ *
+ * Converts HTML (e.g. CMS exports) into BlockDoc articles. This is the
+ * inverse of the HTML renderer: inline markup is converted to Markdown for
+ * text blocks and unsupported elements are reported as dropped.
+ */
+
+import { parseHtml, getTextContent } from '../utils/html-parser.js';
+import { createIdGenerator } from './ids.js';
+import { resolveUrl } from './urls.js';
+
+// Elements rendered inline within a paragraph
+const INLINE_ELEMENTS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'code', 'data', 'del', 'dfn',
+  'em', 'i', 'img', 'ins', 'kbd', 'label', 'mark', 'q', 's', 'samp', 'small',
+  'span', 'strike', 'strong', 'sub', 'sup', 'time', 'u', 'var', 'wbr',
+]);
+
+// Elements that have no BlockDoc equivalent and are dropped with their content
+const DROPPED_ELEMENTS = new Set([
+  'audio', 'button', 'canvas', 'embed', 'form', 'input', 'link', 'map',
+  'meta', 'noscript', 'object', 'script', 'select', 'style', 'svg',
+  'template', 'textarea', 'video',
+]);
+
+// Whitespace collapsed in normal flow (non-breaking spaces are kept)
+const WHITESPACE = /[ \t\n\r\f]+/g;
+
+/**
+ * Parse HTML into the parts of a BlockDoc article
+ * @param {string} html - HTML source, a fragment or a complete page
+ * @param {Object} [options] - Import options
+ * @param {string} [options.title] - Title to use instead of the first H1
+ * @param {Object} [options.metadata] - Document metadata
+ * @param {string} [options.baseUrl] - Address of the page, to resolve relative image,
+ *   embed and link URLs against; without it they are kept as written
+ * @param {Function} [options.onDrop] - Called with `{ tag, reason, text }` for every dropped element
+ * @returns {Object} Object with title, metadata, blocks and the list of dropped elements
+ */
+export function parseHTML(html, options = {}) {
+  const context = {
+    title: options.title,
+    pageTitle: null,
+    blocks: [],
+    dropped: [],
+    ids: createIdGenerator(),
+    preferredId: null,
+    baseUrl: options.baseUrl,
+    onDrop: options.onDrop,
+  };
+
+  convertNodes(parseHtml(html), context, context.blocks);
+
+  return {
+    title: context.title || context.pageTitle || 'Untitled',
+    metadata: { ...options.metadata },
+    blocks: context.blocks,
+    dropped: context.dropped,
+  };
+}
+
+/**
+ * Convert a list of nodes into blocks
+ * @param {Array<Object>} nodes - HTML nodes
+ * @param {Object} context - Import context
+ * @param {Array<Object>} blocks - Block list to append to
+ */
+function convertNodes(nodes, context, blocks) {
+  let inlineRun = [];
+
+  // Loose inline content between block elements becomes a text block
+  const flushInline = () => {
+    const content = finishParagraph(inlineToMarkdown(inlineRun, context));
+    inlineRun = [];
+
+    if (content) {
+      addBlock(context, blocks, { type: 'text', content });
+    }
+  };
+
+  nodes.forEach((node) => {
+    if (node.type === 'comment') {
+      return;
+    }
+
+    // A citation right after a blockquote attributes the quote
+    const previous = blocks[blocks.length - 1];
+    if (node.tag === 'cite' && previous && previous.type === 'quote' && !previous.attribution
+      && inlineRun.every((child) => child.type === 'text' && !child.value.trim())) {
+      inlineRun = [];
+      previous.attribution = normalizeText(getTextContent(node));
+      return;
+    }
+
+    if (node.type === 'text' || (INLINE_ELEMENTS.has(node.tag) && !isStandaloneImage(node))) {
+      inlineRun.push(node);
+      return;
+    }
+
+    flushInline();
+    convertElement(node, context, blocks);
+  });
+
+  flushInline();
+}
+
+/**
+ * Convert a block-level element into blocks
+ * @param {Object} element - HTML element
+ * @param {Object} context - Import context
+ * @param {Array<Object>} blocks - Block list to append to
+ */
+function convertElement(element, context, blocks) {
+  const { tag, attributes, children } = element;
+
+  if (DROPPED_ELEMENTS.has(tag)) {
+    drop(context, element, 'unsupported element');
+    return;
+  }
+
+  switch (tag) {
+  case 'head':
+    readHead(element, context);
+    return;
+  case 'h1':
+  case 'h2':
+  case 'h3':
+  case 'h4':
+  case 'h5':
+  case 'h6':
+    convertHeading(element, context, blocks);
+    return;
+  case 'p': {
+    const image = findStandaloneImage(children);
+    if (image) {
+      addBlock(context, blocks, imageBlock(image, context));
+      return;
+    }
+    const content = finishParagraph(inlineToMarkdown(children, context));
+    if (content) {
+      addBlock(context, blocks, { type: 'text', content });
+    }
+    return;
+  }
+  case 'ul':
+  case 'ol':
+    addBlock(context, blocks, {
+      type: 'list',
+      content: '',
+      items: listItems(element, context),
+      listType: tag === 'ol' ? 'ordered' : 'unordered',
+    });
+    return;
+  case 'pre':
+    addBlock(context, blocks, codeBlock(element));
+    return;
+  case 'blockquote':
+    addBlock(context, blocks, quoteBlock(element, context));
+    return;
+  case 'figure':
+    convertFigure(element, context, blocks);
+    return;
+  case 'img':
+    addBlock(context, blocks, imageBlock(element, context));
+    return;
+  case 'iframe':
+    addBlock(context, blocks, embedBlock(element, context));
+    return;
+  case 'hr':
+    addBlock(context, blocks, { type: 'divider', content: '' });
+    return;
+  case 'table':
+    addBlock(context, blocks, tableBlock(element, context));
+    return;
+  case 'details':
+    convertDetails(element, context, blocks);
+    return;
+  default:
+    // Wrappers such as div, section or article only contribute their children
+    withPreferredId(context, attributes['data-block-id'], () =>
+      convertNodes(children, context, blocks)
+    );
+  }
+}
+
+/**
+ * Convert a heading element, using the first H1 as the document title
+ * @param {Object} element - Heading element
+ * @param {Object} context - Import context
+ * @param {Array<Object>} blocks - Block list to append to
+ */
+function convertHeading(element, context, blocks) {
+  const level = Number(element.tag.slice(1));
+  const content = normalizeText(getTextContent(element));
+
+  if (level === 1 && !context.title) {
+    context.title = content;
+    context.preferredId = null;
+    return;
+  }
+
+  if (!content) {
+    return;
+  }
+
+  const preferred = context.preferredId || element.attributes.id;
+  context.preferredId = null;
+
+  blocks.push({
+    id: context.ids.heading(content, preferred),
+    type: 'heading',
+    level,
+    content,
+  });
+}
+
+/**
+ * Convert a figure holding an image or an embedded frame
+ * @param {Object} element - Figure element
+ * @param {Object} context - Import context
+ * @param {Array<Object>} blocks - Block list to append to
+ */
+function convertFigure(element, context, blocks) {
+  const image = findElement(element.children, 'img');
+  const frame = findElement(element.children, 'iframe');
+  const figcaption = findElement(element.children, 'figcaption');
+  const caption = figcaption ? normalizeText(getTextContent(figcaption)) : '';
+
+  if (!image && !frame) {
+    convertNodes(element.children.filter((child) => child !== figcaption), context, blocks);
+    return;
+  }
+
+  const block = image ? imageBlock(image, context) : embedBlock(frame, context);
+  addBlock(context, blocks, caption ? { ...block, caption } : block);
+}
+
+/**
+ * Convert a details element into a toggle block
+ * @param {Object} element - Details element
+ * @param {Object} context - Import context
+ * @param {Array<Object>} blocks - Block list to append to
+ */
+function convertDetails(element, context, blocks) {
+  const summary = findElement(element.children, 'summary');
+  const preferred = context.preferredId;
+  context.preferredId = null;
+
+  const children = [];
+  convertNodes(element.children.filter((child) => child !== summary), context, children);
+
+  context.preferredId = preferred;
+  addBlock(context, blocks, {
+    type: 'toggle',
+    content: summary ? normalizeText(getTextContent(summary)) : '',
+    children,
+  });
+}
+
+/**
+ * Read the page title from a document head
+ * @param {Object} element - Head element
+ * @param {Object} context - Import context
+ */
+function readHead(element, context) {
+  const title = findElement(element.children, 'title');
+
+  if (title) {
+    context.pageTitle = normalizeText(getTextContent(title));
+  }
+}
+
+/**
+ * Build list items from a list element
+ * @param {Object} element - ul or ol element
+ * @param {Object} context - Import context
+ * @returns {Array<string>} Markdown items
+ */
+function listItems(element, context) {
+  return element.children
+    .filter((child) => child.type === 'element' && child.tag === 'li')
+    .map((item) => flowToMarkdown(item.children, context));
+}
+
+/**
+ * Build a code block from a pre element
+ * @param {Object} element - pre element
+ * @returns {Object} Code block data
+ */
+function codeBlock(element) {
+  const code = findElement(element.children, 'code');
+  const classes = `${code ? code.attributes.class || '' : ''} ${element.attributes.class || ''}`;
+  const language = (classes.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/) || [])[1];
+
+  return {
+    type: 'code',
+    language: language || 'plaintext',
+    content: getTextContent(code || element).replace(/^\n/, '').replace(/\n$/, ''),
+  };
+}
+
+/**
+ * Build a quote block from a blockquote element
+ * @param {Object} element - blockquote element
+ * @param {Object} context - Import context
+ * @returns {Object} Quote block data
+ */
+function quoteBlock(element, context) {
+  const citation = element.children.find(
+    (child) => child.type === 'element' && (child.tag === 'cite' || child.tag === 'footer')
+  );
+  const content = flowToMarkdown(element.children.filter((child) => child !== citation), context);
+  const attribution = citation ? normalizeText(getTextContent(citation)).replace(/^[—–-]\s*/, '') : '';
+
+  return {
+    type: 'quote',
+    content,
+    ...(attribution ? { attribution } : {}),
+  };
+}
+
+/**
+ * Build an image block from an img element
+ * @param {Object} element - img element
+ * @param {Object} context - Import context
+ * @returns {Object} Image block data
+ */
+function imageBlock(element, context) {
+  const { src = '', alt = '', title } = element.attributes;
+
+  return {
+    type: 'image',
+    content: '',
+    url: resolveUrl(src, context.baseUrl),
+    alt,
+    ...(title ? { caption: title } : {}),
+  };
+}
+
+/**
+ * Build an embed block from an iframe element
+ * @param {Object} element - iframe element
+ * @param {Object} context - Import context
+ * @returns {Object} Embed block data
+ */
+function embedBlock(element, context) {
+  const src = resolveUrl(element.attributes.src || '', context.baseUrl);
+  const youtube = src.match(/^(?:https?:)?\/\/(?:www\.)?(?:youtube\.com|youtube-nocookie\.com)\/embed\/([\w-]+)/);
+
+  if (youtube) {
+    return {
+      type: 'embed',
+      content: '',
+      url: `https://www.youtube.com/watch?v=${youtube[1]}`,
+      embedType: 'youtube',
+    };
+  }
+
+  return { type: 'embed', content: '', url: src.startsWith('//') ? `https:${src}` : src };
+}
+
+/**
+ * Build a table block from a table element
+ * @param {Object} element - table element
+ * @param {Object} context - Import context
+ * @returns {Object} Table block data
+ */
+function tableBlock(element, context) {
+  const rows = [];
+  const collectRows = (nodes) => {
+    nodes.forEach((node) => {
+      if (node.type !== 'element') return;
+      if (node.tag === 'tr') rows.push(node);
+      else if (['thead', 'tbody', 'tfoot'].includes(node.tag)) collectRows(node.children);
+    });
+  };
+  collectRows(element.children);
+
+  const cellsOf = (row) => row.children.filter(
+    (cell) => cell.type === 'element' && (cell.tag === 'td' || cell.tag === 'th')
+  );
+  const cellText = (cell) => inlineToMarkdown(cell.children, context).trim();
+
+  const [headerRow, ...bodyRows] = rows;
+  const headerCells = headerRow ? cellsOf(headerRow) : [];
+  const caption = findElement(element.children, 'caption');
+
+  const align = headerCells.map((cell) => {
+    const style = cell.attributes.style || '';
+    const match = style.match(/text-align:\s*(left|center|right)/) || [];
+    return match[1] || cell.attributes.align || null;
+  });
+
+  return {
+    type: 'table',
+    content: '',
+    headers: headerCells.map(cellText),
+    rows: bodyRows.map((row) => cellsOf(row).map(cellText)),
+    ...(align.some(Boolean) ? { align } : {}),
+    ...(caption ? { caption: normalizeText(getTextContent(caption)) } : {}),
+  };
+}
+
+/**
+ * Convert flow content (e.g. list items, blockquotes) to Markdown
+ * @param {Array<Object>} nodes - HTML nodes
+ * @param {Object} context - Import context
+ * @returns {string} Markdown
+ */
+function flowToMarkdown(nodes, context) {
+  const parts = [];
+  let inlineRun = [];
+
+  const flushInline = () => {
+    const text = finishParagraph(inlineToMarkdown(inlineRun, context));
+    inlineRun = [];
+    if (text) parts.push({ text });
+  };
+
+  nodes.forEach((node) => {
+    if (node.type === 'comment') return;
+
+    if (node.type === 'text' || INLINE_ELEMENTS.has(node.tag)) {
+      inlineRun.push(node);
+      return;
+    }
+
+    flushInline();
+
+    if (DROPPED_ELEMENTS.has(node.tag)) {
+      drop(context, node, 'unsupported element');
+    } else if (node.tag === 'ul' || node.tag === 'ol') {
+      const items = listItems(node, context);
+      const markers = items.map((_, index) => (node.tag === 'ol' ? `${index + 1}. ` : '- '));
+      const text = items
+        .map((item, index) => markers[index] + item.replace(/\n/g, `\n${' '.repeat(markers[index].length)}`))
+        .join('\n');
+      parts.push({ text, list: true });
+    } else if (node.tag === 'pre') {
+      const { language, content } = codeBlock(node);
+      parts.push({ text: `\`\`\`${language === 'plaintext' ? '' : language}\n${content}\n\`\`\`` });
+    } else if (node.tag === 'blockquote') {
+      const quote = flowToMarkdown(node.children, context);
+      parts.push({ text: quote.split('\n').map((line) => `> ${line}`).join('\n') });
+    } else {
+      const text = flowToMarkdown(node.children, context);
+      if (text) parts.push({ text });
+    }
+  });
+
+  flushInline();
+
+  // Nested lists directly follow their item text, other parts are separate paragraphs
+  return parts
+    .map((part, index) => (index === 0 ? '' : part.list ? '\n' : '\n\n') + part.text)
+    .join('');
+}
+
+/**
+ * Convert inline HTML to Markdown
+ * @param {Array<Object>} nodes - HTML nodes
+ * @param {Object} context - Import context
+ * @returns {string} Markdown
+ */
+function inlineToMarkdown(nodes, context) {
+  return nodes.map((node) => {
+    if (node.type === 'text') {
+      return escapeMarkdown(node.value.replace(WHITESPACE, ' '));
+    }
+
+    if (node.type !== 'element') {
+      return '';
+    }
+
+    if (DROPPED_ELEMENTS.has(node.tag)) {
+      drop(context, node, 'unsupported element');
+      return '';
+    }
+
+    const inner = () => inlineToMarkdown(node.children, context);
+
+    switch (node.tag) {
+    case 'strong':
+    case 'b':
+      return wrapInline(inner(), '**');
+    case 'em':
+    case 'i':
+      return wrapInline(inner(), '*');
+    case 'del':
+    case 's':
+    case 'strike':
+      return wrapInline(inner(), '~~');
+    case 'code':
+      return codeSpan(getTextContent(node));
+    case 'br':
+      return '\\\n';
+    case 'img':
+      return `![${escapeMarkdown(node.attributes.alt || '')}](${linkDestination(resolveUrl(node.attributes.src || '', context.baseUrl))})`;
+    case 'a': {
+      const text = inner();
+      return node.attributes.href ? `[${text}](${linkDestination(resolveUrl(node.attributes.href, context.baseUrl))})` : text;
+    }
+    default:
+      return inner();
+    }
+  }).join('');
+}
+
+/**
+ * Wrap inline Markdown in a delimiter, keeping surrounding whitespace outside
+ * @param {string} text - Inline Markdown
+ * @param {string} delimiter - Emphasis delimiter
+ * @returns {string} Wrapped Markdown
+ */
+function wrapInline(text, delimiter) {
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return match[2] ? `${match[1]}${delimiter}${match[2]}${delimiter}${match[3]}` : text;
+}
+
+/**
+ * Build a Markdown code span that survives backticks in its content
+ * @param {string} text - Code text
+ * @returns {string} Code span
+ */
+function codeSpan(text) {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+/**
+ * Write a link or image destination. Destinations with spaces, parentheses or
+ * angle brackets are put in angle brackets, which Markdown reads literally.
+ * @param {string} url - URL from an attribute
+ * @returns {string} Markdown link destination
+ */
+function linkDestination(url) {
+  // Browsers drop tabs and line breaks from URLs as well
+  const destination = url.replace(/[\t\n\r]/g, '');
+  return /[\s()<>\\]/.test(destination) ? `<${destination.replace(/[<>\\]/g, '\\$&')}>` : destination;
+}
+
+/**
+ * Escape characters that Markdown would interpret as syntax, including the
+ * start of HTML tags and character references
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return text
+    .replace(/([\\`*[\]<&])/g, '\\$1')
+    .replace(/(?<!\w)_|_(?!\w)/g, '\\_');
+}
+
+/**
+ * Trim a paragraph and keep its start from being read as block syntax
+ * @param {string} markdown - Paragraph Markdown
+ * @returns {string} Final paragraph
+ */
+function finishParagraph(markdown) {
+  return markdown
+    .replace(/ *\n */g, '\n')
+    .trim()
+    .replace(/^(#{1,6}\s|>|[-+]\s)/, '\\$1')
+    // Ordered list markers are escaped at their delimiter: 1\. or 1\)
+    .replace(/^(\d+)([.)]\s)/, '$1\\$2');
+}
+
+/**
+ * Collapse whitespace in plain text
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text.replace(WHITESPACE, ' ').trim();
+}
+
+/**
+ * Check whether an element is an image that stands on its own
+ * @param {Object} node - HTML node
+ * @returns {boolean} True for a top-level img element
+ */
+function isStandaloneImage(node) {
+  return node.type === 'element' && node.tag === 'img';
+}
+
+/**
+ * Find an image that is the only content of a paragraph
+ * @param {Array<Object>} nodes - Paragraph children
+ * @returns {Object|null} The img element or null
+ */
+function findStandaloneImage(nodes) {
+  const content = nodes.filter((node) => !(node.type === 'text' && !node.value.trim()));
+  return content.length === 1 && isStandaloneImage(content[0]) ? content[0] : null;
+}
+
+/**
+ * Find the first descendant element with a tag
+ * @param {Array<Object>} nodes - HTML nodes
+ * @param {string} tag - Tag name
+ * @returns {Object|null} The element or null
+ */
+function findElement(nodes, tag) {
+  for (const node of nodes) {
+    if (node.type !== 'element') continue;
+    if (node.tag === tag) return node;
+
+    const found = findElement(node.children, tag);
+    if (found) return found;
+  }
+
+  return null;
+}
+
+/**
+ * Add a block with an ID taken from the source or generated from its position
+ * @param {Object} context - Import context
+ * @param {Array<Object>} blocks - Block list to append to
+ * @param {Object} block - Block data without ID
+ */
+function addBlock(context, blocks, block) {
+  const preferred = context.preferredId;
+  context.preferredId = null;
+
+  blocks.push({
+    id: context.ids.block(block.type, preferred),
+    ...block,
+  });
+}
+
+/**
+ * Run a conversion with an ID to give to the first block it creates
+ * @param {Object} context - Import context
+ * @param {string} [id] - Preferred block ID
+ * @param {Function} convert - Conversion to run
+ */
+function withPreferredId(context, id, convert) {
+  if (id) {
+    context.preferredId = id;
+  }
+
+  convert();
+
+  if (id) {
+    context.preferredId = null;
+  }
+}
+
+/**
+ * Record an element that could not be imported
+ * @param {Object} context - Import context
+ * @param {Object} element - Dropped element
+ * @param {string} reason - Why it was dropped
+ */
+function drop(context, element, reason) {
+  const item = {
+    tag: element.tag,
+    reason,
+    text: normalizeText(getTextContent(element)).slice(0, 100),
+  };
+
+  context.dropped.push(item);
+
+  if (typeof context.onDrop === 'function') {
+    context.onDrop(item);
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * BlockDoc Importer IDs
+ *
+ * Generates semantic block IDs for imported content
+ */
+
+import { slugify } from '../utils/slug.js';
+
+const ID_PATTERN = /^[a-zA-Z0-9-_]+$/;
+
+/**
+ * Create an ID generator for one imported document. Headings are named
+ * after their text and other blocks after the heading they follow, e.g.
+ * `getting-started-text-1`. Blocks before the first heading use `intro`.
+ * @returns {Object} Generator with heading(text, preferred) and block(type, preferred) methods
+ */
+export function createIdGenerator() {
+  const used = new Set();
+  const counters = {};
+  let section = 'intro';
+
+  const unique = (base) => {
+    let id = base;
+    let counter = 2;
+
+    while (used.has(id)) {
+      id = `${base}-${counter}`;
+      counter++;
+    }
+
+    used.add(id);
+    return id;
+  };
+
+  // Use an ID found in the source when it is valid and unused
+  const claim = (preferred) => {
+    if (preferred && ID_PATTERN.test(preferred) && !used.has(preferred)) {
+      used.add(preferred);
+      return preferred;
+    }
+    return null;
+  };
+
+  return {
+    /**
+     * Generate the ID of a heading and start a new section
+     * @param {string} text - Heading text
+     * @param {string} [preferred] - ID found in the source, used when valid and unused
+     * @returns {string} Unique block ID
+     */
+    heading(text, preferred) {
+      const claimed = claim(preferred);
+      const slug = slugify(text);
+
+      // Sections are named after the heading text, so blocks under repeated
+      // headings keep counting on: notes-text-1, then notes-text-2
+      section = claimed || slug || section;
+      return claimed || unique(slug || 'heading');
+    },
+
+    /**
+     * Generate the ID of a non-heading block
+     * @param {string} type - Block type
+     * @param {string} [preferred] - ID found in the source, used when valid and unused
+     * @returns {string} Unique block ID
+     */
+    block(type, preferred) {
+      const claimed = claim(preferred);
+      if (claimed) {
+        return claimed;
+      }
+
+      const key = `${section}-${type}`;
+      counters[key] = (counters[key] || 0) + 1;
+      return unique(`${key}-${counters[key]}`);
+    },
+  };
+}
@@ -0,0 +1,276 @@
+/**
+ * BlockDoc Markdown Importer
+ *
+ * Converts Markdown sources into BlockDoc articles
+ */
+
+import { marked } from 'marked';
+import { parseFrontMatter } from '../utils/front-matter.js';
+import { parseBlockMarker, parseEndMarker, decodeBlock } from '../utils/blockdoc-markdown.js';
+import { isContainerType } from '../core/registry.js';
+import { createIdGenerator } from './ids.js';
+import { parseHTML } from './html.js';
+import { resolveUrl } from './urls.js';
+
+/**
+ * Parse Markdown into the parts of a BlockDoc article
+ * @param {string} markdown - Markdown source, optionally starting with YAML or TOML front
+ *   matter; `<!-- block:id -->` comments set the ID of the block that follows them
+ * @param {Object} [options] - Import options
+ * @param {string} [options.title] - Title to use instead of the first H1
+ * @param {Object} [options.metadata] - Metadata merged over the front matter
+ * @param {Function} [options.onWarning] - Called with `{ line, message }` for every
+ *   front matter key that was skipped because it can't be read
+ * @param {string} [options.dialect] - 'blockdoc' to read BlockDoc-flavoured Markdown,
+ *   as written by renderToMarkdown() with the same dialect
+ * @param {string} [options.baseUrl] - Address of the source, to resolve relative image
+ *   URLs against; without it they are kept as written
+ * @returns {Object} Object with title, metadata and blocks
+ * @throws {Error} If TOML front matter or BlockDoc-flavoured Markdown is malformed
+ */
+export function parseMarkdown(markdown, options = {}) {
+  const { data: frontMatter, body } = parseFrontMatter(markdown, { onWarning: options.onWarning });
+  const { title: frontMatterTitle, ...frontMatterMetadata } = frontMatter;
+
+  if (options.dialect === 'blockdoc') {
+    return {
+      title: options.title || frontMatterTitle || 'Untitled',
+      metadata: { ...frontMatterMetadata, ...options.metadata },
+      blocks: parseBlockDocBlocks(body),
+    };
+  }
+
+  let title = options.title || frontMatterTitle;
+  const blocks = [];
+  const ids = createIdGenerator();
+  let preferredId = null;
+
+  marked.lexer(body).forEach((token) => {
+    if (token.type === 'html') {
+      const marker = readMarker(token.text.trim());
+      if (marker) {
+        // End markers of containers have no block to name
+        preferredId = marker.end ? preferredId : marker.id;
+        return;
+      }
+    }
+
+    if (token.type === 'heading' && token.depth === 1 && !title) {
+      title = token.text;
+      preferredId = null;
+      return;
+    }
+
+    if (token.type === 'heading') {
+      const id = ids.heading(token.text, preferredId);
+      blocks.push({ id, type: 'heading', level: token.depth, content: token.text });
+      preferredId = null;
+      return;
+    }
+
+    const block = tokenToBlock(token, options);
+    if (block) {
+      blocks.push({ id: ids.block(block.type, preferredId), ...block });
+      preferredId = null;
+    }
+  });
+
+  return {
+    title: title || 'Untitled',
+    metadata: { ...frontMatterMetadata, ...options.metadata },
+    blocks,
+  };
+}
+
+/**
+ * Read the block markers of BlockDoc-flavoured Markdown, ignoring invalid annotations
+ * @param {string} text - HTML token text
+ * @returns {Object|null} Marker as { id, end }, or null
+ */
+function readMarker(text) {
+  const end = parseEndMarker(text);
+  if (end !== null) {
+    return { id: end, end: true };
+  }
+
+  try {
+    const marker = parseBlockMarker(text);
+    return marker && { id: marker.id, end: false };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse the body of BlockDoc-flavoured Markdown. Every block starts with a
+ * marker comment holding its ID, type and annotation, followed by its Markdown;
+ * the children of containers are followed by an end marker.
+ * @param {string} body - Markdown without front matter
+ * @returns {Array<Object>} Blocks
+ * @throws {Error} If a marker is invalid or missing
+ */
+function parseBlockDocBlocks(body) {
+  const root = { children: [] };
+  const stack = [root];
+  let current = null;
+  let lines = [];
+
+  const finish = () => {
+    if (current) {
+      Object.assign(current.block, decodeBlock(current.block.type, lines.join('\n'), current.annotation));
+    }
+    current = null;
+    lines = [];
+  };
+
+  body.split(/\r?\n/).forEach((line, index) => {
+    const end = parseEndMarker(line);
+
+    if (end !== null) {
+      finish();
+      if (stack.length === 1 || stack[stack.length - 1].id !== end) {
+        throw new Error(`Unexpected end of block "${end}" on line ${index + 1}`);
+      }
+      stack.pop();
+      return;
+    }
+
+    let marker;
+    try {
+      marker = parseBlockMarker(line);
+    } catch (error) {
+      throw new Error(`Invalid block annotation on line ${index + 1}: ${error.message}`);
+    }
+
+    if (marker) {
+      if (!marker.type) {
+        throw new Error(`Block "${marker.id}" on line ${index + 1} has no type`);
+      }
+
+      finish();
+      const block = { id: marker.id, type: marker.type };
+      stack[stack.length - 1].children.push(block);
+      current = { block, annotation: marker.annotation };
+
+      if (isContainerType(marker.type)) {
+        block.children = [];
+        stack.push(block);
+      }
+      return;
+    }
+
+    if (current) {
+      lines.push(line);
+    } else if (line.trim() !== '') {
+      throw new Error(`Content outside of a block on line ${index + 1}`);
+    }
+  });
+
+  finish();
+
+  if (stack.length > 1) {
+    throw new Error(`Block "${stack[stack.length - 1].id}" is not closed`);
+  }
+
+  return root.children;
+}
+
+/**
+ * Convert a top-level Markdown token into block data without an ID
+ * @param {Object} token - Token from marked's lexer
+ * @param {Object} options - Import options
+ * @returns {Object|null} Block data, or null for tokens without content
+ */
+function tokenToBlock(token, options) {
+  switch (token.type) {
+  case 'paragraph':
+    return imageFromParagraph(token, options.baseUrl) || { type: 'text', content: token.text };
+  case 'list':
+    return {
+      type: 'list',
+      content: '',
+      items: token.items.map((item) => item.text),
+      listType: token.ordered ? 'ordered' : 'unordered',
+    };
+  case 'code':
+    return { type: 'code', language: token.lang || 'plaintext', content: token.text };
+  case 'blockquote':
+    return { type: 'quote', content: token.text };
+  case 'hr':
+    return { type: 'divider', content: '' };
+  case 'table':
+    return {
+      type: 'table',
+      content: '',
+      headers: token.header.map((cell) => cell.text),
+      rows: token.rows.map((row) => row.map((cell) => cell.text)),
+      align: token.align,
+    };
+  case 'html':
+    return tableFromHTML(token) || textFromToken(token);
+  case 'text':
+    return textFromToken(token);
+  default:
+    return null;
+  }
+}
+
+/**
+ * Convert raw text or HTML into a text block
+ * @param {Object} token - Token from marked's lexer
+ * @returns {Object|null} Text block data, or null if the token is blank
+ */
+function textFromToken(token) {
+  return token.text.trim() ? { type: 'text', content: token.text.trim() } : null;
+}
+
+/**
+ * Detect an HTML table, as written for Markdown dialects without tables
+ * @param {Object} token - HTML token
+ * @returns {Object|null} Table block data, or null if the token is not a single table
+ */
+function tableFromHTML(token) {
+  if (!/^<table[\s>]/i.test(token.text.trim())) {
+    return null;
+  }
+
+  const { blocks } = parseHTML(token.text);
+  if (blocks.length !== 1 || blocks[0].type !== 'table') {
+    return null;
+  }
+
+  // The caller assigns the ID
+  const table = { ...blocks[0] };
+  delete table.id;
+  return table;
+}
+
+/**
+ * Detect a paragraph holding a single image, optionally followed by an
+ * emphasized caption line
+ * @param {Object} token - Paragraph token
+ * @param {string} [baseUrl] - Address to resolve a relative image URL against
+ * @returns {Object|null} Image block data or null if the paragraph is not an image
+ */
+function imageFromParagraph(token, baseUrl) {
+  const inline = (token.tokens || []).filter(
+    (child) => !(child.type === 'text' && !child.text.trim())
+  );
+  const [image, caption] = inline;
+
+  if (!image || image.type !== 'image' || inline.length > 2) {
+    return null;
+  }
+
+  if (caption && caption.type !== 'em') {
+    return null;
+  }
+
+  return {
+    type: 'image',
+    content: '',
+    url: resolveUrl(image.href, baseUrl),
+    alt: image.text || '',
+    ...(caption ? { caption: caption.text } : {}),
+  };
+}
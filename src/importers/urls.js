@@ -0,0 +1,23 @@
+/**
+ * BlockDoc Importer URLs
+ *
+ * Resolves the URLs of imported content against the address of its source
+ */
+
+/**
+ * Resolve a possibly relative URL
+ * @param {string} url - URL as written in the source
+ * @param {string} [baseUrl] - Absolute URL of the source
+ * @returns {string} Absolute URL, or the URL as written without a base or if it can't be resolved
+ */
+export function resolveUrl(url, baseUrl) {
+  if (!baseUrl || !url) {
+    return url;
+  }
+
+  try {
+    return new URL(url, baseUrl).href;
+  } catch (error) {
+    return url;
+  }
+}
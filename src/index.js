@@ -7,10 +7,29 @@
 // Core classes
 export { Block } from './core/block.js';
 export { BlockDocDocument } from './core/document.js';
+export {
+  registerBlockType,
+  unregisterBlockType,
+  getBlockType,
+  getBlockTypes,
+  isContainerType,
+} from './core/registry.js';
+export { diffDocuments } from './core/diff.js';
+export { mergeDocuments } from './core/merge.js';
+export { BlockDocConflictError, BlockDocExistsError, BlockDocValidationError } from './core/errors.js';
+
+// API client
+export { BlockDocClient } from './api/client.js';
+
+// Collaboration
+export { CollaborativeDocument, encodeUpdate, decodeUpdate } from './collab/collaborative-document.js';
 
 // Renderers
-export { renderToHTML } from './renderers/html.js';
+export { renderToHTML, renderToHTMLPage, renderToHTMLStream } from './renderers/html.js';
+export { getStylesheet } from './renderers/styles.js';
 export { renderToMarkdown } from './renderers/markdown.js';
+export { renderToText, stripMarkdown } from './renderers/text.js';
+export { renderDiffToHTML, renderDiffToMarkdown } from './renderers/diff.js';
 
 // Schema
 import { schema } from './schema-loader.js';
@@ -0,0 +1,265 @@
+/**
+ * BlockDoc Diff Renderer
+ *
+ * Converts document diffs to HTML and Markdown for review
+ */
+
+import { sanitizeHtml } from '../utils/sanitize.js';
+
+/**
+ * Render a document diff to HTML. Insertions are wrapped in `<ins>` and
+ * deletions in `<del>`; each changed block gets its own section.
+ * @param {Object} diff - Diff from diffDocuments()
+ * @returns {string} HTML representation
+ */
+export function renderDiffToHTML(diff) {
+  assertDiff(diff);
+
+  const html = ['<div class="blockdoc-diff">'];
+
+  if (diff.title) {
+    html.push(
+      '<div class="blockdoc-diff-title">' +
+      `<del>${sanitizeHtml(diff.title.before)}</del> <ins>${sanitizeHtml(diff.title.after)}</ins>` +
+      '</div>'
+    );
+  }
+
+  if (Object.keys(diff.metadata).length > 0) {
+    html.push('<ul class="blockdoc-diff-metadata">');
+    html.push(...renderPropertiesToHTML(diff.metadata));
+    html.push('</ul>');
+  }
+
+  diff.operations.forEach((operation) => {
+    html.push(renderOperationToHTML(operation));
+  });
+
+  html.push('</div>');
+
+  return html.join('\n');
+}
+
+/**
+ * Render a document diff to Markdown, marking insertions and deletions with
+ * CriticMarkup (`{++inserted++}` and `{--deleted--}`)
+ * @param {Object} diff - Diff from diffDocuments()
+ * @returns {string} Markdown representation
+ */
+export function renderDiffToMarkdown(diff) {
+  assertDiff(diff);
+
+  const markdown = [];
+
+  if (diff.title) {
+    markdown.push(`# {--${diff.title.before}--}{++${diff.title.after}++}`, '');
+  }
+
+  if (Object.keys(diff.metadata).length > 0) {
+    markdown.push(...renderPropertiesToMarkdown(diff.metadata), '');
+  }
+
+  diff.operations.forEach((operation) => {
+    markdown.push(renderOperationToMarkdown(operation), '');
+  });
+
+  return markdown.join('\n');
+}
+
+/**
+ * Render a single diff operation to HTML
+ * @param {Object} operation - Diff operation
+ * @returns {string} HTML section for the operation
+ */
+function renderOperationToHTML(operation) {
+  const type = operation.block ? operation.block.type : '';
+  const html = [
+    `<div class="blockdoc-diff-block blockdoc-diff-${operation.type}" data-block-id="${sanitizeHtml(operation.id)}"` +
+    (type ? ` data-block-type="${sanitizeHtml(type)}">` : '>'),
+    `<div class="blockdoc-diff-label">${sanitizeHtml(describeOperation(operation))}</div>`,
+  ];
+
+  switch (operation.type) {
+  case 'added':
+    html.push(`<div class="blockdoc-diff-content"><ins>${sanitizeHtml(getBlockText(operation.block))}</ins></div>`);
+    break;
+  case 'removed':
+    html.push(`<div class="blockdoc-diff-content"><del>${sanitizeHtml(getBlockText(operation.block))}</del></div>`);
+    break;
+  case 'updated':
+    if (Object.keys(operation.properties).length > 0) {
+      html.push('<ul class="blockdoc-diff-properties">');
+      html.push(...renderPropertiesToHTML(operation.properties));
+      html.push('</ul>');
+    }
+    if (operation.content) {
+      html.push(`<div class="blockdoc-diff-content">${renderTextDiffToHTML(operation.content.diff)}</div>`);
+    }
+    break;
+  default:
+    break;
+  }
+
+  html.push('</div>');
+
+  return html.join('\n');
+}
+
+/**
+ * Render a single diff operation to Markdown
+ * @param {Object} operation - Diff operation
+ * @returns {string} Markdown section for the operation
+ */
+function renderOperationToMarkdown(operation) {
+  const markdown = [`## ${describeOperation(operation)}`];
+
+  switch (operation.type) {
+  case 'added':
+    markdown.push('', `{++${getBlockText(operation.block)}++}`);
+    break;
+  case 'removed':
+    markdown.push('', `{--${getBlockText(operation.block)}--}`);
+    break;
+  case 'updated':
+    if (Object.keys(operation.properties).length > 0) {
+      markdown.push('', ...renderPropertiesToMarkdown(operation.properties));
+    }
+    if (operation.content) {
+      markdown.push('', renderTextDiffToMarkdown(operation.content.diff));
+    }
+    break;
+  default:
+    break;
+  }
+
+  return markdown.join('\n');
+}
+
+/**
+ * Describe an operation in a short sentence
+ * @param {Object} operation - Diff operation
+ * @returns {string} Description
+ */
+function describeOperation(operation) {
+  const type = operation.block ? `${operation.block.type} block` : 'Block';
+
+  switch (operation.type) {
+  case 'added':
+    return `Added ${type} "${operation.id}"`;
+  case 'removed':
+    return `Removed ${type} "${operation.id}"`;
+  case 'updated':
+    return `Changed ${type} "${operation.id}"`;
+  case 'moved':
+    return `Moved block "${operation.id}" from ${describePosition(operation.from)} to ${describePosition(operation.to)}`;
+  default:
+    return `${operation.type} "${operation.id}"`;
+  }
+}
+
+/**
+ * Describe a block position
+ * @param {Object} position - Position with parentId and index
+ * @returns {string} Description
+ */
+function describePosition({ parentId, index }) {
+  return parentId === null
+    ? `position ${index}`
+    : `position ${index} in "${parentId}"`;
+}
+
+/**
+ * Render changed properties as HTML list items
+ * @param {Object} properties - Property names mapped to { before, after }
+ * @returns {Array<string>} List items
+ */
+function renderPropertiesToHTML(properties) {
+  return Object.entries(properties).map(([name, { before, after }]) => {
+    const parts = [];
+    if (before !== undefined) parts.push(`<del>${sanitizeHtml(formatValue(before))}</del>`);
+    if (after !== undefined) parts.push(`<ins>${sanitizeHtml(formatValue(after))}</ins>`);
+
+    return `<li><code>${sanitizeHtml(name)}</code>: ${parts.join(' ')}</li>`;
+  });
+}
+
+/**
+ * Render changed properties as Markdown list items
+ * @param {Object} properties - Property names mapped to { before, after }
+ * @returns {Array<string>} List items
+ */
+function renderPropertiesToMarkdown(properties) {
+  return Object.entries(properties).map(([name, { before, after }]) => {
+    const parts = [];
+    if (before !== undefined) parts.push(`{--${formatValue(before)}--}`);
+    if (after !== undefined) parts.push(`{++${formatValue(after)}++}`);
+
+    return `- \`${name}\`: ${parts.join('')}`;
+  });
+}
+
+/**
+ * Render word diff segments to HTML
+ * @param {Array<Object>} segments - Segments from diffWords()
+ * @returns {string} HTML
+ */
+function renderTextDiffToHTML(segments) {
+  return segments.map(({ type, value }) => {
+    const text = sanitizeHtml(value);
+
+    if (type === 'insert') return `<ins>${text}</ins>`;
+    if (type === 'delete') return `<del>${text}</del>`;
+    return text;
+  }).join('');
+}
+
+/**
+ * Render word diff segments to CriticMarkup
+ * @param {Array<Object>} segments - Segments from diffWords()
+ * @returns {string} Markdown
+ */
+function renderTextDiffToMarkdown(segments) {
+  return segments.map(({ type, value }) => {
+    if (type === 'insert') return `{++${value}++}`;
+    if (type === 'delete') return `{--${value}--}`;
+    return value;
+  }).join('');
+}
+
+/**
+ * Readable text of a whole block, used for added and removed blocks
+ * @param {Object} block - Block data
+ * @returns {string} Text
+ */
+function getBlockText(block) {
+  const parts = [];
+
+  if (block.content) parts.push(block.content);
+  if (block.type === 'image') parts.push(block.alt ? `${block.alt} (${block.url})` : block.url);
+  if (block.type === 'embed' && block.url) parts.push(block.url);
+  if (Array.isArray(block.items)) parts.push(block.items.join('\n'));
+  if (Array.isArray(block.headers)) parts.push(block.headers.join(' | '));
+  if (Array.isArray(block.rows)) parts.push(...block.rows.map((row) => row.join(' | ')));
+  if (Array.isArray(block.children)) parts.push(...block.children.map(getBlockText).filter(Boolean));
+
+  return parts.join('\n');
+}
+
+/**
+ * Format a property value for display
+ * @param {*} value - Property value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Check that a value looks like a diff from diffDocuments()
+ * @param {Object} diff - Value to check
+ */
+function assertDiff(diff) {
+  if (!diff || !Array.isArray(diff.operations) || !diff.metadata) {
+    throw new Error('Invalid diff structure');
+  }
+}
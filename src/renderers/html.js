@@ -5,8 +5,12 @@
  */
 
 import { marked } from 'marked';
-import { sanitizeHtml } from '../utils/sanitize.js';
+import { sanitizeHtml, cleanHtml } from '../utils/sanitize.js';
 import hljs from 'highlight.js';
+import { getBlockType } from '../core/registry.js';
+import { walkBlocks } from '../core/tree.js';
+import { getOutline, headingAnchors, normalizeHeadingLevel } from '../core/outline.js';
+import { getStylesheet } from './styles.js';
 
 // Configure marked
 marked.setOptions({
@@ -20,116 +24,449 @@ marked.setOptions({
   mangle: false,
 });
 
+/**
+ * Options used when renderToHTML() is called without them
+ * @type {Object}
+ */
+const DEFAULT_OPTIONS = {
+  classPrefix: 'blockdoc',
+  wrapper: true,
+  blockWrapper: true,
+  title: true,
+  anchors: true,
+  toc: false,
+  iframe: {},
+  renderers: {},
+  beforeBlock: null,
+  afterBlock: null,
+};
+
 /**
  * Render a BlockDoc document to HTML
  * @param {Object} article - The article object from a BlockDoc document
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.classPrefix='blockdoc'] - Prefix of every class name, '' for none
+ * @param {boolean} [options.wrapper=true] - Whether to wrap the document in an article element
+ * @param {boolean} [options.blockWrapper=true] - Whether to wrap each block in a div with its ID and type
+ * @param {boolean} [options.title=true] - Whether to render the title as a level 1 heading
+ * @param {boolean} [options.anchors=true] - Whether to give headings an id derived from their block ID
+ * @param {Object|boolean} [options.toc=false] - Table of contents, as true or `{ maxLevel, title }`; it is
+ *   rendered at the first `toc` block, or after the title if there is none
+ * @param {Object} [options.iframe] - Size of embedded iframes, as `{ width, height }`
+ * @param {Object<string, Function>} [options.renderers] - Renderers by block type, called with
+ *   (block, defaultRenderer, options); defaultRenderer(block) returns the built-in HTML
+ * @param {Function} [options.beforeBlock] - Called with (block, options) before a block is
+ *   rendered; a returned string is inserted before the block
+ * @param {Function} [options.afterBlock] - Called with (block, html, options) after a block is
+ *   rendered; a returned string is inserted after the block
+ * @param {Object|boolean} [options.sanitize] - Allowlist for the HTML produced from
+ *   Markdown content (see cleanHtml()), or false to keep it as is for trusted content
  * @returns {string} HTML representation
  */
-export function renderToHTML(article) {
+export function renderToHTML(article, options = {}) {
+  return [...renderParts(article, prepareOptions(article, options))].join('\n');
+}
+
+/**
+ * Render a BlockDoc document to HTML incrementally, one top-level block at a
+ * time, so large documents can be sent before they are fully rendered. The
+ * chunks joined together are the output of renderToHTML().
+ *
+ * The result is an async iterable of strings: pass it to stream.pipeline() or
+ * Readable.from() in Node, or call toReadableStream() for a web stream.
+ * @param {Object} article - The article object from a BlockDoc document
+ * @param {Object} [options] - Rendering options, see renderToHTML()
+ * @returns {Object} Async iterable of HTML chunks with a toReadableStream() method
+ * @throws {Error} If invalid article structure or options
+ */
+export function renderToHTMLStream(article, options = {}) {
+  // Validate up front so errors are thrown before anything is sent
+  const parts = renderParts(article, prepareOptions(article, options));
+  let started = false;
+
+  const next = () => {
+    const { value, done } = parts.next();
+    if (done) {
+      return { value: undefined, done: true };
+    }
+
+    const chunk = started ? `\n${value}` : value;
+    started = true;
+    return { value: chunk, done: false };
+  };
+
+  return {
+    [Symbol.asyncIterator]() {
+      return {
+        next: async () => next(),
+        return: async () => {
+          parts.return();
+          return { value: undefined, done: true };
+        },
+      };
+    },
+
+    /**
+     * Get the chunks as a web ReadableStream of UTF-8 bytes, e.g. for a fetch Response
+     * @returns {ReadableStream} Stream of HTML
+     */
+    toReadableStream() {
+      const encoder = new TextEncoder();
+      return new ReadableStream({
+        pull(controller) {
+          try {
+            const { value, done } = next();
+            if (done) {
+              controller.close();
+            } else {
+              controller.enqueue(encoder.encode(value));
+            }
+          } catch (error) {
+            controller.error(error);
+          }
+        },
+        cancel() {
+          parts.return();
+        },
+      });
+    },
+  };
+}
+
+/**
+ * Check the article and resolve the rendering options for it
+ * @param {Object} article - The article object from a BlockDoc document
+ * @param {Object} options - Rendering options
+ * @returns {Object} Complete options with the heading anchors and outline of the article
+ * @throws {Error} If invalid article structure or options
+ */
+function prepareOptions(article, options) {
   if (!article || !article.blocks || !Array.isArray(article.blocks)) {
     throw new Error('Invalid article structure');
   }
 
+  const config = resolveOptions(options);
+  const toc = config.toc === true ? {} : config.toc || {};
+  config.anchorIds = headingAnchors(article.blocks);
+  config.outline = getOutline(article.blocks, { maxLevel: toc.maxLevel });
+
+  return config;
+}
+
+/**
+ * Render the parts of a document: the opening tags, each top-level block and the closing tag
+ * @param {Object} article - The article object from a BlockDoc document
+ * @param {Object} config - Options returned by prepareOptions()
+ * @yields {string} HTML of each part
+ */
+function* renderParts(article, config) {
+  if (config.wrapper) {
+    yield `<article class="${className(config, 'article')}">`;
+  }
+
+  if (config.title) {
+    yield `<h1 class="${className(config, 'title')}">${sanitizeHtml(article.title)}</h1>`;
+  }
+
+  if (config.toc && !hasTocBlock(article.blocks)) {
+    yield renderTableOfContents(config);
+  }
+
+  // Render each block
+  for (const block of article.blocks) {
+    yield renderBlock(block, config);
+  }
+
+  if (config.wrapper) {
+    yield '</article>';
+  }
+}
+
+/**
+ * Render a BlockDoc document as a complete HTML5 page
+ * @param {Object} article - The article object from a BlockDoc document
+ * @param {Object} [options] - Page options; other options are passed to renderToHTML()
+ * @param {string} [options.theme='light'] - 'light', 'dark', or 'auto' to follow the
+ *   color scheme preferred by the reader; also selects the syntax highlighting colors
+ * @param {string} [options.head] - HTML inserted at the end of the head element
+ * @param {string} [options.lang='en'] - Language of the page
+ * @param {boolean} [options.stylesheet=true] - Whether to include the default stylesheet
+ * @returns {string} HTML page
+ * @throws {Error} If the article or an option is invalid
+ */
+export function renderToHTMLPage(article, options = {}) {
+  const { theme = 'light', head = '', lang = 'en', stylesheet = true, ...renderOptions } = options;
+
+  if (typeof head !== 'string') {
+    throw new Error('Page head must be a string');
+  }
+
+  const body = renderToHTML(article, renderOptions);
+  const classPrefix = renderOptions.classPrefix ?? DEFAULT_OPTIONS.classPrefix;
+
   const html = [
-    '<article class="blockdoc-article">',
-    `<h1 class="blockdoc-title">${sanitizeHtml(article.title)}</h1>`,
+    '<!DOCTYPE html>',
+    `<html lang="${sanitizeHtml(lang)}">`,
+    '<head>',
+    '<meta charset="utf-8" />',
+    '<meta name="viewport" content="width=device-width, initial-scale=1" />',
+    `<title>${sanitizeHtml(article.title || '')}</title>`,
+    ...renderMetaTags(article.metadata || {}),
   ];
 
-  // Render each block
-  article.blocks.forEach((block) => {
-    html.push(renderBlock(block));
-  });
+  if (stylesheet) {
+    html.push(`<style>\n${getStylesheet({ theme, classPrefix })}\n</style>`);
+  }
+
+  if (head) {
+    html.push(head);
+  }
 
-  html.push('</article>');
+  html.push('</head>', '<body>', body, '</body>', '</html>');
 
   return html.join('\n');
 }
 
+/**
+ * Describe the document metadata with meta tags
+ * @param {Object} metadata - Document metadata
+ * @returns {Array<string>} Meta tags
+ */
+function renderMetaTags(metadata) {
+  const tags = [];
+  const meta = (attribute, name, content) => {
+    if (typeof content === 'string' && content !== '') {
+      tags.push(`<meta ${attribute}="${name}" content="${sanitizeHtml(content)}" />`);
+    }
+  };
+
+  meta('name', 'description', metadata.description);
+  meta('name', 'author', metadata.author);
+
+  if (Array.isArray(metadata.tags)) {
+    meta('name', 'keywords', metadata.tags.filter((tag) => typeof tag === 'string').join(', '));
+  }
+
+  const date = metadata.publishedDate || metadata.date;
+  meta('name', 'date', date);
+  meta('property', 'article:published_time', date);
+
+  return tags;
+}
+
+/**
+ * Merge rendering options with the defaults and check them
+ * @param {Object} options - Rendering options
+ * @returns {Object} Complete options
+ * @throws {Error} If an option has an invalid value
+ */
+function resolveOptions(options) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  if (typeof config.classPrefix !== 'string') {
+    throw new Error('Class prefix must be a string');
+  }
+
+  Object.entries(config.renderers || {}).forEach(([type, renderer]) => {
+    if (typeof renderer !== 'function') {
+      throw new Error(`Renderer for block type "${type}" must be a function`);
+    }
+  });
+
+  ['beforeBlock', 'afterBlock'].forEach((hook) => {
+    if (config[hook] && typeof config[hook] !== 'function') {
+      throw new Error(`${hook} must be a function`);
+    }
+  });
+
+  return config;
+}
+
+/**
+ * Build a class name with the configured prefix
+ * @param {Object} options - Rendering options
+ * @param {string} name - Class name without prefix
+ * @returns {string} Class name
+ */
+function className(options, name) {
+  return options.classPrefix ? `${options.classPrefix}-${name}` : name;
+}
+
 /**
  * Render a single block to HTML
  * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
  * @returns {string} HTML representation of the block
  */
-function renderBlock(block) {
+function renderBlock(block, options) {
   const { id, type } = block;
+  const before = options.beforeBlock ? options.beforeBlock(block, options) : null;
+
+  const override = options.renderers && options.renderers[type];
+  const content = override
+    ? override(block, (target = block) => renderBlockContent(target, options), options)
+    : renderBlockContent(block, options);
 
   // Wrapper with block ID and type as data attributes
-  const openWrapper = `<div class="blockdoc-block blockdoc-${type}" data-block-id="${id}" data-block-type="${type}">`;
-  const closeWrapper = '</div>';
+  const html = options.blockWrapper
+    ? `<div class="${className(options, 'block')} ${className(options, type)}" data-block-id="${id}" data-block-type="${type}">${content}</div>`
+    : content;
 
-  let content;
+  const after = options.afterBlock ? options.afterBlock(block, html, options) : null;
+
+  return [before, html, after].filter((part) => typeof part === 'string' && part !== '').join('');
+}
 
-  switch (type) {
+/**
+ * Render the content of a block with the built-in renderer of its type
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} HTML representation of the block content
+ */
+function renderBlockContent(block, options) {
+  switch (block.type) {
   case 'text':
-    content = renderTextBlock(block);
-    break;
+    return renderTextBlock(block, options);
   case 'heading':
-    content = renderHeadingBlock(block);
-    break;
+    return renderHeadingBlock(block, options);
   case 'image':
-    content = renderImageBlock(block);
-    break;
+    return renderImageBlock(block, options);
   case 'code':
-    content = renderCodeBlock(block);
-    break;
+    return renderCodeBlock(block, options);
   case 'list':
-    content = renderListBlock(block);
-    break;
+    return renderListBlock(block, options);
   case 'quote':
-    content = renderQuoteBlock(block);
-    break;
+    return renderQuoteBlock(block, options);
   case 'embed':
-    content = renderEmbedBlock(block);
-    break;
+    return renderEmbedBlock(block, options);
   case 'divider':
-    content = renderDividerBlock();
-    break;
+    return renderDividerBlock(options);
+  case 'table':
+    return renderTableBlock(block, options);
+  case 'section':
+    return renderSectionBlock(block, options);
+  case 'columns':
+    return renderColumnsBlock(block, options);
+  case 'toggle':
+    return renderToggleBlock(block, options);
+  case 'toc':
+    return renderTableOfContents(options);
   default:
-    content = `<p>Unknown block type: ${type}</p>`;
+    return renderCustomBlock(block);
+  }
+}
+
+/**
+ * Convert Markdown to HTML and clean the result
+ * @param {string} markdown - Markdown source
+ * @param {Object} options - Rendering options
+ * @param {boolean} [inline=false] - Whether to render inline Markdown only
+ * @returns {string} HTML
+ */
+function renderMarkdown(markdown, options, inline = false) {
+  const html = inline ? marked.parseInline(markdown) : marked.parse(markdown);
+
+  if (options.sanitize === false) {
+    return html;
+  }
+
+  return cleanHtml(html, typeof options.sanitize === 'object' ? options.sanitize : {});
+}
+
+/**
+ * Render a block of a registered custom type
+ * @param {Object} block - Block data
+ * @returns {string} HTML representation
+ */
+function renderCustomBlock(block) {
+  const definition = getBlockType(block.type);
+
+  if (definition && typeof definition.renderHTML === 'function') {
+    return definition.renderHTML(block);
   }
 
-  return `${openWrapper}${content}${closeWrapper}`;
+  return `<p>Unknown block type: ${block.type}</p>`;
 }
 
 /**
  * Render a text block
  * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
  * @returns {string} HTML representation
  */
-function renderTextBlock(block) {
+function renderTextBlock(block, options) {
   // Use marked to convert markdown to HTML
-  return marked.parse(block.content);
+  return renderMarkdown(block.content, options);
 }
 
 /**
  * Render a heading block
  * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} HTML representation
+ */
+function renderHeadingBlock(block, options) {
+  const { id, level, content } = block;
+  const validLevel = normalizeHeadingLevel(level);
+  const anchor = options.anchors && options.anchorIds ? options.anchorIds.get(id) : null;
+  const idAttribute = anchor ? ` id="${anchor}"` : '';
+
+  return `<h${validLevel}${idAttribute}>${sanitizeHtml(content)}</h${validLevel}>`;
+}
+
+/**
+ * Render the table of contents as nested lists of links to the headings
+ * @param {Object} options - Rendering options
  * @returns {string} HTML representation
  */
-function renderHeadingBlock(block) {
-  const { level, content } = block;
-  const validLevel = Math.min(Math.max(parseInt(level) || 2, 1), 6);
+function renderTableOfContents(options) {
+  const { title } = typeof options.toc === 'object' && options.toc ? options.toc : {};
+
+  const renderEntries = (entries) => {
+    const items = entries
+      .map((entry) => {
+        const children = entry.children.length > 0 ? renderEntries(entry.children) : '';
+        return `<li><a href="#${entry.anchor}">${sanitizeHtml(entry.text)}</a>${children}</li>`;
+      })
+      .join('');
+    return `<ul class="${className(options, 'toc-list')}">${items}</ul>`;
+  };
+
+  const titleHtml = title
+    ? `<p class="${className(options, 'toc-title')}">${sanitizeHtml(title)}</p>`
+    : '';
+  const outline = options.outline || [];
+
+  return `<nav class="${className(options, 'toc')}">${titleHtml}${outline.length > 0 ? renderEntries(outline) : ''}</nav>`;
+}
 
-  return `<h${validLevel}>${sanitizeHtml(content)}</h${validLevel}>`;
+/**
+ * Check whether a block list contains a table of contents placeholder
+ * @param {Array<Object>} blocks - Block list
+ * @returns {boolean} True if a `toc` block exists
+ */
+function hasTocBlock(blocks) {
+  return !walkBlocks(blocks, (block) => block.type !== 'toc');
 }
 
 /**
  * Render an image block
  * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
  * @returns {string} HTML representation
  */
-function renderImageBlock(block) {
+function renderImageBlock(block, options) {
   const { url, alt, caption } = block;
 
   let html = `<img src="${sanitizeHtml(url)}" alt="${sanitizeHtml(
     alt
-  )}" class="blockdoc-image" />`;
+  )}" class="${className(options, 'image')}" />`;
 
   if (caption) {
-    html += `<figcaption class="blockdoc-caption">${sanitizeHtml(
+    html += `<figcaption class="${className(options, 'caption')}">${sanitizeHtml(
       caption
     )}</figcaption>`;
-    return `<figure class="blockdoc-figure">${html}</figure>`;
+    return `<figure class="${className(options, 'figure')}">${html}</figure>`;
   }
 
   return html;
@@ -138,9 +475,10 @@ function renderImageBlock(block) {
 /**
  * Render a code block
  * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
  * @returns {string} HTML representation
  */
-function renderCodeBlock(block) {
+function renderCodeBlock(block, options) {
   const { language, content } = block;
 
   // Use highlight.js for syntax highlighting
@@ -157,8 +495,8 @@ function renderCodeBlock(block) {
   }
 
   return `
-    <pre class="blockdoc-pre">
-      <code class="blockdoc-code ${
+    <pre class="${className(options, 'pre')}">
+      <code class="${className(options, 'code')} ${
   language ? `language-${language}` : ''
 }">${highlightedCode}</code>
     </pre>
@@ -168,9 +506,10 @@ function renderCodeBlock(block) {
 /**
  * Render a list block
  * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
  * @returns {string} HTML representation
  */
-function renderListBlock(block) {
+function renderListBlock(block, options) {
   const { items, listType } = block;
 
   if (!items || !Array.isArray(items)) {
@@ -180,26 +519,28 @@ function renderListBlock(block) {
   const tag = listType === 'ordered' ? 'ol' : 'ul';
 
   const itemsHtml = items
-    .map((item) => `<li>${marked.parse(item)}</li>`)
+    .map((item) => `<li>${renderMarkdown(item, options)}</li>`)
     .join('');
 
-  return `<${tag} class="blockdoc-list blockdoc-list-${listType}">${itemsHtml}</${tag}>`;
+  return `<${tag} class="${className(options, 'list')} ${className(options, `list-${listType}`)}">${itemsHtml}</${tag}>`;
 }
 
 /**
  * Render a quote block
  * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
  * @returns {string} HTML representation
  */
-function renderQuoteBlock(block) {
+function renderQuoteBlock(block, options) {
   const { content, attribution } = block;
 
-  let html = `<blockquote class="blockdoc-quote">${marked.parse(
-    content
+  let html = `<blockquote class="${className(options, 'quote')}">${renderMarkdown(
+    content,
+    options
   )}</blockquote>`;
 
   if (attribution) {
-    html += `<cite class="blockdoc-attribution">${sanitizeHtml(
+    html += `<cite class="${className(options, 'attribution')}">${sanitizeHtml(
       attribution
     )}</cite>`;
   }
@@ -210,10 +551,12 @@ function renderQuoteBlock(block) {
 /**
  * Render an embed block
  * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
  * @returns {string} HTML representation
  */
-function renderEmbedBlock(block) {
+function renderEmbedBlock(block, options) {
   const { url, caption, embedType } = block;
+  const { width, height } = options.iframe || {};
 
   let embedHtml;
 
@@ -222,10 +565,10 @@ function renderEmbedBlock(block) {
     const videoId = extractYouTubeId(url);
     if (videoId) {
       embedHtml = `
-        <div class="blockdoc-embed-container">
+        <div class="${className(options, 'embed-container')}">
           <iframe 
-            width="560" 
-            height="315" 
+            width="${sanitizeHtml(width ?? 560)}" 
+            height="${sanitizeHtml(height ?? 315)}" 
             src="https://www.youtube.com/embed/${videoId}" 
             frameborder="0" 
             allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" 
@@ -238,7 +581,7 @@ function renderEmbedBlock(block) {
     }
   } else if (embedType === 'twitter') {
     embedHtml = `
-      <div class="blockdoc-embed blockdoc-twitter">
+      <div class="${className(options, 'embed')} ${className(options, 'twitter')}">
         <blockquote class="twitter-tweet">
           <a href="${sanitizeHtml(url)}"></a>
         </blockquote>
@@ -248,12 +591,12 @@ function renderEmbedBlock(block) {
   } else {
     // Generic embed with iframe
     embedHtml = `
-      <div class="blockdoc-embed">
+      <div class="${className(options, 'embed')}">
         <iframe 
           src="${sanitizeHtml(url)}" 
           frameborder="0" 
-          width="100%" 
-          height="400"
+          width="${sanitizeHtml(width ?? '100%')}" 
+          height="${sanitizeHtml(height ?? 400)}"
           allowfullscreen>
         </iframe>
       </div>
@@ -261,10 +604,10 @@ function renderEmbedBlock(block) {
   }
 
   if (caption) {
-    embedHtml += `<figcaption class="blockdoc-caption">${sanitizeHtml(
+    embedHtml += `<figcaption class="${className(options, 'caption')}">${sanitizeHtml(
       caption
     )}</figcaption>`;
-    return `<figure class="blockdoc-figure">${embedHtml}</figure>`;
+    return `<figure class="${className(options, 'figure')}">${embedHtml}</figure>`;
   }
 
   return embedHtml;
@@ -272,10 +615,100 @@ function renderEmbedBlock(block) {
 
 /**
  * Render a divider block
+ * @param {Object} options - Rendering options
+ * @returns {string} HTML representation
+ */
+function renderDividerBlock(options) {
+  return `<hr class="${className(options, 'divider')}" />`;
+}
+
+/**
+ * Render a table block
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} HTML representation
+ */
+function renderTableBlock(block, options) {
+  const { headers, rows, align = [], caption } = block;
+
+  if (!Array.isArray(headers) || !Array.isArray(rows)) {
+    return '<p>Invalid table data</p>';
+  }
+
+  const renderCell = (tag, cell, column) => {
+    const alignment = ['left', 'center', 'right'].includes(align[column])
+      ? ` style="text-align: ${align[column]}"`
+      : '';
+    return `<${tag}${alignment}>${renderMarkdown(String(cell ?? ''), options, true)}</${tag}>`;
+  };
+
+  const headHtml = headers
+    .map((cell, column) => renderCell('th', cell, column))
+    .join('');
+
+  // Pad or trim each row so it lines up with the header row
+  const bodyHtml = rows
+    .map((row) => {
+      const cells = headers.map((_, column) =>
+        renderCell('td', Array.isArray(row) ? row[column] : '', column)
+      );
+      return `<tr>${cells.join('')}</tr>`;
+    })
+    .join('');
+
+  const captionHtml = caption
+    ? `<caption class="${className(options, 'caption')}">${sanitizeHtml(caption)}</caption>`
+    : '';
+
+  return `<table class="${className(options, 'table')}">${captionHtml}<thead><tr>${headHtml}</tr></thead><tbody>${bodyHtml}</tbody></table>`;
+}
+
+/**
+ * Render the child blocks of a container block
+ * @param {Object} block - Container block data
+ * @param {Object} options - Rendering options
+ * @returns {string} HTML representation of the children
+ */
+function renderChildren(block, options) {
+  const children = Array.isArray(block.children) ? block.children : [];
+  return children.map((child) => renderBlock(child, options)).join('\n');
+}
+
+/**
+ * Render a section block
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} HTML representation
+ */
+function renderSectionBlock(block, options) {
+  return `<section class="${className(options, 'section')}">${renderChildren(block, options)}</section>`;
+}
+
+/**
+ * Render a columns block, placing each child in its own column
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} HTML representation
+ */
+function renderColumnsBlock(block, options) {
+  const children = Array.isArray(block.children) ? block.children : [];
+  const columnsHtml = children
+    .map((child) => `<div class="${className(options, 'column')}">${renderBlock(child, options)}</div>`)
+    .join('');
+
+  return `<div class="${className(options, 'columns')}" style="--${className(options, 'column-count')}: ${children.length}">${columnsHtml}</div>`;
+}
+
+/**
+ * Render a toggle block as a collapsible details element
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
  * @returns {string} HTML representation
  */
-function renderDividerBlock() {
-  return '<hr class="blockdoc-divider" />';
+function renderToggleBlock(block, options) {
+  return `<details class="${className(options, 'toggle')}"><summary class="${className(options, 'toggle-summary')}">${sanitizeHtml(
+    block.content
+  )}</summary>${renderChildren(block, options)}</details>`;
 }
 
 /**
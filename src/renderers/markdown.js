@@ -4,42 +4,81 @@
  * Converts BlockDoc documents to Markdown
  */
 
+import { marked } from 'marked';
+import { getBlockType, isContainerType } from '../core/registry.js';
+import { walkBlocks } from '../core/tree.js';
+import { getOutline, headingAnchors, normalizeHeadingLevel } from '../core/outline.js';
+import { stringifyFrontMatter } from '../utils/front-matter.js';
+import { encodeBlock, formatBlockMarker, formatEndMarker } from '../utils/blockdoc-markdown.js';
+
+/**
+ * Options used when renderToMarkdown() is called without them
+ * @type {Object}
+ */
+const DEFAULT_OPTIONS = {
+  toc: false,
+  frontMatter: false,
+  dialect: 'gfm',
+  bullet: '-',
+  emphasis: '*',
+  blockIds: false,
+};
+
 /**
  * Render a BlockDoc document to Markdown
  * @param {Object} article - The article object from a BlockDoc document
+ * @param {Object} [options] - Rendering options
+ * @param {Object|boolean} [options.toc=false] - Table of contents, as true or `{ maxLevel, title }`; it is
+ *   rendered at the first `toc` block, or after the title and metadata if there is none
+ * @param {boolean} [options.anchors] - Whether to add an anchor named after the block ID to
+ *   headings; on by default when a table of contents is rendered
+ * @param {string|boolean} [options.frontMatter=false] - 'yaml' or 'toml' to write the title and
+ *   all metadata as front matter instead of a title heading and metadata quote
+ * @param {string} [options.dialect='gfm'] - 'gfm', 'commonmark' to write tables as HTML, or
+ *   'blockdoc' for BlockDoc-flavoured Markdown, which parseMarkdown() turns back into the same article
+ * @param {string} [options.bullet='-'] - Marker of unordered list items: '-', '*' or '+'
+ * @param {string} [options.emphasis='*'] - Emphasis delimiter: '*' or '_'
+ * @param {boolean} [options.blockIds=false] - Whether to write an HTML comment with the block
+ *   ID before each block, so the IDs are kept when the Markdown is imported
  * @returns {string} Markdown representation
+ * @throws {Error} If the article structure or an option is invalid
  */
-export function renderToMarkdown(article) {
+export function renderToMarkdown(article, options = {}) {
   if (!article || !article.blocks || !Array.isArray(article.blocks)) {
     throw new Error('Invalid article structure');
   }
 
-  const markdown = [
-    `# ${article.title}`,
-    ''
-  ];
+  const config = resolveOptions(options);
 
-  // Add metadata if present
-  if (article.metadata) {
-    if (article.metadata.author) {
-      markdown.push(`> Author: ${article.metadata.author}`);
-    }
-    
-    if (article.metadata.publishedDate) {
-      const date = new Date(article.metadata.publishedDate);
-      markdown.push(`> Published: ${date.toDateString()}`);
-    }
-    
-    if (article.metadata.tags && Array.isArray(article.metadata.tags) && article.metadata.tags.length > 0) {
-      markdown.push(`> Tags: ${article.metadata.tags.join(', ')}`);
-    }
-    
+  if (config.dialect === 'blockdoc') {
+    return renderBlockDocMarkdown(article, config);
+  }
+
+  const hasTocBlock = !walkBlocks(article.blocks, (block) => block.type !== 'toc');
+  const toc = config.toc === true ? {} : config.toc || {};
+  config.anchors = options.anchors ?? Boolean(config.toc || hasTocBlock);
+  config.anchorIds = headingAnchors(article.blocks);
+  config.outline = getOutline(article.blocks, { maxLevel: toc.maxLevel });
+
+  const markdown = [];
+
+  if (config.frontMatter) {
+    markdown.push(stringifyFrontMatter({ title: article.title, ...article.metadata }, config.frontMatter));
+    markdown.push('');
+  } else {
+    markdown.push(`# ${article.title}`);
+    markdown.push('');
+    markdown.push(...renderMetadataToMarkdown(article.metadata));
+  }
+
+  if (config.toc && !hasTocBlock) {
+    markdown.push(renderTableOfContentsToMarkdown(config));
     markdown.push('');
   }
 
   // Render each block
   article.blocks.forEach((block) => {
-    markdown.push(renderBlockToMarkdown(block));
+    markdown.push(renderBlockToMarkdown(block, config));
     markdown.push(''); // Add a blank line after each block
   });
 
@@ -47,33 +86,158 @@ export function renderToMarkdown(article) {
 }
 
 /**
- * Render a single block to Markdown
+ * Merge rendering options with the defaults and check them
+ * @param {Object} options - Rendering options
+ * @returns {Object} Complete options
+ * @throws {Error} If an option has an invalid value
+ */
+function resolveOptions(options) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  if (config.frontMatter !== false && !['yaml', 'toml'].includes(config.frontMatter)) {
+    throw new Error(`Unknown front matter format "${config.frontMatter}"`);
+  }
+  if (!['gfm', 'commonmark', 'blockdoc'].includes(config.dialect)) {
+    throw new Error(`Unknown Markdown dialect "${config.dialect}"`);
+  }
+  if (!['-', '*', '+'].includes(config.bullet)) {
+    throw new Error('Bullet must be one of -, * or +');
+  }
+  if (!['*', '_'].includes(config.emphasis)) {
+    throw new Error('Emphasis must be * or _');
+  }
+
+  return config;
+}
+
+/**
+ * Render BlockDoc-flavoured Markdown: front matter with the title and metadata,
+ * then each block as a marker comment followed by its Markdown. Properties the
+ * Markdown can't express exactly are kept as JSON in the marker, and containers
+ * end with a marker after their children.
+ * @param {Object} article - The article object from a BlockDoc document
+ * @param {Object} options - Rendering options
+ * @returns {string} Markdown representation
+ */
+function renderBlockDocMarkdown(article, options) {
+  const markdown = [stringifyFrontMatter({ title: article.title, ...article.metadata }, options.frontMatter || 'yaml'), ''];
+
+  const renderBlocks = (blocks) => {
+    blocks.forEach((block) => {
+      const { body, annotation } = encodeBlock(block);
+
+      markdown.push(formatBlockMarker(block.id, block.type, annotation));
+      if (body) {
+        markdown.push(body);
+      }
+      markdown.push('');
+
+      if (isContainerType(block.type)) {
+        renderBlocks(block.children || []);
+        markdown.push(formatEndMarker(block.id), '');
+      }
+    });
+  };
+
+  renderBlocks(article.blocks);
+  return markdown.join('\n');
+}
+
+/**
+ * Render the metadata as a quote below the title
+ * @param {Object} [metadata] - Document metadata
+ * @returns {Array<string>} Markdown lines
+ */
+function renderMetadataToMarkdown(metadata) {
+  if (!metadata) {
+    return [];
+  }
+
+  const lines = [];
+
+  if (metadata.author) {
+    lines.push(`> Author: ${metadata.author}`);
+  }
+
+  if (metadata.publishedDate) {
+    const date = new Date(metadata.publishedDate);
+    lines.push(`> Published: ${date.toDateString()}`);
+  }
+
+  if (metadata.tags && Array.isArray(metadata.tags) && metadata.tags.length > 0) {
+    lines.push(`> Tags: ${metadata.tags.join(', ')}`);
+  }
+
+  lines.push('');
+  return lines;
+}
+
+/**
+ * Render a single block to Markdown, preceded by its ID if enabled
  * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
  * @returns {string} Markdown representation of the block
  */
-function renderBlockToMarkdown(block) {
+function renderBlockToMarkdown(block, options) {
+  const markdown = renderBlockContentToMarkdown(block, options);
+  return options.blockIds ? `${formatBlockMarker(block.id)}\n${markdown}` : markdown;
+}
+
+/**
+ * Render the content of a block with the built-in renderer of its type
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} Markdown representation of the block content
+ */
+function renderBlockContentToMarkdown(block, options) {
   const { type } = block;
 
   switch (type) {
   case 'text':
     return renderTextBlockToMarkdown(block);
   case 'heading':
-    return renderHeadingBlockToMarkdown(block);
+    return renderHeadingBlockToMarkdown(block, options);
   case 'image':
-    return renderImageBlockToMarkdown(block);
+    return renderImageBlockToMarkdown(block, options);
   case 'code':
     return renderCodeBlockToMarkdown(block);
   case 'list':
-    return renderListBlockToMarkdown(block);
+    return renderListBlockToMarkdown(block, options);
   case 'quote':
     return renderQuoteBlockToMarkdown(block);
   case 'embed':
-    return renderEmbedBlockToMarkdown(block);
+    return renderEmbedBlockToMarkdown(block, options);
   case 'divider':
     return '---';
+  case 'table':
+    return options.dialect === 'commonmark'
+      ? renderTableBlockToHTML(block, options)
+      : renderTableBlockToMarkdown(block, options);
+  case 'section':
+  case 'columns':
+    return renderChildrenToMarkdown(block, options);
+  case 'toggle':
+    return renderToggleBlockToMarkdown(block, options);
+  case 'toc':
+    return renderTableOfContentsToMarkdown(options);
   default:
-    return `[Unknown block type: ${type}]`;
+    return renderCustomBlockToMarkdown(block);
+  }
+}
+
+/**
+ * Render a block of a registered custom type to Markdown
+ * @param {Object} block - Block data
+ * @returns {string} Markdown representation
+ */
+function renderCustomBlockToMarkdown(block) {
+  const definition = getBlockType(block.type);
+
+  if (definition && typeof definition.renderMarkdown === 'function') {
+    return definition.renderMarkdown(block);
   }
+
+  return `[Unknown block type: ${block.type}]`;
 }
 
 /**
@@ -89,28 +253,52 @@ function renderTextBlockToMarkdown(block) {
 /**
  * Render a heading block to Markdown
  * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
  * @returns {string} Markdown representation
  */
-function renderHeadingBlockToMarkdown(block) {
-  const { level, content } = block;
-  const validLevel = Math.min(Math.max(parseInt(level) || 2, 1), 6);
+function renderHeadingBlockToMarkdown(block, options) {
+  const { id, level, content } = block;
+  const validLevel = normalizeHeadingLevel(level);
   const hashtags = '#'.repeat(validLevel);
+  const anchor = options.anchors ? `<a id="${options.anchorIds.get(id)}"></a>` : '';
   
-  return `${hashtags} ${content}`;
+  return `${hashtags} ${anchor}${content}`;
+}
+
+/**
+ * Render the table of contents as a nested list of links to the headings
+ * @param {Object} options - Rendering options
+ * @returns {string} Markdown representation
+ */
+function renderTableOfContentsToMarkdown(options) {
+  const { title } = typeof options.toc === 'object' && options.toc ? options.toc : {};
+  const strong = options.emphasis.repeat(2);
+  const lines = title ? [`${strong}${title}${strong}`, ''] : [];
+
+  const addEntries = (entries, depth) => {
+    entries.forEach((entry) => {
+      lines.push(`${'  '.repeat(depth)}${options.bullet} [${entry.text.replace(/[[\]]/g, '\\$&')}](#${entry.anchor})`);
+      addEntries(entry.children, depth + 1);
+    });
+  };
+  addEntries(options.outline, 0);
+
+  return lines.join('\n');
 }
 
 /**
  * Render an image block to Markdown
  * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
  * @returns {string} Markdown representation
  */
-function renderImageBlockToMarkdown(block) {
+function renderImageBlockToMarkdown(block, options) {
   const { url, alt, caption } = block;
   
   let markdown = `![${alt || ''}](${url})`;
   
   if (caption) {
-    markdown += `\n*${caption}*`;
+    markdown += `\n${emphasize(caption, options)}`;
   }
   
   return markdown;
@@ -130,9 +318,10 @@ function renderCodeBlockToMarkdown(block) {
 /**
  * Render a list block to Markdown
  * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
  * @returns {string} Markdown representation
  */
-function renderListBlockToMarkdown(block) {
+function renderListBlockToMarkdown(block, options) {
   const { items, listType } = block;
   
   if (!items || !Array.isArray(items)) {
@@ -143,7 +332,7 @@ function renderListBlockToMarkdown(block) {
     if (listType === 'ordered') {
       return `${index + 1}. ${item}`;
     } else {
-      return `- ${item}`;
+      return `${options.bullet} ${item}`;
     }
   }).join('\n');
 }
@@ -168,16 +357,146 @@ function renderQuoteBlockToMarkdown(block) {
 /**
  * Render an embed block to Markdown
  * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
  * @returns {string} Markdown representation
  */
-function renderEmbedBlockToMarkdown(block) {
+function renderEmbedBlockToMarkdown(block, options) {
   const { url, caption, embedType } = block;
   
   let markdown = `[${embedType || 'Embedded content'}: ${url}](${url})`;
   
   if (caption) {
-    markdown += `\n*${caption}*`;
+    markdown += `\n${emphasize(caption, options)}`;
   }
   
   return markdown;
-}
\ No newline at end of file
+}
+
+/**
+ * Render a table block to a GFM pipe table
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} Markdown representation
+ */
+function renderTableBlockToMarkdown(block, options) {
+  const { headers, rows, align = [], caption } = block;
+
+  if (!Array.isArray(headers) || !Array.isArray(rows)) {
+    return '[Invalid table data]';
+  }
+
+  const toRow = (cells) => `| ${cells.join(' | ')} |`;
+
+  const delimiters = headers.map((_, column) => {
+    switch (align[column]) {
+    case 'left':
+      return ':---';
+    case 'center':
+      return ':---:';
+    case 'right':
+      return '---:';
+    default:
+      return '---';
+    }
+  });
+
+  const lines = [
+    toRow(headers.map(escapeTableCell)),
+    toRow(delimiters),
+    ...rows.map((row) =>
+      toRow(headers.map((_, column) => escapeTableCell(Array.isArray(row) ? row[column] : '')))
+    ),
+  ];
+
+  let markdown = lines.join('\n');
+
+  if (caption) {
+    markdown += `\n\n${emphasize(caption, options)}`;
+  }
+
+  return markdown;
+}
+
+/**
+ * Render a table block as an HTML table, for Markdown dialects without tables
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} Markdown representation
+ */
+function renderTableBlockToHTML(block, options) {
+  const { headers, rows, align = [], caption } = block;
+
+  if (!Array.isArray(headers) || !Array.isArray(rows)) {
+    return '[Invalid table data]';
+  }
+
+  // Markdown isn't processed inside HTML blocks, so cells are converted here
+  const toRow = (tag, cells) => `<tr>${headers.map((_, column) => {
+    const alignment = ['left', 'center', 'right'].includes(align[column]) ? ` align="${align[column]}"` : '';
+    return `<${tag}${alignment}>${marked.parseInline(String(cells[column] ?? ''))}</${tag}>`;
+  }).join('')}</tr>`;
+
+  const lines = [
+    '<table>',
+    `<thead>${toRow('th', headers)}</thead>`,
+    '<tbody>',
+    ...rows.map((row) => toRow('td', Array.isArray(row) ? row : [])),
+    '</tbody>',
+    '</table>',
+  ];
+
+  if (caption) {
+    lines.push('', emphasize(caption, options));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Emphasize text with the configured delimiter
+ * @param {string} text - Text
+ * @param {Object} options - Rendering options
+ * @returns {string} Markdown representation
+ */
+function emphasize(text, options) {
+  return `${options.emphasis}${text}${options.emphasis}`;
+}
+
+/**
+ * Escape a table cell so it cannot break the pipe table layout
+ * @param {string} cell - Cell content
+ * @returns {string} Escaped cell content
+ */
+function escapeTableCell(cell) {
+  return String(cell ?? '')
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Render the child blocks of a container block to Markdown
+ * @param {Object} block - Container block data
+ * @param {Object} options - Rendering options
+ * @returns {string} Markdown representation of the children
+ */
+function renderChildrenToMarkdown(block, options) {
+  const children = Array.isArray(block.children) ? block.children : [];
+  return children.map((child) => renderBlockToMarkdown(child, options)).join('\n\n');
+}
+
+/**
+ * Render a toggle block to Markdown using a details element
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} Markdown representation
+ */
+function renderToggleBlockToMarkdown(block, options) {
+  return [
+    '<details>',
+    `<summary>${block.content}</summary>`,
+    '',
+    renderChildrenToMarkdown(block, options),
+    '',
+    '</details>',
+  ].join('\n');
+}
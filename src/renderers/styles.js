@@ -0,0 +1,156 @@
+/**
+ * BlockDoc Styles
+ *
+ * Default stylesheet for the HTML renderer output, with light and dark themes
+ */
+
+/**
+ * Colors of each theme. The syntax colors follow the GitHub highlight.js themes.
+ * @type {Object<string, Object<string, string>>}
+ */
+export const THEMES = Object.freeze({
+  light: Object.freeze({
+    text: '#24292e',
+    background: '#ffffff',
+    muted: '#6a737d',
+    border: '#e1e4e8',
+    accent: '#0366d6',
+    surface: '#f6f8fa',
+    'syntax-text': '#24292e',
+    'syntax-keyword': '#d73a49',
+    'syntax-entity': '#6f42c1',
+    'syntax-constant': '#005cc5',
+    'syntax-string': '#032f62',
+    'syntax-variable': '#e36209',
+    'syntax-comment': '#6a737d',
+    'syntax-tag': '#22863a',
+    'syntax-bullet': '#735c0f',
+    'syntax-inserted': '#22863a',
+    'syntax-inserted-background': '#f0fff4',
+    'syntax-deleted': '#b31d28',
+    'syntax-deleted-background': '#ffeef0',
+  }),
+  dark: Object.freeze({
+    text: '#c9d1d9',
+    background: '#0d1117',
+    muted: '#8b949e',
+    border: '#30363d',
+    accent: '#58a6ff',
+    surface: '#161b22',
+    'syntax-text': '#c9d1d9',
+    'syntax-keyword': '#ff7b72',
+    'syntax-entity': '#d2a8ff',
+    'syntax-constant': '#79c0ff',
+    'syntax-string': '#a5d6ff',
+    'syntax-variable': '#ffa657',
+    'syntax-comment': '#8b949e',
+    'syntax-tag': '#7ee787',
+    'syntax-bullet': '#f2cc60',
+    'syntax-inserted': '#aff5b4',
+    'syntax-inserted-background': '#033a16',
+    'syntax-deleted': '#ffdcd7',
+    'syntax-deleted-background': '#67060c',
+  }),
+});
+
+/**
+ * Token classes of highlight.js by theme color
+ * @type {Array<Array>}
+ */
+const SYNTAX_RULES = [
+  [['doctag', 'keyword', 'meta .hljs-keyword', 'template-tag', 'template-variable', 'type', 'variable.language_'], 'color: var(--{p}syntax-keyword)'],
+  [['title', 'title.class_', 'title.class_.inherited__', 'title.function_'], 'color: var(--{p}syntax-entity)'],
+  [['attr', 'attribute', 'literal', 'meta', 'number', 'operator', 'variable', 'selector-attr', 'selector-class', 'selector-id'], 'color: var(--{p}syntax-constant)'],
+  [['regexp', 'string', 'meta .hljs-string'], 'color: var(--{p}syntax-string)'],
+  [['built_in', 'symbol'], 'color: var(--{p}syntax-variable)'],
+  [['comment', 'code', 'formula'], 'color: var(--{p}syntax-comment)'],
+  [['name', 'quote', 'selector-tag', 'selector-pseudo'], 'color: var(--{p}syntax-tag)'],
+  [['subst', 'emphasis', 'strong'], 'color: var(--{p}syntax-text)'],
+  [['section'], 'color: var(--{p}syntax-constant); font-weight: bold'],
+  [['bullet'], 'color: var(--{p}syntax-bullet)'],
+  [['emphasis'], 'font-style: italic'],
+  [['strong'], 'font-weight: bold'],
+  [['addition'], 'color: var(--{p}syntax-inserted); background-color: var(--{p}syntax-inserted-background)'],
+  [['deletion'], 'color: var(--{p}syntax-deleted); background-color: var(--{p}syntax-deleted-background)'],
+];
+
+/**
+ * Build the default stylesheet for HTML rendered with the given class prefix
+ * @param {Object} [options] - Stylesheet options
+ * @param {string} [options.theme='light'] - 'light', 'dark', or 'auto' to follow the
+ *   color scheme preferred by the reader
+ * @param {string} [options.classPrefix='blockdoc'] - Class prefix used when rendering
+ * @returns {string} CSS
+ * @throws {Error} If the theme is unknown
+ */
+export function getStylesheet({ theme = 'light', classPrefix = 'blockdoc' } = {}) {
+  if (theme !== 'auto' && !Object.prototype.hasOwnProperty.call(THEMES, theme)) {
+    throw new Error(`Unknown theme "${theme}"`);
+  }
+
+  const prefix = classPrefix ? `${classPrefix}-` : '';
+  const c = (name) => `.${prefix}${name}`;
+  const v = (name) => `var(--${prefix}${name})`;
+
+  const variables = theme === 'auto'
+    ? [
+      `:root { color-scheme: light dark; ${themeVariables('light', prefix)} }`,
+      `@media (prefers-color-scheme: dark) { :root { ${themeVariables('dark', prefix)} } }`,
+    ]
+    : [`:root { color-scheme: ${theme}; ${themeVariables(theme, prefix)} }`];
+
+  const layout = [
+    `body { margin: 0; color: ${v('text')}; background: ${v('background')}; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; }`,
+    `a { color: ${v('accent')}; }`,
+    `${c('article')} { max-width: 48rem; margin: 0 auto; padding: 2rem 1rem; }`,
+    `${c('title')} { margin: 0 0 1.5rem; font-size: 2.25rem; line-height: 1.2; }`,
+    `${c('block')} { margin: 0 0 1.25rem; }`,
+    `${c('block')} > :first-child { margin-top: 0; }`,
+    `${c('block')} > :last-child { margin-bottom: 0; }`,
+    `${c('figure')} { margin: 0; }`,
+    `${c('image')} { display: block; max-width: 100%; height: auto; }`,
+    `${c('caption')} { margin-top: 0.5rem; color: ${v('muted')}; font-size: 0.875rem; }`,
+    `${c('pre')} { margin: 0; padding: 1rem; overflow-x: auto; background: ${v('surface')}; border: 1px solid ${v('border')}; border-radius: 6px; white-space: pre-wrap; }`,
+    `${c('code')} { font-family: SFMono-Regular, Consolas, "Liberation Mono", Menlo, monospace; font-size: 0.875rem; color: ${v('syntax-text')}; }`,
+    `${c('list')} { padding-left: 1.5rem; }`,
+    `${c('list')} li > p { margin: 0; }`,
+    `${c('quote')} { margin: 0; padding: 0 1rem; color: ${v('muted')}; border-left: 4px solid ${v('border')}; }`,
+    `${c('attribution')} { display: block; margin-top: 0.5rem; color: ${v('muted')}; font-size: 0.875rem; }`,
+    `${c('attribution')}::before { content: "— "; }`,
+    `${c('embed')}, ${c('embed-container')} { position: relative; max-width: 100%; }`,
+    `${c('embed')} iframe, ${c('embed-container')} iframe { max-width: 100%; border: 0; }`,
+    `${c('divider')} { height: 1px; margin: 2rem 0; background: ${v('border')}; border: 0; }`,
+    `${c('table')} { width: 100%; border-collapse: collapse; }`,
+    `${c('table')} th, ${c('table')} td { padding: 0.5rem 0.75rem; border: 1px solid ${v('border')}; }`,
+    `${c('table')} th { background: ${v('surface')}; }`,
+    `${c('table')} ${c('caption')} { caption-side: bottom; }`,
+    `${c('section')} { padding: 1rem; border: 1px solid ${v('border')}; border-radius: 6px; }`,
+    `${c('columns')} { display: grid; grid-template-columns: repeat(var(--${prefix}column-count, 2), minmax(0, 1fr)); gap: 1.5rem; }`,
+    `@media (max-width: 40rem) { ${c('columns')} { grid-template-columns: minmax(0, 1fr); } }`,
+    `${c('toggle')} { padding: 0.5rem 1rem; border: 1px solid ${v('border')}; border-radius: 6px; }`,
+    `${c('toggle-summary')} { cursor: pointer; font-weight: 600; }`,
+    `${c('toggle')}[open] > ${c('toggle-summary')} { margin-bottom: 0.75rem; }`,
+    `${c('toc')} { padding: 1rem; background: ${v('surface')}; border-radius: 6px; }`,
+    `${c('toc-title')} { margin: 0 0 0.5rem; font-weight: 600; }`,
+    `${c('toc-list')} { margin: 0; padding-left: 1.25rem; }`,
+  ];
+
+  const syntax = SYNTAX_RULES.map(([tokens, declarations]) => {
+    const selectors = tokens.map((token) => `${c('code')} .hljs-${token}`).join(', ');
+    return `${selectors} { ${declarations.replace(/\{p\}/g, prefix)}; }`;
+  });
+
+  return [...variables, ...layout, ...syntax].join('\n');
+}
+
+/**
+ * Declare the colors of a theme as CSS custom properties
+ * @param {string} theme - Theme name
+ * @param {string} prefix - Class prefix including the trailing dash
+ * @returns {string} CSS declarations
+ */
+function themeVariables(theme, prefix) {
+  return Object.entries(THEMES[theme])
+    .map(([name, value]) => `--${prefix}${name}: ${value};`)
+    .join(' ');
+}
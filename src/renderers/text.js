@@ -0,0 +1,351 @@
+/**
+ * BlockDoc Text Renderer
+ *
+ * Converts BlockDoc documents to plain text for search indexes, previews and LLM context
+ */
+
+import { marked } from 'marked';
+import { getBlockType } from '../core/registry.js';
+import { decodeEntities } from '../utils/html-parser.js';
+
+/**
+ * Options used when renderToText() is called without them
+ * @type {Object}
+ */
+const DEFAULT_OPTIONS = {
+  title: true,
+  width: 0,
+  bullet: '•',
+};
+
+/**
+ * Render a BlockDoc document to plain text
+ * @param {Object} article - The article object from a BlockDoc document
+ * @param {Object} [options] - Rendering options
+ * @param {boolean} [options.title=true] - Whether to start with the title
+ * @param {number} [options.width=0] - Wrap lines longer than this many characters, 0 for no wrapping
+ * @param {string} [options.bullet='•'] - Marker of unordered list items
+ * @returns {string} Text representation
+ * @throws {Error} If the article structure or an option is invalid
+ */
+export function renderToText(article, options = {}) {
+  if (!article || !article.blocks || !Array.isArray(article.blocks)) {
+    throw new Error('Invalid article structure');
+  }
+
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  if (!Number.isInteger(config.width) || config.width < 0) {
+    throw new Error('Wrap width must be a non-negative integer');
+  }
+  if (typeof config.bullet !== 'string') {
+    throw new Error('Bullet must be a string');
+  }
+
+  const parts = [];
+
+  if (config.title && article.title) {
+    parts.push(wrap(article.title, config.width));
+  }
+
+  parts.push(...renderBlocksToText(article.blocks, config));
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Remove Markdown syntax, keeping the text a reader would see
+ * @param {string} markdown - Markdown source
+ * @returns {string} Plain text, with paragraphs separated by a blank line
+ */
+export function stripMarkdown(markdown) {
+  return blockTokensToText(marked.lexer(String(markdown ?? '')), { bullet: DEFAULT_OPTIONS.bullet }).join('\n\n');
+}
+
+/**
+ * Render a list of blocks, leaving out blocks without text
+ * @param {Array<Object>} blocks - Block list
+ * @param {Object} options - Rendering options
+ * @returns {Array<string>} Text of each block
+ */
+function renderBlocksToText(blocks, options) {
+  return blocks
+    .map((block) => renderBlockToText(block, options))
+    .filter((text) => text !== '');
+}
+
+/**
+ * Render a single block to plain text
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} Text representation of the block, '' if it has no text
+ */
+function renderBlockToText(block, options) {
+  switch (block.type) {
+  case 'text':
+    return renderMarkdownToText(block.content, options);
+  case 'heading':
+    return wrap(String(block.content ?? ''), options.width);
+  case 'image':
+    return renderImageBlockToText(block, options);
+  case 'code':
+    return String(block.content ?? '');
+  case 'list':
+    return renderListBlockToText(block, options);
+  case 'quote':
+    return renderQuoteBlockToText(block, options);
+  case 'embed':
+    return renderEmbedBlockToText(block, options);
+  case 'table':
+    return renderTableBlockToText(block, options);
+  case 'section':
+  case 'columns':
+    return renderBlocksToText(block.children || [], options).join('\n\n');
+  case 'toggle':
+    return [wrap(String(block.content ?? ''), options.width), ...renderBlocksToText(block.children || [], options)]
+      .filter((text) => text !== '')
+      .join('\n\n');
+  case 'divider':
+  case 'toc':
+    return '';
+  default:
+    return renderCustomBlockToText(block, options);
+  }
+}
+
+/**
+ * Render a block of a registered custom type to plain text
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} Text representation
+ */
+function renderCustomBlockToText(block, options) {
+  const definition = getBlockType(block.type);
+
+  if (definition && typeof definition.renderText === 'function') {
+    return definition.renderText(block);
+  }
+
+  // Unknown types keep their content, which is Markdown for most blocks
+  return typeof block.content === 'string' ? renderMarkdownToText(block.content, options) : '';
+}
+
+/**
+ * Convert Markdown content to wrapped plain text
+ * @param {string} markdown - Markdown source
+ * @param {Object} options - Rendering options
+ * @returns {string} Text representation
+ */
+function renderMarkdownToText(markdown, options) {
+  return blockTokensToText(marked.lexer(String(markdown ?? '')), options)
+    .map((text) => wrap(text, options.width))
+    .join('\n\n');
+}
+
+/**
+ * Represent an image by its alternative text and caption
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} Text representation
+ */
+function renderImageBlockToText(block, options) {
+  const { alt, caption } = block;
+  const lines = [alt, caption].filter((text, index, all) => text && all.indexOf(text) === index);
+  return lines.map((text) => wrap(text, options.width)).join('\n');
+}
+
+/**
+ * Render a list block with a bullet or number in front of each item
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} Text representation
+ */
+function renderListBlockToText(block, options) {
+  if (!Array.isArray(block.items)) {
+    return '';
+  }
+
+  return block.items
+    .map((item, index) => {
+      const marker = block.listType === 'ordered' ? `${index + 1}.` : options.bullet;
+      return wrap(blockTokensToText(marked.lexer(String(item ?? '')), options).join(' '), options.width, `${marker} `);
+    })
+    .join('\n');
+}
+
+/**
+ * Render a quote block, followed by its attribution
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} Text representation
+ */
+function renderQuoteBlockToText(block, options) {
+  const text = renderMarkdownToText(block.content, options);
+  return block.attribution ? `${text}\n${wrap(`— ${block.attribution}`, options.width)}` : text;
+}
+
+/**
+ * Represent an embed by its URL and caption
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} Text representation
+ */
+function renderEmbedBlockToText(block, options) {
+  const { url, caption } = block;
+  return [url, caption && wrap(caption, options.width)].filter(Boolean).join('\n');
+}
+
+/**
+ * Render a table block as one line per row, cells separated by a vertical bar
+ * @param {Object} block - Block data
+ * @param {Object} options - Rendering options
+ * @returns {string} Text representation
+ */
+function renderTableBlockToText(block, options) {
+  const { headers, rows, caption } = block;
+
+  if (!Array.isArray(headers) || !Array.isArray(rows)) {
+    return '';
+  }
+
+  const toLine = (cells) => headers
+    .map((_, column) => inlineTokensToText(marked.Lexer.lexInline(String(cells[column] ?? ''))).trim())
+    .join(' | ');
+
+  const lines = [toLine(headers), ...rows.map((row) => toLine(Array.isArray(row) ? row : []))];
+
+  if (caption) {
+    lines.push(wrap(caption, options.width));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert block-level Markdown tokens to plain text
+ * @param {Array<Object>} tokens - Tokens from marked.lexer()
+ * @param {Object} options - Rendering options
+ * @returns {Array<string>} Text of each paragraph-like token
+ */
+function blockTokensToText(tokens, options) {
+  const parts = [];
+
+  tokens.forEach((token) => {
+    switch (token.type) {
+    case 'paragraph':
+    case 'heading':
+    case 'text':
+      parts.push(token.tokens ? inlineTokensToText(token.tokens) : decodeEntities(token.text));
+      break;
+    case 'code':
+      parts.push(token.text);
+      break;
+    case 'blockquote':
+      parts.push(...blockTokensToText(token.tokens, options));
+      break;
+    case 'list':
+      parts.push(token.items
+        .map((item, index) => {
+          const marker = token.ordered ? `${(Number(token.start) || 1) + index}.` : options.bullet;
+          return `${marker} ${blockTokensToText(item.tokens, options).join(' ')}`;
+        })
+        .join('\n'));
+      break;
+    case 'table':
+      parts.push([token.header, ...token.rows]
+        .map((row) => row.map((cell) => inlineTokensToText(cell.tokens).trim()).join(' | '))
+        .join('\n'));
+      break;
+    case 'html':
+      parts.push(stripTags(token.text));
+      break;
+    default:
+      // Spaces, rules and definitions have no text
+      break;
+    }
+  });
+
+  return parts.map((text) => text.trim()).filter((text) => text !== '');
+}
+
+/**
+ * Convert inline Markdown tokens to plain text. Soft line breaks become
+ * spaces and hard line breaks are kept.
+ * @param {Array<Object>} tokens - Inline tokens
+ * @returns {string} Text
+ */
+function inlineTokensToText(tokens) {
+  return tokens
+    .map((token) => {
+      switch (token.type) {
+      case 'strong':
+      case 'em':
+      case 'del':
+      case 'link':
+        return inlineTokensToText(token.tokens);
+      case 'text':
+        return token.tokens ? inlineTokensToText(token.tokens) : decodeEntities(token.text).replace(/\s*\n\s*/g, ' ');
+      case 'image':
+      case 'codespan':
+      case 'escape':
+        return decodeEntities(token.text);
+      case 'br':
+        return '\n';
+      case 'html':
+        return stripTags(token.text);
+      default:
+        return decodeEntities(token.text || '');
+      }
+    })
+    .join('')
+    .replace(/ *\n */g, '\n');
+}
+
+/**
+ * Remove HTML tags from raw HTML in Markdown
+ * @param {string} html - HTML source
+ * @returns {string} Text
+ */
+function stripTags(html) {
+  return decodeEntities(html.replace(/<!--[\s\S]*?-->|<[^>]*>/g, ''));
+}
+
+/**
+ * Wrap text to a maximum line width, breaking at spaces. Existing line breaks
+ * are kept and words longer than the width are not broken.
+ * @param {string} text - Text to wrap
+ * @param {number} width - Maximum line length, 0 for no wrapping
+ * @param {string} [prefix=''] - Text in front of the first line; following
+ *   lines are indented by its length
+ * @returns {string} Wrapped text
+ */
+function wrap(text, width, prefix = '') {
+  const indent = ' '.repeat(prefix.length);
+
+  if (!width) {
+    return prefix + text.split('\n').join(`\n${indent}`);
+  }
+
+  const lines = [];
+
+  text.split('\n').forEach((paragraph) => {
+    let line = '';
+
+    paragraph.split(/ +/).filter(Boolean).forEach((word) => {
+      const lead = lines.length === 0 && line === '' ? prefix : indent;
+
+      if (line === '') {
+        line = lead + word;
+      } else if (line.length + 1 + word.length <= width) {
+        line += ` ${word}`;
+      } else {
+        lines.push(line);
+        line = indent + word;
+      }
+    });
+
+    lines.push(line || (lines.length === 0 ? prefix.trimEnd() : ''));
+  });
+
+  return lines.join('\n');
+}
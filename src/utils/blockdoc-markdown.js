@@ -0,0 +1,500 @@
+/**
+ * BlockDoc Markdown Utilities
+ *
+ * Block markers and the Markdown body of each block type in BlockDoc-flavoured
+ * Markdown, the lossless Markdown written and read with `dialect: 'blockdoc'`
+ */
+
+import { isDeepEqual } from './equal.js';
+
+const MARKER_PATTERN = /^<!--\s*block:("(?:[^"\\]|\\.)*"|[^\s"]+?)(?:\s+([A-Za-z0-9_-]+))?(?:\s+(\{.*\}))?\s*-->\s*$/;
+const END_MARKER_PATTERN = /^<!--\s*\/block:("(?:[^"\\]|\\.)*"|[^\s"]+?)\s*-->\s*$/;
+const SAFE_ID_PATTERN = /^[A-Za-z0-9_.:-]+$/;
+
+// Annotation key listing properties the body implies but the block doesn't have
+const OMIT_KEY = '$omit';
+
+/**
+ * Write the comment that starts a block
+ * @param {string} id - Block ID
+ * @param {string} [type] - Block type
+ * @param {Object} [annotation] - Properties stored in the marker
+ * @returns {string} Marker comment
+ */
+export function formatBlockMarker(id, type, annotation) {
+  const parts = [`block:${formatMarkerId(id)}`];
+
+  if (type) {
+    parts.push(type);
+  }
+  if (annotation && Object.keys(annotation).length > 0) {
+    parts.push(toCommentJson(annotation));
+  }
+
+  return `<!-- ${parts.join(' ')} -->`;
+}
+
+/**
+ * Write the comment that ends a container block
+ * @param {string} id - Block ID
+ * @returns {string} Marker comment
+ */
+export function formatEndMarker(id) {
+  return `<!-- /block:${formatMarkerId(id)} -->`;
+}
+
+/**
+ * Read a block marker
+ * @param {string} line - Line of Markdown
+ * @returns {Object|null} Marker as { id, type, annotation }, with type and annotation null when
+ *   missing, or null if the line is not a marker
+ * @throws {Error} If the annotation is not valid JSON
+ */
+export function parseBlockMarker(line) {
+  const match = line.match(MARKER_PATTERN);
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    id: parseMarkerId(match[1]),
+    type: match[2] || null,
+    annotation: match[3] ? JSON.parse(match[3]) : null,
+  };
+}
+
+/**
+ * Read the marker ending a container block
+ * @param {string} line - Line of Markdown
+ * @returns {string|null} Block ID, or null if the line is not an end marker
+ */
+export function parseEndMarker(line) {
+  const match = line.match(END_MARKER_PATTERN);
+  return match ? parseMarkerId(match[1]) : null;
+}
+
+/**
+ * Turn the lines between two markers into the body of a block, ignoring the
+ * blank lines around it
+ * @param {string} text - Raw body
+ * @returns {string} Body
+ */
+export function normalizeBody(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/^(?:[ \t]*\n)+/, '')
+    .replace(/(?:\n[ \t]*)+$/, '')
+    .replace(/^[ \t]+$/, '');
+}
+
+/**
+ * Write a block as BlockDoc-flavoured Markdown: a body readers can edit, and an
+ * annotation holding whatever the body can't reproduce exactly
+ * @param {Object} block - Block data
+ * @returns {Object} Markdown as { body, annotation }
+ */
+export function encodeBlock(block) {
+  let body = encodeBody(block);
+
+  // A body line that looks like a marker would split the block when read back
+  if (body.split('\n').some((line) => parseBlockMarker(line) || parseEndMarker(line) !== null)) {
+    body = '';
+  }
+
+  return { body, annotation: describeDifferences(block, decodeBody(block.type, normalizeBody(body))) };
+}
+
+/**
+ * Read the properties of a block from its body and annotation
+ * @param {string} type - Block type
+ * @param {string} body - Raw body
+ * @param {Object|null} annotation - Annotation from the marker
+ * @returns {Object} Block properties other than id, type and children
+ */
+export function decodeBlock(type, body, annotation) {
+  const { [OMIT_KEY]: omit = [], ...stored } = annotation || {};
+  const properties = { ...decodeBody(type, normalizeBody(body)), ...stored };
+
+  omit.forEach((key) => delete properties[key]);
+  return properties;
+}
+
+/**
+ * List the properties of a block that its body doesn't reproduce
+ * @param {Object} block - Block data
+ * @param {Object} decoded - Properties read from the body
+ * @returns {Object} Annotation
+ */
+function describeDifferences(block, decoded) {
+  const annotation = {};
+  const omit = [];
+
+  Object.keys(block).forEach((key) => {
+    if (!['id', 'type', 'children'].includes(key) && !isDeepEqual(block[key], decoded[key])) {
+      annotation[key] = block[key];
+    }
+  });
+  Object.keys(decoded).forEach((key) => {
+    if (block[key] === undefined && decoded[key] !== undefined) {
+      omit.push(key);
+    }
+  });
+
+  if (omit.length > 0) {
+    annotation[OMIT_KEY] = omit;
+  }
+  return annotation;
+}
+
+/**
+ * Write the Markdown body of a block
+ * @param {Object} block - Block data
+ * @returns {string} Body
+ */
+function encodeBody(block) {
+  switch (block.type) {
+  case 'heading':
+    return `${'#'.repeat(Math.min(Math.max(parseInt(block.level) || 2, 1), 6))} ${block.content ?? ''}`;
+  case 'image': {
+    const image = `![${escape(block.alt ?? '', '[]')}](<${escape(block.url ?? '', '<>')}>)`;
+    return block.caption ? `${image}\n${emphasis(block.caption)}` : image;
+  }
+  case 'code': {
+    const longest = Math.max(0, ...(String(block.content ?? '').match(/`+/g) || []).map((run) => run.length));
+    const fence = '`'.repeat(Math.max(3, longest + 1));
+    return `${fence}${block.language ?? ''}\n${block.content ?? ''}\n${fence}`;
+  }
+  case 'list':
+    return encodeList(block);
+  case 'quote': {
+    const quote = String(block.content ?? '').split('\n').map((line) => (line ? `> ${line}` : '>')).join('\n');
+    return block.attribution ? `${quote}\n\n— ${block.attribution}` : quote;
+  }
+  case 'embed': {
+    const link = block.embedType
+      ? `[${escape(block.embedType, '[]')}](<${escape(block.url ?? '', '<>')}>)`
+      : `<${block.url ?? ''}>`;
+    return block.caption ? `${link}\n${emphasis(block.caption)}` : link;
+  }
+  case 'divider':
+    return '---';
+  case 'table':
+    return encodeTable(block);
+  case 'section':
+  case 'columns':
+  case 'toc':
+    return '';
+  default:
+    return typeof block.content === 'string' ? block.content : '';
+  }
+}
+
+/**
+ * Read the properties a body describes
+ * @param {string} type - Block type
+ * @param {string} body - Normalized body
+ * @returns {Object} Block properties
+ */
+function decodeBody(type, body) {
+  switch (type) {
+  case 'heading': {
+    const match = body.match(/^(#{1,6}) ([\s\S]*)$/);
+    return match ? { content: match[2], level: match[1].length } : { content: body };
+  }
+  case 'image':
+    return decodeImage(body);
+  case 'code': {
+    const match = body.match(/^(`{3,})([^\n`]*)\n([\s\S]*)\n\1$/) || body.match(/^(`{3,})([^\n`]*)\n()\1$/);
+    return match ? { content: match[3], language: match[2] } : { content: body };
+  }
+  case 'list':
+    return decodeList(body);
+  case 'quote':
+    return decodeQuote(body);
+  case 'embed':
+    return decodeEmbed(body);
+  case 'table':
+    return decodeTable(body);
+  case 'divider':
+  case 'section':
+  case 'columns':
+  case 'toc':
+    return { content: '' };
+  default:
+    return { content: body };
+  }
+}
+
+/**
+ * Write the items of a list block, indenting their following lines under the marker
+ * @param {Object} block - Block data
+ * @returns {string} Body
+ */
+function encodeList(block) {
+  const items = Array.isArray(block.items) ? block.items : [];
+
+  return items
+    .map((item, index) => {
+      const marker = block.listType === 'ordered' ? `${index + 1}. ` : '- ';
+      const indent = ' '.repeat(marker.length);
+      const [first, ...rest] = String(item).split('\n');
+      return [first ? marker + first : marker.trimEnd(), ...rest.map((line) => (line ? indent + line : ''))].join('\n');
+    })
+    .join('\n');
+}
+
+/**
+ * Read a list body
+ * @param {string} body - Normalized body
+ * @returns {Object} List properties
+ */
+function decodeList(body) {
+  const items = [];
+  let listType = null;
+  let indent = 0;
+
+  if (body) {
+    body.split('\n').forEach((line) => {
+      const match = line.match(/^(?:(\d+)\.|-)(?: |$)/);
+
+      if (match) {
+        listType = listType || (match[1] ? 'ordered' : 'unordered');
+        indent = match[0].endsWith(' ') ? match[0].length : match[0].length + 1;
+        items.push(line.slice(match[0].length));
+      } else if (items.length > 0) {
+        const spaces = line.match(/^ */)[0].length;
+        items[items.length - 1] += `\n${line.slice(Math.min(spaces, indent))}`;
+      } else {
+        items.push(line);
+      }
+    });
+  }
+
+  return listType ? { content: '', items, listType } : { content: '', items };
+}
+
+/**
+ * Read a quote body and its attribution line
+ * @param {string} body - Normalized body
+ * @returns {Object} Quote properties
+ */
+function decodeQuote(body) {
+  const lines = body.split('\n');
+  const last = lines[lines.length - 1];
+  // The attribution is a paragraph of its own, so it isn't part of the quote when rendered
+  const attribution = lines.length > 2 && last.startsWith('— ') && lines[lines.length - 2].trim() === ''
+    ? last.slice(2)
+    : null;
+
+  if (attribution !== null) {
+    lines.splice(-2);
+  }
+
+  const content = lines.map((line) => line.replace(/^> ?/, '')).join('\n');
+  return attribution !== null ? { content, attribution } : { content };
+}
+
+/**
+ * Read an image body: the image, then an optional emphasized caption line
+ * @param {string} body - Normalized body
+ * @returns {Object} Image properties
+ */
+function decodeImage(body) {
+  const [line, captionLine, ...rest] = body.split('\n');
+  const match = line.match(/^!\[((?:[^\]\\]|\\.)*)\]\(<((?:[^>\\]|\\.)*)>\)$/);
+
+  if (!match || rest.length > 0) {
+    return { content: body };
+  }
+
+  const image = { content: '', url: unescape(match[2]), alt: unescape(match[1]) };
+  return addCaption(image, captionLine);
+}
+
+/**
+ * Read an embed body: a link named after the embed type or a bare URL, then
+ * an optional emphasized caption line
+ * @param {string} body - Normalized body
+ * @returns {Object} Embed properties
+ */
+function decodeEmbed(body) {
+  const [line, captionLine, ...rest] = body.split('\n');
+  const link = line.match(/^\[((?:[^\]\\]|\\.)*)\]\(<((?:[^>\\]|\\.)*)>\)$/);
+  const bare = line.match(/^<([^<>]*)>$/);
+
+  if ((!link && !bare) || rest.length > 0) {
+    return { content: body };
+  }
+
+  const embed = link
+    ? { content: '', url: unescape(link[2]), embedType: unescape(link[1]) }
+    : { content: '', url: bare[1] };
+  return addCaption(embed, captionLine);
+}
+
+/**
+ * Add the caption read from an emphasized line
+ * @param {Object} properties - Block properties
+ * @param {string} [line] - Caption line
+ * @returns {Object} Block properties
+ */
+function addCaption(properties, line) {
+  if (line === undefined) {
+    return properties;
+  }
+
+  const match = line.match(/^\*((?:[^*\\]|\\.)*)\*$/);
+  return match ? { ...properties, caption: unescape(match[1]) } : { content: [properties.content, line].join('\n') };
+}
+
+/**
+ * Write a table block as a pipe table followed by its caption
+ * @param {Object} block - Block data
+ * @returns {string} Body
+ */
+function encodeTable(block) {
+  const headers = Array.isArray(block.headers) ? block.headers : [];
+  const rows = Array.isArray(block.rows) ? block.rows : [];
+  const align = Array.isArray(block.align) ? block.align : [];
+
+  const toRow = (cells) => `| ${headers.map((_, column) => escapeCell(cells[column])).join(' | ')} |`;
+  const delimiters = headers.map((_, column) => ({ left: ':---', center: ':---:', right: '---:' }[align[column]] || '---'));
+
+  const lines = [toRow(headers), `| ${delimiters.join(' | ')} |`, ...rows.map((row) => toRow(Array.isArray(row) ? row : []))];
+
+  if (block.caption) {
+    lines.push('', emphasis(block.caption));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Read a pipe table and its caption
+ * @param {string} body - Normalized body
+ * @returns {Object} Table properties
+ */
+function decodeTable(body) {
+  const [table, caption, ...rest] = body.split(/\n[ \t]*\n/);
+  const [headerLine, delimiterLine, ...rowLines] = table.split('\n');
+
+  if (!delimiterLine || !/^\|?[\s:|-]+\|?$/.test(delimiterLine) || rest.length > 0) {
+    return { content: body };
+  }
+
+  const align = splitRow(delimiterLine).map((cell) => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    return left && right ? 'center' : left ? 'left' : right ? 'right' : null;
+  });
+
+  const properties = {
+    content: '',
+    headers: splitRow(headerLine),
+    rows: rowLines.map(splitRow),
+  };
+
+  if (align.some(Boolean)) {
+    properties.align = align;
+  }
+
+  return caption === undefined ? properties : addCaption(properties, caption);
+}
+
+/**
+ * Split a table row into cells, undoing the escapes of escapeCell()
+ * @param {string} line - Table row
+ * @returns {Array<string>} Cells
+ */
+function splitRow(line) {
+  const cells = [];
+  let cell = '';
+  const source = line.trim().replace(/^\|/, '');
+
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+
+    if (char === '\\' && index + 1 < source.length) {
+      cell += `\\${source[++index]}`;
+    } else if (char === '|') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell.trim() !== '' || !source.endsWith('|')) {
+    cells.push(cell);
+  }
+
+  return cells.map((raw) => unescape(raw.trim().replace(/<br>/g, '\n')));
+}
+
+/**
+ * Escape a table cell: backslashes, pipes and < are escaped, line breaks become <br>
+ * @param {*} cell - Cell content
+ * @returns {string} Escaped cell
+ */
+function escapeCell(cell) {
+  return escape(String(cell ?? ''), '|<').replace(/\n/g, '<br>');
+}
+
+/**
+ * Emphasize text, escaping asterisks
+ * @param {string} text - Text
+ * @returns {string} Markdown
+ */
+function emphasis(text) {
+  return `*${escape(text, '*')}*`;
+}
+
+/**
+ * Escape backslashes and the given characters with a backslash
+ * @param {string} text - Text
+ * @param {string} characters - Characters to escape
+ * @returns {string} Escaped text
+ */
+function escape(text, characters) {
+  return Array.from(String(text))
+    .map((char) => (char === '\\' || characters.includes(char) ? `\\${char}` : char))
+    .join('');
+}
+
+/**
+ * Undo backslash escapes
+ * @param {string} text - Escaped text
+ * @returns {string} Text
+ */
+function unescape(text) {
+  return text.replace(/\\([\s\S])/g, '$1');
+}
+
+/**
+ * Write a block ID for a marker, quoting IDs with unusual characters
+ * @param {string} id - Block ID
+ * @returns {string} Marker ID
+ */
+function formatMarkerId(id) {
+  return SAFE_ID_PATTERN.test(id) ? id : toCommentJson(String(id));
+}
+
+/**
+ * Read a block ID from a marker
+ * @param {string} raw - Marker ID
+ * @returns {string} Block ID
+ */
+function parseMarkerId(raw) {
+  return raw.startsWith('"') ? JSON.parse(raw) : raw;
+}
+
+/**
+ * Serialize JSON so it can't end the HTML comment it is written in
+ * @param {*} value - Value
+ * @returns {string} JSON
+ */
+function toCommentJson(value) {
+  // Outside of strings JSON never has two dashes in a row
+  return JSON.stringify(value).replace(/-(?=-)/g, '\\u002d');
+}
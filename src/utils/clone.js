@@ -0,0 +1,14 @@
+/**
+ * BlockDoc Clone Helper
+ *
+ * Copies of JSON-like values that share no state with the original
+ */
+
+/**
+ * Deep copy a JSON value
+ * @param {*} value - Value to copy
+ * @returns {*} Copy; undefined for undefined
+ */
+export function cloneValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,560 @@
+/**
+ * BlockDoc Front Matter Utilities
+ *
+ * Reads and writes the YAML (`---`) and TOML (`+++`) front matter used by
+ * static site generators. Only the subset needed for document metadata is
+ * supported: scalars, quoted strings, arrays, block lists, block scalars and
+ * nested mappings in YAML, and key/value pairs with inline arrays and tables
+ * in TOML. YAML keys that can't be read are skipped and reported.
+ */
+
+const FRONT_MATTER_PATTERN = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const TOML_FRONT_MATTER_PATTERN = /^\+\+\+[ \t]*\r?\n([\s\S]*?)\r?\n\+\+\+[ \t]*(?:\r?\n|$)/;
+const BARE_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+const YAML_PAIR_PATTERN = /^([A-Za-z0-9_-]+|"(?:[^"\\]|\\.)*")\s*:(?:\s+(.*))?$/;
+const YAML_LIST_ITEM_PATTERN = /^\s*-(?:\s+(.*))?$/;
+
+/**
+ * Split front matter from a Markdown source
+ * @param {string} source - Markdown source
+ * @param {Object} [options] - Parse options
+ * @param {Function} [options.onWarning] - Called with `{ line, message }` for every
+ *   YAML key that was skipped because it can't be read
+ * @returns {Object} Object with the parsed front matter as `data` and the remaining `body`
+ * @throws {Error} If TOML front matter cannot be parsed
+ */
+export function parseFrontMatter(source, options = {}) {
+  const text = String(source || '').replace(/^\uFEFF/, '');
+  const yaml = text.match(FRONT_MATTER_PATTERN);
+  const toml = yaml ? null : text.match(TOML_FRONT_MATTER_PATTERN);
+  const match = yaml || toml;
+
+  if (!match) {
+    return { data: {}, body: text };
+  }
+
+  return {
+    data: yaml ? parseYaml(match[1], options) : parseToml(match[1]),
+    body: text.slice(match[0].length),
+  };
+}
+
+/**
+ * Write front matter that parseFrontMatter() reads back
+ * @param {Object} data - Values to write; undefined values are left out, and
+ *   so are null values in TOML, which has no null
+ * @param {string} [format='yaml'] - 'yaml' or 'toml'
+ * @returns {string} Front matter including its delimiters, without a trailing line break
+ * @throws {Error} If the format is unknown
+ */
+export function stringifyFrontMatter(data, format = 'yaml') {
+  switch (format) {
+  case 'yaml':
+    return `---\n${stringifyYaml(data)}\n---`;
+  case 'toml':
+    return `+++\n${stringifyToml(data)}\n+++`;
+  default:
+    throw new Error(`Unknown front matter format "${format}"`);
+  }
+}
+
+/**
+ * Parse a YAML mapping
+ * @param {string} yaml - YAML source
+ * @param {Object} [options] - Parse options
+ * @param {Function} [options.onWarning] - Called with `{ line, message }` for every
+ *   key that was skipped because it can't be read
+ * @returns {Object} Parsed values
+ */
+export function parseYaml(yaml, { onWarning } = {}) {
+  const lines = yaml.split(/\r?\n/).map((text, index) => ({ text, number: index + 1 }));
+
+  return parseYamlMapping(lines, (line, reason) => {
+    if (typeof onWarning === 'function') {
+      onWarning({ line: line.number, message: `Skipped front matter on line ${line.number} (${reason}): ${line.text.trim()}` });
+    }
+  });
+}
+
+/**
+ * Parse the lines of a YAML mapping whose keys start at the first column
+ * @param {Array<Object>} lines - Lines with their text and line number
+ * @param {Function} warn - Called with the line and reason for every skipped key
+ * @returns {Object} Parsed values
+ */
+function parseYamlMapping(lines, warn) {
+  const data = {};
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    index++;
+
+    if (isBlankYamlLine(line.text)) {
+      continue;
+    }
+
+    // The indented lines that follow a key, and list items, belong to its value
+    const start = index;
+    while (index < lines.length && (isBlankYamlLine(lines[index].text) ||
+      /^\s/.test(lines[index].text) || YAML_LIST_ITEM_PATTERN.test(lines[index].text))) {
+      index++;
+    }
+
+    const pair = line.text.match(YAML_PAIR_PATTERN);
+    if (!pair) {
+      warn(line, 'not a key and value');
+      continue;
+    }
+
+    const [, name, value = ''] = pair;
+    const key = name.startsWith('"') ? JSON.parse(name) : name;
+
+    try {
+      data[key] = parseYamlValue(value, lines.slice(start, index), warn);
+    } catch (error) {
+      warn(line, error.message);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Parse the value of a YAML key
+ * @param {string} value - Raw value on the line of the key
+ * @param {Array<Object>} block - Lines below the key that belong to it
+ * @param {Function} warn - Called with the line and reason for every skipped nested key
+ * @returns {*} Parsed value
+ * @throws {Error} If the value is not supported
+ */
+function parseYamlValue(value, block, warn) {
+  const content = block.filter((line) => !isBlankYamlLine(line.text));
+  const inline = stripComment(value).trim();
+  const blockScalar = inline.match(/^([|>])([-+]?)$/);
+
+  if (blockScalar) {
+    return readBlockScalar(block, blockScalar[1] === '>', blockScalar[2]);
+  }
+
+  if (inline !== '') {
+    if (content.length > 0) {
+      throw new Error('unsupported multi-line value');
+    }
+    return parseScalar(value);
+  }
+
+  // A key without a value is null
+  if (content.length === 0) {
+    return null;
+  }
+
+  if (YAML_LIST_ITEM_PATTERN.test(content[0].text)) {
+    return content.map((line) => {
+      const item = line.text.match(YAML_LIST_ITEM_PATTERN);
+      if (!item || YAML_PAIR_PATTERN.test(item[1] || '') || (item[1] || '').trim() === '') {
+        throw new Error('unsupported list item');
+      }
+      return parseScalar(item[1]);
+    });
+  }
+
+  const depth = indentation(content[0].text);
+  if (content.some((line) => indentation(line.text) < depth)) {
+    throw new Error('inconsistent indentation');
+  }
+
+  return parseYamlMapping(block.map((line) => ({ ...line, text: line.text.slice(depth) })), warn);
+}
+
+/**
+ * Read a literal (`|`) or folded (`>`) block scalar
+ * @param {Array<Object>} block - Indented lines of the scalar
+ * @param {boolean} folded - Whether lines are joined with spaces
+ * @param {string} chomping - '-' to strip the final line break, '+' to keep trailing empty lines
+ * @returns {string} Text
+ */
+function readBlockScalar(block, folded, chomping) {
+  const content = block.filter((line) => !isBlankYamlLine(line.text));
+  const depth = content.length > 0 ? indentation(content[0].text) : 0;
+  const lines = block.map((line) => (isBlankYamlLine(line.text) ? '' : line.text.slice(depth)));
+
+  // Folding joins neighbouring lines with a space; empty lines stay line breaks
+  const text = folded
+    ? lines.reduce((result, line, index) => {
+      if (index === 0) return line;
+      if (line === '') return `${result}\n`;
+      return `${result}${lines[index - 1] === '' ? '' : ' '}${line}`;
+    }, '')
+    : lines.join('\n');
+
+  const body = text.replace(/\n+$/, '');
+  if (!body || chomping === '-') {
+    return body;
+  }
+  return `${body}\n${chomping === '+' ? '\n'.repeat(text.length - body.length) : ''}`;
+}
+
+/**
+ * Check whether a YAML line is empty or a comment
+ * @param {string} text - Line
+ * @returns {boolean} True if the line holds no value
+ */
+function isBlankYamlLine(text) {
+  return !text.trim() || text.trim().startsWith('#');
+}
+
+/**
+ * Count the spaces a line starts with
+ * @param {string} text - Line
+ * @returns {number} Indentation
+ */
+function indentation(text) {
+  return text.match(/^\s*/)[0].length;
+}
+
+/**
+ * Parse a single YAML value
+ * @param {string} value - Raw value
+ * @returns {*} Parsed value
+ */
+function parseScalar(value) {
+  const trimmed = stripComment(value).trim();
+
+  // Nested values are written as JSON, which is valid flow-style YAML
+  if (/^\{.*\}$|^\[.*\]$/.test(trimmed)) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      // Not JSON: read as a YAML inline list below
+    }
+  }
+
+  if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+    const inner = trimmed.slice(1, -1).trim();
+    return inner ? splitInlineList(inner).map(parseScalar) : [];
+  }
+
+  if (/^"(.*)"$/.test(trimmed)) {
+    return JSON.parse(trimmed);
+  }
+
+  if (/^'(.*)'$/.test(trimmed)) {
+    return trimmed.slice(1, -1).replace(/''/g, '\'');
+  }
+
+  if (trimmed === 'true' || trimmed === 'false') {
+    return trimmed === 'true';
+  }
+
+  if (trimmed === 'null' || trimmed === '~') {
+    return null;
+  }
+
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+
+  return trimmed;
+}
+
+/**
+ * Remove a trailing comment from an unquoted value
+ * @param {string} value - Raw value
+ * @returns {string} Value without comment
+ */
+function stripComment(value) {
+  if (/^\s*["'[]/.test(value)) {
+    return value;
+  }
+
+  const index = value.search(/\s#/);
+  return index === -1 ? value : value.slice(0, index);
+}
+
+/**
+ * Split the contents of an inline list on commas outside of quotes
+ * @param {string} inner - List contents without brackets
+ * @returns {Array<string>} Raw items
+ */
+function splitInlineList(inner) {
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of inner) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  items.push(current);
+  return items;
+}
+
+/**
+ * Write a flat YAML mapping. Lists of scalars are written as block lists and
+ * other nested values as JSON.
+ * @param {Object} data - Values to write
+ * @returns {string} YAML
+ */
+function stringifyYaml(data) {
+  const lines = [];
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined) {
+      return;
+    }
+
+    const name = BARE_KEY_PATTERN.test(key) ? key : JSON.stringify(key);
+
+    if (Array.isArray(value) && value.length > 0 && value.every(isScalar)) {
+      lines.push(`${name}:`, ...value.map((item) => `  - ${stringifyYamlScalar(item)}`));
+    } else if (isScalar(value)) {
+      lines.push(`${name}: ${stringifyYamlScalar(value)}`);
+    } else {
+      lines.push(`${name}: ${JSON.stringify(value)}`);
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Write a YAML scalar, quoting strings that would otherwise read back differently
+ * @param {string|number|boolean|null} value - Value to write
+ * @returns {string} YAML value
+ */
+function stringifyYamlScalar(value) {
+  if (typeof value !== 'string') {
+    return value === null || (typeof value === 'number' && !Number.isFinite(value)) ? 'null' : String(value);
+  }
+
+  // Line breaks, tabs and other control characters are only kept in double quotes
+  const control = Array.from(value).some((char) => char.charCodeAt(0) < 0x20 || char.charCodeAt(0) === 0x7f);
+  const plain = !control && /^[A-Za-z0-9_./(][^:#]*$/.test(value) &&
+    value.trim() === value && parseScalar(value) === value;
+  return plain ? value : JSON.stringify(value);
+}
+
+/**
+ * Check whether a value is written as a YAML or TOML scalar
+ * @param {*} value - Value
+ * @returns {boolean} True for strings, numbers, booleans and null
+ */
+function isScalar(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Parse TOML key/value pairs
+ * @param {string} toml - TOML source
+ * @returns {Object} Parsed values
+ * @throws {Error} If a line cannot be parsed
+ */
+export function parseToml(toml) {
+  const data = {};
+
+  toml.split(/\r?\n/).forEach((line, index) => {
+    const fail = () => {
+      throw new Error(`Invalid front matter on line ${index + 1}: ${line}`);
+    };
+
+    const reader = { text: line, position: 0 };
+    skipTomlSpace(reader);
+    if (reader.position === line.length) {
+      return;
+    }
+
+    try {
+      const key = readTomlKey(reader);
+      skipTomlSpace(reader);
+      if (line[reader.position] !== '=') {
+        fail();
+      }
+      reader.position++;
+
+      data[key] = readTomlValue(reader);
+      skipTomlSpace(reader);
+    } catch (error) {
+      fail();
+    }
+
+    if (reader.position !== line.length) {
+      fail();
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Write TOML key/value pairs, with arrays and objects inline
+ * @param {Object} data - Values to write
+ * @returns {string} TOML
+ */
+function stringifyToml(data) {
+  return Object.entries(data)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${stringifyTomlKey(key)} = ${stringifyTomlValue(value)}`)
+    .join('\n');
+}
+
+/**
+ * Write a TOML key, quoting it when it is not a bare key
+ * @param {string} key - Key
+ * @returns {string} TOML key
+ */
+function stringifyTomlKey(key) {
+  return BARE_KEY_PATTERN.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Write a TOML value
+ * @param {*} value - Value other than null or undefined
+ * @returns {string} TOML value
+ */
+function stringifyTomlValue(value) {
+  if (Array.isArray(value)) {
+    const items = value.filter((item) => item !== undefined && item !== null);
+    return `[${items.map(stringifyTomlValue).join(', ')}]`;
+  }
+
+  if (typeof value === 'object') {
+    const pairs = Object.entries(value)
+      .filter(([, item]) => item !== undefined && item !== null)
+      .map(([key, item]) => `${stringifyTomlKey(key)} = ${stringifyTomlValue(item)}`);
+    return pairs.length > 0 ? `{ ${pairs.join(', ')} }` : '{}';
+  }
+
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    return Number.isNaN(value) ? 'nan' : `${value < 0 ? '-' : ''}inf`;
+  }
+
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Skip spaces and a trailing comment
+ * @param {Object} reader - Line and read position
+ */
+function skipTomlSpace(reader) {
+  while (reader.text[reader.position] === ' ' || reader.text[reader.position] === '\t') {
+    reader.position++;
+  }
+
+  if (reader.text[reader.position] === '#') {
+    reader.position = reader.text.length;
+  }
+}
+
+/**
+ * Read a bare or quoted TOML key
+ * @param {Object} reader - Line and read position
+ * @returns {string} Key
+ */
+function readTomlKey(reader) {
+  const rest = reader.text.slice(reader.position);
+  const match = rest.match(/^[A-Za-z0-9_-]+/) || rest.match(/^"(?:[^"\\]|\\.)*"/) || rest.match(/^'[^']*'/);
+
+  if (!match) {
+    throw new Error('Expected a key');
+  }
+
+  reader.position += match[0].length;
+  return readTomlString(match[0]);
+}
+
+/**
+ * Read a TOML value: string, number, boolean, date, array or inline table.
+ * Dates are kept as strings.
+ * @param {Object} reader - Line and read position
+ * @returns {*} Value
+ */
+function readTomlValue(reader) {
+  skipTomlSpace(reader);
+  const char = reader.text[reader.position];
+
+  if (char === '[' || char === '{') {
+    const array = char === '[';
+    const close = array ? ']' : '}';
+    const value = array ? [] : {};
+    reader.position++;
+
+    for (;;) {
+      skipTomlSpace(reader);
+      if (reader.text[reader.position] === close) {
+        reader.position++;
+        return value;
+      }
+
+      if (array) {
+        value.push(readTomlValue(reader));
+      } else {
+        const key = readTomlKey(reader);
+        skipTomlSpace(reader);
+        if (reader.text[reader.position] !== '=') {
+          throw new Error('Expected =');
+        }
+        reader.position++;
+        value[key] = readTomlValue(reader);
+      }
+
+      skipTomlSpace(reader);
+      if (reader.text[reader.position] === ',') {
+        reader.position++;
+      } else if (reader.text[reader.position] !== close) {
+        throw new Error(`Expected , or ${close}`);
+      }
+    }
+  }
+
+  const rest = reader.text.slice(reader.position);
+  const match = rest.match(/^"(?:[^"\\]|\\.)*"|^'[^']*'|^[^\s,\]}#]+/);
+
+  if (!match) {
+    throw new Error('Expected a value');
+  }
+
+  reader.position += match[0].length;
+  const token = match[0];
+
+  if (token.startsWith('"') || token.startsWith('\'')) {
+    return readTomlString(token);
+  }
+  if (token === 'true' || token === 'false') {
+    return token === 'true';
+  }
+  if (/^[+-]?(inf|nan)$/.test(token)) {
+    return token.endsWith('nan') ? NaN : (token.startsWith('-') ? -Infinity : Infinity);
+  }
+  if (/^[+-]?\d[\d_]*(\.\d[\d_]*)?([eE][+-]?\d+)?$/.test(token)) {
+    return Number(token.replace(/_/g, ''));
+  }
+  if (/^\d{4}-\d{2}-\d{2}/.test(token)) {
+    return token;
+  }
+
+  throw new Error(`Invalid value ${token}`);
+}
+
+/**
+ * Read a quoted TOML string or bare key
+ * @param {string} token - Source of the string
+ * @returns {string} String value
+ */
+function readTomlString(token) {
+  if (token.startsWith('"')) {
+    return JSON.parse(token);
+  }
+  return token.startsWith('\'') ? token.slice(1, -1) : token;
+}
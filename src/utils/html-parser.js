@@ -0,0 +1,230 @@
+/**
+ * BlockDoc HTML Parser
+ *
+ * A small, forgiving HTML parser producing a plain node tree. It is meant
+ * for content fragments (CMS exports, rendered Markdown), not for complete
+ * browser-grade parsing.
+ */
+
+// Elements that never have children
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+// Elements whose content is not parsed as HTML
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Open elements implicitly closed when one of these tags starts
+const IMPLICIT_CLOSE = {
+  p: ['p'],
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  option: ['option'],
+};
+
+// Block-level tags that close an open paragraph
+const CLOSES_PARAGRAPH = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3',
+  'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'pre', 'section',
+  'table', 'ul',
+]);
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: '\u00a0',
+  copy: '\u00a9',
+  reg: '\u00ae',
+  trade: '\u2122',
+  hellip: '\u2026',
+  mdash: '\u2014',
+  ndash: '\u2013',
+  lsquo: '\u2018',
+  rsquo: '\u2019',
+  ldquo: '\u201c',
+  rdquo: '\u201d',
+  laquo: '\u00ab',
+  raquo: '\u00bb',
+  middot: '\u00b7',
+  bull: '\u2022',
+};
+
+const TAG_PATTERN = /^<([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/;
+const CLOSE_TAG_PATTERN = /^<\/([a-zA-Z][a-zA-Z0-9-]*)\s*>/;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Parse an HTML fragment into a node tree
+ * @param {string} html - HTML source
+ * @returns {Array<Object>} Top-level nodes; elements are `{ type: 'element', tag, attributes, children }`,
+ *   text is `{ type: 'text', value }` and comments are `{ type: 'comment', value }`
+ */
+export function parseHtml(html) {
+  const source = String(html || '');
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  let position = 0;
+
+  const closeElement = (tag) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tag === tag) {
+        stack.length = i;
+        return;
+      }
+    }
+  };
+
+  const appendText = (value) => {
+    if (!value) return;
+    const siblings = current().children;
+    const last = siblings[siblings.length - 1];
+
+    if (last && last.type === 'text') {
+      last.value += value;
+    } else {
+      siblings.push({ type: 'text', value });
+    }
+  };
+
+  while (position < source.length) {
+    const rest = source.slice(position);
+
+    if (rest.startsWith('<!--')) {
+      const end = rest.indexOf('-->', 4);
+      const value = end === -1 ? rest.slice(4) : rest.slice(4, end);
+      current().children.push({ type: 'comment', value });
+      position += end === -1 ? rest.length : end + 3;
+      continue;
+    }
+
+    if (rest.startsWith('<!') || rest.startsWith('<?')) {
+      // Doctype and processing instructions carry no content
+      const end = rest.indexOf('>');
+      position += end === -1 ? rest.length : end + 1;
+      continue;
+    }
+
+    const closeMatch = rest.match(CLOSE_TAG_PATTERN);
+    if (closeMatch) {
+      closeElement(closeMatch[1].toLowerCase());
+      position += closeMatch[0].length;
+      continue;
+    }
+
+    const openMatch = rest.match(TAG_PATTERN);
+    if (openMatch) {
+      const tag = openMatch[1].toLowerCase();
+      const element = {
+        type: 'element',
+        tag,
+        attributes: parseAttributes(openMatch[2]),
+        children: [],
+      };
+
+      const implicitlyClosed = IMPLICIT_CLOSE[tag] || [];
+      if (implicitlyClosed.includes(current().tag)) {
+        stack.pop();
+      }
+      if (CLOSES_PARAGRAPH.has(tag) && current().tag === 'p') {
+        stack.pop();
+      }
+
+      current().children.push(element);
+      position += openMatch[0].length;
+
+      if (RAW_TEXT_ELEMENTS.has(tag)) {
+        const end = source.toLowerCase().indexOf(`</${tag}`, position);
+        const stop = end === -1 ? source.length : end;
+        const text = source.slice(position, stop);
+        if (text) {
+          element.children.push({ type: 'text', value: tag === 'textarea' || tag === 'title' ? decodeEntities(text) : text });
+        }
+        position = stop;
+      } else if (!VOID_ELEMENTS.has(tag) && !openMatch[3]) {
+        stack.push(element);
+      }
+      continue;
+    }
+
+    // Plain text up to the next tag-like character
+    const next = source.indexOf('<', position + 1);
+    const stop = next === -1 ? source.length : next;
+    appendText(decodeEntities(source.slice(position, stop)));
+    position = stop;
+  }
+
+  return root.children;
+}
+
+/**
+ * Parse the attribute part of a start tag
+ * @param {string} source - Attribute source
+ * @returns {Object} Attribute map with lowercase names
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  let match;
+
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+    const name = match[1].toLowerCase();
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+
+    if (!(name in attributes)) {
+      attributes[name] = decodeEntities(value);
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Decode HTML character references
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  return String(text).replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (entity, body) => {
+    if (body[0] === '#') {
+      const code = body[1] === 'x' || body[1] === 'X'
+        ? parseInt(body.slice(2), 16)
+        : parseInt(body.slice(1), 10);
+
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+
+    return NAMED_ENTITIES[body] ?? entity;
+  });
+}
+
+/**
+ * Get the text contained in a node and its descendants
+ * @param {Object|Array<Object>} node - Node or list of nodes
+ * @returns {string} Text content
+ */
+export function getTextContent(node) {
+  if (Array.isArray(node)) {
+    return node.map(getTextContent).join('');
+  }
+
+  if (node.type === 'text') {
+    return node.value;
+  }
+
+  if (node.type === 'element') {
+    if (node.tag === 'br') return '\n';
+    return getTextContent(node.children);
+  }
+
+  return '';
+}
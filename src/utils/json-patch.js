@@ -0,0 +1,211 @@
+/**
+ * BlockDoc JSON Patch
+ *
+ * RFC 6902 JSON Patch and RFC 6901 JSON Pointer support
+ */
+
+import { isDeepEqual } from './equal.js';
+import { cloneValue } from './clone.js';
+
+/**
+ * Split a JSON Pointer into unescaped reference tokens
+ * @param {string} pointer - JSON Pointer such as "/article/blocks/0"
+ * @returns {Array<string>} Reference tokens
+ */
+export function parsePointer(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON Pointer: ${JSON.stringify(pointer)}`);
+  }
+
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Apply a JSON Patch to a value without modifying it
+ * @param {*} value - Value to patch
+ * @param {Array<Object>} patch - Patch operations
+ * @returns {*} The patched copy
+ * @throws {Error} If an operation is invalid or cannot be applied
+ */
+export function applyJsonPatch(value, patch) {
+  if (!Array.isArray(patch)) {
+    throw new Error('JSON Patch must be an array of operations');
+  }
+
+  let document = cloneValue(value);
+
+  patch.forEach((operation, index) => {
+    try {
+      document = applyPatchOperation(document, operation);
+    } catch (error) {
+      throw new Error(`JSON Patch operation ${index} failed: ${error.message}`);
+    }
+  });
+
+  return document;
+}
+
+/**
+ * Apply a single JSON Patch operation
+ * @param {*} document - Value to patch, modified in place where possible
+ * @param {Object} operation - Patch operation
+ * @returns {*} The patched value
+ */
+function applyPatchOperation(document, operation) {
+  if (!operation || typeof operation !== 'object') {
+    throw new Error('operation must be an object');
+  }
+
+  const path = parsePointer(operation.path);
+
+  switch (operation.op) {
+  case 'add':
+    return add(document, path, cloneValue(requireValue(operation)));
+  case 'remove':
+    remove(document, path);
+    return document;
+  case 'replace':
+    if (path.length > 0) {
+      remove(document, path);
+    }
+    return add(document, path, cloneValue(requireValue(operation)));
+  case 'move': {
+    const from = parsePointer(operation.from);
+    if (path.length > from.length && from.every((token, i) => token === path[i])) {
+      throw new Error(`cannot move "${operation.from}" into itself`);
+    }
+    const moved = get(document, from);
+    remove(document, from);
+    return add(document, path, moved);
+  }
+  case 'copy':
+    return add(document, path, cloneValue(get(document, parsePointer(operation.from))));
+  case 'test':
+    if (!isDeepEqual(get(document, path), requireValue(operation))) {
+      throw new Error(`test failed for "${operation.path}"`);
+    }
+    return document;
+  default:
+    throw new Error(`unknown operation "${operation.op}"`);
+  }
+}
+
+/**
+ * Get the value an operation carries
+ * @param {Object} operation - Patch operation
+ * @returns {*} Operation value
+ */
+function requireValue(operation) {
+  if (!Object.prototype.hasOwnProperty.call(operation, 'value')) {
+    throw new Error(`"${operation.op}" requires a value`);
+  }
+  return operation.value;
+}
+
+/**
+ * Get the value a pointer refers to
+ * @param {*} document - Value to search
+ * @param {Array<string>} path - Reference tokens
+ * @returns {*} Referenced value
+ */
+function get(document, path) {
+  return path.reduce((current, token) => {
+    const { container, key } = resolveChild(current, token);
+    return container[key];
+  }, document);
+}
+
+/**
+ * Add a value at a pointer, inserting into arrays
+ * @param {*} document - Value to modify
+ * @param {Array<string>} path - Reference tokens
+ * @param {*} value - Value to add
+ * @returns {*} The modified value, or the new value when the pointer is the root
+ */
+function add(document, path, value) {
+  if (path.length === 0) {
+    return value;
+  }
+
+  const parent = get(document, path.slice(0, -1));
+  const token = path[path.length - 1];
+
+  if (Array.isArray(parent)) {
+    const index = token === '-' ? parent.length : toArrayIndex(token, parent.length);
+    parent.splice(index, 0, value);
+  } else if (isObject(parent)) {
+    parent[token] = value;
+  } else {
+    throw new Error(`cannot add to a ${typeof parent} value`);
+  }
+
+  return document;
+}
+
+/**
+ * Remove the value at a pointer
+ * @param {*} document - Value to modify
+ * @param {Array<string>} path - Reference tokens
+ */
+function remove(document, path) {
+  if (path.length === 0) {
+    throw new Error('cannot remove the whole document');
+  }
+
+  const parent = get(document, path.slice(0, -1));
+  const { container, key } = resolveChild(parent, path[path.length - 1]);
+
+  if (Array.isArray(container)) {
+    container.splice(key, 1);
+  } else {
+    delete container[key];
+  }
+}
+
+/**
+ * Resolve a reference token against an object or array
+ * @param {*} current - Object or array
+ * @param {string} token - Reference token
+ * @returns {Object} Container and key of the existing member
+ */
+function resolveChild(current, token) {
+  if (Array.isArray(current)) {
+    const index = toArrayIndex(token, current.length - 1);
+    return { container: current, key: index };
+  }
+
+  if (isObject(current) && Object.prototype.hasOwnProperty.call(current, token)) {
+    return { container: current, key: token };
+  }
+
+  throw new Error(`path member "${token}" does not exist`);
+}
+
+/**
+ * Parse an array index token
+ * @param {string} token - Reference token
+ * @param {number} max - Largest allowed index
+ * @returns {number} Array index
+ */
+function toArrayIndex(token, max) {
+  if (!/^(0|[1-9][0-9]*)$/.test(token) || Number(token) > max) {
+    throw new Error(`invalid array index "${token}"`);
+  }
+  return Number(token);
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-array objects
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
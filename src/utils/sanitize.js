@@ -4,6 +4,44 @@
  * Provides utilities for sanitizing HTML content
  */
 
+import { parseHtml } from './html-parser.js';
+
+/**
+ * Allowlist used by cleanHtml() when no other is given: the formatting
+ * Markdown produces, links and images with safe URLs, and nothing else
+ */
+export const DEFAULT_SANITIZE_OPTIONS = Object.freeze({
+  allowedTags: Object.freeze([
+    'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'del', 'em', 'h1', 'h2',
+    'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark',
+    'ol', 'p', 'pre', 'q', 's', 'strong', 'sub', 'sup', 'table', 'tbody',
+    'td', 'th', 'thead', 'tr', 'ul',
+  ]),
+  allowedAttributes: Object.freeze({
+    '*': Object.freeze(['title']),
+    a: Object.freeze(['href']),
+    img: Object.freeze(['src', 'alt', 'width', 'height']),
+    ol: Object.freeze(['start']),
+    code: Object.freeze(['class']),
+    td: Object.freeze(['align']),
+    th: Object.freeze(['align']),
+  }),
+  allowedSchemes: Object.freeze(['http', 'https', 'mailto']),
+});
+
+// Elements removed together with their content when not allowed
+const DROP_WITH_CONTENT = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed',
+  'template', 'noscript', 'noembed', 'noframes', 'textarea', 'title',
+  'select', 'svg', 'math', 'head', 'xmp', 'plaintext',
+]);
+
+// Attributes holding a URL, checked against the allowed schemes
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite', 'poster', 'action', 'formaction', 'xlink:href']);
+
+// Elements that have no closing tag
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'wbr', 'col', 'source', 'track', 'area', 'input']);
+
 /**
  * Simple HTML sanitizer to prevent XSS
  * @param {string} html - HTML content to sanitize
@@ -43,4 +81,96 @@ export function sanitizeUrl(url) {
   
   // Default to empty for potentially unsafe protocols
   return '';
-}
\ No newline at end of file
+}
+
+/**
+ * Clean HTML with an allowlist of tags, attributes and URL schemes.
+ *
+ * Elements that are not allowed are removed but their content is kept, except
+ * for elements such as script and style, which are removed entirely. Event
+ * handler attributes (`on*`) are always removed, and URL attributes whose
+ * scheme is not allowed are dropped; relative URLs are kept. Comments are removed.
+ *
+ * @param {string} html - HTML to clean
+ * @param {Object} [options] - Allowlist, each option replaces the default
+ * @param {Array<string>} [options.allowedTags] - Allowed tag names
+ * @param {Object<string, Array<string>>} [options.allowedAttributes] - Allowed attributes by tag name, `*` for all tags
+ * @param {Array<string>} [options.allowedSchemes] - Allowed URL schemes
+ * @returns {string} Clean HTML
+ */
+export function cleanHtml(html, options = {}) {
+  if (!html) return '';
+
+  const config = { ...DEFAULT_SANITIZE_OPTIONS, ...options };
+  const allowedTags = new Set(config.allowedTags.map((tag) => tag.toLowerCase()));
+  const allowedSchemes = new Set(config.allowedSchemes.map((scheme) => scheme.toLowerCase()));
+
+  const isAllowedAttribute = (tag, name) => {
+    const attributes = config.allowedAttributes;
+    return [...(attributes[tag] || []), ...(attributes['*'] || [])]
+      .some((allowed) => allowed.toLowerCase() === name);
+  };
+
+  const serialize = (nodes) => nodes.map((node) => {
+    if (node.type === 'text') {
+      return escapeText(node.value);
+    }
+
+    if (node.type !== 'element') {
+      return '';
+    }
+
+    if (!allowedTags.has(node.tag)) {
+      return DROP_WITH_CONTENT.has(node.tag) ? '' : serialize(node.children);
+    }
+
+    const attributes = Object.entries(node.attributes)
+      .filter(([name, value]) => !name.startsWith('on') &&
+        isAllowedAttribute(node.tag, name) &&
+        (!URL_ATTRIBUTES.has(name) || isAllowedUrl(value, allowedSchemes)))
+      .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+      .join('');
+
+    if (VOID_ELEMENTS.has(node.tag)) {
+      return `<${node.tag}${attributes}>`;
+    }
+
+    return `<${node.tag}${attributes}>${serialize(node.children)}</${node.tag}>`;
+  }).join('');
+
+  return serialize(parseHtml(String(html)));
+}
+
+/**
+ * Check whether a URL is relative or uses an allowed scheme
+ * @param {string} url - URL from an attribute
+ * @param {Set<string>} allowedSchemes - Allowed schemes in lowercase
+ * @returns {boolean} True if the URL is safe
+ */
+function isAllowedUrl(url, allowedSchemes) {
+  // Browsers ignore control characters and whitespace in schemes, e.g. "java\tscript:"
+  const normalized = Array.from(String(url))
+    .filter((char) => char.charCodeAt(0) > 0x20 && char.charCodeAt(0) !== 0x7f)
+    .join('');
+  const scheme = normalized.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+
+  return !scheme || allowedSchemes.has(scheme[1].toLowerCase());
+}
+
+/**
+ * Escape text for use between tags
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape text for use in a double-quoted attribute value
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+  return escapeText(value).replace(/"/g, '&quot;');
+}
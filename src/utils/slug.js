@@ -0,0 +1,21 @@
+/**
+ * BlockDoc Slug Utilities
+ *
+ * Turns free text into identifiers usable as block IDs and anchors
+ */
+
+/**
+ * Convert text into a lowercase, hyphen-separated slug
+ * @param {string} text - Text to convert
+ * @returns {string} Slug containing only a-z, 0-9 and hyphens
+ */
+export function slugify(text) {
+  if (!text) return '';
+
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,229 @@
+/**
+ * BlockDoc Text Diff
+ *
+ * Word-level diff of two strings based on the longest common subsequence
+ */
+
+// Largest LCS table built at once, in cells; longer texts are split first
+const MAX_TABLE_CELLS = 1 << 22;
+
+/**
+ * Split text into words and the whitespace between them
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Tokens; joining them gives the original text
+ */
+export function tokenizeWords(text) {
+  return String(text || '').split(/(\s+)/).filter(Boolean);
+}
+
+/**
+ * Compute a word-level diff of two strings
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @returns {Array<Object>} Segments of { type: 'equal'|'delete'|'insert', value }
+ */
+export function diffWords(before, after) {
+  const a = tokenizeWords(before);
+  const b = tokenizeWords(after);
+
+  // The common prefix and suffix don't need to be compared
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const tokens = [
+    ...a.slice(0, start).map((value) => ({ type: 'equal', value })),
+    ...diffTokens(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map((value) => ({ type: 'equal', value })),
+  ];
+
+  const segments = [];
+  const push = (type, value) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      segments.push({ type, value });
+    }
+  };
+
+  // Collect each run of changes into one deletion followed by one insertion,
+  // so "the quick" -> "a slow" doesn't come out as alternating single words
+  let deleted = '';
+  let inserted = '';
+  const flush = () => {
+    if (deleted) push('delete', deleted);
+    if (inserted) push('insert', inserted);
+    deleted = '';
+    inserted = '';
+  };
+
+  tokens.forEach((token, index) => {
+    const next = tokens[index + 1];
+
+    if (token.type === 'delete') {
+      deleted += token.value;
+    } else if (token.type === 'insert') {
+      inserted += token.value;
+    } else if ((deleted || inserted) && /^\s+$/.test(token.value) && next && next.type !== 'equal') {
+      // Whitespace between two changes belongs to the change
+      deleted += token.value;
+      inserted += token.value;
+    } else {
+      flush();
+      push('equal', token.value);
+    }
+  });
+  flush();
+
+  return segments;
+}
+
+/**
+ * Diff two token lists. Lists too long for one table are first lined up on
+ * the tokens found exactly once in each (as in patience diff), and the gaps
+ * between those are diffed on their own; a gap that is still too long is
+ * replaced as a whole, so memory stays bounded.
+ * @param {Array<string>} a - Original tokens
+ * @param {Array<string>} b - Changed tokens
+ * @returns {Array<Object>} One segment per token
+ */
+function diffTokens(a, b) {
+  if ((a.length + 1) * (b.length + 1) <= MAX_TABLE_CELLS) {
+    return diffTable(a, b);
+  }
+
+  const anchors = findAnchors(a, b);
+
+  if (anchors.length === 0) {
+    return [
+      ...a.map((value) => ({ type: 'delete', value })),
+      ...b.map((value) => ({ type: 'insert', value })),
+    ];
+  }
+
+  const segments = [];
+  const add = (gap) => gap.forEach((segment) => segments.push(segment));
+  let i = 0;
+  let j = 0;
+
+  anchors.forEach(([anchorA, anchorB]) => {
+    add(diffTokens(a.slice(i, anchorA), b.slice(j, anchorB)));
+    segments.push({ type: 'equal', value: a[anchorA] });
+    i = anchorA + 1;
+    j = anchorB + 1;
+  });
+
+  add(diffTokens(a.slice(i), b.slice(j)));
+  return segments;
+}
+
+/**
+ * Find the longest run of tokens that occur exactly once in each list and
+ * in the same order in both
+ * @param {Array<string>} a - Original tokens
+ * @param {Array<string>} b - Changed tokens
+ * @returns {Array<Array<number>>} Positions [in a, in b] of each token, in order
+ */
+function findAnchors(a, b) {
+  const occurrences = new Map();
+  a.forEach((token, index) => {
+    const entry = occurrences.get(token) || { inA: 0, inB: 0, index };
+    entry.inA++;
+    occurrences.set(token, entry);
+  });
+  b.forEach((token) => {
+    const entry = occurrences.get(token);
+    if (entry) {
+      entry.inB++;
+    }
+  });
+
+  const pairs = [];
+  b.forEach((token, index) => {
+    const entry = occurrences.get(token);
+    if (entry && entry.inA === 1 && entry.inB === 1) {
+      pairs.push([entry.index, index]);
+    }
+  });
+
+  // Patience sorting: tails[k] is the pair ending the best run of length k + 1
+  const tails = [];
+  const previous = [];
+
+  pairs.forEach((pair, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (pairs[tails[middle]][0] < pair[0]) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const anchors = [];
+  for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) {
+    anchors.push(pairs[index]);
+  }
+
+  return anchors.reverse();
+}
+
+/**
+ * Diff two token lists with a longest common subsequence table
+ * @param {Array<string>} a - Original tokens
+ * @param {Array<string>} b - Changed tokens
+ * @returns {Array<Object>} One segment per token, deletions before insertions
+ */
+function diffTable(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const table = new Uint32Array(rows * cols);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * cols + j] = a[i] === b[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const segments = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      segments.push({ type: 'equal', value: a[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      segments.push({ type: 'delete', value: a[i++] });
+    } else {
+      segments.push({ type: 'insert', value: b[j++] });
+    }
+  }
+
+  while (i < a.length) {
+    segments.push({ type: 'delete', value: a[i++] });
+  }
+  while (j < b.length) {
+    segments.push({ type: 'insert', value: b[j++] });
+  }
+
+  return segments;
+}
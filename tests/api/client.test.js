@@ -0,0 +1,141 @@
+/**
+ * Tests for the BlockDoc API client
+ */
+import { BlockDocClient } from '../../src/api/client.js';
+import { BlockDocDocument } from '../../src/core/document.js';
+import { BlockDocConflictError } from '../../src/core/errors.js';
+
+// Mock the schema module
+jest.mock('../../src/schema-loader.js', () => ({
+  schema: {
+    type: 'object',
+    properties: {
+      article: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          blocks: { type: 'array' }
+        }
+      }
+    }
+  }
+}));
+
+/**
+ * Create a fetch response
+ * @param {number} status - Status code
+ * @param {*} [body] - JSON body
+ * @param {Object} [headers] - Response headers
+ * @returns {Object} Response
+ */
+function response(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  };
+}
+
+describe('BlockDocClient', () => {
+  const stored = {
+    id: 'manual',
+    revision: 3,
+    article: { title: 'Manual', metadata: {}, blocks: [{ id: 'intro', type: 'text', content: 'Hello' }] }
+  };
+  let client;
+
+  beforeEach(() => {
+    client = new BlockDocClient('https://example.com/api/blockdoc');
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should send the revision of loaded documents with changes', async () => {
+    fetch
+      .mockResolvedValueOnce(response(200, stored, { etag: '"3"' }))
+      .mockResolvedValueOnce(response(200, { message: 'Document updated', revision: 4 }, { etag: '"4"' }))
+      .mockResolvedValueOnce(response(200, { id: 'intro', type: 'text', content: 'Hi' }, { etag: '"5"' }));
+
+    const doc = await client.getDocument('manual');
+    expect(client.getRevision('manual')).toBe(3);
+    expect(fetch.mock.calls[0][1].headers).not.toHaveProperty('If-Match');
+
+    await client.updateDocument('manual', doc);
+    expect(fetch.mock.calls[1][1]).toMatchObject({ method: 'PUT', headers: { 'If-Match': '"3"' } });
+
+    await client.updateBlock('manual', 'intro', { content: 'Hi' });
+    expect(fetch.mock.calls[2][1]).toMatchObject({ method: 'PATCH', headers: { 'If-Match': '"4"' } });
+    expect(client.getRevision('manual')).toBe(5);
+  });
+
+  test('should track created documents and forget deleted ones', async () => {
+    fetch
+      .mockResolvedValueOnce(response(201, { id: 'new', revision: 1, message: 'Document created' }, { etag: '"1"' }))
+      .mockResolvedValueOnce(response(204));
+
+    await client.createDocument(new BlockDocDocument({ title: 'New' }));
+    expect(client.getRevision('new')).toBe(1);
+
+    await client.deleteDocument('new');
+    expect(fetch.mock.calls[1][1].headers['If-Match']).toBe('"1"');
+    expect(client.getRevision('new')).toBeUndefined();
+  });
+
+  test('should get, insert, move and delete blocks', async () => {
+    const block = { id: 'note', type: 'text', content: 'Note' };
+    fetch
+      .mockResolvedValueOnce(response(200, stored, { etag: '"3"' }))
+      .mockResolvedValueOnce(response(200, { blocks: stored.article.blocks }, { etag: '"4"' }))
+      .mockResolvedValueOnce(response(200, stored.article.blocks[0], { etag: '"4"' }))
+      .mockResolvedValueOnce(response(201, { block, parentId: null, index: 1 }, { etag: '"5"' }))
+      .mockResolvedValueOnce(response(200, { id: 'note', parentId: null, index: 0 }, { etag: '"6"' }))
+      .mockResolvedValueOnce(response(204, undefined, { etag: '"7"' }));
+
+    await client.getDocument('manual');
+    expect(await client.getBlocks('manual')).toEqual(stored.article.blocks);
+    expect(await client.getBlock('manual', 'intro')).toEqual(stored.article.blocks[0]);
+    expect(fetch.mock.calls[2][0]).toBe('https://example.com/api/blockdoc/documents/manual/blocks/intro');
+    // Reading blocks doesn't make the loaded document current
+    expect(client.getRevision('manual')).toBe(3);
+
+    expect(await client.insertBlock('manual', block, { afterId: 'intro' })).toEqual({ block, parentId: null, index: 1 });
+    expect(fetch.mock.calls[3][1]).toMatchObject({ method: 'POST', headers: { 'If-Match': '"3"' } });
+    expect(JSON.parse(fetch.mock.calls[3][1].body)).toEqual({ block, afterId: 'intro' });
+
+    await client.moveBlock('manual', 'note', { position: 0 });
+    expect(fetch.mock.calls[4][0]).toBe('https://example.com/api/blockdoc/documents/manual/blocks/note/move');
+    expect(fetch.mock.calls[4][1]).toMatchObject({ method: 'POST', headers: { 'If-Match': '"5"' } });
+
+    await client.deleteBlock('manual', 'note');
+    expect(fetch.mock.calls[5][1]).toMatchObject({ method: 'DELETE', headers: { 'If-Match': '"6"' } });
+    expect(client.getRevision('manual')).toBe(7);
+  });
+
+  test('should throw a conflict error when the document was changed by someone else', async () => {
+    fetch
+      .mockResolvedValueOnce(response(200, stored, { etag: '"3"' }))
+      .mockResolvedValueOnce(response(412, { error: 'Document has been modified', revision: 6 }, { etag: '"6"' }));
+
+    const doc = await client.getDocument('manual');
+    const update = client.updateDocument('manual', doc);
+
+    await expect(update).rejects.toThrow(BlockDocConflictError);
+    await expect(update).rejects.toMatchObject({
+      documentId: 'manual',
+      expectedRevision: 3,
+      currentRevision: 6
+    });
+    expect(client.getRevision('manual')).toBe(3);
+  });
+
+  test('should keep other errors generic', async () => {
+    fetch.mockResolvedValueOnce(response(404, { error: 'Document not found' }));
+
+    await expect(client.getDocument('missing')).rejects.toThrow('API request failed: 404');
+  });
+});
@@ -0,0 +1,565 @@
+/**
+ * Tests for the BlockDoc API server middleware
+ */
+import { Writable } from 'stream';
+import { createBlockDocApi } from '../../src/api/server.js';
+import { MemoryStorage } from '../../src/api/storage.js';
+
+// Validate against the real schema
+jest.mock('../../src/schema-loader.js', () => ({
+  schema: jest.requireActual('../../src/schema/blockdoc.schema.json')
+}));
+
+/**
+ * Minimal stand-in for an Express response, collecting what is written to it
+ */
+class MockResponse extends Writable {
+  constructor() {
+    super({ decodeStrings: false });
+    this.statusCode = 200;
+    this.headers = {};
+    this.body = '';
+    this.finished = new Promise((resolve) => this.on('finish', resolve));
+  }
+
+  _write(chunk, encoding, callback) {
+    this.body += chunk.toString();
+    callback();
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  setHeader(name, value) {
+    this.headers[name.toLowerCase()] = value;
+  }
+
+  json(data) {
+    this.body = JSON.stringify(data);
+    this.end();
+    return this;
+  }
+
+  send(data) {
+    this.body = String(data);
+    this.end();
+    return this;
+  }
+}
+
+/**
+ * Send a request through the middleware and wait for the response
+ * @param {Object} options - API options
+ * @param {Object} request - Request method, path, body and headers
+ * @returns {Promise<MockResponse>} Finished response
+ */
+async function request(options, { method = 'GET', path, body, query = {}, headers = {} }) {
+  const res = new MockResponse();
+  const next = jest.fn(() => res.end());
+  const api = typeof options === 'function' ? options : createBlockDocApi(options);
+
+  api({ method, path, body, query, headers }, res, next);
+  await res.finished;
+  return res;
+}
+
+describe('BlockDoc API server', () => {
+  const article = {
+    title: 'Manual',
+    blocks: [
+      { id: 'intro', type: 'text', content: 'Hello' },
+      { id: 'rule', type: 'divider', content: '' }
+    ]
+  };
+
+  describe('documents', () => {
+    test('should create, read, update and delete documents', async () => {
+      const onDocumentCreated = jest.fn();
+      const api = createBlockDocApi({ onDocumentCreated });
+
+      const created = await request(api, { method: 'POST', path: '/api/blockdoc/documents', body: { id: 'manual', article } });
+      expect(created.statusCode).toBe(201);
+      expect(JSON.parse(created.body)).toEqual({ id: 'manual', revision: 1, message: 'Document created' });
+      expect(onDocumentCreated).toHaveBeenCalledWith(expect.objectContaining({ id: 'manual', article }));
+
+      const duplicate = await request(api, { method: 'POST', path: '/api/blockdoc/documents', body: { id: 'manual', article } });
+      expect(duplicate.statusCode).toBe(409);
+
+      const fetched = await request(api, { path: '/api/blockdoc/documents/manual' });
+      expect(JSON.parse(fetched.body)).toMatchObject({ id: 'manual', article });
+
+      const updated = await request(api, {
+        method: 'PUT',
+        path: '/api/blockdoc/documents/manual',
+        body: { article: { ...article, title: 'Guide' } }
+      });
+      expect(updated.statusCode).toBe(200);
+
+      const list = await request(api, { path: '/api/blockdoc/documents' });
+      expect(JSON.parse(list.body)).toMatchObject({ documents: [{ id: 'manual', title: 'Guide' }], total: 1, limit: 10, offset: 0 });
+
+      const deleted = await request(api, { method: 'DELETE', path: '/api/blockdoc/documents/manual' });
+      expect(deleted.statusCode).toBe(204);
+
+      const missing = await request(api, { path: '/api/blockdoc/documents/manual' });
+      expect(missing.statusCode).toBe(404);
+    });
+
+    test('should update blocks through the storage adapter', async () => {
+      const storage = new MemoryStorage();
+      await storage.create({ id: 'manual', article });
+
+      const res = await request({ storage }, {
+        method: 'PATCH',
+        path: '/api/blockdoc/documents/manual/blocks/intro',
+        body: { type: 'heading', content: 'Welcome' }
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(JSON.parse(res.body)).toEqual({ id: 'intro', type: 'text', content: 'Welcome' });
+      expect((await storage.get('manual')).article.blocks[0].content).toBe('Welcome');
+
+      const missing = await request({ storage }, {
+        method: 'PATCH',
+        path: '/api/blockdoc/documents/manual/blocks/nope',
+        body: { content: 'x' }
+      });
+      expect(missing.statusCode).toBe(404);
+      expect(JSON.parse(missing.body).error).toBe('Block not found');
+    });
+
+    test('should keep documents in a plain storage object', async () => {
+      const storage = {};
+
+      await request({ storage }, { method: 'POST', path: '/api/blockdoc/documents', body: { id: 'manual', article } });
+
+      expect(storage.manual).toMatchObject({ id: 'manual', article });
+    });
+
+    test('should answer with 409 when another request creates the document first', async () => {
+      const storage = new MemoryStorage();
+      storage.get = () => Promise.resolve(null);
+      await storage.create({ id: 'manual', article });
+
+      const res = await request({ storage }, { method: 'POST', path: '/api/blockdoc/documents', body: { id: 'manual', article } });
+
+      expect(res.statusCode).toBe(409);
+      expect(JSON.parse(res.body).error).toBe('Document already exists');
+    });
+
+    test('should answer with 500 when the storage fails', async () => {
+      const storage = new MemoryStorage();
+      storage.get = () => Promise.reject(new Error('Disk full'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const res = await request({ storage }, { path: '/api/blockdoc/documents/manual' });
+
+      expect(res.statusCode).toBe(500);
+      expect(JSON.parse(res.body).error).toBe('Disk full');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('revisions', () => {
+    let storage;
+
+    beforeEach(async () => {
+      storage = new MemoryStorage();
+      await storage.create({ id: 'manual', article });
+    });
+
+    test('should send the revision as ETag', async () => {
+      const res = await request({ storage }, { path: '/api/blockdoc/documents/manual' });
+
+      expect(res.headers.etag).toBe('"1"');
+      expect(JSON.parse(res.body).revision).toBe(1);
+
+      const created = await request({ storage }, { method: 'POST', path: '/api/blockdoc/documents', body: { id: 'other', article } });
+      expect(created.headers.etag).toBe('"1"');
+      expect(JSON.parse(created.body).revision).toBe(1);
+    });
+
+    test('should apply changes based on the current revision', async () => {
+      const updated = await request({ storage }, {
+        method: 'PUT',
+        path: '/api/blockdoc/documents/manual',
+        body: { article },
+        headers: { 'if-match': '"1"' }
+      });
+      expect(updated.statusCode).toBe(200);
+      expect(updated.headers.etag).toBe('"2"');
+      expect(JSON.parse(updated.body).revision).toBe(2);
+
+      const patched = await request({ storage }, {
+        method: 'PATCH',
+        path: '/api/blockdoc/documents/manual/blocks/intro',
+        body: { content: 'Hi' },
+        headers: { 'if-match': '"2"' }
+      });
+      expect(patched.statusCode).toBe(200);
+      expect(patched.headers.etag).toBe('"3"');
+
+      const deleted = await request({ storage }, {
+        method: 'DELETE',
+        path: '/api/blockdoc/documents/manual',
+        headers: { 'if-match': '*' }
+      });
+      expect(deleted.statusCode).toBe(204);
+    });
+
+    test('should reject changes based on another revision with 412', async () => {
+      await storage.update('manual', { id: 'manual', article });
+
+      for (const [method, path, body] of [
+        ['PUT', '/api/blockdoc/documents/manual', { article }],
+        ['PATCH', '/api/blockdoc/documents/manual/blocks/intro', { content: 'Hi' }],
+        ['DELETE', '/api/blockdoc/documents/manual', undefined]
+      ]) {
+        const res = await request({ storage }, { method, path, body, headers: { 'if-match': '"1"' } });
+
+        expect(res.statusCode).toBe(412);
+        expect(res.headers.etag).toBe('"2"');
+        expect(JSON.parse(res.body)).toEqual({ error: 'Document has been modified', revision: 2 });
+      }
+
+      const invalid = await request({ storage }, {
+        method: 'PUT',
+        path: '/api/blockdoc/documents/manual',
+        body: { article },
+        headers: { 'if-match': '"abc"' }
+      });
+      expect(invalid.statusCode).toBe(412);
+      expect((await storage.get('manual')).article.blocks[0].content).toBe('Hello');
+    });
+
+    test('should compare If-Match strongly and reject malformed values', async () => {
+      const put = (ifMatch) => request({ storage }, {
+        method: 'PUT',
+        path: '/api/blockdoc/documents/manual',
+        body: { article },
+        headers: { 'if-match': ifMatch }
+      });
+
+      // Weak ETags never match, not even the current revision
+      expect((await put('W/"1"')).statusCode).toBe(412);
+
+      for (const ifMatch of ['1', '"1", "2"', '"1", *', '"1']) {
+        const res = await put(ifMatch);
+
+        expect(res.statusCode).toBe(400);
+        expect(JSON.parse(res.body).error).toBe('If-Match header must be * or a single ETag');
+      }
+
+      expect((await put(' * ')).statusCode).toBe(200);
+      expect((await storage.get('manual')).revision).toBe(2);
+    });
+
+    test('should require If-Match if configured', async () => {
+      const res = await request({ storage, requireIfMatch: true }, {
+        method: 'PATCH',
+        path: '/api/blockdoc/documents/manual/blocks/intro',
+        body: { content: 'Hi' }
+      });
+
+      expect(res.statusCode).toBe(428);
+      expect(JSON.parse(res.body).error).toBe('If-Match header required');
+    });
+  });
+
+  describe('blocks', () => {
+    let storage;
+
+    beforeEach(async () => {
+      storage = new MemoryStorage();
+      await storage.create({
+        id: 'manual',
+        article: {
+          title: 'Manual',
+          blocks: [
+            { id: 'intro', type: 'text', content: 'Hello' },
+            { id: 'box', type: 'section', content: '', children: [{ id: 'inner', type: 'text', content: 'Inside' }] }
+          ]
+        }
+      });
+    });
+
+    const blockIds = async () => {
+      const { article } = await storage.get('manual');
+      return article.blocks.map((block) => (block.children ? [block.id, block.children.map((child) => child.id)] : block.id));
+    };
+
+    test('should get the blocks of a document and single blocks', async () => {
+      const list = await request({ storage }, { path: '/api/blockdoc/documents/manual/blocks' });
+      expect(list.statusCode).toBe(200);
+      expect(list.headers.etag).toBe('"1"');
+      expect(JSON.parse(list.body).blocks.map((block) => block.id)).toEqual(['intro', 'box']);
+
+      const block = await request({ storage }, { path: '/api/blockdoc/documents/manual/blocks/inner' });
+      expect(JSON.parse(block.body)).toEqual({ id: 'inner', type: 'text', content: 'Inside' });
+
+      const missing = await request({ storage }, { path: '/api/blockdoc/documents/manual/blocks/nope' });
+      expect(missing.statusCode).toBe(404);
+      expect(JSON.parse(missing.body).error).toBe('Block not found');
+
+      const noDocument = await request({ storage }, { path: '/api/blockdoc/documents/other/blocks' });
+      expect(noDocument.statusCode).toBe(404);
+    });
+
+    test('should insert blocks at the end, at a position, after a block or into a container', async () => {
+      const insert = (body) => request({ storage }, { method: 'POST', path: '/api/blockdoc/documents/manual/blocks', body });
+
+      const appended = await insert({ block: { id: 'end', type: 'divider' } });
+      expect(appended.statusCode).toBe(201);
+      expect(appended.headers.etag).toBe('"2"');
+      expect(JSON.parse(appended.body)).toEqual({ block: { id: 'end', type: 'divider', content: '' }, parentId: null, index: 2 });
+
+      expect((await insert({ block: { id: 'first', type: 'text', content: 'A' }, position: 0 })).statusCode).toBe(201);
+      expect(JSON.parse((await insert({ block: { id: 'nested', type: 'text', content: 'B' }, afterId: 'inner' })).body))
+        .toMatchObject({ parentId: 'box', index: 1 });
+      expect(JSON.parse((await insert({ block: { id: 'top', type: 'text', content: 'C' }, parentId: 'box', position: 0 })).body))
+        .toMatchObject({ parentId: 'box', index: 0 });
+
+      expect(await blockIds()).toEqual(['first', 'intro', ['box', ['top', 'inner', 'nested']], 'end']);
+      expect((await storage.get('manual')).revision).toBe(5);
+    });
+
+    test('should validate inserted blocks through the Block class', async () => {
+      const insert = async (body) => {
+        const res = await request({ storage }, { method: 'POST', path: '/api/blockdoc/documents/manual/blocks', body });
+        return [res.statusCode, JSON.parse(res.body).error];
+      };
+
+      expect(await insert({})).toEqual([400, 'Invalid block format']);
+      expect(await insert({ block: { id: 'x', type: 'unknown' } })).toEqual([400, expect.stringMatching(/^Invalid block type: unknown\./)]);
+      expect(await insert({ block: { id: 'x', type: 'heading', content: 'No level' } })).toEqual([400, 'Block of type "heading" requires property "level"']);
+      expect(await insert({ block: { id: 'inner', type: 'text', content: 'Taken' } })).toEqual([409, 'Block with ID "inner" already exists']);
+      expect(await insert({ block: { id: 'x', type: 'text' }, afterId: 'nope' })).toEqual([404, 'Block not found']);
+      expect(await insert({ block: { id: 'x', type: 'text' }, parentId: 'intro' })).toEqual([400, 'Block "intro" of type "text" cannot contain blocks']);
+      expect(await insert({ block: { id: 'x', type: 'text' }, position: 7 })).toEqual([400, 'Invalid position: 7']);
+      expect(await insert({ block: { id: 'x', type: 'text' }, afterId: 'intro', position: 0 })).toEqual([400, 'Use either afterId or position']);
+
+      expect((await storage.get('manual')).revision).toBe(1);
+    });
+
+    test('should validate block updates through the Block class', async () => {
+      const res = await request({ storage }, {
+        method: 'PATCH',
+        path: '/api/blockdoc/documents/manual/blocks/box',
+        body: { children: [{ id: 'intro', type: 'text', content: 'Duplicate' }] }
+      });
+      expect(res.statusCode).toBe(409);
+
+      const invalid = await request({ storage }, {
+        method: 'PATCH',
+        path: '/api/blockdoc/documents/manual/blocks/box',
+        body: { children: [{ id: 'new', type: 'unknown' }] }
+      });
+      expect(invalid.statusCode).toBe(400);
+      expect(JSON.parse(invalid.body).error).toMatch(/^Invalid block type: unknown\./);
+      expect((await storage.get('manual')).revision).toBe(1);
+    });
+
+    test('should delete blocks with their children', async () => {
+      const res = await request({ storage }, { method: 'DELETE', path: '/api/blockdoc/documents/manual/blocks/box' });
+
+      expect(res.statusCode).toBe(204);
+      expect(res.headers.etag).toBe('"2"');
+      expect(await blockIds()).toEqual(['intro']);
+
+      const missing = await request({ storage }, { method: 'DELETE', path: '/api/blockdoc/documents/manual/blocks/inner' });
+      expect(missing.statusCode).toBe(404);
+    });
+
+    test('should move blocks within and between containers', async () => {
+      const move = (id, body) => request({ storage }, { method: 'POST', path: `/api/blockdoc/documents/manual/blocks/${id}/move`, body });
+
+      const moved = await move('intro', { position: 1 });
+      expect(moved.statusCode).toBe(200);
+      expect(moved.headers.etag).toBe('"2"');
+      expect(JSON.parse(moved.body)).toEqual({ id: 'intro', parentId: null, index: 1 });
+      expect(await blockIds()).toEqual([['box', ['inner']], 'intro']);
+
+      expect(JSON.parse((await move('intro', { afterId: 'inner' })).body)).toEqual({ id: 'intro', parentId: 'box', index: 1 });
+      expect(JSON.parse((await move('inner', { parentId: null })).body)).toEqual({ id: 'inner', parentId: null, index: 1 });
+      expect(await blockIds()).toEqual([['box', ['intro']], 'inner']);
+      expect(JSON.parse((await move('box', { afterId: 'inner' })).body)).toEqual({ id: 'box', parentId: null, index: 1 });
+      expect(await blockIds()).toEqual(['inner', ['box', ['intro']]]);
+
+      const intoItself = await move('box', { afterId: 'intro' });
+      expect(intoItself.statusCode).toBe(400);
+      expect(JSON.parse(intoItself.body).error).toBe('Cannot move block "box" after itself');
+      expect((await move('box', { position: 2 })).statusCode).toBe(400);
+      expect((await move('nope', { position: 0 })).statusCode).toBe(404);
+    });
+
+    test('should check the revision of block changes', async () => {
+      await storage.update('manual', await storage.get('manual'));
+
+      for (const [path, body] of [
+        ['/api/blockdoc/documents/manual/blocks', { block: { id: 'x', type: 'text' } }],
+        ['/api/blockdoc/documents/manual/blocks/intro/move', { position: 1 }]
+      ]) {
+        const res = await request({ storage }, { method: 'POST', path, body, headers: { 'if-match': '"1"' } });
+
+        expect(res.statusCode).toBe(412);
+        expect(res.headers.etag).toBe('"2"');
+      }
+
+      const deleted = await request({ storage }, {
+        method: 'DELETE',
+        path: '/api/blockdoc/documents/manual/blocks/intro',
+        headers: { 'if-match': '"2"' }
+      });
+      expect(deleted.statusCode).toBe(204);
+
+      const required = await request({ storage, requireIfMatch: true }, {
+        method: 'POST',
+        path: '/api/blockdoc/documents/manual/blocks',
+        body: { block: { id: 'x', type: 'text' } }
+      });
+      expect(required.statusCode).toBe(428);
+    });
+
+    test('should only patch blocks of the revision that was validated', async () => {
+      const patchBlock = storage.patchBlock.bind(storage);
+      storage.patchBlock = jest.fn(async (id, blockId, updates, options) => {
+        if (storage.patchBlock.mock.calls.length === 1) {
+          // Someone else turns the block into a heading in between
+          const record = await storage.get(id);
+          record.article.blocks[0] = { id: 'intro', type: 'heading', level: 2, content: 'Hello' };
+          await storage.update(id, record);
+        }
+        return patchBlock(id, blockId, updates, options);
+      });
+
+      const res = await request({ storage }, {
+        method: 'PATCH',
+        path: '/api/blockdoc/documents/manual/blocks/intro',
+        body: { content: 'Hi' }
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(storage.patchBlock.mock.calls.map((call) => call[3])).toEqual([{ revision: 1 }, { revision: 2 }]);
+      expect(JSON.parse(res.body)).toEqual({ id: 'intro', type: 'heading', level: 2, content: 'Hi' });
+      expect((await storage.get('manual')).revision).toBe(3);
+    });
+
+    test('should retry changes without If-Match when the document changes meanwhile', async () => {
+      const update = storage.update.bind(storage);
+      let interfered = false;
+      storage.update = async (id, record, options) => {
+        if (!interfered) {
+          interfered = true;
+          await update(id, await storage.get(id));
+        }
+        return update(id, record, options);
+      };
+
+      const res = await request({ storage }, { method: 'DELETE', path: '/api/blockdoc/documents/manual/blocks/intro' });
+
+      expect(res.statusCode).toBe(204);
+      expect(res.headers.etag).toBe('"3"');
+    });
+  });
+
+  describe('validation', () => {
+    let storage;
+
+    beforeEach(async () => {
+      storage = new MemoryStorage();
+      await storage.create({ id: 'manual', article });
+    });
+
+    test('should reject invalid documents with 422 and every failing pointer', async () => {
+      const res = await request({ storage }, {
+        method: 'POST',
+        path: '/api/blockdoc/documents',
+        body: {
+          article: {
+            title: 'Broken',
+            blocks: [
+              { id: 'intro', type: 'heading', level: 9, content: 'Hi' },
+              { id: 'bad id', type: 'text', content: 'x' }
+            ]
+          }
+        }
+      });
+
+      expect(res.statusCode).toBe(422);
+      expect(JSON.parse(res.body)).toEqual({
+        error: 'Invalid document',
+        errors: [
+          { pointer: '/article/blocks/0/level', message: 'must be <= 6' },
+          { pointer: '/article/blocks/1/id', message: 'must match pattern "^[a-zA-Z0-9-_]+$"' }
+        ]
+      });
+      expect((await storage.list()).total).toBe(1);
+    });
+
+    test('should validate replaced documents', async () => {
+      const res = await request({ storage }, {
+        method: 'PUT',
+        path: '/api/blockdoc/documents/manual',
+        body: { article: { ...article, metadata: { tags: 'one' } } }
+      });
+
+      expect(res.statusCode).toBe(422);
+      expect(JSON.parse(res.body).errors).toEqual([{ pointer: '/article/metadata/tags', message: 'must be array' }]);
+      expect((await storage.get('manual')).revision).toBe(1);
+    });
+
+    test('should validate the document a block change results in', async () => {
+      const patched = await request({ storage }, {
+        method: 'PATCH',
+        path: '/api/blockdoc/documents/manual/blocks/intro',
+        body: { content: 42 }
+      });
+
+      expect(patched.statusCode).toBe(422);
+      expect(JSON.parse(patched.body).errors).toEqual([{ pointer: '/article/blocks/0/content', message: 'must be string' }]);
+
+      const inserted = await request({ storage }, {
+        method: 'POST',
+        path: '/api/blockdoc/documents/manual/blocks',
+        body: { block: { id: 'pic', type: 'image', url: 'not a url', alt: '' }, position: 0 }
+      });
+
+      expect(inserted.statusCode).toBe(422);
+      expect(JSON.parse(inserted.body).errors).toEqual([{ pointer: '/article/blocks/0/url', message: 'must match format "uri"' }]);
+      expect(await storage.get('manual')).toMatchObject({ revision: 1, article });
+    });
+  });
+
+  describe('POST /render/html', () => {
+    test('should stream the rendered document', async () => {
+      const res = await request({}, { method: 'POST', path: '/api/blockdoc/render/html', body: { article } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('text/html; charset=utf-8');
+      expect(res.body).toContain('<h1 class="blockdoc-title">Manual</h1>');
+      expect(res.body).toContain('data-block-id="intro"');
+      expect(res.body.endsWith('</article>')).toBe(true);
+    });
+
+    test('should reject documents that cannot be rendered', async () => {
+      const missing = await request({}, { method: 'POST', path: '/api/blockdoc/render/html', body: {} });
+      expect(missing.statusCode).toBe(400);
+
+      const invalid = await request({}, { method: 'POST', path: '/api/blockdoc/render/html', body: { article: { title: 'x' } } });
+      expect(invalid.statusCode).toBe(400);
+      expect(JSON.parse(invalid.body).error).toBe('Rendering failed: Invalid article structure');
+    });
+  });
+
+  describe('POST /render/markdown', () => {
+    test('should send the rendered document', async () => {
+      const res = await request({}, { method: 'POST', path: '/api/blockdoc/render/markdown', body: { article } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toContain('# Manual');
+      expect(res.body).toContain('Hello');
+    });
+  });
+});
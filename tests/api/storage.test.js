@@ -0,0 +1,291 @@
+/**
+ * Tests for the API storage adapters
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MemoryStorage, FileStorage, SQLiteStorage, isStorageAdapter, getRevision } from '../../src/api/storage.js';
+import { BlockDocConflictError, BlockDocExistsError } from '../../src/core/errors.js';
+
+/**
+ * In-memory stand-in for a better-sqlite3 database, understanding the
+ * statements SQLiteStorage prepares
+ */
+class FakeDatabase {
+  constructor() {
+    this.tables = {};
+    this.statements = [];
+  }
+
+  exec(sql) {
+    const [, table] = sql.match(/CREATE TABLE IF NOT EXISTS (\w+)/);
+    this.tables[table] = this.tables[table] || new Map();
+  }
+
+  prepare(sql) {
+    this.statements.push(sql);
+    const [, table] = sql.match(/(?:FROM|INTO|UPDATE) (\w+)/);
+    const rows = () => this.tables[table];
+    const sorted = () => [...rows().values()]
+      .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)) || a.id.localeCompare(b.id));
+
+    if (sql.startsWith('SELECT data') && sql.includes('WHERE id')) {
+      return { get: (id) => rows().get(id) };
+    }
+    if (sql.startsWith('SELECT data')) {
+      return { all: (limit, offset) => sorted().slice(offset, limit < 0 ? undefined : offset + limit) };
+    }
+    if (sql.startsWith('SELECT COUNT')) {
+      return { get: () => ({ total: rows().size }) };
+    }
+    if (sql.startsWith('INSERT')) {
+      return {
+        run: (id, data, created_at, updated_at) => {
+          if (rows().has(id)) {
+            throw new Error('UNIQUE constraint failed');
+          }
+          rows().set(id, { id, data, created_at, updated_at });
+          return { changes: 1 };
+        },
+      };
+    }
+    if (sql.startsWith('UPDATE')) {
+      return {
+        run: (data, created_at, updated_at, id) => {
+          if (!rows().has(id)) {
+            return { changes: 0 };
+          }
+          rows().set(id, { id, data, created_at, updated_at });
+          return { changes: 1 };
+        },
+      };
+    }
+    if (sql.startsWith('DELETE')) {
+      return { run: (id) => ({ changes: rows().delete(id) ? 1 : 0 }) };
+    }
+    throw new Error(`Unexpected statement: ${sql}`);
+  }
+
+  transaction(fn) {
+    return (...args) => fn(...args);
+  }
+}
+
+/**
+ * better-sqlite3 if it is installed, to run the SQLiteStorage tests against a
+ * real database as well. It is not a dependency of BlockDoc
+ */
+const BetterSqlite3 = (() => {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    return null;
+  }
+})();
+
+const record = (id, createdAt, blocks = [{ id: 'intro', type: 'text', content: 'Hello' }]) => ({
+  id,
+  article: { title: `Document ${id}`, blocks },
+  createdAt,
+  updatedAt: createdAt,
+});
+
+const temporaryDirectories = [];
+
+afterAll(() => {
+  temporaryDirectories.forEach((directory) => fs.rmSync(directory, { recursive: true, force: true }));
+});
+
+describe.each([
+  ['MemoryStorage', () => new MemoryStorage()],
+  ['FileStorage', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'blockdoc-storage-'));
+    temporaryDirectories.push(directory);
+    return new FileStorage(path.join(directory, 'documents'));
+  }],
+  ['SQLiteStorage', () => new SQLiteStorage(new FakeDatabase())],
+  ...(BetterSqlite3 ? [['SQLiteStorage with better-sqlite3', () => new SQLiteStorage(new BetterSqlite3(':memory:'))]] : []),
+])('%s', (name, createStorage) => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createStorage();
+  });
+
+  test('should implement the adapter interface', () => {
+    expect(isStorageAdapter(storage)).toBe(true);
+  });
+
+  test('should create and get documents', async () => {
+    expect(await storage.get('a')).toBeNull();
+    expect(await storage.create(record('a', '2024-01-01'))).toEqual({ ...record('a', '2024-01-01'), revision: 1 });
+    expect(await storage.get('a')).toEqual({ ...record('a', '2024-01-01'), revision: 1 });
+    await expect(storage.create(record('a', '2024-01-02'))).rejects.toThrow(BlockDocExistsError);
+    await expect(storage.create(record('a', '2024-01-02'))).rejects.toThrow('Document "a" already exists');
+  });
+
+  test('should list documents oldest first', async () => {
+    await storage.create(record('b', '2024-01-02'));
+    await storage.create(record('a', '2024-01-01'));
+    await storage.create(record('c', '2024-01-03'));
+
+    const { documents, total } = await storage.list({ limit: 2, offset: 1 });
+    expect(total).toBe(3);
+    expect(documents.map((doc) => doc.id)).toEqual(['b', 'c']);
+    expect((await storage.list()).documents).toHaveLength(3);
+  });
+
+  test('should update and delete documents', async () => {
+    await storage.create(record('a', '2024-01-01'));
+
+    const updated = { ...record('a', '2024-01-01'), updatedAt: '2024-02-01' };
+    updated.article.title = 'Renamed';
+
+    expect(await storage.update('a', updated)).toEqual({ ...updated, revision: 2 });
+    expect((await storage.get('a')).article.title).toBe('Renamed');
+    expect(await storage.update('missing', updated)).toBeNull();
+
+    expect(await storage.delete('a')).toEqual({ ...updated, revision: 2 });
+    expect(await storage.get('a')).toBeNull();
+    expect(await storage.delete('a')).toBeNull();
+  });
+
+  test('should patch blocks anywhere in the tree', async () => {
+    await storage.create(record('a', '2024-01-01', [
+      { id: 'box', type: 'section', content: '', children: [{ id: 'inner', type: 'text', content: 'Old' }] },
+    ]));
+
+    const { document, block } = await storage.patchBlock('a', 'inner', { id: 'other', type: 'heading', content: 'New' });
+
+    expect(block).toEqual({ id: 'inner', type: 'text', content: 'New' });
+    expect(document.updatedAt).not.toBe('2024-01-01');
+    expect((await storage.get('a')).article.blocks[0].children[0].content).toBe('New');
+
+    expect(await storage.patchBlock('a', 'missing', { content: 'x' })).toMatchObject({ block: null });
+    expect(await storage.patchBlock('missing', 'inner', { content: 'x' })).toEqual({ document: null, block: null });
+  });
+
+  test('should count revisions and reject changes based on another one', async () => {
+    expect((await storage.create(record('a', '2024-01-01'))).revision).toBe(1);
+    expect((await storage.update('a', record('a', '2024-01-01'), { revision: 1 })).revision).toBe(2);
+    expect((await storage.patchBlock('a', 'intro', { content: 'Hi' })).document.revision).toBe(3);
+
+    const conflict = storage.update('a', record('a', '2024-01-01'), { revision: 2 });
+    await expect(conflict).rejects.toThrow(BlockDocConflictError);
+    await expect(conflict).rejects.toMatchObject({ documentId: 'a', expectedRevision: 2, currentRevision: 3 });
+    await expect(storage.patchBlock('a', 'intro', { content: 'x' }, { revision: 1 })).rejects.toThrow(BlockDocConflictError);
+    await expect(storage.delete('a', { revision: 2 })).rejects.toThrow(BlockDocConflictError);
+
+    expect((await storage.get('a')).article.blocks[0].content).toBe('Hi');
+    expect(await storage.delete('a', { revision: 3 })).toMatchObject({ id: 'a', revision: 3 });
+  });
+
+  test('should store any document ID, including __proto__', async () => {
+    await storage.create(record('__proto__', '2024-01-01'));
+    await storage.update('__proto__', record('__proto__', '2024-01-02'));
+
+    expect(await storage.get('__proto__')).toMatchObject({ id: '__proto__', revision: 2 });
+    expect((await storage.list()).documents.map((doc) => doc.id)).toEqual(['__proto__']);
+    expect(await storage.get('toString')).toBeNull();
+    expect(await storage.delete('__proto__')).toMatchObject({ id: '__proto__' });
+  });
+
+  test('should not share stored objects with callers', async () => {
+    const created = record('a', '2024-01-01');
+    await storage.create(created);
+    created.article.title = 'Changed';
+
+    const stored = await storage.get('a');
+    stored.article.blocks.length = 0;
+
+    expect(await storage.get('a')).toEqual({ ...record('a', '2024-01-01'), revision: 1 });
+  });
+});
+
+describe('getRevision', () => {
+  test('should treat records without a revision as revision 0', () => {
+    expect(getRevision({ id: 'a', revision: 4 })).toBe(4);
+    expect(getRevision({ id: 'a' })).toBe(0);
+  });
+});
+
+describe('MemoryStorage', () => {
+  test('should keep records in the given object', async () => {
+    const documents = { a: record('a', '2024-01-01') };
+    const storage = new MemoryStorage(documents);
+
+    await storage.create(record('b', '2024-01-02'));
+
+    expect(Object.keys(documents)).toEqual(['a', 'b']);
+    expect(await storage.get('a')).toEqual(record('a', '2024-01-01'));
+  });
+
+  test('should keep a __proto__ record in a given plain object', async () => {
+    const documents = {};
+    const storage = new MemoryStorage(documents);
+
+    await storage.create(record('__proto__', '2024-01-01'));
+
+    expect(Object.getPrototypeOf(documents)).toBe(Object.prototype);
+    expect(Object.keys(documents)).toEqual(['__proto__']);
+  });
+
+  test('should return a copy of a deleted record', async () => {
+    const documents = { a: record('a', '2024-01-01') };
+    const storage = new MemoryStorage(documents);
+    const stored = documents.a;
+
+    const deleted = await storage.delete('a');
+
+    expect(deleted).toEqual(stored);
+    expect(deleted).not.toBe(stored);
+  });
+});
+
+describe('FileStorage', () => {
+  test('should write one JSON file per document, named after its ID', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'blockdoc-storage-'));
+    temporaryDirectories.push(directory);
+    const storage = new FileStorage(directory);
+
+    await storage.create(record('../escape', '2024-01-01'));
+    await storage.create(record('plain', '2024-01-01'));
+
+    expect(fs.readdirSync(directory).sort()).toEqual(['%2E.%2Fescape.json', 'plain.json']);
+    expect(JSON.parse(fs.readFileSync(path.join(directory, 'plain.json'), 'utf8'))).toEqual({ ...record('plain', '2024-01-01'), revision: 1 });
+  });
+
+  test('should apply concurrent changes one after the other', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'blockdoc-storage-'));
+    temporaryDirectories.push(directory);
+    const storage = new FileStorage(directory);
+
+    await storage.create(record('a', '2024-01-01'));
+    const results = await Promise.allSettled([
+      storage.patchBlock('a', 'intro', { content: 'One' }, { revision: 1 }),
+      storage.patchBlock('a', 'intro', { content: 'Two' }, { revision: 1 }),
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(await storage.get('a')).toMatchObject({ revision: 2, article: { blocks: [{ content: 'One' }] } });
+  });
+
+  test('should require a directory', () => {
+    expect(() => new FileStorage()).toThrow('Storage directory must be a non-empty string');
+  });
+});
+
+describe('SQLiteStorage', () => {
+  test('should create its table with the given name', () => {
+    const db = new FakeDatabase();
+    new SQLiteStorage(db, { table: 'docs' });
+
+    expect(db.tables).toHaveProperty('docs');
+    expect(db.statements.every((sql) => sql.includes(' docs'))).toBe(true);
+  });
+
+  test('should reject invalid databases and table names', () => {
+    expect(() => new SQLiteStorage({})).toThrow('SQLite storage needs a database with a prepare() method');
+    expect(() => new SQLiteStorage(new FakeDatabase(), { table: 'docs; DROP TABLE x' })).toThrow('Invalid table name');
+  });
+});
@@ -0,0 +1,342 @@
+/**
+ * Tests for collaborative editing
+ */
+import { CollaborativeDocument, encodeUpdate, decodeUpdate } from '../../src/collab/collaborative-document.js';
+import { BlockDocDocument } from '../../src/core/document.js';
+
+// Mock the schema module
+jest.mock('../../src/schema-loader.js', () => ({
+  schema: {
+    type: 'object',
+    properties: {
+      article: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          blocks: { type: 'array' }
+        }
+      }
+    }
+  }
+}));
+
+const initialArticle = () => ({
+  title: 'Shared',
+  metadata: { author: 'Ann' },
+  blocks: [
+    { id: 'intro', type: 'text', content: 'Hello world' },
+    { id: 'group', type: 'section', content: '', children: [
+      { id: 'nested', type: 'text', content: 'Nested' }
+    ] },
+    { id: 'outro', type: 'text', content: 'Bye' }
+  ]
+});
+
+/**
+ * Create in-process peers whose updates are queued until delivered
+ */
+function createPeers(...siteIds) {
+  const peers = siteIds.map(siteId => new CollaborativeDocument({
+    siteId,
+    document: new BlockDocDocument(initialArticle())
+  }));
+  const inboxes = peers.map(() => []);
+
+  peers.forEach((peer, index) => {
+    peer.on('update', update => {
+      inboxes.forEach((inbox, target) => {
+        if (target !== index) inbox.push(update);
+      });
+    });
+  });
+
+  const deliver = (index, { reverse = false } = {}) => {
+    const updates = inboxes[index].splice(0);
+    (reverse ? updates.reverse() : updates).forEach(update => peers[index].applyUpdate(update));
+  };
+
+  const sync = (options) => peers.forEach((peer, index) => deliver(index, options));
+
+  return { peers, deliver, sync };
+}
+
+const expectConverged = (peers) => {
+  const snapshot = JSON.stringify(peers[0].toJSON());
+  peers.forEach(peer => {
+    expect(JSON.stringify(peer.toJSON())).toBe(snapshot);
+    expect(peer.document.toJSON().article).toEqual(peer.toJSON().article);
+  });
+};
+
+describe('CollaborativeDocument', () => {
+  test('should require a valid site ID', () => {
+    expect(() => new CollaborativeDocument({ siteId: '' })).toThrow(/Site ID/);
+    expect(new CollaborativeDocument().siteId).toEqual(expect.any(String));
+  });
+
+  test('should export the initial document', () => {
+    const { peers } = createPeers('a');
+    expect(peers[0].toJSON()).toEqual({ article: initialArticle() });
+  });
+
+  test('should send local document changes to other peers', () => {
+    const { peers, sync } = createPeers('a', 'b');
+    const [a, b] = peers;
+
+    a.document.updateBlock('intro', { content: 'Hello there world' });
+    a.document.insertBlock({ id: 'new', type: 'heading', level: 2, content: 'New' }, 1);
+    a.document.moveBlock('outro', 0, 'group');
+    a.document.removeBlock('nested');
+    a.document.setTitle('Renamed');
+    a.document.setMetadata('author');
+    sync();
+
+    expect(b.document.getBlock('intro').content).toBe('Hello there world');
+    expect(b.document.article.blocks.map(block => block.id)).toEqual(['intro', 'new', 'group']);
+    expect(b.document.getBlock('group').children.map(block => block.id)).toEqual(['outro']);
+    expect(b.document.article.title).toBe('Renamed');
+    expect(b.document.article.metadata).toEqual({});
+    expectConverged(peers);
+  });
+
+  test('should merge concurrent text edits of the same block', () => {
+    const { peers, sync } = createPeers('a', 'b');
+    const [a, b] = peers;
+
+    a.insertText('intro', 5, ',');
+    b.insertText('intro', 11, '!');
+    b.deleteText('intro', 0, 1);
+    b.insertText('intro', 0, 'h');
+    sync();
+
+    expect(a.document.getBlock('intro').content).toBe('hello, world!');
+    expectConverged(peers);
+  });
+
+  test('should merge concurrent document edits without losing changes', () => {
+    const { peers, sync } = createPeers('a', 'b', 'c');
+    const [a, b, c] = peers;
+
+    a.document.updateBlock('intro', { content: 'Hello big world' });
+    b.document.updateBlock('intro', { content: 'Hello world again' });
+    c.document.addBlock({ id: 'c-1', type: 'text', content: 'From C' }, 'group');
+    a.document.addBlock({ id: 'a-1', type: 'text', content: 'From A' }, 'group');
+    b.document.moveBlock('outro', 0);
+    sync();
+
+    expect(a.document.getBlock('intro').content).toBe('Hello big world again');
+    expect(a.document.getBlock('group').children.map(block => block.id).sort()).toEqual(['a-1', 'c-1', 'nested']);
+    expect(a.document.article.blocks[0].id).toBe('outro');
+    expectConverged(peers);
+  });
+
+  test('should converge whatever the delivery order', () => {
+    const { peers, sync } = createPeers('a', 'b', 'c');
+    const [a, b, c] = peers;
+
+    a.insertText('outro', 3, ' now');
+    a.document.updateBlock('nested', { content: 'Nested by A' });
+    b.document.insertBlock({ id: 'b-1', type: 'quote', content: 'Quote', attribution: 'B' }, 0);
+    b.document.setMetadata('tags', ['b']);
+    c.document.moveBlock('intro', 2);
+    c.document.setTitle('Title from C');
+    sync({ reverse: true });
+
+    expect(a.document.article.title).toBe('Title from C');
+    expect(a.document.getBlock('b-1').attribution).toBe('B');
+    expect(b.document.getBlock('outro').content).toBe('Bye now');
+    expect(c.document.getBlock('nested').content).toBe('Nested by A');
+    expectConverged(peers);
+  });
+
+  test('should apply updates delivered in reverse order and more than once', () => {
+    const { peers, deliver } = createPeers('a', 'b');
+    const [a, b] = peers;
+    const updates = [];
+    a.on('update', update => updates.push(update));
+
+    a.document.addBlock({ id: 'x', type: 'section', content: '', children: [] });
+    a.document.addBlock({ id: 'y', type: 'text', content: 'Inside' }, 'x');
+    a.insertText('y', 6, ' out');
+
+    [...updates].reverse().forEach(update => b.applyUpdate(update));
+    updates.forEach(update => b.applyUpdate(update));
+    deliver(1);
+
+    expect(b.document.getBlock('x').children).toEqual([{ id: 'y', type: 'text', content: 'Inside out' }]);
+    expectConverged(peers);
+  });
+
+  test('concurrent removal should win over edits of the removed block', () => {
+    const { peers, sync } = createPeers('a', 'b');
+    const [a, b] = peers;
+
+    a.document.removeBlock('group');
+    b.document.updateBlock('nested', { content: 'Edited' });
+    b.document.moveBlock('outro', 0, 'group');
+    sync();
+
+    expect(a.document.getBlock('group')).toBeNull();
+    expect(a.document.getBlock('outro')).toBeNull();
+    expectConverged(peers);
+  });
+
+  test('should keep blocks moved into each other concurrently', () => {
+    const { peers, sync } = createPeers('a', 'b');
+    const [a, b] = peers;
+
+    a.document.addBlock({ id: 'p', type: 'section', content: '', children: [] });
+    a.document.addBlock({ id: 'q', type: 'section', content: '', children: [] });
+    sync();
+
+    a.document.moveBlock('p', 0, 'q');
+    b.document.moveBlock('q', 0, 'p');
+    sync();
+
+    expect(a.document.getBlock('p')).not.toBeNull();
+    expect(a.document.getBlock('q')).not.toBeNull();
+    expectConverged(peers);
+  });
+
+  test('should bring new peers up to date from the state of another', () => {
+    const { peers } = createPeers('a');
+    const [a] = peers;
+    a.document.addBlock({ id: 'late', type: 'text', content: 'Late' });
+
+    const c = CollaborativeDocument.fromState(encodeUpdate(a.encodeState()), { siteId: 'c' });
+    expect(c.toJSON()).toEqual(a.toJSON());
+    expect(c.document.toJSON()).toEqual(a.toJSON());
+
+    c.on('update', update => a.applyUpdate(decodeUpdate(encodeUpdate(update))));
+    c.document.updateBlock('late', { content: 'Late but here' });
+    expect(a.document.getBlock('late').content).toBe('Late but here');
+  });
+
+  test('remote changes should not be undoable or echoed back', () => {
+    const { peers, sync } = createPeers('a', 'b');
+    const [a, b] = peers;
+    const echoed = jest.fn();
+    b.on('update', echoed);
+
+    a.document.removeBlock('outro');
+    sync();
+
+    expect(echoed).not.toHaveBeenCalled();
+    expect(b.document.canUndo()).toBe(false);
+  });
+
+  test('should stop following the document after destroy()', () => {
+    const { peers } = createPeers('a');
+    const listener = jest.fn();
+    peers[0].on('update', listener);
+    peers[0].destroy();
+
+    peers[0].document.removeBlock('intro');
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('should reject invalid updates and unknown text targets', () => {
+    const { peers } = createPeers('a');
+    expect(() => peers[0].applyUpdate({})).toThrow(/missing ops/);
+    expect(() => peers[0].insertText('missing', 0, 'x')).toThrow(/not found/);
+  });
+
+  test('should wait for the updates a recreated block depends on', () => {
+    const { peers } = createPeers('a', 'b');
+    const [a, b] = peers;
+    const updates = [];
+    a.on('update', update => updates.push(update));
+
+    a.document.addBlock({ id: 'x', type: 'heading', level: 2, content: 'X' });
+    a.document.removeBlock('x');
+    a.document.undo();
+
+    b.applyUpdate(updates[2]);
+    expect(b.document.getBlock('x')).toBeNull();
+
+    b.applyUpdate(updates[0]);
+    b.applyUpdate(updates[1]);
+    expect(b.document.getBlock('x')).toEqual({ id: 'x', type: 'heading', level: 2, content: 'X' });
+    expectConverged(peers);
+  });
+
+  test('should wait for the updates of other replicas an update was made after', () => {
+    const { peers } = createPeers('a', 'b', 'c');
+    const [a, b, c] = peers;
+    const fromA = [];
+    const fromB = [];
+    a.on('update', update => fromA.push(update));
+    b.on('update', update => fromB.push(update));
+
+    a.document.addBlock({ id: 'x', type: 'heading', level: 2, content: 'X' });
+    fromA.forEach(update => b.applyUpdate(update));
+    b.document.removeBlock('x');
+    b.document.undo();
+
+    fromB.forEach(update => c.applyUpdate(update));
+    expect(c.document.getBlock('x')).toBeNull();
+
+    fromA.forEach(update => c.applyUpdate(update));
+    expect(c.document.getBlock('x')).toEqual({ id: 'x', type: 'heading', level: 2, content: 'X' });
+    fromB.forEach(update => a.applyUpdate(update));
+    expectConverged(peers);
+  });
+
+  test('should leave the replica unchanged if an update makes a block invalid', () => {
+    const { peers, sync } = createPeers('a', 'b');
+    const [a, b] = peers;
+    const state = b.encodeState();
+
+    expect(() => b.applyUpdate({ ops: [
+      { id: [1, 'z'], seq: 1, type: 'create', blockId: 'bad' },
+      { id: [2, 'z'], seq: 2, type: 'set', blockId: 'bad', key: 'type', value: 'unknown' },
+      { id: [3, 'z'], seq: 3, type: 'place', blockId: 'bad', parentId: null, after: null }
+    ] })).toThrow(/Invalid block type: unknown/);
+
+    expect(b.encodeState()).toEqual(state);
+    expect(b.toJSON()).toEqual({ article: initialArticle() });
+    expect(b.document.toJSON().article).toEqual(initialArticle());
+
+    a.insertText('intro', 11, '!');
+    sync();
+    expect(b.document.getBlock('intro').content).toBe('Hello world!');
+    expectConverged(peers);
+  });
+
+  test('should not send text edits the document rejects', () => {
+    const { peers } = createPeers('a');
+    const [a] = peers;
+    const listener = jest.fn();
+    a.on('update', listener);
+    const state = a.encodeState();
+
+    jest.spyOn(a.document, 'applyOperations').mockImplementationOnce(() => {
+      throw new Error('Rejected');
+    });
+
+    expect(() => a.insertText('intro', 0, 'Oh, ')).toThrow('Rejected');
+    expect(listener).not.toHaveBeenCalled();
+    expect(a.encodeState()).toEqual(state);
+
+    a.insertText('intro', 0, 'Oh, ');
+    expect(listener).toHaveBeenCalledTimes(1);
+    expectConverged(peers);
+  });
+
+  test('should only update the edited blocks for text and property changes', () => {
+    const { peers, sync } = createPeers('a', 'b');
+    const [a, b] = peers;
+    const applyOperations = jest.spyOn(b.document, 'applyOperations');
+
+    a.insertText('nested', 6, '!');
+    a.document.setMetadata('author', 'Bob');
+    sync();
+
+    const calls = applyOperations.mock.calls.filter(([, options]) => options.history === false);
+    expect(calls).toEqual([
+      [[{ op: 'update', id: 'nested', updates: { type: 'text', content: 'Nested!' } }], { history: false, validate: false }],
+      [[{ op: 'setMetadata', key: 'author', value: 'Bob' }], { history: false, validate: false }]
+    ]);
+    expectConverged(peers);
+  });
+});
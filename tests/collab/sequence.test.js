@@ -0,0 +1,62 @@
+/**
+ * Tests for the sequence CRDT
+ */
+import { Sequence, compareIds, idKey } from '../../src/collab/sequence.js';
+
+const values = (sequence) => sequence.visible().map(item => item.value).join('');
+
+describe('Sequence', () => {
+  test('compareIds() should order by counter, then site', () => {
+    expect(compareIds([1, 'b'], [2, 'a'])).toBeLessThan(0);
+    expect(compareIds([2, 'a'], [2, 'b'])).toBeLessThan(0);
+    expect(compareIds([2, 'b'], [2, 'a'])).toBeGreaterThan(0);
+    expect(compareIds([2, 'a'], [2, 'a'])).toBe(0);
+    expect(idKey([3, 'alice'])).toBe('3@alice');
+  });
+
+  test('should insert after existing elements', () => {
+    const sequence = new Sequence();
+    sequence.insert(null, [1, 'a'], 'a');
+    sequence.insert([1, 'a'], [2, 'a'], 'c');
+    sequence.insert([1, 'a'], [3, 'a'], 'b');
+
+    expect(values(sequence)).toBe('abc');
+    expect(sequence.has([2, 'a'])).toBe(true);
+    expect(sequence.has([9, 'a'])).toBe(false);
+  });
+
+  test('should order concurrent insertions the same way on every replica', () => {
+    const first = new Sequence();
+    const second = new Sequence();
+    const ops = [
+      [null, [1, 'a'], 'x'],
+      [[1, 'a'], [2, 'a'], 'A'],
+      [[1, 'a'], [2, 'b'], 'B'],
+      [[2, 'b'], [3, 'b'], 'b']
+    ];
+
+    ops.forEach(op => first.insert(...op));
+    [ops[0], ops[2], ops[3], ops[1]].forEach(op => second.insert(...op));
+
+    expect(values(first)).toBe(values(second));
+    expect(values(first)).toBe('xBbA');
+  });
+
+  test('should keep deleted elements as anchors', () => {
+    const sequence = new Sequence();
+    sequence.insert(null, [1, 'a'], 'a');
+    sequence.insert([1, 'a'], [2, 'a'], 'b');
+    sequence.delete([1, 'a']);
+    sequence.insert([1, 'a'], [3, 'b'], 'c');
+
+    expect(values(sequence)).toBe('cb');
+  });
+
+  test('should ignore duplicate insertions', () => {
+    const sequence = new Sequence();
+    sequence.insert(null, [1, 'a'], 'a');
+    sequence.insert(null, [1, 'a'], 'a');
+
+    expect(sequence.items).toHaveLength(1);
+  });
+});
@@ -247,6 +247,53 @@ describe('Block class', () => {
       expect(block.listType).toBe('ordered');
     });
 
+    test('Block.table() should create a table block', () => {
+      const block = Block.table('table-block', ['A', 'B'], [['1', '2']], {
+        align: ['left', 'right'],
+        caption: 'Numbers'
+      });
+
+      expect(block.type).toBe('table');
+      expect(block.headers).toEqual(['A', 'B']);
+      expect(block.rows).toEqual([['1', '2']]);
+      expect(block.align).toEqual(['left', 'right']);
+      expect(block.caption).toBe('Numbers');
+      expect(Block.table('bare', ['A'], []).toJSON()).toEqual({
+        id: 'bare',
+        type: 'table',
+        content: '',
+        headers: ['A'],
+        rows: []
+      });
+    });
+
+    test('table blocks should require headers and rows', () => {
+      expect(() => new Block({ id: 't', type: 'table', rows: [] })).toThrow(/requires property "headers"/);
+      expect(() => new Block({ id: 't', type: 'table', headers: [] })).toThrow(/requires property "rows"/);
+    });
+
+    test('Block.section() and Block.columns() should create container blocks', () => {
+      const section = Block.section('section-block', [Block.text('child', 'Hello')]);
+      const columns = Block.columns('columns-block');
+
+      expect(section.type).toBe('section');
+      expect(section.children[0]).toBeInstanceOf(Block);
+      expect(columns.type).toBe('columns');
+      expect(columns.children).toEqual([]);
+    });
+
+    test('Block.toggle() should create a toggle block', () => {
+      const block = Block.toggle('toggle-block', 'Show more', [{ id: 'child', type: 'text', content: 'Hidden' }]);
+
+      expect(block.content).toBe('Show more');
+      expect(block.toJSON().children).toEqual([{ id: 'child', type: 'text', content: 'Hidden' }]);
+    });
+
+    test('container blocks should validate their children', () => {
+      expect(() => Block.section('section-block', [{ id: 'child', type: 'bogus' }]))
+        .toThrow(/Invalid block type: bogus/);
+    });
+
     test('Block.list() should default to unordered list type', () => {
       const items = ['Item 1', 'Item 2', 'Item 3'];
       const block = Block.list('list-block', items);
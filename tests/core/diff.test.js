@@ -0,0 +1,147 @@
+/**
+ * Tests for the structural document diff
+ */
+import { diffDocuments } from '../../src/core/diff.js';
+
+const article = (blocks, extra = {}) => ({ title: 'Doc', metadata: {}, blocks, ...extra });
+const text = (id, content) => ({ id, type: 'text', content });
+
+describe('diffDocuments', () => {
+  test('should throw with invalid input', () => {
+    expect(() => diffDocuments(null, article([]))).toThrow(/Invalid article structure/);
+    expect(() => diffDocuments(article([]), {})).toThrow(/Invalid article structure/);
+  });
+
+  test('should accept documents, { article } objects and articles', () => {
+    const a = article([text('a', 'A')]);
+    const diff = diffDocuments({ article: a }, a);
+
+    expect(diff).toEqual({ title: null, metadata: {}, operations: [] });
+  });
+
+  test('should report title and metadata changes', () => {
+    const diff = diffDocuments(
+      article([], { metadata: { author: 'Ann', tags: ['a'] } }),
+      article([], { title: 'New', metadata: { tags: ['a', 'b'] } })
+    );
+
+    expect(diff.title).toEqual({ before: 'Doc', after: 'New' });
+    expect(diff.metadata).toEqual({
+      author: { before: 'Ann', after: undefined },
+      tags: { before: ['a'], after: ['a', 'b'] }
+    });
+  });
+
+  test('should report added and removed blocks', () => {
+    const diff = diffDocuments(
+      article([text('a', 'A'), text('b', 'B')]),
+      article([text('a', 'A'), text('c', 'C')])
+    );
+
+    expect(diff.operations).toEqual([
+      { type: 'removed', id: 'b', block: text('b', 'B'), parentId: null, index: 1 },
+      { type: 'added', id: 'c', block: text('c', 'C'), parentId: null, index: 1 }
+    ]);
+  });
+
+  test('should report property and content changes', () => {
+    const diff = diffDocuments(
+      article([{ id: 'h', type: 'heading', level: 2, content: 'Old title here' }]),
+      article([{ id: 'h', type: 'heading', level: 3, content: 'New title here' }])
+    );
+
+    expect(diff.operations).toEqual([{
+      type: 'updated',
+      id: 'h',
+      block: { id: 'h', type: 'heading', level: 3, content: 'New title here' },
+      properties: { level: { before: 2, after: 3 } },
+      content: {
+        before: 'Old title here',
+        after: 'New title here',
+        diff: [
+          { type: 'delete', value: 'Old' },
+          { type: 'insert', value: 'New' },
+          { type: 'equal', value: ' title here' }
+        ]
+      }
+    }]);
+  });
+
+  test('should not report blocks shifted by insertions as moved', () => {
+    const diff = diffDocuments(
+      article([text('a', 'A'), text('b', 'B')]),
+      article([text('new', 'N'), text('a', 'A'), text('b', 'B')])
+    );
+
+    expect(diff.operations.map(op => op.type)).toEqual(['added']);
+  });
+
+  test('should report reordered blocks as moved', () => {
+    const diff = diffDocuments(
+      article([text('a', 'A'), text('b', 'B'), text('c', 'C')]),
+      article([text('c', 'C'), text('a', 'A'), text('b', 'B')])
+    );
+
+    expect(diff.operations).toEqual([{
+      type: 'moved',
+      id: 'c',
+      from: { parentId: null, index: 2 },
+      to: { parentId: null, index: 0 }
+    }]);
+  });
+
+  test('should find moves in large documents without a quadratic table', () => {
+    const blocks = Array.from({ length: 20000 }, (_, index) => text(`b${index}`, `Block ${index}`));
+    const reordered = [...blocks];
+    const [moved] = reordered.splice(15000, 1);
+    reordered.splice(100, 0, moved);
+
+    const diff = diffDocuments(article(blocks), article([...reordered.slice(0, 5000), text('new', 'N'), ...reordered.slice(5000)]));
+
+    expect(diff.operations.map(op => [op.type, op.id])).toEqual([['moved', 'b15000'], ['added', 'new']]);
+  });
+
+  test('should keep the longest run of blocks in order when reordering', () => {
+    const diff = diffDocuments(
+      article(['a', 'b', 'c', 'd', 'e', 'f'].map(id => text(id, id))),
+      article(['f', 'a', 'e', 'b', 'c', 'd'].map(id => text(id, id)))
+    );
+
+    expect(diff.operations.map(op => op.id).sort()).toEqual(['e', 'f']);
+  });
+
+  test('should report moves between containers together with changes', () => {
+    const diff = diffDocuments(
+      article([
+        { id: 's', type: 'section', content: '', children: [text('a', 'A')] }
+      ]),
+      article([
+        { id: 's', type: 'section', content: '', children: [] },
+        text('a', 'A2')
+      ])
+    );
+
+    expect(diff.operations.map(op => [op.type, op.id])).toEqual([['moved', 'a'], ['updated', 'a']]);
+    expect(diff.operations[0].from).toEqual({ parentId: 's', index: 0 });
+    expect(diff.operations[0].to).toEqual({ parentId: null, index: 1 });
+  });
+
+  test('should report nested blocks of added and removed containers once', () => {
+    const diff = diffDocuments(
+      article([{ id: 'old', type: 'section', content: '', children: [text('x', 'X')] }]),
+      article([{ id: 'new', type: 'section', content: '', children: [text('y', 'Y')] }])
+    );
+
+    expect(diff.operations.map(op => [op.type, op.id])).toEqual([['removed', 'old'], ['added', 'new']]);
+    expect(diff.operations[0].block.children).toEqual([text('x', 'X')]);
+  });
+
+  test('should not report container changes for changed children', () => {
+    const diff = diffDocuments(
+      article([{ id: 's', type: 'section', content: '', children: [text('a', 'A')] }]),
+      article([{ id: 's', type: 'section', content: '', children: [text('a', 'B')] }])
+    );
+
+    expect(diff.operations.map(op => [op.type, op.id])).toEqual([['updated', 'a']]);
+  });
+});
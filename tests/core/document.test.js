@@ -3,6 +3,8 @@
  */
 import { BlockDocDocument } from '../../src/core/document.js';
 import { Block } from '../../src/core/block.js';
+import { BlockDocValidationError } from '../../src/core/errors.js';
+import { renderToHTMLPage, renderToHTMLStream } from '../../src/renderers/html.js';
 
 // Mock the schema module
 jest.mock('../../src/schema-loader.js', () => ({
@@ -22,7 +24,9 @@ jest.mock('../../src/schema-loader.js', () => ({
 
 // Mock the renderer modules
 jest.mock('../../src/renderers/html.js', () => ({
-  renderToHTML: jest.fn().mockReturnValue('<article>Mocked HTML</article>')
+  renderToHTML: jest.fn().mockReturnValue('<article>Mocked HTML</article>'),
+  renderToHTMLPage: jest.fn().mockReturnValue('<!DOCTYPE html>Mocked Page'),
+  renderToHTMLStream: jest.fn().mockReturnValue('Mocked Stream')
 }));
 
 jest.mock('../../src/renderers/markdown.js', () => ({
@@ -182,6 +186,32 @@ describe('BlockDocDocument class', () => {
       })).toThrow(/Block with ID "nonexistent" not found/);
     });
 
+    test('updateBlock() should not change the ID of a block', () => {
+      doc.addBlock({ id: 'block1', type: 'text', content: 'Hello world' });
+
+      expect(() => doc.updateBlock('block1', { id: 'renamed' }))
+        .toThrow('Cannot change the ID of block "block1"');
+
+      // Passing the block's own ID is fine
+      doc.updateBlock('block1', { id: 'block1', content: 'Changed' });
+
+      expect(doc.article.blocks).toEqual([{ id: 'block1', type: 'text', content: 'Changed' }]);
+      expect(doc.undo()).toBe(true);
+      expect(doc.article.blocks[0].content).toBe('Hello world');
+    });
+
+    test('updateBlock() should change the type of a block, undoably', () => {
+      doc.addBlock({ id: 'block1', type: 'text', content: 'Hello world' });
+
+      doc.updateBlock('block1', { type: 'heading', level: 2 });
+      expect(doc.getBlock('block1')).toEqual({ id: 'block1', type: 'heading', level: 2, content: 'Hello world' });
+
+      expect(doc.undo()).toBe(true);
+      expect(doc.getBlock('block1')).toEqual({ id: 'block1', type: 'text', content: 'Hello world' });
+      expect(doc.redo()).toBe(true);
+      expect(doc.getBlock('block1').type).toBe('heading');
+    });
+
     test('removeBlock() should remove a block by ID', () => {
       doc.addBlock({
         id: 'block1',
@@ -248,6 +278,694 @@ describe('BlockDocDocument class', () => {
     });
   });
 
+  describe('Container blocks', () => {
+    let doc;
+
+    beforeEach(() => {
+      doc = new BlockDocDocument({
+        title: 'Test Document',
+        blocks: [
+          { id: 'intro', type: 'text', content: 'Intro' },
+          {
+            id: 'layout',
+            type: 'columns',
+            content: '',
+            children: [
+              { id: 'left', type: 'text', content: 'Left' },
+              {
+                id: 'right',
+                type: 'section',
+                content: '',
+                children: [{ id: 'deep', type: 'text', content: 'Deep' }]
+              }
+            ]
+          }
+        ]
+      });
+    });
+
+    test('getBlock() should find nested blocks', () => {
+      expect(doc.getBlock('deep').content).toBe('Deep');
+      expect(doc.getParentBlock('deep').id).toBe('right');
+      expect(doc.getParentBlock('intro')).toBeNull();
+    });
+
+    test('addBlock() and insertBlock() should add into a container', () => {
+      doc.addBlock({ id: 'deeper', type: 'text', content: 'Deeper' }, 'right');
+      doc.insertBlock({ id: 'first', type: 'text', content: 'First' }, 0, 'layout');
+
+      expect(doc.getBlock('right').children.map(b => b.id)).toEqual(['deep', 'deeper']);
+      expect(doc.getBlock('layout').children.map(b => b.id)).toEqual(['first', 'left', 'right']);
+    });
+
+    test('should not add into non-container blocks', () => {
+      expect(() => doc.addBlock({ id: 'x', type: 'text', content: '' }, 'intro'))
+        .toThrow(/cannot contain blocks/);
+      expect(() => doc.addBlock({ id: 'x', type: 'text', content: '' }, 'missing'))
+        .toThrow(/not found/);
+    });
+
+    test('should keep block IDs unique across the whole tree', () => {
+      expect(() => doc.addBlock({ id: 'deep', type: 'text', content: '' }))
+        .toThrow(/already exists/);
+
+      expect(() => doc.addBlock({
+        id: 'wrapper',
+        type: 'section',
+        content: '',
+        children: [{ id: 'left', type: 'text', content: '' }]
+      })).toThrow(/Block with ID "left" already exists/);
+
+      expect(() => doc.addBlock({
+        id: 'wrapper',
+        type: 'toggle',
+        content: 'More',
+        children: [
+          { id: 'twin', type: 'text', content: '' },
+          { id: 'twin', type: 'text', content: '' }
+        ]
+      })).toThrow(/Block with ID "twin" already exists/);
+    });
+
+    test('updateBlock() and update operations should not reuse an existing ID', () => {
+      const ids = () => {
+        const result = [];
+        const walk = (blocks) => blocks.forEach((block) => {
+          result.push(block.id);
+          walk(block.children || []);
+        });
+        walk(doc.article.blocks);
+        return result;
+      };
+      const before = ids();
+
+      expect(() => doc.updateBlock('deep', { id: 'intro' })).toThrow(/Cannot change the ID/);
+      expect(() => doc.applyOperations([{ op: 'update', id: 'left', updates: { id: 'right' } }]))
+        .toThrow(/Cannot change the ID/);
+      expect(() => doc.updateBlock('right', {
+        children: [{ id: 'right', type: 'text', content: '' }]
+      })).toThrow(/Block with ID "right" already exists/);
+
+      expect(ids()).toEqual(before);
+      expect(new Set(ids()).size).toBe(before.length);
+    });
+
+    test('updateBlock() should update nested blocks', () => {
+      doc.updateBlock('deep', { content: 'Updated' });
+      expect(doc.getBlock('deep').content).toBe('Updated');
+    });
+
+    test('updateBlock() should check replaced children for duplicates', () => {
+      expect(() => doc.updateBlock('right', {
+        children: [{ id: 'intro', type: 'text', content: '' }]
+      })).toThrow(/Block with ID "intro" already exists/);
+
+      doc.updateBlock('right', {
+        children: [{ id: 'deep', type: 'text', content: 'Replaced' }]
+      });
+      expect(doc.getBlock('deep').content).toBe('Replaced');
+    });
+
+    test('removeBlock() should remove nested blocks and their children', () => {
+      expect(doc.removeBlock('deep')).toBe(true);
+      expect(doc.getBlock('deep')).toBeNull();
+
+      expect(doc.removeBlock('layout')).toBe(true);
+      expect(doc.getBlock('left')).toBeNull();
+      expect(doc.article.blocks.map(b => b.id)).toEqual(['intro']);
+    });
+
+    test('moveBlock() should move within the current parent', () => {
+      doc.moveBlock('right', 0);
+      expect(doc.getBlock('layout').children.map(b => b.id)).toEqual(['right', 'left']);
+    });
+
+    test('moveBlock() should move between containers', () => {
+      doc.moveBlock('deep', 2, 'layout');
+      expect(doc.getBlock('layout').children.map(b => b.id)).toEqual(['left', 'right', 'deep']);
+      expect(doc.getBlock('right').children).toEqual([]);
+
+      doc.moveBlock('left', 0, null);
+      expect(doc.article.blocks.map(b => b.id)).toEqual(['left', 'intro', 'layout']);
+    });
+
+    test('moveBlock() should not move a block into its own descendants', () => {
+      expect(() => doc.moveBlock('layout', 0, 'right')).toThrow(/into itself/);
+      expect(() => doc.moveBlock('deep', 5, 'layout')).toThrow(/Invalid position/);
+    });
+  });
+
+  describe('Undo and redo', () => {
+    let doc;
+
+    beforeEach(() => {
+      doc = new BlockDocDocument({
+        title: 'Test Document',
+        blocks: [
+          { id: 'intro', type: 'text', content: 'Intro' },
+          { id: 'group', type: 'section', content: '', children: [{ id: 'inner', type: 'text', content: 'Inner' }] }
+        ]
+      });
+    });
+
+    const snapshot = () => JSON.parse(JSON.stringify(doc.article.blocks));
+
+    test('should not record initial blocks', () => {
+      expect(doc.canUndo()).toBe(false);
+      expect(doc.undo()).toBe(false);
+      expect(doc.redo()).toBe(false);
+    });
+
+    test('should undo and redo every kind of change', () => {
+      const states = [snapshot()];
+
+      doc.addBlock({ id: 'outro', type: 'text', content: 'Outro' });
+      states.push(snapshot());
+      doc.insertBlock({ id: 'nested', type: 'text', content: 'Nested' }, 0, 'group');
+      states.push(snapshot());
+      doc.updateBlock('inner', { content: 'Changed' });
+      states.push(snapshot());
+      doc.moveBlock('inner', 0, null);
+      states.push(snapshot());
+      doc.removeBlock('group');
+      states.push(snapshot());
+
+      for (let i = states.length - 2; i >= 0; i--) {
+        expect(doc.undo()).toBe(true);
+        expect(doc.article.blocks).toEqual(states[i]);
+      }
+      expect(doc.canUndo()).toBe(false);
+
+      for (let i = 1; i < states.length; i++) {
+        expect(doc.redo()).toBe(true);
+        expect(doc.article.blocks).toEqual(states[i]);
+      }
+      expect(doc.canRedo()).toBe(false);
+    });
+
+    test('should record inserts at out-of-range positions where they land', () => {
+      doc.insertBlock({ id: 'last', type: 'text', content: '' }, 99);
+      doc.insertBlock({ id: 'before-last', type: 'text', content: '' }, -1);
+
+      expect(doc.article.blocks.map(b => b.id)).toEqual(['intro', 'group', 'before-last', 'last']);
+      doc.undo();
+      doc.undo();
+      doc.redo();
+      doc.redo();
+      expect(doc.article.blocks.map(b => b.id)).toEqual(['intro', 'group', 'before-last', 'last']);
+    });
+
+    test('should not share state between history and the article', () => {
+      doc.updateBlock('intro', { content: 'Changed' });
+      doc.getBlock('intro').content = 'Mutated directly';
+      doc.undo();
+      doc.redo();
+
+      expect(doc.getBlock('intro').content).toBe('Changed');
+    });
+
+    test('transaction() should group changes into one undo step', () => {
+      const before = snapshot();
+
+      const result = doc.transaction(() => {
+        doc.addBlock({ id: 'a', type: 'text', content: 'A' });
+        doc.updateBlock('intro', { content: 'Changed' });
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      doc.undo();
+      expect(doc.article.blocks).toEqual(before);
+      expect(doc.canUndo()).toBe(false);
+    });
+
+    test('transaction() should revert its changes when the callback throws', () => {
+      doc.addBlock({ id: 'kept', type: 'text', content: '' });
+      const before = snapshot();
+
+      expect(() => doc.transaction(() => {
+        doc.updateBlock('intro', { content: 'Changed' });
+        doc.addBlock({ id: 'intro', type: 'text', content: 'Duplicate' });
+      })).toThrow(/already exists/);
+
+      expect(doc.article.blocks).toEqual(before);
+      doc.undo();
+      expect(doc.getBlock('kept')).toBeNull();
+    });
+
+    test('should honour the configured history depth', () => {
+      const limited = new BlockDocDocument({ title: 'Limited', historyDepth: 1 });
+      limited.addBlock({ id: 'a', type: 'text', content: '' });
+      limited.addBlock({ id: 'b', type: 'text', content: '' });
+
+      expect(limited.undo()).toBe(true);
+      expect(limited.undo()).toBe(false);
+      expect(limited.article.blocks.map(b => b.id)).toEqual(['a']);
+    });
+
+    test('clearHistory() should forget all steps', () => {
+      doc.addBlock({ id: 'a', type: 'text', content: '' });
+      doc.clearHistory();
+      expect(doc.canUndo()).toBe(false);
+    });
+  });
+
+  describe('Applying operations', () => {
+    let doc;
+
+    beforeEach(() => {
+      doc = new BlockDocDocument({
+        title: 'Test Document',
+        metadata: { author: 'Ann' },
+        blocks: [
+          { id: 'intro', type: 'text', content: 'Intro' },
+          { id: 'group', type: 'section', content: '', children: [
+            { id: 'nested', type: 'text', content: 'Nested' }
+          ] },
+          { id: 'outro', type: 'text', content: 'Outro' }
+        ]
+      });
+    });
+
+    const topLevelIds = () => doc.article.blocks.map(block => block.id);
+
+    test('setTitle() and setMetadata() should be undoable', () => {
+      doc.setTitle('New Title');
+      doc.setMetadata('tags', ['a']);
+      doc.setMetadata('author');
+
+      expect(doc.article.title).toBe('New Title');
+      expect(doc.article.metadata).toEqual({ tags: ['a'] });
+
+      doc.undo();
+      doc.undo();
+      doc.undo();
+      expect(doc.article.title).toBe('Test Document');
+      expect(doc.article.metadata).toEqual({ author: 'Ann' });
+
+      expect(() => doc.setTitle(42)).toThrow(/Title must be a string/);
+      expect(() => doc.setMetadata('')).toThrow(/non-empty string/);
+    });
+
+    test('should keep operations out of the history when requested', () => {
+      doc.setTitle('Undoable');
+      doc.applyOperations([{ op: 'remove', id: 'outro' }], { history: false });
+
+      expect(doc.getBlock('outro')).toBeNull();
+      doc.undo();
+      expect(doc.article.title).toBe('Test Document');
+      expect(doc.getBlock('outro')).toBeNull();
+      expect(doc.canUndo()).toBe(false);
+    });
+
+    test('should apply block operations by ID', () => {
+      doc.applyOperations([
+        { op: 'insert', block: { id: 'first', type: 'text', content: 'First' }, position: 0 },
+        { op: 'insert', block: { id: 'after-nested', type: 'text', content: 'After' }, afterId: 'nested' },
+        { op: 'insert', block: { id: 'last', type: 'text', content: 'Last' } },
+        { op: 'update', id: 'intro', updates: { content: 'Changed' } },
+        { op: 'remove', id: 'outro' },
+        { op: 'move', id: 'last', afterId: 'first' },
+        { op: 'setMetadata', key: 'tags', value: ['x'] }
+      ]);
+
+      expect(topLevelIds()).toEqual(['first', 'last', 'intro', 'group']);
+      expect(doc.getBlock('group').children.map(block => block.id)).toEqual(['nested', 'after-nested']);
+      expect(doc.getBlock('intro').content).toBe('Changed');
+      expect(doc.article.metadata.tags).toEqual(['x']);
+    });
+
+    test('move with afterId should work in both directions', () => {
+      doc.applyOperations([{ op: 'move', id: 'intro', afterId: 'outro' }]);
+      expect(topLevelIds()).toEqual(['group', 'outro', 'intro']);
+
+      doc.applyOperations([{ op: 'move', id: 'intro', afterId: 'group' }]);
+      expect(topLevelIds()).toEqual(['group', 'intro', 'outro']);
+
+      doc.applyOperations([{ op: 'move', id: 'outro', afterId: 'nested' }]);
+      expect(doc.getParentBlock('outro').id).toBe('group');
+    });
+
+    test('should be atomic and report the failing operation', () => {
+      const before = JSON.stringify(doc.toJSON());
+      const change = jest.fn();
+      doc.on('change', change);
+
+      expect(() => doc.applyOperations([
+        { op: 'update', id: 'intro', updates: { content: 'Changed' } },
+        { op: 'remove', id: 'missing' }
+      ])).toThrow('Operation 1 "remove" failed: Block with ID "missing" not found');
+
+      expect(() => doc.applyOperations([
+        { op: 'insert', block: { id: 'x', type: 'bogus' } }
+      ])).toThrow(/Invalid block type/);
+
+      expect(() => doc.applyOperations([{ op: 'explode' }])).toThrow(/Unknown operation: explode/);
+      expect(() => doc.applyOperations({})).toThrow(/must be an array/);
+
+      expect(JSON.stringify(doc.toJSON())).toBe(before);
+      expect(change).not.toHaveBeenCalled();
+    });
+
+    test('should roll back when the result fails schema validation', () => {
+      expect(() => doc.applyOperations([
+        { op: 'remove', id: 'intro' },
+        { op: 'update', id: 'outro', updates: { type: 'bogus' } }
+      ])).toThrow();
+
+      expect(() => doc.applyOperations([
+        { op: 'remove', path: '/article/blocks/2' },
+        { op: 'replace', path: '/article/title', value: 42 }
+      ])).toThrow(/Invalid BlockDoc document/);
+
+      expect(topLevelIds()).toEqual(['intro', 'group', 'outro']);
+    });
+
+    test('should be a single undo step with a single change event', () => {
+      const change = jest.fn();
+      doc.on('change', change);
+
+      doc.applyOperations([
+        { op: 'remove', id: 'intro' },
+        { op: 'setMetadata', key: 'author', value: 'Ben' }
+      ]);
+
+      expect(change).toHaveBeenCalledTimes(1);
+      expect(change.mock.calls[0][0].changes.map(c => c.type)).toEqual(['block:removed', 'metadata:updated']);
+
+      doc.undo();
+      expect(topLevelIds()).toEqual(['intro', 'group', 'outro']);
+      expect(doc.article.metadata.author).toBe('Ann');
+    });
+
+    describe('JSON Patch', () => {
+      test('should apply patches against toJSON()', () => {
+        doc.applyOperations([
+          { op: 'replace', path: '/article/title', value: 'Patched' },
+          { op: 'replace', path: '/article/blocks/0/content', value: 'New intro' },
+          { op: 'add', path: '/article/blocks/1/children/-', value: { id: 'added', type: 'text', content: 'Added' } },
+          { op: 'remove', path: '/article/blocks/2' },
+          { op: 'add', path: '/article/metadata/tags', value: ['json'] }
+        ]);
+
+        expect(doc.article.title).toBe('Patched');
+        expect(doc.getBlock('intro').content).toBe('New intro');
+        expect(doc.getBlock('group').children.map(block => block.id)).toEqual(['nested', 'added']);
+        expect(doc.getBlock('outro')).toBeNull();
+        expect(doc.article.metadata).toEqual({ author: 'Ann', tags: ['json'] });
+      });
+
+      test('should translate patches into block events', () => {
+        const change = jest.fn();
+        doc.on('change', change);
+
+        doc.applyOperations([
+          { op: 'move', from: '/article/blocks/1/children/0', path: '/article/blocks/0' },
+          { op: 'replace', path: '/article/blocks/1/content', value: 'Changed' }
+        ]);
+
+        expect(topLevelIds()).toEqual(['nested', 'intro', 'group', 'outro']);
+        expect(change.mock.calls[0][0].changes.map(c => [c.type, c.id || c.block.id])).toEqual([
+          ['block:moved', 'nested'],
+          ['block:updated', 'intro']
+        ]);
+
+        doc.undo();
+        expect(topLevelIds()).toEqual(['intro', 'group', 'outro']);
+        expect(doc.getBlock('intro').content).toBe('Intro');
+      });
+
+      test('should handle restructured containers', () => {
+        doc.applyOperations([
+          { op: 'replace', path: '/article/blocks', value: [
+            { id: 'wrapper', type: 'section', content: '', children: [
+              { id: 'group', type: 'section', content: '', children: [] },
+              { id: 'nested', type: 'text', content: 'Nested' }
+            ] },
+            { id: 'intro', type: 'text', content: 'Intro' }
+          ] }
+        ]);
+
+        expect(doc.toJSON().article.blocks).toEqual([
+          { id: 'wrapper', type: 'section', content: '', children: [
+            { id: 'group', type: 'section', content: '', children: [] },
+            { id: 'nested', type: 'text', content: 'Nested' }
+          ] },
+          { id: 'intro', type: 'text', content: 'Intro' }
+        ]);
+      });
+
+      test('should reject failing or invalid patches without changes', () => {
+        const before = JSON.stringify(doc.toJSON());
+
+        expect(() => doc.applyOperations([
+          { op: 'replace', path: '/article/title', value: 'Patched' },
+          { op: 'test', path: '/article/title', value: 'Other' }
+        ])).toThrow(/JSON Patch operation 1 failed/);
+
+        expect(() => doc.applyOperations([
+          { op: 'add', path: '/article/blocks/-', value: { id: 'intro', type: 'text', content: '' } }
+        ])).toThrow(/Block with ID "intro" already exists/);
+
+        expect(() => doc.applyOperations([
+          { op: 'remove', path: '/article' }
+        ])).toThrow(/missing article property/);
+
+        expect(JSON.stringify(doc.toJSON())).toBe(before);
+      });
+    });
+  });
+
+  describe('Change events', () => {
+    let doc;
+    let change;
+
+    beforeEach(() => {
+      doc = new BlockDocDocument({
+        title: 'Test Document',
+        blocks: [
+          { id: 'intro', type: 'text', content: 'Intro' },
+          { id: 'group', type: 'section', content: '', children: [] }
+        ]
+      });
+      change = jest.fn();
+      doc.on('change', change);
+    });
+
+    test('should emit block:added with position', () => {
+      const handler = jest.fn();
+      doc.on('block:added', handler);
+
+      doc.insertBlock({ id: 'new', type: 'text', content: 'New' }, 0, 'group');
+
+      expect(handler).toHaveBeenCalledWith({
+        block: { id: 'new', type: 'text', content: 'New' },
+        parentId: 'group',
+        index: 0
+      });
+      expect(change).toHaveBeenCalledWith({
+        changes: [{ type: 'block:added', block: { id: 'new', type: 'text', content: 'New' }, parentId: 'group', index: 0 }]
+      });
+    });
+
+    test('should emit block:updated with before and after', () => {
+      const handler = jest.fn();
+      doc.on('block:updated', handler);
+
+      doc.updateBlock('intro', { content: 'Changed' });
+
+      expect(handler).toHaveBeenCalledWith({
+        id: 'intro',
+        before: { id: 'intro', type: 'text', content: 'Intro' },
+        after: { id: 'intro', type: 'text', content: 'Changed' },
+        parentId: null,
+        index: 0
+      });
+    });
+
+    test('should emit block:removed and block:moved', () => {
+      const removed = jest.fn();
+      const moved = jest.fn();
+      doc.on('block:removed', removed);
+      doc.on('block:moved', moved);
+
+      doc.moveBlock('intro', 0, 'group');
+      doc.removeBlock('intro');
+
+      expect(moved).toHaveBeenCalledWith({
+        id: 'intro',
+        block: { id: 'intro', type: 'text', content: 'Intro' },
+        from: { parentId: null, index: 0 },
+        to: { parentId: 'group', index: 0 }
+      });
+      expect(removed).toHaveBeenCalledWith({
+        block: { id: 'intro', type: 'text', content: 'Intro' },
+        parentId: 'group',
+        index: 0
+      });
+      expect(change).toHaveBeenCalledTimes(2);
+    });
+
+    test('should emit events after the document has changed', () => {
+      doc.on('block:added', () => {
+        expect(doc.getBlock('new')).not.toBeNull();
+      });
+
+      doc.addBlock({ id: 'new', type: 'text', content: '' });
+      expect.assertions(1);
+    });
+
+    test('should not emit for failed changes', () => {
+      expect(() => doc.addBlock({ id: 'intro', type: 'text', content: '' })).toThrow();
+      expect(doc.moveBlock('missing', 0)).toBe(false);
+      expect(change).not.toHaveBeenCalled();
+    });
+
+    test('transaction() should batch changes into one change event', () => {
+      doc.transaction(() => {
+        doc.addBlock({ id: 'a', type: 'text', content: '' });
+        doc.updateBlock('a', { content: 'A' });
+        doc.removeBlock('intro');
+      });
+
+      expect(change).toHaveBeenCalledTimes(1);
+      expect(change.mock.calls[0][0].changes.map(c => c.type)).toEqual([
+        'block:added', 'block:updated', 'block:removed'
+      ]);
+    });
+
+    test('failed transactions should emit nothing', () => {
+      expect(() => doc.transaction(() => {
+        doc.addBlock({ id: 'a', type: 'text', content: '' });
+        throw new Error('Abort');
+      })).toThrow('Abort');
+
+      expect(change).not.toHaveBeenCalled();
+    });
+
+    test('undo() and redo() should emit the inverse changes', () => {
+      doc.transaction(() => {
+        doc.addBlock({ id: 'a', type: 'text', content: '' });
+        doc.addBlock({ id: 'b', type: 'text', content: '' });
+      });
+      change.mockClear();
+
+      doc.undo();
+      expect(change).toHaveBeenCalledTimes(1);
+      expect(change.mock.calls[0][0].changes.map(c => [c.type, c.block.id])).toEqual([
+        ['block:removed', 'b'],
+        ['block:removed', 'a']
+      ]);
+    });
+
+    test('off() should stop notifications', () => {
+      doc.off('change', change);
+      doc.addBlock({ id: 'a', type: 'text', content: '' });
+      expect(change).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getOutline()', () => {
+    test('should return the heading tree of the document', () => {
+      const doc = new BlockDocDocument({
+        title: 'Guide',
+        blocks: [
+          { id: 'intro', type: 'heading', level: 2, content: 'Intro' },
+          { id: 'setup', type: 'heading', level: 3, content: 'Setup' },
+          { id: 'usage', type: 'heading', level: 2, content: 'Usage' }
+        ]
+      });
+
+      expect(doc.getOutline()).toEqual([
+        { id: 'intro', anchor: 'intro', level: 2, text: 'Intro', children: [
+          { id: 'setup', anchor: 'setup', level: 3, text: 'Setup', children: [] }
+        ] },
+        { id: 'usage', anchor: 'usage', level: 2, text: 'Usage', children: [] }
+      ]);
+      expect(doc.getOutline({ maxLevel: 2 })[0].children).toEqual([]);
+    });
+  });
+
+  describe('Revisions', () => {
+    let doc;
+
+    beforeEach(() => {
+      doc = new BlockDocDocument({
+        title: 'Test Document',
+        blocks: [
+          { id: 'intro', type: 'text', content: 'Intro' },
+          { id: 'group', type: 'section', content: '', children: [
+            { id: 'nested', type: 'text', content: 'Nested' }
+          ] }
+        ]
+      });
+    });
+
+    test('commit() should record revisions listed by history()', () => {
+      const first = doc.commit('Initial version', 'ann');
+      doc.updateBlock('intro', { content: 'Changed' });
+      const second = doc.commit('Shorter intro');
+
+      expect(first).toEqual({
+        id: 'r1', parentId: null, message: 'Initial version', author: 'ann', timestamp: expect.any(String)
+      });
+      expect(second).toMatchObject({ id: 'r2', parentId: 'r1', author: null });
+      expect(doc.history()).toEqual([second, first]);
+      expect(doc.getRevision('r1').article.blocks[0].content).toBe('Intro');
+
+      expect(() => doc.commit('')).toThrow(/Commit message must be a non-empty string/);
+      expect(() => doc.commit('Message', 42)).toThrow(/Commit author must be a string/);
+    });
+
+    test('checkout() should restore a revision as an undoable change', () => {
+      doc.commit('Initial version');
+      const original = JSON.parse(JSON.stringify(doc.article));
+
+      doc.removeBlock('group');
+      doc.setTitle('Renamed');
+      doc.addBlock({ id: 'outro', type: 'text', content: 'Outro' });
+      doc.commit('Rework');
+
+      const changes = jest.fn();
+      doc.on('change', changes);
+      doc.checkout('r1');
+
+      expect(doc.article).toEqual(original);
+      expect(changes).toHaveBeenCalledTimes(1);
+
+      doc.undo();
+      expect(doc.article.title).toBe('Renamed');
+      expect(doc.getBlock('group')).toBeNull();
+
+      expect(() => doc.checkout('r9')).toThrow(/Revision "r9" not found/);
+    });
+
+    test('commits after a checkout should be based on the restored revision', () => {
+      doc.commit('Initial version');
+      doc.setTitle('Second');
+      doc.commit('Second');
+      doc.checkout('r1');
+      doc.setTitle('Third');
+
+      expect(doc.commit('Third').parentId).toBe('r1');
+    });
+
+    test('revisions should be serialized with the document', () => {
+      expect(doc.toJSON()).toEqual({ article: doc.article });
+
+      doc.commit('Initial version');
+      doc.updateBlock('nested', { content: 'Changed' });
+      doc.commit('Change nested');
+
+      const restored = BlockDocDocument.fromJSON(doc.toString());
+      expect(restored.history()).toEqual(doc.history());
+      expect(restored.getRevision('r1').article).toEqual(doc.getRevision('r1').article);
+
+      restored.checkout('r1');
+      expect(restored.getBlock('nested').content).toBe('Nested');
+    });
+  });
+
   describe('Rendering and export', () => {
     let doc;
 
@@ -269,11 +987,26 @@ describe('BlockDocDocument class', () => {
       expect(html).toBe('<article>Mocked HTML</article>');
     });
 
+    test('renderToHTMLPage() should render document as an HTML page', () => {
+      const page = doc.renderToHTMLPage({ theme: 'dark' });
+      expect(page).toBe('<!DOCTYPE html>Mocked Page');
+      expect(renderToHTMLPage).toHaveBeenCalledWith(doc.article, { theme: 'dark' });
+    });
+
+    test('renderToHTMLStream() should stream document as HTML', () => {
+      expect(doc.renderToHTMLStream({ title: false })).toBe('Mocked Stream');
+      expect(renderToHTMLStream).toHaveBeenCalledWith(doc.article, { title: false });
+    });
+
     test('renderToMarkdown() should render document to Markdown', () => {
       const markdown = doc.renderToMarkdown();
       expect(markdown).toBe('# Mocked Markdown');
     });
 
+    test('renderToText() should render document to plain text', () => {
+      expect(doc.renderToText({ title: false })).toBe('Hello world');
+    });
+
     test('toJSON() should return document as JSON object', () => {
       const json = doc.toJSON();
       expect(json).toEqual({
@@ -373,6 +1106,36 @@ describe('BlockDocDocument class', () => {
       });
       
       expect(doc.validate()).toBe(true);
+      expect(doc.validate({ throwOnError: false })).toEqual([]);
+    });
+
+    test('should return the issues of an invalid document when not throwing', () => {
+      const doc = new BlockDocDocument({ title: 'Test Document' });
+      doc.article.title = 42;
+
+      expect(doc.validate({ throwOnError: false })).toEqual([{
+        blockId: null,
+        blockIndex: null,
+        property: 'title',
+        severity: 'error',
+        message: 'Property "title" of the article must be string',
+        keyword: 'type',
+        pointer: '/article/title'
+      }]);
+    });
+
+    test('should throw a BlockDocValidationError with the issues', () => {
+      const doc = new BlockDocDocument({ title: 'Test Document' });
+      doc.article.title = 42;
+
+      expect(() => doc.validate()).toThrow(BlockDocValidationError);
+      expect(() => doc.validate()).toThrow('Invalid BlockDoc document: Property "title" of the article must be string');
+
+      try {
+        doc.validate();
+      } catch (error) {
+        expect(error.issues).toEqual(doc.validate({ throwOnError: false }));
+      }
     });
   });
 });
\ No newline at end of file
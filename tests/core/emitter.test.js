@@ -0,0 +1,67 @@
+/**
+ * Tests for the EventEmitter class
+ */
+import { EventEmitter } from '../../src/core/emitter.js';
+
+describe('EventEmitter', () => {
+  test('should call handlers with the payload', () => {
+    const emitter = new EventEmitter();
+    const handler = jest.fn();
+
+    emitter.on('ping', handler);
+    expect(emitter.emit('ping', { n: 1 })).toBe(true);
+    expect(handler).toHaveBeenCalledWith({ n: 1 });
+    expect(emitter.emit('other')).toBe(false);
+  });
+
+  test('should remove handlers with off() or the returned function', () => {
+    const emitter = new EventEmitter();
+    const first = jest.fn();
+    const second = jest.fn();
+
+    const unsubscribe = emitter.on('ping', first);
+    emitter.on('ping', second);
+    unsubscribe();
+    expect(emitter.off('ping', second)).toBe(true);
+    expect(emitter.off('ping', second)).toBe(false);
+
+    emitter.emit('ping');
+    expect(first).not.toHaveBeenCalled();
+    expect(second).not.toHaveBeenCalled();
+  });
+
+  test('should remove all handlers of an event', () => {
+    const emitter = new EventEmitter();
+    const handler = jest.fn();
+
+    emitter.on('ping', handler);
+    expect(emitter.off('ping')).toBe(true);
+    emitter.emit('ping');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('once() should only fire once', () => {
+    const emitter = new EventEmitter();
+    const handler = jest.fn();
+
+    emitter.once('ping', handler);
+    emitter.emit('ping', 1);
+    emitter.emit('ping', 2);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(1);
+  });
+
+  test('off() should remove a once() handler', () => {
+    const emitter = new EventEmitter();
+    const handler = jest.fn();
+
+    emitter.once('ping', handler);
+    expect(emitter.off('ping', handler)).toBe(true);
+    emitter.emit('ping');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('should reject non-function handlers', () => {
+    expect(() => new EventEmitter().on('ping', 'nope')).toThrow(/must be a function/);
+  });
+});
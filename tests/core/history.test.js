@@ -0,0 +1,94 @@
+/**
+ * Tests for the History class
+ */
+import { History, invertOperation } from '../../src/core/history.js';
+
+describe('History', () => {
+  test('should undo and redo recorded steps', () => {
+    const history = new History();
+    history.record({ type: 'insert', block: { id: 'a' } });
+    history.record({ type: 'insert', block: { id: 'b' } });
+
+    expect(history.canUndo()).toBe(true);
+    expect(history.canRedo()).toBe(false);
+    expect(history.undo()).toEqual([{ type: 'insert', block: { id: 'b' } }]);
+    expect(history.canRedo()).toBe(true);
+    expect(history.redo()).toEqual([{ type: 'insert', block: { id: 'b' } }]);
+    expect(history.redo()).toBeNull();
+  });
+
+  test('should clear redo steps when a new operation is recorded', () => {
+    const history = new History();
+    history.record({ type: 'insert', block: { id: 'a' } });
+    history.undo();
+    history.record({ type: 'insert', block: { id: 'b' } });
+
+    expect(history.canRedo()).toBe(false);
+  });
+
+  test('should group nested operations into one step', () => {
+    const history = new History();
+    history.beginGroup();
+    history.record({ type: 'insert', block: { id: 'a' } });
+    history.beginGroup();
+    history.record({ type: 'insert', block: { id: 'b' } });
+    expect(history.endGroup()).toEqual([]);
+    expect(history.endGroup()).toHaveLength(2);
+
+    expect(history.undoStack).toHaveLength(1);
+    expect(() => history.endGroup()).toThrow(/No history group/);
+  });
+
+  test('should truncate the open group', () => {
+    const history = new History();
+    history.beginGroup();
+    history.record({ type: 'insert', block: { id: 'a' } });
+    history.record({ type: 'insert', block: { id: 'b' } });
+
+    expect(history.truncateGroup(1)).toEqual([{ type: 'insert', block: { id: 'b' } }]);
+    expect(history.groupSize()).toBe(1);
+  });
+
+  test('should keep at most depth steps', () => {
+    const history = new History({ depth: 2 });
+    ['a', 'b', 'c'].forEach(id => history.record({ type: 'insert', block: { id } }));
+
+    expect(history.undoStack.map(step => step[0].block.id)).toEqual(['b', 'c']);
+  });
+
+  test('should record nothing with a depth of 0', () => {
+    const history = new History({ depth: 0 });
+    history.record({ type: 'insert', block: { id: 'a' } });
+
+    expect(history.canUndo()).toBe(false);
+  });
+
+  test('should not record steps while paused', () => {
+    const history = new History();
+    history.record({ type: 'insert', block: { id: 'a' } });
+    history.pause(() => {
+      history.record({ type: 'insert', block: { id: 'b' } });
+      history.beginGroup();
+      history.record({ type: 'insert', block: { id: 'c' } });
+      expect(history.groupSize()).toBe(1);
+      history.endGroup();
+    });
+
+    expect(history.undoStack).toHaveLength(1);
+    expect(history.paused).toBe(0);
+  });
+
+  test('invertOperation() should invert every operation type', () => {
+    expect(invertOperation({ type: 'insert', block: {}, index: 1 }).type).toBe('remove');
+    expect(invertOperation({ type: 'remove', block: {}, index: 1 }).type).toBe('insert');
+    expect(invertOperation({ type: 'update', id: 'a', before: 1, after: 2 }))
+      .toEqual({ type: 'update', id: 'a', before: 2, after: 1 });
+    expect(invertOperation({ type: 'move', id: 'a', from: 1, to: 2 }))
+      .toEqual({ type: 'move', id: 'a', from: 2, to: 1 });
+    expect(invertOperation({ type: 'title', before: 'A', after: 'B' }))
+      .toEqual({ type: 'title', before: 'B', after: 'A' });
+    expect(invertOperation({ type: 'metadata', key: 'tags', before: undefined, after: ['x'] }))
+      .toEqual({ type: 'metadata', key: 'tags', before: ['x'], after: undefined });
+    expect(() => invertOperation({ type: 'bogus' })).toThrow(/Cannot invert/);
+  });
+});
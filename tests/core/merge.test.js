@@ -0,0 +1,216 @@
+/**
+ * Tests for the three-way document merge
+ */
+import { mergeDocuments } from '../../src/core/merge.js';
+
+const text = (id, content) => ({ id, type: 'text', content });
+const article = (blocks, extra = {}) => ({ title: 'Doc', metadata: {}, blocks, ...extra });
+const ids = (blocks) => blocks.map(block => block.id);
+
+describe('mergeDocuments', () => {
+  const base = article([text('a', 'A'), text('b', 'B'), text('c', 'C')]);
+
+  test('should throw with invalid input', () => {
+    expect(() => mergeDocuments(base, null, base)).toThrow(/Invalid article structure/);
+  });
+
+  test('should accept documents and { article } objects', () => {
+    const { article: merged, conflicts } = mergeDocuments({ article: base }, base, { article: base });
+
+    expect(merged).toEqual(base);
+    expect(conflicts).toEqual([]);
+  });
+
+  test('should merge non-overlapping block changes', () => {
+    const ours = article([text('a', 'A ours'), text('b', 'B'), text('c', 'C'), text('d', 'D')]);
+    const theirs = article([text('new', 'N'), text('a', 'A'), text('c', 'C theirs')]);
+
+    const { article: merged, conflicts } = mergeDocuments(base, ours, theirs);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.blocks).toEqual([
+      text('new', 'N'),
+      text('a', 'A ours'),
+      text('c', 'C theirs'),
+      text('d', 'D')
+    ]);
+  });
+
+  test('should merge different properties of the same block', () => {
+    const heading = { id: 'h', type: 'heading', level: 2, content: 'Title' };
+    const { article: merged, conflicts } = mergeDocuments(
+      article([heading]),
+      article([{ ...heading, level: 3 }]),
+      article([{ ...heading, content: 'Better title' }])
+    );
+
+    expect(conflicts).toEqual([]);
+    expect(merged.blocks).toEqual([{ id: 'h', type: 'heading', level: 3, content: 'Better title' }]);
+  });
+
+  test('should merge moves with edits on the other side', () => {
+    const ours = article([text('c', 'C'), text('a', 'A'), text('b', 'B')]);
+    const theirs = article([text('a', 'A'), text('b', 'B theirs'), text('c', 'C'), text('d', 'D')]);
+
+    const { article: merged, conflicts } = mergeDocuments(base, ours, theirs);
+
+    expect(conflicts).toEqual([]);
+    expect(ids(merged.blocks)).toEqual(['c', 'a', 'b', 'd']);
+    expect(merged.blocks[2].content).toBe('B theirs');
+  });
+
+  test('should merge moves into containers', () => {
+    const withSection = article([
+      { id: 's', type: 'section', content: '', children: [text('x', 'X')] },
+      text('a', 'A'),
+      text('b', 'B')
+    ]);
+    const ours = article([
+      { id: 's', type: 'section', content: '', children: [text('x', 'X'), text('a', 'A')] },
+      text('b', 'B')
+    ]);
+    const theirs = article([
+      { id: 's', type: 'section', content: '', children: [text('x', 'X theirs')] },
+      text('a', 'A'),
+      text('b', 'B'),
+      text('c', 'C')
+    ]);
+
+    const { article: merged, conflicts } = mergeDocuments(withSection, ours, theirs);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.blocks).toEqual([
+      { id: 's', type: 'section', content: '', children: [text('x', 'X theirs'), text('a', 'A')] },
+      text('b', 'B'),
+      text('c', 'C')
+    ]);
+  });
+
+  test('should report blocks changed differently on both sides', () => {
+    const { article: merged, conflicts } = mergeDocuments(
+      base,
+      article([text('a', 'A ours'), text('b', 'B'), text('c', 'C')]),
+      article([text('a', 'A theirs'), text('b', 'B'), text('c', 'C')])
+    );
+
+    expect(conflicts).toEqual([{
+      type: 'block',
+      id: 'a',
+      base: text('a', 'A'),
+      ours: text('a', 'A ours'),
+      theirs: text('a', 'A theirs')
+    }]);
+    expect(merged.blocks[0]).toEqual(text('a', 'A ours'));
+  });
+
+  test('should report blocks changed on one side and removed on the other', () => {
+    const { article: merged, conflicts } = mergeDocuments(
+      base,
+      article([text('a', 'A'), text('c', 'C')]),
+      article([text('a', 'A'), text('b', 'B theirs'), text('c', 'C')])
+    );
+
+    expect(conflicts).toEqual([
+      { type: 'block', id: 'b', base: text('b', 'B'), ours: null, theirs: text('b', 'B theirs') }
+    ]);
+    expect(ids(merged.blocks)).toEqual(['a', 'c']);
+  });
+
+  test('should remove blocks removed on one side and unchanged on the other', () => {
+    const { article: merged, conflicts } = mergeDocuments(
+      base,
+      article([text('a', 'A'), text('c', 'C')]),
+      base
+    );
+
+    expect(conflicts).toEqual([]);
+    expect(ids(merged.blocks)).toEqual(['a', 'c']);
+  });
+
+  test('should resolve conflicts with the callback', () => {
+    const resolve = jest.fn(conflict => {
+      if (conflict.type === 'title') return 'theirs';
+      if (conflict.id === 'a') return { value: text('a', 'A merged') };
+      if (conflict.id === 'b') return 'theirs';
+      return undefined;
+    });
+
+    const { article: merged, conflicts } = mergeDocuments(
+      base,
+      article([text('a', 'A ours'), text('c', 'C ours')], { title: 'Ours' }),
+      article([text('a', 'A theirs'), text('b', 'B theirs'), text('c', 'C theirs')], { title: 'Theirs' }),
+      { resolve }
+    );
+
+    expect(resolve).toHaveBeenCalledTimes(4);
+    expect(merged.title).toBe('Theirs');
+    expect(merged.blocks).toEqual([text('a', 'A merged'), text('b', 'B theirs'), text('c', 'C ours')]);
+    expect(conflicts.map(conflict => conflict.id)).toEqual(['c']);
+  });
+
+  test('should report conflicting moves', () => {
+    const four = article([text('a', 'A'), text('b', 'B'), text('c', 'C'), text('d', 'D')]);
+    const ours = article([text('d', 'D'), text('a', 'A'), text('b', 'B'), text('c', 'C')]);
+    const theirs = article([text('a', 'A'), text('d', 'D'), text('b', 'B'), text('c', 'C')]);
+    const resolve = jest.fn().mockReturnValue('theirs');
+
+    const { article: merged } = mergeDocuments(four, ours, theirs, { resolve });
+
+    expect(resolve).toHaveBeenCalledWith({
+      type: 'position',
+      id: 'd',
+      base: { parentId: null, afterId: 'c' },
+      ours: { parentId: null, afterId: null },
+      theirs: { parentId: null, afterId: 'a' }
+    });
+    expect(ids(merged.blocks)).toEqual(['a', 'd', 'b', 'c']);
+
+    expect(() => mergeDocuments(four, ours, theirs, { resolve: () => ({ value: null }) }))
+      .toThrow(/must be resolved with 'ours' or 'theirs'/);
+  });
+
+  test('should merge metadata by key', () => {
+    const { article: merged, conflicts } = mergeDocuments(
+      article([], { metadata: { author: 'Ann', tags: ['a'] } }),
+      article([], { metadata: { author: 'Ben', tags: ['a'] } }),
+      article([], { metadata: { tags: ['a', 'b'] } })
+    );
+
+    expect(merged.metadata).toEqual({ author: 'Ben', tags: ['a', 'b'] });
+    expect(conflicts).toEqual([
+      { type: 'metadata', key: 'author', base: 'Ann', ours: 'Ben', theirs: undefined }
+    ]);
+  });
+
+  test('should keep blocks added into a container removed on the other side', () => {
+    const withSection = article([{ id: 's', type: 'section', content: '', children: [text('x', 'X')] }]);
+
+    const { article: merged, conflicts } = mergeDocuments(
+      withSection,
+      article([{ id: 's', type: 'section', content: '', children: [text('x', 'X'), text('y', 'Y')] }]),
+      article([]),
+      { resolve: () => 'theirs' }
+    );
+
+    expect(conflicts).toEqual([]);
+    expect(merged.blocks).toEqual([text('y', 'Y')]);
+  });
+
+  test('should break cycles from crossing moves', () => {
+    const sections = article([
+      { id: 'p', type: 'section', content: '', children: [] },
+      { id: 'q', type: 'section', content: '', children: [] }
+    ]);
+
+    const { article: merged } = mergeDocuments(
+      sections,
+      article([{ id: 'q', type: 'section', content: '', children: [{ id: 'p', type: 'section', content: '', children: [] }] }]),
+      article([{ id: 'p', type: 'section', content: '', children: [{ id: 'q', type: 'section', content: '', children: [] }] }])
+    );
+
+    const all = [];
+    const collect = (blocks) => blocks.forEach(block => { all.push(block.id); collect(block.children || []); });
+    collect(merged.blocks);
+    expect(all.sort()).toEqual(['p', 'q']);
+  });
+});
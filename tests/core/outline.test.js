@@ -0,0 +1,61 @@
+/**
+ * Tests for heading anchors and outlines
+ */
+import { getOutline, headingAnchors, normalizeHeadingLevel } from '../../src/core/outline.js';
+
+const blocks = [
+  { id: 'intro', type: 'heading', level: 1, content: 'Intro' },
+  { id: 'text', type: 'text', content: 'Body' },
+  { id: 'group', type: 'section', content: '', children: [
+    { id: 'setup', type: 'heading', level: 2, content: 'Setup' },
+    { id: 'deep', type: 'heading', level: 4, content: 'Deep' }
+  ] },
+  { id: 'skip', type: 'heading', level: 3, content: 'Skipped level' },
+  { id: 'usage', type: 'heading', level: 1, content: 'Usage' }
+];
+
+describe('Outline', () => {
+  test('normalizeHeadingLevel() should clamp levels like the renderers', () => {
+    expect(normalizeHeadingLevel(0)).toBe(2);
+    expect(normalizeHeadingLevel('3')).toBe(3);
+    expect(normalizeHeadingLevel(9)).toBe(6);
+  });
+
+  test('headingAnchors() should slug block IDs and keep anchors unique', () => {
+    const anchors = headingAnchors([
+      { id: 'Getting Started', type: 'heading', level: 2, content: 'A' },
+      { id: 'getting-started', type: 'heading', level: 2, content: 'B' },
+      { id: '***', type: 'heading', level: 2, content: 'C' },
+      { id: 'text', type: 'text', content: 'D' }
+    ]);
+
+    expect([...anchors]).toEqual([
+      ['Getting Started', 'getting-started'],
+      ['getting-started', 'getting-started-2'],
+      ['***', 'heading']
+    ]);
+  });
+
+  test('getOutline() should nest headings under the previous higher heading', () => {
+    expect(getOutline(blocks)).toEqual([
+      {
+        id: 'intro', anchor: 'intro', level: 1, text: 'Intro', children: [
+          {
+            id: 'setup', anchor: 'setup', level: 2, text: 'Setup', children: [
+              { id: 'deep', anchor: 'deep', level: 4, text: 'Deep', children: [] },
+              { id: 'skip', anchor: 'skip', level: 3, text: 'Skipped level', children: [] }
+            ]
+          }
+        ]
+      },
+      { id: 'usage', anchor: 'usage', level: 1, text: 'Usage', children: [] }
+    ]);
+  });
+
+  test('getOutline() should leave out headings below maxLevel', () => {
+    const outline = getOutline(blocks, { maxLevel: 2 });
+
+    expect(outline[0].children.map(entry => entry.id)).toEqual(['setup']);
+    expect(outline[0].children[0].children).toEqual([]);
+  });
+});
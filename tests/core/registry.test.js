@@ -0,0 +1,148 @@
+/**
+ * Tests for the block type registry
+ */
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import baseSchema from '../../src/schema/blockdoc.schema.json';
+import {
+  registerBlockType,
+  unregisterBlockType,
+  getBlockType,
+  getBlockTypes,
+  buildSchema,
+  onBlockTypesChange
+} from '../../src/core/registry.js';
+import { Block } from '../../src/core/block.js';
+
+describe('Block type registry', () => {
+  afterEach(() => {
+    unregisterBlockType('callout');
+  });
+
+  test('should include the built-in block types', () => {
+    expect(getBlockTypes()).toEqual(expect.arrayContaining([
+      'text', 'heading', 'image', 'code', 'list', 'quote', 'embed', 'divider'
+    ]));
+    expect(getBlockType('heading').required).toEqual(['level']);
+    expect(getBlockType('callout')).toBeNull();
+  });
+
+  test('should register a custom block type', () => {
+    registerBlockType('callout', { required: ['tone'] });
+
+    expect(getBlockTypes()).toContain('callout');
+    expect(getBlockType('callout').builtIn).toBe(false);
+
+    const block = new Block({ id: 'note', type: 'callout', content: 'Heads up', tone: 'info' });
+    expect(block.tone).toBe('info');
+  });
+
+  test('should enforce required properties of custom types', () => {
+    registerBlockType('callout', { required: ['tone'] });
+
+    expect(() => new Block({ id: 'note', type: 'callout', content: 'Heads up' }))
+      .toThrow(/requires property "tone"/);
+  });
+
+  test('should reject unknown types once unregistered', () => {
+    registerBlockType('callout');
+    expect(unregisterBlockType('callout')).toBe(true);
+
+    expect(() => new Block({ id: 'note', type: 'callout' })).toThrow(/Invalid block type/);
+  });
+
+  test('should notify listeners of registered and removed types', () => {
+    const listener = jest.fn();
+    const stop = onBlockTypesChange(listener);
+
+    registerBlockType('callout');
+    unregisterBlockType('callout');
+    unregisterBlockType('callout');
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    stop();
+    registerBlockType('callout');
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not allow overriding or removing built-in types', () => {
+    expect(() => registerBlockType('text')).toThrow(/built-in/);
+    expect(unregisterBlockType('text')).toBe(false);
+  });
+
+  test('should reject invalid type names', () => {
+    expect(() => registerBlockType('')).toThrow(/Invalid block type name/);
+    expect(() => registerBlockType('has space')).toThrow(/Invalid block type name/);
+  });
+
+  describe('buildSchema()', () => {
+    const validate = (article) => {
+      const ajv = new Ajv();
+      addFormats(ajv);
+      return ajv.compile(buildSchema(baseSchema))({ article });
+    };
+
+    test('should not modify the base schema', () => {
+      registerBlockType('callout');
+      buildSchema(baseSchema);
+
+      expect(baseSchema.definitions.block.properties.type.enum)
+        .not.toContain('callout');
+    });
+
+    test('should accept registered types and apply their rules', () => {
+      registerBlockType('callout', {
+        required: ['tone'],
+        schema: { properties: { tone: { enum: ['info', 'warning'] } } }
+      });
+
+      expect(validate({
+        title: 'Doc',
+        blocks: [{ id: 'note', type: 'callout', content: '', tone: 'info' }]
+      })).toBe(true);
+
+      expect(validate({
+        title: 'Doc',
+        blocks: [{ id: 'note', type: 'callout', content: '' }]
+      })).toBe(false);
+
+      expect(validate({
+        title: 'Doc',
+        blocks: [{ id: 'note', type: 'callout', content: '', tone: 'loud' }]
+      })).toBe(false);
+    });
+
+    test('should validate blocks nested in containers', () => {
+      const article = (child) => ({
+        title: 'Doc',
+        blocks: [{ id: 'group', type: 'section', content: '', children: [child] }]
+      });
+
+      expect(validate(article({ id: 'ok', type: 'heading', content: 'Hi', level: 2 }))).toBe(true);
+      expect(validate(article({ id: 'bad', type: 'heading', content: 'Hi' }))).toBe(false);
+      expect(validate({
+        title: 'Doc',
+        blocks: [{ id: 'group', type: 'section', content: '' }]
+      })).toBe(false);
+    });
+
+    test('should validate table blocks', () => {
+      const table = (props) => ({
+        title: 'Doc',
+        blocks: [{ id: 'table', type: 'table', content: '', headers: ['A'], rows: [['1']], ...props }]
+      });
+
+      expect(validate(table({ align: ['center'] }))).toBe(true);
+      expect(validate(table({ align: ['middle'] }))).toBe(false);
+      expect(validate(table({ rows: ['1'] }))).toBe(false);
+      expect(validate(table({ headers: undefined }))).toBe(false);
+    });
+
+    test('should reject unregistered types', () => {
+      expect(validate({
+        title: 'Doc',
+        blocks: [{ id: 'note', type: 'callout', content: '' }]
+      })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for the RevisionLog class
+ */
+import { RevisionLog } from '../../src/core/revisions.js';
+
+const article = (overrides = {}) => ({
+  title: 'Draft',
+  metadata: { author: 'Ann' },
+  blocks: [
+    { id: 'intro', type: 'text', content: 'Intro' },
+    { id: 'group', type: 'section', content: '', children: [
+      { id: 'nested', type: 'text', content: 'Nested' }
+    ] }
+  ],
+  ...overrides
+});
+
+describe('RevisionLog', () => {
+  test('should store a base snapshot, then only the changed blocks', () => {
+    const log = new RevisionLog();
+    const first = log.commit(article(), { message: 'First', author: 'ann' });
+
+    const changed = article({ title: 'Final', metadata: { tags: ['x'] } });
+    changed.blocks[1].children[0].content = 'Changed';
+    changed.blocks.push({ id: 'outro', type: 'text', content: 'Outro' });
+    const second = log.commit(changed, { message: 'Second', author: null });
+
+    expect(first).toEqual({
+      id: 'r1', parentId: null, message: 'First', author: 'ann', timestamp: expect.any(String)
+    });
+    expect(second.parentId).toBe('r1');
+
+    const [base, revision] = log.toJSON().revisions;
+    expect(base.snapshot).toEqual(article());
+    expect(revision.snapshot).toBeUndefined();
+    expect(revision.delta).toEqual({
+      title: 'Final',
+      metadata: { set: { tags: ['x'] }, removed: ['author'] },
+      blocks: {
+        set: {
+          nested: { id: 'nested', type: 'text', content: 'Changed' },
+          outro: { id: 'outro', type: 'text', content: 'Outro' }
+        }
+      },
+      lists: { set: [[null, ['intro', 'group', 'outro']]] }
+    });
+
+    expect(log.getArticle('r1')).toEqual(article());
+    expect(log.getArticle('r2')).toEqual(changed);
+  });
+
+  test('should rebuild revisions after removals and moves', () => {
+    const log = new RevisionLog();
+    log.commit(article(), { message: 'First', author: null });
+
+    const moved = article({
+      blocks: [
+        { id: 'nested', type: 'text', content: 'Nested' },
+        { id: 'intro', type: 'text', content: 'Intro' }
+      ]
+    });
+    log.commit(moved, { message: 'Flatten', author: null });
+
+    expect(log.toJSON().revisions[1].delta).toEqual({
+      blocks: { removed: ['group'] },
+      lists: { set: [[null, ['nested', 'intro']]], removed: ['group'] }
+    });
+    expect(log.getArticle('r2')).toEqual(moved);
+    expect(log.getArticle('r1')).toEqual(article());
+  });
+
+  test('should branch from the head revision', () => {
+    const log = new RevisionLog();
+    log.commit(article(), { message: 'First', author: null });
+    log.commit(article({ title: 'Second' }), { message: 'Second', author: null });
+    log.setHead('r1');
+    log.commit(article({ title: 'Third' }), { message: 'Third', author: null });
+
+    expect(log.list().map(revision => [revision.id, revision.parentId])).toEqual([
+      ['r3', 'r1'], ['r2', 'r1'], ['r1', null]
+    ]);
+    expect(log.getArticle('r3').title).toBe('Third');
+    expect(() => log.setHead('r9')).toThrow(/Revision "r9" not found/);
+  });
+
+  test('should restore a serialized log', () => {
+    const log = new RevisionLog();
+    log.commit(article(), { message: 'First', author: null });
+    log.commit(article({ title: 'Second' }), { message: 'Second', author: null });
+
+    const restored = new RevisionLog(JSON.parse(JSON.stringify(log)));
+    expect(restored.head).toBe('r2');
+    expect(restored.list()).toEqual(log.list());
+    expect(restored.getArticle('r2')).toEqual(log.getArticle('r2'));
+
+    restored.commit(article({ title: 'Third' }), { message: 'Third', author: null });
+    expect(restored.get('r3').parentId).toBe('r2');
+  });
+
+  test('should reject invalid serialized logs', () => {
+    expect(() => new RevisionLog({ revisions: {} })).toThrow(/must be an array/);
+    expect(() => new RevisionLog({ revisions: [{ id: 'r1', parentId: null }] })).toThrow(/has no base/);
+    expect(() => new RevisionLog({
+      revisions: [{ id: 'r2', parentId: 'r1', delta: {} }]
+    })).toThrow(/has no base/);
+  });
+
+  test('stored revisions should not change with later edits', () => {
+    const log = new RevisionLog();
+    const source = article();
+    log.commit(source, { message: 'First', author: null });
+
+    source.blocks[0].content = 'Edited in place';
+    log.getArticle('r1').blocks[0].content = 'Edited copy';
+
+    expect(log.getArticle('r1').blocks[0].content).toBe('Intro');
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for schema validation and validation issues
+ */
+import Ajv from 'ajv';
+import { getSchemaErrors, getValidationIssues } from '../../src/core/validation.js';
+import { registerBlockType, unregisterBlockType } from '../../src/core/registry.js';
+import { parseHTML } from '../../src/importers/html.js';
+
+// Validate against the real schema
+jest.mock('../../src/schema-loader.js', () => ({
+  schema: jest.requireActual('../../src/schema/blockdoc.schema.json')
+}));
+
+describe('getSchemaErrors', () => {
+  test('should return every error of an invalid document', () => {
+    const errors = getSchemaErrors({
+      article: {
+        title: 'Test',
+        blocks: [
+          { id: 'a', type: 'heading', level: 0, content: '' },
+          { id: 'b', type: 'text', content: 1 }
+        ]
+      }
+    });
+
+    expect(errors.map((error) => error.instancePath)).toEqual(['/article/blocks/0/level', '/article/blocks/1/content']);
+  });
+
+  test('should return nothing for a valid document', () => {
+    expect(getSchemaErrors({ article: { title: 'Test', blocks: [] } })).toEqual([]);
+  });
+
+  test('should accept imported images once their URLs are resolved', () => {
+    const html = '<h1>Post</h1><img src="a.png" alt="A">';
+
+    expect(getSchemaErrors({ article: parseHTML(html) }).map((error) => error.instancePath))
+      .toEqual(['/article/blocks/0/url']);
+    expect(getSchemaErrors({ article: parseHTML(html, { baseUrl: 'https://example.com/post/' }) })).toEqual([]);
+  });
+
+  test('should compile the schema again only when block types change', () => {
+    const compile = jest.spyOn(Ajv.prototype, 'compile');
+    const callout = { article: { title: 'Test', blocks: [{ id: 'a', type: 'callout', content: '', tone: 1 }] } };
+
+    try {
+      getSchemaErrors({ article: { title: 'Test', blocks: [] } });
+      getSchemaErrors({ article: { title: 'Test', blocks: [] } });
+      expect(compile.mock.calls.length).toBeLessThanOrEqual(1);
+      compile.mockClear();
+
+      registerBlockType('callout', { schema: { properties: { tone: { type: 'string' } } } });
+      expect(getSchemaErrors(callout).map((error) => error.instancePath)).toEqual(['/article/blocks/0/tone']);
+      expect(getSchemaErrors(callout)).toHaveLength(1);
+      expect(compile).toHaveBeenCalledTimes(1);
+
+      unregisterBlockType('callout');
+      expect(getSchemaErrors(callout).map((error) => error.keyword)).toEqual(['enum']);
+      expect(compile).toHaveBeenCalledTimes(2);
+    } finally {
+      unregisterBlockType('callout');
+      compile.mockRestore();
+    }
+  });
+});
+
+describe('getValidationIssues', () => {
+  test('should name the block and property of each issue', () => {
+    const issues = getValidationIssues({
+      article: {
+        title: 'Test',
+        blocks: [
+          { id: 'intro', type: 'text', content: 'Hello' },
+          { id: 'title', type: 'heading', level: 7, content: 'Title' }
+        ]
+      }
+    });
+
+    expect(issues).toEqual([{
+      blockId: 'title',
+      blockIndex: 1,
+      property: 'level',
+      severity: 'error',
+      message: 'Property "level" of block "title" must be <= 6',
+      keyword: 'maximum',
+      pointer: '/article/blocks/1/level'
+    }]);
+  });
+
+  test('should report issues of nested blocks against the innermost block', () => {
+    const [issue] = getValidationIssues({
+      article: {
+        title: 'Test',
+        blocks: [{
+          id: 'box',
+          type: 'section',
+          content: '',
+          children: [
+            { id: 'first', type: 'text', content: '' },
+            { id: 'list', type: 'list', content: '', listType: 'unordered', items: ['one', 2] }
+          ]
+        }]
+      }
+    });
+
+    expect(issue).toMatchObject({
+      blockId: 'list',
+      blockIndex: 1,
+      property: 'items',
+      message: 'Property "items.1" of block "list" must be string',
+      keyword: 'type',
+      pointer: '/article/blocks/0/children/1/items/1'
+    });
+  });
+
+  test('should name missing properties', () => {
+    registerBlockType('callout', { required: ['tone'] });
+
+    try {
+      const issues = getValidationIssues({
+        article: { blocks: [{ type: 'callout', content: 'Hi', tone: 'info' }] }
+      });
+
+      expect(issues).toEqual([
+        expect.objectContaining({
+          blockId: null,
+          blockIndex: null,
+          property: 'title',
+          message: 'The article must have required property \'title\'',
+          keyword: 'required'
+        }),
+        expect.objectContaining({
+          blockId: null,
+          blockIndex: 0,
+          property: 'id',
+          message: 'Block 0 must have required property \'id\'',
+          keyword: 'required'
+        })
+      ]);
+    } finally {
+      unregisterBlockType('callout');
+    }
+  });
+
+  test('should report a missing article', () => {
+    expect(getValidationIssues({})).toEqual([expect.objectContaining({
+      property: 'article',
+      message: 'The document must have required property \'article\'',
+      pointer: ''
+    })]);
+  });
+});
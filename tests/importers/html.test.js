@@ -0,0 +1,182 @@
+/**
+ * Tests for the HTML importer
+ */
+import { marked } from 'marked';
+import { parseHTML } from '../../src/importers/html.js';
+import { BlockDocDocument } from '../../src/core/document.js';
+
+// Mock the schema module
+jest.mock('../../src/schema-loader.js', () => ({
+  schema: {
+    type: 'object',
+    properties: {
+      article: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          blocks: { type: 'array' }
+        }
+      }
+    }
+  }
+}));
+
+describe('HTML Importer', () => {
+  describe('parseHTML', () => {
+    test('should use the first H1 as title, falling back to the page title', () => {
+      expect(parseHTML('<h1>Post</h1><p>Text</p>').title).toBe('Post');
+      expect(parseHTML('<html><head><title>Page</title></head><body><p>Text</p></body></html>').title).toBe('Page');
+      expect(parseHTML('<h1>Post</h1>', { title: 'Explicit' }).blocks[0]).toEqual({
+        id: 'post', type: 'heading', level: 1, content: 'Post'
+      });
+    });
+
+    test('should convert inline HTML to Markdown', () => {
+      const { blocks } = parseHTML(
+        '<p>Some <strong>bold</strong>, <em>italic</em>, <del>gone</del>, <a href="https://example.com">a link</a>, ' +
+        '<code>x()</code> &amp; <img src="i.png" alt="icon">.<br>2*3 is [six]</p>'
+      );
+
+      expect(blocks).toEqual([{
+        id: 'intro-text-1',
+        type: 'text',
+        content: 'Some **bold**, *italic*, ~~gone~~, [a link](https://example.com), `x()` \\& ![icon](i.png).\\\n2\\*3 is \\[six\\]'
+      }]);
+    });
+
+    test('should map block elements to block types', () => {
+      const html = `
+        <h2 id="setup">Setup</h2>
+        <ul><li>One</li><li>Two<ol><li>Nested</li></ol></li></ul>
+        <pre><code class="language-js">const a = 1 &lt; 2;
+</code></pre>
+        <blockquote><p>Quoted</p></blockquote>
+        <cite class="blockdoc-attribution">Someone</cite>
+        <figure><img src="https://example.com/a.png" alt="Chart"><figcaption>Figure 1</figcaption></figure>
+        <iframe src="https://www.youtube.com/embed/abc123"></iframe>
+        <figure><iframe src="https://maps.example.com/embed"></iframe><figcaption>Map</figcaption></figure>
+        <hr>
+      `;
+
+      expect(parseHTML(html).blocks).toEqual([
+        { id: 'setup', type: 'heading', level: 2, content: 'Setup' },
+        { id: 'setup-list-1', type: 'list', content: '', items: ['One', 'Two\n1. Nested'], listType: 'unordered' },
+        { id: 'setup-code-1', type: 'code', language: 'js', content: 'const a = 1 < 2;' },
+        { id: 'setup-quote-1', type: 'quote', content: 'Quoted', attribution: 'Someone' },
+        {
+          id: 'setup-image-1',
+          type: 'image',
+          content: '',
+          url: 'https://example.com/a.png',
+          alt: 'Chart',
+          caption: 'Figure 1'
+        },
+        {
+          id: 'setup-embed-1',
+          type: 'embed',
+          content: '',
+          url: 'https://www.youtube.com/watch?v=abc123',
+          embedType: 'youtube'
+        },
+        { id: 'setup-embed-2', type: 'embed', content: '', url: 'https://maps.example.com/embed', caption: 'Map' },
+        { id: 'setup-divider-1', type: 'divider', content: '' }
+      ]);
+    });
+
+    test('should import tables and details elements', () => {
+      const { blocks } = parseHTML(
+        '<table><caption>Prices</caption><thead><tr><th>Item</th><th style="text-align: right">Cost</th></tr></thead>' +
+        '<tbody><tr><td><b>Tea</b></td><td>2</td></tr></tbody></table>' +
+        '<details><summary>More</summary><p>Hidden</p></details>'
+      );
+
+      expect(blocks).toEqual([
+        {
+          id: 'intro-table-1',
+          type: 'table',
+          content: '',
+          headers: ['Item', 'Cost'],
+          rows: [['**Tea**', '2']],
+          align: [null, 'right'],
+          caption: 'Prices'
+        },
+        {
+          id: 'intro-toggle-1',
+          type: 'toggle',
+          content: 'More',
+          children: [{ id: 'intro-text-1', type: 'text', content: 'Hidden' }]
+        }
+      ]);
+    });
+
+    test('should flatten wrappers and keep block IDs from rendered BlockDoc HTML', () => {
+      const html = '<article><div class="blockdoc-block" data-block-id="summary"><p>Short</p></div>' +
+        '<div><span>Loose</span> text</div></article>';
+
+      expect(parseHTML(html).blocks).toEqual([
+        { id: 'summary', type: 'text', content: 'Short' },
+        { id: 'intro-text-1', type: 'text', content: 'Loose text' }
+      ]);
+    });
+
+    test('should escape text that would read as Markdown block syntax', () => {
+      const { blocks } = parseHTML('<p># not a heading</p><p>1. not a list</p><p>2) nor this</p>');
+      expect(blocks.map(block => block.content)).toEqual(['\\# not a heading', '1\\. not a list', '2\\) nor this']);
+      expect(marked.parse(blocks[2].content)).toBe('<p>2) nor this</p>\n');
+    });
+
+    test('should escape text that would read as HTML', () => {
+      const { blocks } = parseHTML('<p>&lt;b&gt;hi&lt;/b&gt; &amp;amp;</p>');
+      expect(blocks[0].content).toBe('\\<b>hi\\</b> \\&amp;');
+      expect(marked.parseInline(blocks[0].content)).toBe('&lt;b&gt;hi&lt;/b&gt; &amp;amp;');
+    });
+
+    test('should keep link and image destinations with spaces or parentheses intact', () => {
+      const { blocks } = parseHTML(
+        '<p><a href="https://example.com/a (1).html">A</a> <img src="my image.png" alt="B"> <a href="/c>d">C</a></p>'
+      );
+      expect(blocks[0].content).toBe('[A](<https://example.com/a (1).html>) ![B](<my image.png>) [C](</c\\>d>)');
+      expect(marked.parseInline(blocks[0].content)).toBe(
+        '<a href="https://example.com/a%20(1).html">A</a> <img src="my%20image.png" alt="B"> <a href="/c%3Ed">C</a>'
+      );
+    });
+
+    test('should resolve relative URLs against the base URL', () => {
+      const html = '<img src="a.png" alt="A"><iframe src="/player/1"></iframe><p><a href="../about">About</a></p>';
+      const { blocks } = parseHTML(html, { baseUrl: 'https://example.com/blog/post.html' });
+
+      expect(blocks.map(block => block.url || block.content)).toEqual([
+        'https://example.com/blog/a.png',
+        'https://example.com/player/1',
+        '[About](https://example.com/about)'
+      ]);
+      expect(parseHTML(html).blocks[0].url).toBe('a.png');
+    });
+
+    test('should report dropped elements', () => {
+      const onDrop = jest.fn();
+      const result = parseHTML('<p>Keep <script>alert(1)</script></p><form><input name="q"></form>', { onDrop });
+
+      expect(result.blocks).toEqual([{ id: 'intro-text-1', type: 'text', content: 'Keep' }]);
+      expect(result.dropped).toEqual([
+        { tag: 'script', reason: 'unsupported element', text: 'alert(1)' },
+        { tag: 'form', reason: 'unsupported element', text: '' }
+      ]);
+      expect(onDrop).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('BlockDocDocument.fromHTML', () => {
+    test('should create a valid document', () => {
+      const doc = BlockDocDocument.fromHTML('<h1>Title</h1><h2>Intro</h2><p>Hello</p>', {
+        metadata: { author: 'Jane' }
+      });
+
+      expect(doc).toBeInstanceOf(BlockDocDocument);
+      expect(doc.article.title).toBe('Title');
+      expect(doc.article.metadata).toEqual({ author: 'Jane' });
+      expect(doc.getBlock('intro-text-1').content).toBe('Hello');
+      expect(doc.validate()).toBe(true);
+    });
+  });
+});
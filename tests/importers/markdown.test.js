@@ -0,0 +1,342 @@
+/**
+ * Tests for the Markdown importer
+ */
+import { parseMarkdown } from '../../src/importers/markdown.js';
+import { BlockDocDocument } from '../../src/core/document.js';
+
+// Mock the schema module
+jest.mock('../../src/schema-loader.js', () => ({
+  schema: {
+    type: 'object',
+    properties: {
+      article: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          blocks: { type: 'array' }
+        }
+      }
+    }
+  }
+}));
+
+describe('Markdown Importer', () => {
+  describe('parseMarkdown', () => {
+    test('should pull the first H1 into the title', () => {
+      const result = parseMarkdown('# My Article\n\nHello **world**.');
+
+      expect(result.title).toBe('My Article');
+      expect(result.blocks).toEqual([
+        { id: 'intro-text-1', type: 'text', content: 'Hello **world**.' }
+      ]);
+    });
+
+    test('should prefer an explicit title and keep the H1 as a heading', () => {
+      const result = parseMarkdown('# Heading\n\nText', { title: 'Explicit' });
+
+      expect(result.title).toBe('Explicit');
+      expect(result.blocks[0]).toEqual({ id: 'heading', type: 'heading', level: 1, content: 'Heading' });
+    });
+
+    test('should fall back to a default title', () => {
+      expect(parseMarkdown('Just text').title).toBe('Untitled');
+    });
+
+    test('should convert each supported token to a block', () => {
+      const markdown = [
+        '# Guide',
+        '',
+        '## Getting Started',
+        '',
+        'Install the package.',
+        '',
+        '- one',
+        '- two',
+        '',
+        '1. first',
+        '2. second',
+        '',
+        '```js',
+        'const x = 1;',
+        '```',
+        '',
+        '> Quoted text',
+        '',
+        '![Diagram](https://example.com/diagram.png)',
+        '*How it fits together*',
+        '',
+        '---',
+        '',
+        '| Name | Price |',
+        '| :--- | ---: |',
+        '| Tea | 2 |'
+      ].join('\n');
+
+      const { blocks } = parseMarkdown(markdown);
+
+      expect(blocks).toEqual([
+        { id: 'getting-started', type: 'heading', level: 2, content: 'Getting Started' },
+        { id: 'getting-started-text-1', type: 'text', content: 'Install the package.' },
+        { id: 'getting-started-list-1', type: 'list', content: '', items: ['one', 'two'], listType: 'unordered' },
+        { id: 'getting-started-list-2', type: 'list', content: '', items: ['first', 'second'], listType: 'ordered' },
+        { id: 'getting-started-code-1', type: 'code', language: 'js', content: 'const x = 1;' },
+        { id: 'getting-started-quote-1', type: 'quote', content: 'Quoted text' },
+        {
+          id: 'getting-started-image-1',
+          type: 'image',
+          content: '',
+          url: 'https://example.com/diagram.png',
+          alt: 'Diagram',
+          caption: 'How it fits together'
+        },
+        { id: 'getting-started-divider-1', type: 'divider', content: '' },
+        {
+          id: 'getting-started-table-1',
+          type: 'table',
+          content: '',
+          headers: ['Name', 'Price'],
+          rows: [['Tea', '2']],
+          align: ['left', 'right']
+        }
+      ]);
+    });
+
+    test('should keep paragraphs mixing images and text as text', () => {
+      const { blocks } = parseMarkdown('See ![icon](https://example.com/i.png) here');
+      expect(blocks[0].type).toBe('text');
+    });
+
+    test('should resolve relative image URLs against the base URL', () => {
+      const markdown = '![Chart](charts/a.png)';
+
+      expect(parseMarkdown(markdown).blocks[0].url).toBe('charts/a.png');
+      expect(parseMarkdown(markdown, { baseUrl: 'https://example.com/posts/q3.md' }).blocks[0].url)
+        .toBe('https://example.com/posts/charts/a.png');
+      expect(parseMarkdown('![Logo](https://cdn.example.com/logo.png)', { baseUrl: 'https://example.com/' }).blocks[0].url)
+        .toBe('https://cdn.example.com/logo.png');
+    });
+
+    test('should default code blocks without a language to plaintext', () => {
+      const { blocks } = parseMarkdown('```\nraw\n```');
+      expect(blocks[0]).toEqual({ id: 'intro-code-1', type: 'code', language: 'plaintext', content: 'raw' });
+    });
+
+    test('should generate unique IDs for repeated headings', () => {
+      const { blocks } = parseMarkdown('## Notes\n\nA\n\n## Notes\n\nB');
+
+      expect(blocks.map(block => block.id)).toEqual([
+        'notes', 'notes-text-1', 'notes-2', 'notes-text-2'
+      ]);
+    });
+
+    test('should read YAML front matter into metadata', () => {
+      const markdown = [
+        '---',
+        'title: From Front Matter',
+        'author: "Jane Doe"',
+        'publishedDate: 2024-01-15T10:00:00Z',
+        'tags: [news, "release notes"]',
+        'categories:',
+        '  - one',
+        '  - two',
+        'draft: false',
+        '---',
+        '# Body Heading',
+        '',
+        'Text'
+      ].join('\n');
+
+      const result = parseMarkdown(markdown, { metadata: { author: 'Override' } });
+
+      expect(result.title).toBe('From Front Matter');
+      expect(result.metadata).toEqual({
+        author: 'Override',
+        publishedDate: '2024-01-15T10:00:00Z',
+        tags: ['news', 'release notes'],
+        categories: ['one', 'two'],
+        draft: false
+      });
+      expect(result.blocks[0].type).toBe('heading');
+    });
+
+    test('should skip front matter it cannot read and report it', () => {
+      const onWarning = jest.fn();
+      const result = parseMarkdown('---\ntitle: Notes\nnot valid\nauthor:\n  name: Jane\n---\nText', { onWarning });
+
+      expect(result.title).toBe('Notes');
+      expect(result.metadata).toEqual({ author: { name: 'Jane' } });
+      expect(result.blocks).toEqual([{ id: 'intro-text-1', type: 'text', content: 'Text' }]);
+      expect(onWarning).toHaveBeenCalledWith({
+        line: 2,
+        message: 'Skipped front matter on line 2 (not a key and value): not valid'
+      });
+    });
+
+    test('should reject malformed TOML front matter', () => {
+      expect(() => parseMarkdown('+++\nnot valid\n+++\nText')).toThrow(/Invalid front matter on line 1/);
+    });
+
+    test('should read TOML front matter into metadata', () => {
+      const result = parseMarkdown('+++\ntitle = "Notes"\ntags = ["a", "b"] # topics\ndraft = true\n+++\nText');
+
+      expect(result.title).toBe('Notes');
+      expect(result.metadata).toEqual({ tags: ['a', 'b'], draft: true });
+      expect(() => parseMarkdown('+++\nnot valid\n+++\nText')).toThrow(/Invalid front matter on line 1/);
+    });
+
+    test('should use IDs from block comments', () => {
+      const { blocks } = parseMarkdown([
+        '<!-- block:welcome -->',
+        'Hello',
+        '',
+        '<!-- block:first-steps -->',
+        '## Getting Started',
+        '',
+        'No comment',
+        '',
+        '<!-- block:welcome -->',
+        'Duplicate ID'
+      ].join('\n'));
+
+      expect(blocks.map(block => block.id)).toEqual([
+        'welcome', 'first-steps', 'first-steps-text-1', 'first-steps-text-2'
+      ]);
+      expect(blocks.map(block => block.type)).toEqual(['text', 'heading', 'text', 'text']);
+    });
+
+    test('should import HTML tables as table blocks', () => {
+      const { blocks } = parseMarkdown('<table>\n<tr><th>A</th></tr>\n<tr><td><em>1</em></td></tr>\n</table>');
+
+      expect(blocks).toEqual([
+        { id: 'intro-table-1', type: 'table', content: '', headers: ['A'], rows: [['*1*']] }
+      ]);
+    });
+  });
+
+  describe('BlockDoc-flavoured Markdown', () => {
+    test('should read blocks from their markers and Markdown', () => {
+      const markdown = [
+        '---',
+        'title: Guide',
+        'author: Ada',
+        '---',
+        '',
+        '<!-- block:intro text -->',
+        'Hello **world**',
+        '',
+        '<!-- block:photo image -->',
+        '![A cat](<cat.png>)',
+        '*Our cat*',
+        '',
+        '<!-- block:steps list -->',
+        '1. One',
+        '2. Two',
+        '   lines',
+        '',
+        '<!-- block:saying quote -->',
+        '> Be yourself',
+        '',
+        '— Oscar Wilde',
+        '',
+        '<!-- block:video embed -->',
+        '[youtube](<https://youtu.be/x>)',
+        '',
+        '<!-- block:more toggle {"collapsed":true} -->',
+        'Details',
+        '',
+        '<!-- block:inner heading -->',
+        '### Inside',
+        '',
+        '<!-- /block:more -->',
+      ].join('\n');
+
+      expect(parseMarkdown(markdown, { dialect: 'blockdoc' })).toEqual({
+        title: 'Guide',
+        metadata: { author: 'Ada' },
+        blocks: [
+          { id: 'intro', type: 'text', content: 'Hello **world**' },
+          { id: 'photo', type: 'image', content: '', url: 'cat.png', alt: 'A cat', caption: 'Our cat' },
+          { id: 'steps', type: 'list', content: '', items: ['One', 'Two\nlines'], listType: 'ordered' },
+          { id: 'saying', type: 'quote', content: 'Be yourself', attribution: 'Oscar Wilde' },
+          { id: 'video', type: 'embed', content: '', url: 'https://youtu.be/x', embedType: 'youtube' },
+          {
+            id: 'more',
+            type: 'toggle',
+            content: 'Details',
+            collapsed: true,
+            children: [{ id: 'inner', type: 'heading', content: 'Inside', level: 3 }],
+          },
+        ],
+      });
+    });
+
+    test('should reject malformed markers', () => {
+      const parse = (markdown) => parseMarkdown(markdown, { dialect: 'blockdoc' });
+
+      expect(() => parse('Hello')).toThrow(/Content outside of a block on line 1/);
+      expect(() => parse('<!-- block:intro -->\nHello')).toThrow(/Block "intro" on line 1 has no type/);
+      expect(() => parse('<!-- block:intro text {"level":} -->')).toThrow(/Invalid block annotation on line 1/);
+      expect(() => parse('<!-- block:box section -->')).toThrow(/Block "box" is not closed/);
+      expect(() => parse('<!-- block:a text -->\n<!-- /block:a -->')).toThrow(/Unexpected end of block "a" on line 2/);
+    });
+
+    test('should skip end markers when imported as plain Markdown', () => {
+      const { blocks } = parseMarkdown('<!-- block:box section -->\n\n<!-- block:intro text -->\nHello\n\n<!-- /block:box -->');
+
+      expect(blocks).toEqual([{ id: 'intro', type: 'text', content: 'Hello' }]);
+    });
+  });
+
+  describe('BlockDocDocument.fromMarkdown', () => {
+    test('should create a valid document', () => {
+      const doc = BlockDocDocument.fromMarkdown('# Title\n\n## Intro\n\nHello');
+
+      expect(doc).toBeInstanceOf(BlockDocDocument);
+      expect(doc.article.title).toBe('Title');
+      expect(doc.getBlock('intro-text-1').content).toBe('Hello');
+      expect(doc.validate()).toBe(true);
+    });
+
+    test('should restore a document from BlockDoc-flavoured Markdown', () => {
+      const doc = new BlockDocDocument({
+        title: 'Round trip',
+        metadata: { author: 'Ada', tags: ['docs', 'markdown'], publishedDate: '2024-03-01' },
+      });
+
+      doc.insertBlock({ id: 'intro', type: 'text', content: 'Hello **world**\n\nSecond paragraph' });
+      doc.insertBlock({ id: 'setup', type: 'heading', level: 2, content: 'Setup' });
+      doc.insertBlock({ id: 'photo', type: 'image', url: 'https://example.com/cat.png', alt: 'A [cat]', caption: 'Our *cat*' });
+      doc.insertBlock({ id: 'bare', type: 'image', url: 'dog.png', alt: '' });
+      doc.insertBlock({ id: 'snippet', type: 'code', language: 'javascript', content: 'const fence = "```";' });
+      doc.insertBlock({ id: 'steps', type: 'list', items: ['One', 'Two\nlines', ''], listType: 'ordered' });
+      doc.insertBlock({ id: 'points', type: 'list', items: ['A'], listType: 'unordered' });
+      doc.insertBlock({ id: 'saying', type: 'quote', content: 'Be yourself', attribution: 'Oscar Wilde' });
+      doc.insertBlock({ id: 'video', type: 'embed', url: 'https://youtu.be/x', embedType: 'youtube', caption: 'Demo' });
+      doc.insertBlock({ id: 'link', type: 'embed', url: 'https://example.com' });
+      doc.insertBlock({ id: 'rule', type: 'divider' });
+      doc.insertBlock({
+        id: 'prices',
+        type: 'table',
+        headers: ['Plan', 'A | B'],
+        rows: [['Free', '$0\nforever'], ['Pro']],
+        align: [null, 'right'],
+        caption: 'Pricing',
+      });
+      doc.insertBlock({
+        id: 'box',
+        type: 'section',
+        children: [
+          { id: 'cols', type: 'columns', children: [{ id: 'left', type: 'text', content: '<!-- block:fake text -->' }] },
+          { id: 'more', type: 'toggle', content: 'Details', children: [{ id: 'deep', type: 'heading', level: 7, content: 'Odd' }] },
+        ],
+      });
+      doc.insertBlock({ id: 'contents', type: 'toc' });
+
+      const markdown = doc.renderToMarkdown({ dialect: 'blockdoc' });
+      const restored = BlockDocDocument.fromMarkdown(markdown, { dialect: 'blockdoc' });
+
+      expect(restored.article).toEqual(doc.article);
+      expect(parseMarkdown(markdown, { dialect: 'blockdoc' })).toEqual(doc.article);
+    });
+  });
+});
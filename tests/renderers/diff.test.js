@@ -0,0 +1,92 @@
+/**
+ * Tests for the diff renderers
+ */
+import { renderDiffToHTML, renderDiffToMarkdown } from '../../src/renderers/diff.js';
+import { diffDocuments } from '../../src/core/diff.js';
+
+const before = {
+  title: 'Release notes',
+  metadata: { author: 'Ann' },
+  blocks: [
+    { id: 'intro', type: 'text', content: 'The old intro' },
+    { id: 'steps', type: 'list', content: '', items: ['One', 'Two'], listType: 'ordered' },
+    { id: 'gone', type: 'text', content: '<b>Removed</b>' }
+  ]
+};
+
+const after = {
+  title: 'Release notes 2',
+  metadata: { author: 'Ben' },
+  blocks: [
+    { id: 'steps', type: 'list', content: '', items: ['One', 'Two'], listType: 'unordered' },
+    { id: 'intro', type: 'text', content: 'The new intro' },
+    { id: 'added', type: 'heading', level: 2, content: 'Next' }
+  ]
+};
+
+describe('Diff renderers', () => {
+  const diff = diffDocuments(before, after);
+
+  test('should throw with invalid diff', () => {
+    expect(() => renderDiffToHTML(null)).toThrow(/Invalid diff structure/);
+    expect(() => renderDiffToMarkdown({ operations: [] })).toThrow(/Invalid diff structure/);
+  });
+
+  describe('renderDiffToHTML', () => {
+    const html = renderDiffToHTML(diff);
+
+    test('should wrap the diff', () => {
+      expect(html.startsWith('<div class="blockdoc-diff">')).toBe(true);
+      expect(html.endsWith('</div>')).toBe(true);
+    });
+
+    test('should highlight title and metadata changes', () => {
+      expect(html).toContain('<del>Release notes</del> <ins>Release notes 2</ins>');
+      expect(html).toContain('<li><code>author</code>: <del>Ann</del> <ins>Ben</ins></li>');
+    });
+
+    test('should render one section per changed block', () => {
+      expect(html).toContain('<div class="blockdoc-diff-block blockdoc-diff-updated" data-block-id="intro" data-block-type="text">');
+      expect(html).toContain('<div class="blockdoc-diff-content">The <del>old</del><ins>new</ins> intro</div>');
+      expect(html).toContain('<li><code>listType</code>: <del>ordered</del> <ins>unordered</ins></li>');
+      expect(html).toContain('<div class="blockdoc-diff-block blockdoc-diff-added" data-block-id="added" data-block-type="heading">');
+      expect(html).toContain('<ins>Next</ins>');
+      expect(html).toContain('Moved block &quot;intro&quot; from position 0 to position 1');
+    });
+
+    test('should escape block content', () => {
+      expect(html).toContain('<del>&lt;b&gt;Removed&lt;/b&gt;</del>');
+      expect(html).not.toContain('<b>Removed</b>');
+    });
+  });
+
+  describe('renderDiffToMarkdown', () => {
+    const markdown = renderDiffToMarkdown(diff);
+
+    test('should use CriticMarkup for changes', () => {
+      expect(markdown).toContain('# {--Release notes--}{++Release notes 2++}');
+      expect(markdown).toContain('- `author`: {--Ann--}{++Ben++}');
+      expect(markdown).toContain('## Changed text block "intro"\n\nThe {--old--}{++new++} intro');
+      expect(markdown).toContain('## Removed text block "gone"\n\n{--<b>Removed</b>--}');
+      expect(markdown).toContain('## Added heading block "added"\n\n{++Next++}');
+    });
+
+    test('should describe moves with their container', () => {
+      const nested = renderDiffToMarkdown(diffDocuments(
+        { title: 'T', blocks: [{ id: 's', type: 'section', content: '', children: [] }, { id: 'a', type: 'text', content: 'A' }] },
+        { title: 'T', blocks: [{ id: 's', type: 'section', content: '', children: [{ id: 'a', type: 'text', content: 'A' }] }] }
+      ));
+
+      expect(nested).toContain('## Moved block "a" from position 1 to position 0 in "s"');
+    });
+
+    test('should list whole list items for added blocks', () => {
+      const added = renderDiffToMarkdown(diffDocuments(
+        { title: 'T', blocks: [] },
+        { title: 'T', blocks: [{ id: 'l', type: 'list', content: '', items: ['x', 'y'], listType: 'unordered' }] }
+      ));
+
+      expect(added).toContain('{++x\ny++}');
+    });
+  });
+});
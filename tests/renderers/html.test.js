@@ -1,15 +1,18 @@
 /**
  * Tests for HTML renderer
  */
-import { renderToHTML } from '../../src/renderers/html.js';
+import { renderToHTML, renderToHTMLPage, renderToHTMLStream } from '../../src/renderers/html.js';
+import { registerBlockType, unregisterBlockType } from '../../src/core/registry.js';
 import { marked } from 'marked';
 import hljs from 'highlight.js';
+import { cleanHtml } from '../../src/utils/sanitize.js';
 
 // Mock dependencies
 jest.mock('marked', () => ({
   marked: {
     setOptions: jest.fn(),
-    parse: jest.fn(content => `<p>${content}</p>`)
+    parse: jest.fn(content => `<p>${content}</p>`),
+    parseInline: jest.fn(content => `inline:${content}`)
   }
 }));
 
@@ -23,7 +26,8 @@ jest.mock('highlight.js', () => ({
 }));
 
 jest.mock('../../src/utils/sanitize.js', () => ({
-  sanitizeHtml: jest.fn(html => `sanitized:${html}`)
+  sanitizeHtml: jest.fn(html => `sanitized:${html}`),
+  cleanHtml: jest.fn(jest.requireActual('../../src/utils/sanitize.js').cleanHtml)
 }));
 
 describe('HTML Renderer', () => {
@@ -89,7 +93,7 @@ describe('HTML Renderer', () => {
       };
 
       const html = renderToHTML(article);
-      expect(html).toContain('<h2>sanitized:Section Heading</h2>');
+      expect(html).toContain('<h2 id="heading-block">sanitized:Section Heading</h2>');
     });
 
     test('should clamp heading level to valid range', () => {
@@ -112,8 +116,8 @@ describe('HTML Renderer', () => {
       };
 
       const html = renderToHTML(article);
-      expect(html).toContain('<h2>sanitized:Too Low</h2>');
-      expect(html).toContain('<h6>sanitized:Too High</h6>');
+      expect(html).toContain('<h2 id="heading-block-1">sanitized:Too Low</h2>');
+      expect(html).toContain('<h6 id="heading-block-2">sanitized:Too High</h6>');
     });
 
     test('should render image block', () => {
@@ -428,6 +432,68 @@ describe('HTML Renderer', () => {
       expect(html).toContain('<hr class="blockdoc-divider" />');
     });
 
+    test('should render table block', () => {
+      const article = {
+        title: 'Test Article',
+        blocks: [
+          {
+            id: 'table1',
+            type: 'table',
+            content: '',
+            headers: ['Name', 'Price'],
+            rows: [['Apple', '1.00'], ['Pear']],
+            align: [null, 'right'],
+            caption: 'Fruit prices'
+          }
+        ]
+      };
+
+      const html = renderToHTML(article);
+      expect(html).toContain('<table class="blockdoc-table"><caption class="blockdoc-caption">sanitized:Fruit prices</caption>');
+      expect(html).toContain('<thead><tr><th>inline:Name</th><th style="text-align: right">inline:Price</th></tr></thead>');
+      expect(html).toContain('<tr><td>inline:Apple</td><td style="text-align: right">inline:1.00</td></tr>');
+      expect(html).toContain('<tr><td>inline:Pear</td><td style="text-align: right">inline:</td></tr>');
+    });
+
+    test('should handle invalid table data', () => {
+      const html = renderToHTML({
+        title: 'Test Article',
+        blocks: [{ id: 'table1', type: 'table', content: '', headers: 'nope', rows: [] }]
+      });
+
+      expect(html).toContain('<p>Invalid table data</p>');
+    });
+
+    test('should render container blocks recursively', () => {
+      const article = {
+        title: 'Test Article',
+        blocks: [
+          {
+            id: 'layout',
+            type: 'columns',
+            content: '',
+            children: [
+              { id: 'left', type: 'text', content: 'Left' },
+              {
+                id: 'more',
+                type: 'toggle',
+                content: 'More',
+                children: [
+                  { id: 'group', type: 'section', content: '', children: [{ id: 'deep', type: 'divider', content: '' }] }
+                ]
+              }
+            ]
+          }
+        ]
+      };
+
+      const html = renderToHTML(article);
+      expect(html).toContain('<div class="blockdoc-columns" style="--blockdoc-column-count: 2">');
+      expect(html).toContain('<div class="blockdoc-column"><div class="blockdoc-block blockdoc-text" data-block-id="left"');
+      expect(html).toContain('<details class="blockdoc-toggle"><summary class="blockdoc-toggle-summary">sanitized:More</summary>');
+      expect(html).toContain('<section class="blockdoc-section"><div class="blockdoc-block blockdoc-divider" data-block-id="deep"');
+    });
+
     test('should handle unknown block type', () => {
       const article = {
         title: 'Test Article',
@@ -443,5 +509,310 @@ describe('HTML Renderer', () => {
       const html = renderToHTML(article);
       expect(html).toContain('<p>Unknown block type: unknown</p>');
     });
+
+    test('should clean the HTML produced from Markdown content', () => {
+      const article = {
+        title: 'Test Article',
+        blocks: [
+          { id: 'text', type: 'text', content: 'Hi<script>alert(1)</script><img src="x" onerror="alert(1)">' },
+          { id: 'list', type: 'list', content: '', listType: 'unordered', items: ['<a href="javascript:alert(1)">Link</a>'] },
+          { id: 'quote', type: 'quote', content: '<iframe src="https://evil.test"></iframe>Quoted' },
+          { id: 'table', type: 'table', content: '', headers: ['<b onclick="x()">Head</b>'], rows: [] }
+        ]
+      };
+
+      const html = renderToHTML(article);
+      expect(html).toContain('<p>Hi<img src="x"></p>');
+      expect(html).toContain('<li><p><a>Link</a></p></li>');
+      expect(html).toContain('<blockquote class="blockdoc-quote"><p>Quoted</p></blockquote>');
+      expect(html).toContain('<th>inline:<b>Head</b></th>');
+      expect(html).not.toMatch(/script|onerror|javascript:|iframe|onclick/);
+    });
+
+    test('should clean Markdown output with the allowlist given per call', () => {
+      const article = {
+        title: 'Test Article',
+        blocks: [{ id: 'text', type: 'text', content: '<u class="x">Under</u> <em>lined</em>' }]
+      };
+      const sanitize = { allowedTags: ['p', 'u'], allowedAttributes: { u: ['class'] } };
+
+      const html = renderToHTML(article, { sanitize });
+      expect(cleanHtml).toHaveBeenCalledWith('<p><u class="x">Under</u> <em>lined</em></p>', sanitize);
+      expect(html).toContain('<p><u class="x">Under</u> lined</p>');
+    });
+
+    test('should keep Markdown output as is when sanitizing is disabled', () => {
+      const article = {
+        title: 'Test Article',
+        blocks: [{ id: 'text', type: 'text', content: '<video src="clip.mp4"></video>' }]
+      };
+
+      const html = renderToHTML(article, { sanitize: false });
+      expect(html).toContain('<p><video src="clip.mp4"></video></p>');
+    });
+
+    test('should render registered custom block types', () => {
+      registerBlockType('callout', {
+        renderHTML: block => `<aside class="callout">${block.content}</aside>`
+      });
+
+      try {
+        const html = renderToHTML({
+          title: 'Test Article',
+          blocks: [{ id: 'note', type: 'callout', content: 'Heads up' }]
+        });
+
+        expect(html).toContain('data-block-type="callout"');
+        expect(html).toContain('<aside class="callout">Heads up</aside>');
+      } finally {
+        unregisterBlockType('callout');
+      }
+    });
+  });
+
+  describe('renderToHTML options', () => {
+    const article = {
+      title: 'Options',
+      blocks: [
+        { id: 'intro', type: 'text', content: 'Intro' },
+        { id: 'group', type: 'section', content: '', children: [
+          { id: 'rule', type: 'divider', content: '' }
+        ] }
+      ]
+    };
+
+    test('should prefix class names', () => {
+      const html = renderToHTML(article, { classPrefix: 'doc' });
+
+      expect(html).toContain('<article class="doc-article">');
+      expect(html).toContain('<h1 class="doc-title">');
+      expect(html).toContain('<div class="doc-block doc-section" data-block-id="group"');
+      expect(html).toContain('<hr class="doc-divider" />');
+      expect(html).not.toContain('blockdoc-');
+
+      const unprefixed = renderToHTML(article, { classPrefix: '' });
+      expect(unprefixed).toContain('<div class="block text" data-block-id="intro"');
+    });
+
+    test('should omit the wrappers and the title', () => {
+      const html = renderToHTML(article, { wrapper: false, blockWrapper: false, title: false });
+
+      expect(html).toBe('<p>Intro</p>\n<section class="blockdoc-section"><hr class="blockdoc-divider" /></section>');
+    });
+
+    test('should size embedded iframes', () => {
+      const html = renderToHTML({
+        title: 'Embeds',
+        blocks: [
+          { id: 'video', type: 'embed', content: '', url: 'https://youtu.be/dQw4w9WgXcQ', embedType: 'youtube' },
+          { id: 'map', type: 'embed', content: '', url: 'https://maps.test/embed', embedType: 'generic' }
+        ]
+      }, { iframe: { width: 640, height: 360 } });
+
+      expect(html.match(/width="sanitized:640"/g)).toHaveLength(2);
+      expect(html.match(/height="sanitized:360"/g)).toHaveLength(2);
+    });
+
+    test('should use renderer overrides that can call the default renderer', () => {
+      const text = jest.fn((block, render) => `<div class="note">${render(block)}</div>`);
+      const divider = jest.fn(() => '<hr>');
+
+      const html = renderToHTML(article, { renderers: { text, divider } });
+
+      expect(html).toContain('data-block-id="intro" data-block-type="text"><div class="note"><p>Intro</p></div></div>');
+      expect(html).toContain('data-block-id="rule" data-block-type="divider"><hr></div>');
+      expect(text).toHaveBeenCalledWith(article.blocks[0], expect.any(Function), expect.objectContaining({ classPrefix: 'blockdoc' }));
+      expect(() => renderToHTML(article, { renderers: { text: 'nope' } })).toThrow(/Renderer for block type "text" must be a function/);
+    });
+
+    test('should call hooks before and after each block', () => {
+      const calls = [];
+      const html = renderToHTML(article, {
+        blockWrapper: false,
+        beforeBlock: (block) => {
+          calls.push(`before:${block.id}`);
+          return block.type === 'section' ? '<!-- section -->' : undefined;
+        },
+        afterBlock: (block, blockHtml) => {
+          calls.push(`after:${block.id}`);
+          return block.id === 'intro' ? `<!-- ${blockHtml.length} -->` : null;
+        }
+      });
+
+      expect(calls).toEqual(['before:intro', 'after:intro', 'before:group', 'before:rule', 'after:rule', 'after:group']);
+      expect(html).toContain('<p>Intro</p><!-- 12 -->');
+      expect(html).toContain('<!-- section --><section');
+      expect(() => renderToHTML(article, { afterBlock: 42 })).toThrow(/afterBlock must be a function/);
+    });
+  });
+
+  describe('Table of contents', () => {
+    const article = {
+      title: 'Guide',
+      blocks: [
+        { id: 'Intro', type: 'heading', level: 2, content: 'Intro' },
+        { id: 'setup', type: 'heading', level: 3, content: 'Setup' },
+        { id: 'text', type: 'text', content: 'Body' },
+        { id: 'usage', type: 'heading', level: 2, content: 'Usage' }
+      ]
+    };
+
+    test('should give headings anchors derived from their block ID', () => {
+      const html = renderToHTML(article);
+      expect(html).toContain('<h2 id="intro">');
+      expect(html).toContain('<h3 id="setup">');
+
+      expect(renderToHTML(article, { anchors: false })).toContain('<h2>sanitized:Intro</h2>');
+    });
+
+    test('should render the table of contents after the title', () => {
+      const html = renderToHTML(article, { toc: { title: 'Contents' } });
+
+      expect(html).toContain(
+        '<h1 class="blockdoc-title">sanitized:Guide</h1>\n' +
+        '<nav class="blockdoc-toc"><p class="blockdoc-toc-title">sanitized:Contents</p>' +
+        '<ul class="blockdoc-toc-list">' +
+        '<li><a href="#intro">sanitized:Intro</a><ul class="blockdoc-toc-list"><li><a href="#setup">sanitized:Setup</a></li></ul></li>' +
+        '<li><a href="#usage">sanitized:Usage</a></li>' +
+        '</ul></nav>'
+      );
+      expect(renderToHTML(article)).not.toContain('blockdoc-toc');
+    });
+
+    test('should render the table of contents at the toc block', () => {
+      const html = renderToHTML({
+        ...article,
+        blocks: [article.blocks[0], { id: 'contents', type: 'toc', content: '' }, ...article.blocks.slice(1)]
+      }, { toc: { maxLevel: 2 } });
+
+      expect(html).toContain('data-block-type="toc"><nav class="blockdoc-toc"><ul class="blockdoc-toc-list">' +
+        '<li><a href="#intro">sanitized:Intro</a></li><li><a href="#usage">sanitized:Usage</a></li></ul></nav></div>');
+      expect(html.match(/<nav/g)).toHaveLength(1);
+    });
+  });
+
+  describe('renderToHTMLPage', () => {
+    const article = {
+      title: 'Release Notes',
+      metadata: {
+        author: 'Jane Doe',
+        publishedDate: '2024-03-01T10:00:00Z',
+        tags: ['release', 'blockdoc'],
+        description: 'What changed in 2.0'
+      },
+      blocks: [{ id: 'intro', type: 'text', content: 'Hello' }]
+    };
+
+    test('should render a complete HTML5 document around the article', () => {
+      const html = renderToHTMLPage(article);
+
+      expect(html.startsWith('<!DOCTYPE html>\n<html lang="sanitized:en">\n<head>\n<meta charset="utf-8" />')).toBe(true);
+      expect(html).toContain('<title>sanitized:Release Notes</title>');
+      expect(html).toContain('<body>\n<article class="blockdoc-article">');
+      expect(html.endsWith('</article>\n</body>\n</html>')).toBe(true);
+      expect(renderToHTMLPage(article, { lang: 'fr' })).toContain('<html lang="sanitized:fr">');
+    });
+
+    test('should describe the metadata with meta tags', () => {
+      const html = renderToHTMLPage(article);
+
+      expect(html).toContain('<meta name="description" content="sanitized:What changed in 2.0" />');
+      expect(html).toContain('<meta name="author" content="sanitized:Jane Doe" />');
+      expect(html).toContain('<meta name="keywords" content="sanitized:release, blockdoc" />');
+      expect(html).toContain('<meta name="date" content="sanitized:2024-03-01T10:00:00Z" />');
+      expect(html).toContain('<meta property="article:published_time" content="sanitized:2024-03-01T10:00:00Z" />');
+
+      const bare = renderToHTMLPage({ ...article, metadata: undefined });
+      expect(bare).not.toContain('name="author"');
+      expect(bare).not.toContain('name="keywords"');
+    });
+
+    test('should include the stylesheet of the chosen theme', () => {
+      const light = renderToHTMLPage(article);
+      expect(light).toContain('<style>');
+      expect(light).toContain('color-scheme: light;');
+      expect(light).toContain('--blockdoc-syntax-keyword: #d73a49;');
+
+      const dark = renderToHTMLPage(article, { theme: 'dark' });
+      expect(dark).toContain('color-scheme: dark;');
+      expect(dark).toContain('--blockdoc-syntax-keyword: #ff7b72;');
+
+      expect(renderToHTMLPage(article, { theme: 'auto' })).toContain('@media (prefers-color-scheme: dark)');
+      expect(renderToHTMLPage(article, { stylesheet: false })).not.toContain('<style>');
+      expect(() => renderToHTMLPage(article, { theme: 'sepia' })).toThrow(/Unknown theme "sepia"/);
+    });
+
+    test('should pass rendering options on and add extra head content', () => {
+      const html = renderToHTMLPage(article, {
+        classPrefix: 'doc',
+        title: false,
+        head: '<link rel="icon" href="/favicon.ico" />'
+      });
+
+      expect(html).toContain('<article class="doc-article">');
+      expect(html).not.toContain('<h1');
+      expect(html).toContain('.doc-article {');
+      expect(html).toContain('<link rel="icon" href="/favicon.ico" />\n</head>');
+      expect(() => renderToHTMLPage(article, { head: 42 })).toThrow(/Page head must be a string/);
+    });
+  });
+
+  describe('renderToHTMLStream', () => {
+    const article = {
+      title: 'Manual',
+      blocks: [
+        { id: 'intro', type: 'text', content: 'Intro' },
+        { id: 'setup', type: 'heading', level: 2, content: 'Setup' },
+        { id: 'rule', type: 'divider' }
+      ]
+    };
+
+    const collect = async (iterable) => {
+      const chunks = [];
+      for await (const chunk of iterable) {
+        chunks.push(chunk);
+      }
+      return chunks;
+    };
+
+    test('should yield the output of renderToHTML one block at a time', async () => {
+      const chunks = await collect(renderToHTMLStream(article, { toc: true }));
+
+      expect(chunks).toHaveLength(7);
+      expect(chunks[0]).toBe('<article class="blockdoc-article">');
+      expect(chunks[3]).toBe('\n<div class="blockdoc-block blockdoc-text" data-block-id="intro" data-block-type="text"><p>Intro</p></div>');
+      expect(chunks.join('')).toBe(renderToHTML(article, { toc: true }));
+    });
+
+    test('should render blocks only when they are requested', async () => {
+      const beforeBlock = jest.fn();
+      const iterator = renderToHTMLStream(article, { wrapper: false, title: false, beforeBlock })[Symbol.asyncIterator]();
+
+      expect(beforeBlock).not.toHaveBeenCalled();
+      await iterator.next();
+      expect(beforeBlock).toHaveBeenCalledTimes(1);
+
+      await iterator.return();
+      expect(await iterator.next()).toEqual({ value: undefined, done: true });
+      expect(beforeBlock).toHaveBeenCalledTimes(1);
+    });
+
+    test('should throw invalid input before streaming', () => {
+      expect(() => renderToHTMLStream({ blocks: null })).toThrow(/Invalid article structure/);
+      expect(() => renderToHTMLStream(article, { classPrefix: 1 })).toThrow(/Class prefix must be a string/);
+    });
+
+    test('should provide a web ReadableStream of UTF-8 bytes', async () => {
+      const reader = renderToHTMLStream(article).toReadableStream().getReader();
+      const decoder = new TextDecoder();
+      let html = '';
+
+      for (let result = await reader.read(); !result.done; result = await reader.read()) {
+        expect(result.value).toBeInstanceOf(Uint8Array);
+        html += decoder.decode(result.value, { stream: true });
+      }
+
+      expect(html).toBe(renderToHTML(article));
+    });
   });
-});
\ No newline at end of file
+});
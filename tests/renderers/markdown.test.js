@@ -2,6 +2,8 @@
  * Tests for Markdown renderer
  */
 import { renderToMarkdown } from '../../src/renderers/markdown.js';
+import { parseMarkdown } from '../../src/importers/markdown.js';
+import { registerBlockType, unregisterBlockType } from '../../src/core/registry.js';
 
 describe('Markdown Renderer', () => {
   describe('renderToMarkdown', () => {
@@ -321,6 +323,58 @@ describe('Markdown Renderer', () => {
       expect(markdown).toContain('---');
     });
 
+    test('should render table block as a GFM pipe table', () => {
+      const article = {
+        title: 'Test Article',
+        blocks: [
+          {
+            id: 'table1',
+            type: 'table',
+            content: '',
+            headers: ['Operator', 'Meaning'],
+            rows: [['a | b', 'either\nor'], ['&&']],
+            align: ['center', 'left'],
+            caption: 'Operators'
+          }
+        ]
+      };
+
+      const markdown = renderToMarkdown(article);
+      expect(markdown).toContain([
+        '| Operator | Meaning |',
+        '| :---: | :--- |',
+        '| a \\| b | either<br>or |',
+        '| && |  |',
+        '',
+        '*Operators*'
+      ].join('\n'));
+    });
+
+    test('should render container blocks recursively', () => {
+      const article = {
+        title: 'Test Article',
+        blocks: [
+          {
+            id: 'group',
+            type: 'section',
+            content: '',
+            children: [
+              { id: 'intro', type: 'text', content: 'Intro' },
+              {
+                id: 'more',
+                type: 'toggle',
+                content: 'More',
+                children: [{ id: 'hidden', type: 'text', content: 'Hidden' }]
+              }
+            ]
+          }
+        ]
+      };
+
+      const markdown = renderToMarkdown(article);
+      expect(markdown).toContain('Intro\n\n<details>\n<summary>More</summary>\n\nHidden\n\n</details>');
+    });
+
     test('should handle unknown block type', () => {
       const article = {
         title: 'Test Article',
@@ -336,5 +390,221 @@ describe('Markdown Renderer', () => {
       const markdown = renderToMarkdown(article);
       expect(markdown).toContain('[Unknown block type: unknown]');
     });
+
+    test('should render registered custom block types', () => {
+      registerBlockType('callout', {
+        renderMarkdown: block => `> **Note:** ${block.content}`
+      });
+
+      try {
+        const markdown = renderToMarkdown({
+          title: 'Test Article',
+          blocks: [{ id: 'note', type: 'callout', content: 'Heads up' }]
+        });
+
+        expect(markdown).toContain('> **Note:** Heads up');
+      } finally {
+        unregisterBlockType('callout');
+      }
+    });
+  });
+
+  describe('Table of contents', () => {
+    const article = {
+      title: 'Guide',
+      blocks: [
+        { id: 'intro', type: 'heading', level: 2, content: 'Intro [beta]' },
+        { id: 'setup', type: 'heading', level: 3, content: 'Setup' },
+        { id: 'usage', type: 'heading', level: 2, content: 'Usage' }
+      ]
+    };
+
+    test('should not add anchors without a table of contents', () => {
+      expect(renderToMarkdown(article)).toContain('## Intro [beta]\n');
+      expect(renderToMarkdown(article, { anchors: true })).toContain('## <a id="intro"></a>Intro [beta]\n');
+    });
+
+    test('should render the table of contents after the title', () => {
+      const markdown = renderToMarkdown(article, { toc: { title: 'Contents' } });
+
+      expect(markdown).toContain('**Contents**\n\n- [Intro \\[beta\\]](#intro)\n  - [Setup](#setup)\n- [Usage](#usage)\n');
+      expect(markdown.indexOf('**Contents**')).toBeLessThan(markdown.indexOf('## <a id="intro"></a>Intro'));
+      expect(markdown).toContain('### <a id="setup"></a>Setup');
+    });
+
+    test('should render the table of contents at the toc block', () => {
+      const markdown = renderToMarkdown({
+        ...article,
+        blocks: [...article.blocks, { id: 'contents', type: 'toc', content: '' }]
+      }, { toc: { maxLevel: 2 } });
+
+      expect(markdown.trim().endsWith('- [Intro \\[beta\\]](#intro)\n- [Usage](#usage)')).toBe(true);
+    });
+  });
+
+  describe('Markdown options', () => {
+    const article = {
+      title: 'Release: 2.0',
+      metadata: {
+        author: 'Jane Doe',
+        publishedDate: '2024-01-15T10:00:00Z',
+        tags: ['news', 'release'],
+        draft: false
+      },
+      blocks: [
+        { id: 'intro', type: 'text', content: 'Hello **world**' },
+        { id: 'changes', type: 'heading', level: 2, content: 'Changes' },
+        { id: 'changes-list', type: 'list', listType: 'unordered', items: ['Faster', 'Smaller'] },
+        { id: 'chart', type: 'image', url: 'chart.png', alt: 'Chart', caption: 'Load time' },
+        { id: 'pricing', type: 'table', headers: ['Plan', 'Price'], rows: [['**Pro**', '$5']], align: [null, 'right'] }
+      ]
+    };
+
+    test('should write the title and all metadata as YAML front matter', () => {
+      const markdown = renderToMarkdown(article, { frontMatter: 'yaml' });
+
+      expect(markdown.startsWith([
+        '---',
+        'title: "Release: 2.0"',
+        'author: Jane Doe',
+        'publishedDate: "2024-01-15T10:00:00Z"',
+        'tags:',
+        '  - news',
+        '  - release',
+        'draft: false',
+        '---',
+        '',
+        'Hello **world**'
+      ].join('\n'))).toBe(true);
+      expect(markdown).not.toContain('# Release');
+      expect(markdown).not.toContain('> Author:');
+    });
+
+    test('should write TOML front matter', () => {
+      const markdown = renderToMarkdown(article, { frontMatter: 'toml' });
+
+      expect(markdown.startsWith([
+        '+++',
+        'title = "Release: 2.0"',
+        'author = "Jane Doe"',
+        'publishedDate = "2024-01-15T10:00:00Z"',
+        'tags = ["news", "release"]',
+        'draft = false',
+        '+++'
+      ].join('\n'))).toBe(true);
+    });
+
+    test('should use the configured bullet and emphasis styles', () => {
+      const markdown = renderToMarkdown(article, { bullet: '*', emphasis: '_', toc: { title: 'Contents' } });
+
+      expect(markdown).toContain('* Faster\n* Smaller');
+      expect(markdown).toContain('![Chart](chart.png)\n_Load time_');
+      expect(markdown).toContain('__Contents__\n\n* [Changes](#changes)');
+    });
+
+    test('should write tables as HTML for CommonMark', () => {
+      const markdown = renderToMarkdown(article, { dialect: 'commonmark' });
+
+      expect(markdown).toContain([
+        '<table>',
+        '<thead><tr><th>Plan</th><th align="right">Price</th></tr></thead>',
+        '<tbody>',
+        '<tr><td><strong>Pro</strong></td><td align="right">$5</td></tr>',
+        '</tbody>',
+        '</table>'
+      ].join('\n'));
+      expect(renderToMarkdown(article)).toContain('| Plan | Price |');
+    });
+
+    test('should write block IDs as comments', () => {
+      const markdown = renderToMarkdown(article, { blockIds: true });
+
+      expect(markdown).toContain('<!-- block:intro -->\nHello **world**');
+      expect(markdown).toContain('<!-- block:changes -->\n## Changes');
+      expect(renderToMarkdown(article)).not.toContain('<!-- block:');
+    });
+
+    test('should keep IDs and metadata when the Markdown is imported', () => {
+      ['yaml', 'toml'].forEach((frontMatter) => {
+        ['gfm', 'commonmark'].forEach((dialect) => {
+          const imported = parseMarkdown(renderToMarkdown(article, { frontMatter, dialect, blockIds: true }));
+
+          expect(imported.title).toBe(article.title);
+          expect(imported.metadata).toEqual(article.metadata);
+          expect(imported.blocks.map((block) => block.id)).toEqual(article.blocks.map((block) => block.id));
+          expect(imported.blocks[4]).toMatchObject({ type: 'table', headers: ['Plan', 'Price'], rows: [['**Pro**', '$5']] });
+        });
+      });
+    });
+
+    test('should reject invalid options', () => {
+      expect(() => renderToMarkdown(article, { frontMatter: 'json' })).toThrow(/Unknown front matter format "json"/);
+      expect(() => renderToMarkdown(article, { dialect: 'mdx' })).toThrow(/Unknown Markdown dialect "mdx"/);
+      expect(() => renderToMarkdown(article, { bullet: '>' })).toThrow(/Bullet must be one of -, \* or \+/);
+      expect(() => renderToMarkdown(article, { emphasis: '~' })).toThrow(/Emphasis must be \* or _/);
+    });
+  });
+
+  describe('BlockDoc dialect', () => {
+    const article = {
+      title: 'Guide',
+      metadata: { author: 'Ada' },
+      blocks: [
+        { id: 'intro', type: 'text', content: 'Hello **world**' },
+        { id: 'photo', type: 'image', content: '', url: 'cat.png', alt: 'A cat', caption: 'Our cat', width: 640 },
+        { id: 'points', type: 'list', content: '', items: ['One'] },
+        { id: 'box', type: 'section', content: '', children: [{ id: 'inner', type: 'heading', level: 2, content: 'Inside' }] },
+      ],
+    };
+
+    test('should write each block after a marker with its ID and type', () => {
+      expect(renderToMarkdown(article, { dialect: 'blockdoc' })).toBe([
+        '---',
+        'title: Guide',
+        'author: Ada',
+        '---',
+        '',
+        '<!-- block:intro text -->',
+        'Hello **world**',
+        '',
+        '<!-- block:photo image {"width":640} -->',
+        '![A cat](<cat.png>)',
+        '*Our cat*',
+        '',
+        '<!-- block:points list {"$omit":["listType"]} -->',
+        '- One',
+        '',
+        '<!-- block:box section -->',
+        '',
+        '<!-- block:inner heading -->',
+        '## Inside',
+        '',
+        '<!-- /block:box -->',
+        '',
+      ].join('\n'));
+    });
+
+    test('should keep Markdown that looks like a marker in the annotation', () => {
+      const markdown = renderToMarkdown({
+        title: 'Markers',
+        blocks: [{ id: 'note', type: 'text', content: 'Before\n<!-- /block:note -->' }],
+      }, { dialect: 'blockdoc' });
+
+      expect(markdown).toContain('<!-- block:note text {"content":"Before\\n<!\\u002d- /block:note \\u002d->"} -->');
+      expect(parseMarkdown(markdown, { dialect: 'blockdoc' }).blocks[0].content).toBe('Before\n<!-- /block:note -->');
+    });
+
+    test('should restore the article when parsed', () => {
+      const options = { dialect: 'blockdoc', frontMatter: 'toml' };
+
+      expect(parseMarkdown(renderToMarkdown(article, options), options)).toEqual(article);
+    });
+
+    test('should restore multi-line metadata from YAML front matter', () => {
+      const withDescription = { ...article, metadata: { ...article.metadata, description: 'Line one\nLine two' } };
+      const options = { dialect: 'blockdoc' };
+
+      expect(parseMarkdown(renderToMarkdown(withDescription, options), options)).toEqual(withDescription);
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,43 @@
+/**
+ * Tests for the default stylesheet
+ */
+import { getStylesheet, THEMES } from '../../src/renderers/styles.js';
+
+describe('getStylesheet', () => {
+  test('should style the renderer classes with the light theme by default', () => {
+    const css = getStylesheet();
+
+    expect(css).toContain(':root { color-scheme: light;');
+    expect(css).toContain(`--blockdoc-background: ${THEMES.light.background};`);
+    expect(css).toContain('.blockdoc-article {');
+    expect(css).toContain('.blockdoc-toc-list {');
+    expect(css).toContain('grid-template-columns: repeat(var(--blockdoc-column-count, 2), minmax(0, 1fr))');
+    expect(css).toContain('.blockdoc-code .hljs-keyword');
+    expect(css).not.toContain('prefers-color-scheme');
+  });
+
+  test('should define the same colors in every theme', () => {
+    expect(Object.keys(THEMES.dark)).toEqual(Object.keys(THEMES.light));
+  });
+
+  test('should switch to the dark colors when the reader prefers them with the auto theme', () => {
+    const css = getStylesheet({ theme: 'auto' });
+    const [light, dark] = css.split('@media (prefers-color-scheme: dark)');
+
+    expect(light).toContain(`--blockdoc-text: ${THEMES.light.text};`);
+    expect(dark).toContain(`--blockdoc-text: ${THEMES.dark.text};`);
+  });
+
+  test('should use the class prefix for selectors and variables', () => {
+    const css = getStylesheet({ theme: 'dark', classPrefix: '' });
+
+    expect(css).toContain('.article {');
+    expect(css).toContain(`--text: ${THEMES.dark.text};`);
+    expect(css).toContain('color: var(--syntax-keyword)');
+    expect(css).not.toContain('blockdoc');
+  });
+
+  test('should reject unknown themes', () => {
+    expect(() => getStylesheet({ theme: 'solarized' })).toThrow(/Unknown theme "solarized"/);
+  });
+});
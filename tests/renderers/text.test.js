@@ -0,0 +1,162 @@
+/**
+ * Tests for plain text renderer
+ */
+import { renderToText, stripMarkdown } from '../../src/renderers/text.js';
+import { registerBlockType, unregisterBlockType } from '../../src/core/registry.js';
+
+describe('Text Renderer', () => {
+  describe('renderToText', () => {
+    test('should throw error with invalid article structure or options', () => {
+      expect(() => renderToText(null)).toThrow(/Invalid article structure/);
+      expect(() => renderToText({ blocks: 'not-an-array' })).toThrow(/Invalid article structure/);
+      expect(() => renderToText({ blocks: [] }, { width: -1 })).toThrow(/Wrap width must be a non-negative integer/);
+      expect(() => renderToText({ blocks: [] }, { bullet: 1 })).toThrow(/Bullet must be a string/);
+    });
+
+    test('should render the title and blocks separated by blank lines', () => {
+      const text = renderToText({
+        title: 'Guide',
+        blocks: [
+          { id: 'heading', type: 'heading', level: 2, content: 'Setup' },
+          { id: 'rule', type: 'divider' },
+          { id: 'intro', type: 'text', content: 'Install it.' }
+        ]
+      });
+
+      expect(text).toBe('Guide\n\nSetup\n\nInstall it.');
+      expect(renderToText({ title: 'Guide', blocks: [] }, { title: false })).toBe('');
+    });
+
+    test('should remove Markdown syntax from text blocks', () => {
+      const text = renderToText({
+        title: 'Doc',
+        blocks: [{
+          id: 'intro',
+          type: 'text',
+          content: 'Some **bold**, _italic_ & `a<b` with a [link](https://example.com) and <em>HTML</em>.\n\nA soft\nbreak, a hard  \nbreak and \\*escapes\\*.'
+        }]
+      }, { title: false });
+
+      expect(text).toBe(
+        'Some bold, italic & a<b with a link and HTML.\n\n' +
+        'A soft break, a hard\nbreak and *escapes*.'
+      );
+    });
+
+    test('should render lists with bullets or numbers', () => {
+      const article = {
+        title: 'Doc',
+        blocks: [
+          { id: 'todo', type: 'list', listType: 'unordered', items: ['Buy **milk**', 'Call [Bob](tel:1)'] },
+          { id: 'steps', type: 'list', listType: 'ordered', items: ['One', 'Two'] }
+        ]
+      };
+
+      expect(renderToText(article, { title: false })).toBe('• Buy milk\n• Call Bob\n\n1. One\n2. Two');
+      expect(renderToText(article, { title: false, bullet: '-' })).toContain('- Buy milk\n- Call Bob');
+    });
+
+    test('should render quotes with their attribution', () => {
+      const text = renderToText({
+        title: 'Doc',
+        blocks: [{ id: 'quote', type: 'quote', content: 'Stay *hungry*.', attribution: 'Steve Jobs' }]
+      }, { title: false });
+
+      expect(text).toBe('Stay hungry.\n— Steve Jobs');
+    });
+
+    test('should represent images by alt text and caption and embeds by URL', () => {
+      const text = renderToText({
+        title: 'Doc',
+        blocks: [
+          { id: 'cat', type: 'image', url: 'cat.png', alt: 'A cat', caption: 'Our cat' },
+          { id: 'dog', type: 'image', url: 'dog.png', alt: 'A dog', caption: 'A dog' },
+          { id: 'video', type: 'embed', url: 'https://youtu.be/abc', embedType: 'youtube', caption: 'Demo' }
+        ]
+      }, { title: false });
+
+      expect(text).toBe('A cat\nOur cat\n\nA dog\n\nhttps://youtu.be/abc\nDemo');
+    });
+
+    test('should keep code as is and render tables row by row', () => {
+      const text = renderToText({
+        title: 'Doc',
+        blocks: [
+          { id: 'code', type: 'code', language: 'js', content: 'if (a) {\n  return **b**;\n}' },
+          { id: 'table', type: 'table', headers: ['Plan', '**Price**'], rows: [['Free', '`$0`'], ['Pro']], caption: 'Pricing' }
+        ]
+      }, { title: false });
+
+      expect(text).toBe('if (a) {\n  return **b**;\n}\n\nPlan | Price\nFree | $0\nPro | \nPricing');
+    });
+
+    test('should render nested blocks and skip tables of contents', () => {
+      const text = renderToText({
+        title: 'Doc',
+        blocks: [
+          { id: 'contents', type: 'toc' },
+          {
+            id: 'group',
+            type: 'section',
+            children: [
+              { id: 'more', type: 'toggle', content: 'Details', children: [{ id: 'inner', type: 'text', content: 'Hidden *text*' }] }
+            ]
+          }
+        ]
+      }, { title: false });
+
+      expect(text).toBe('Details\n\nHidden text');
+    });
+
+    test('should wrap lines at the given width', () => {
+      const text = renderToText({
+        title: 'A title that is rather long',
+        blocks: [
+          { id: 'intro', type: 'text', content: 'The quick brown fox jumps over the lazy dog.' },
+          { id: 'list', type: 'list', listType: 'unordered', items: ['An item long enough to wrap twice over'] },
+          { id: 'code', type: 'code', content: 'const aVeryLongLineOfCode = "is never wrapped at all";' }
+        ]
+      }, { width: 16 });
+
+      expect(text).toBe([
+        'A title that is\nrather long',
+        'The quick brown\nfox jumps over\nthe lazy dog.',
+        '• An item long\n  enough to wrap\n  twice over',
+        'const aVeryLongLineOfCode = "is never wrapped at all";'
+      ].join('\n\n'));
+    });
+
+    describe('custom block types', () => {
+      afterEach(() => {
+        unregisterBlockType('callout');
+      });
+
+      test('should use the renderText function of a registered type', () => {
+        registerBlockType('callout', { renderText: (block) => `Note: ${block.content}` });
+
+        const text = renderToText({ title: 'Doc', blocks: [{ id: 'c', type: 'callout', content: 'Beta' }] }, { title: false });
+        expect(text).toBe('Note: Beta');
+      });
+
+      test('should fall back to the Markdown content of other blocks', () => {
+        const text = renderToText({
+          title: 'Doc',
+          blocks: [
+            { id: 'c', type: 'callout', content: 'A **warning**' },
+            { id: 'd', type: 'chart', data: [1, 2] }
+          ]
+        }, { title: false });
+
+        expect(text).toBe('A warning');
+      });
+    });
+  });
+
+  describe('stripMarkdown', () => {
+    test('should return the visible text of Markdown', () => {
+      expect(stripMarkdown('# Title\n\n- a\n- **b**\n\n3. c\n\n> quoted ![alt](x.png)')).toBe('Title\n\n• a\n• b\n\n3. c\n\nquoted alt');
+      expect(stripMarkdown('')).toBe('');
+      expect(stripMarkdown(undefined)).toBe('');
+    });
+  });
+});
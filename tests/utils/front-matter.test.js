@@ -0,0 +1,141 @@
+/**
+ * Tests for front matter utilities
+ */
+import { parseFrontMatter, stringifyFrontMatter, parseYaml, parseToml } from '../../src/utils/front-matter.js';
+
+describe('Front matter utilities', () => {
+  const data = {
+    title: 'Hello: World',
+    author: 'Jane',
+    publishedDate: '2024-01-15T10:00:00Z',
+    tags: ['news', 'release notes', 'true'],
+    empty: [],
+    count: 3,
+    draft: false,
+    series: { name: 'Updates', part: 2 },
+    'odd key': 'value # not a comment',
+    version: '42'
+  };
+
+  describe('stringifyFrontMatter', () => {
+    test('should write YAML that reads back the same', () => {
+      const yaml = stringifyFrontMatter({ ...data, reviewer: null });
+
+      expect(yaml).toContain('title: "Hello: World"\nauthor: Jane\n');
+      expect(yaml).toContain('tags:\n  - news\n  - release notes\n  - "true"\n');
+      expect(yaml).toContain('series: {"name":"Updates","part":2}\n');
+      expect(yaml).toContain('version: "42"\n');
+      expect(parseFrontMatter(`${yaml}\nBody`)).toEqual({ data: { ...data, reviewer: null }, body: 'Body' });
+    });
+
+    test('should write TOML that reads back the same', () => {
+      const toml = stringifyFrontMatter({ ...data, reviewer: null, missing: undefined }, 'toml');
+
+      expect(toml.startsWith('+++\ntitle = "Hello: World"\n')).toBe(true);
+      expect(toml).toContain('tags = ["news", "release notes", "true"]\n');
+      expect(toml).toContain('series = { name = "Updates", part = 2 }\n');
+      expect(toml).toContain('"odd key" = "value # not a comment"\n');
+      expect(toml).not.toContain('reviewer');
+      expect(parseFrontMatter(`${toml}\nBody`)).toEqual({ data, body: 'Body' });
+    });
+
+    test('should quote strings with line breaks and other control characters', () => {
+      const values = { description: 'Line one\nLine two', indented: 'a\tb', bell: 'ring\u0007' };
+      const yaml = stringifyFrontMatter(values);
+
+      expect(yaml).toContain('description: "Line one\\nLine two"\n');
+      expect(yaml.split('\n')).toHaveLength(5);
+      expect(parseFrontMatter(`${yaml}\nBody`)).toEqual({ data: values, body: 'Body' });
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => stringifyFrontMatter(data, 'json')).toThrow(/Unknown front matter format "json"/);
+    });
+  });
+
+  describe('parseYaml', () => {
+    test('should read flow mappings and lists written as JSON', () => {
+      expect(parseYaml('a: {"b": [1, 2]}\nc: [x, "y"]\nd: [{"e": null}]')).toEqual({
+        a: { b: [1, 2] },
+        c: ['x', 'y'],
+        d: [{ e: null }]
+      });
+    });
+
+    test('should read nested mappings', () => {
+      expect(parseYaml('author:\n  name: Jane\n  links:\n    - a\n    - b\n  address:\n    city: Oslo\ndraft: true')).toEqual({
+        author: { name: 'Jane', links: ['a', 'b'], address: { city: 'Oslo' } },
+        draft: true
+      });
+    });
+
+    test('should read literal and folded block scalars', () => {
+      expect(parseYaml([
+        'summary: >',
+        '  A folded',
+        '  paragraph',
+        '',
+        '  and another',
+        'code: |',
+        '  line 1',
+        '    indented',
+        'stripped: |-',
+        '  no newline',
+        'kept: >+',
+        '  trailing',
+        '',
+        'next: 1'
+      ].join('\n'))).toEqual({
+        summary: 'A folded paragraph\nand another\n',
+        code: 'line 1\n  indented\n',
+        stripped: 'no newline',
+        kept: 'trailing\n\n',
+        next: 1
+      });
+    });
+
+    test('should read keys without a value as null', () => {
+      expect(parseYaml('empty:\ntags:\n- a\n- b\nlast:')).toEqual({ empty: null, tags: ['a', 'b'], last: null });
+    });
+
+    test('should skip keys it cannot read and report them', () => {
+      const onWarning = jest.fn();
+      const data = parseYaml('title: Post\nnot valid\nitems:\n  - name: x\nbroken: value\n  more\nafter: 1', { onWarning });
+
+      expect(data).toEqual({ title: 'Post', after: 1 });
+      expect(onWarning.mock.calls.map(([warning]) => warning.line)).toEqual([2, 3, 5]);
+      expect(onWarning).toHaveBeenCalledWith({
+        line: 3,
+        message: 'Skipped front matter on line 3 (unsupported list item): items:'
+      });
+      expect(() => parseYaml('not valid')).not.toThrow();
+    });
+  });
+
+  describe('parseToml', () => {
+    test('should read scalars, arrays and inline tables', () => {
+      expect(parseToml([
+        '# comment',
+        'title = \'Literal "string"\'',
+        'count = 1_000',
+        'ratio = -1.5e2',
+        'date = 2024-01-15T10:00:00Z',
+        'nested = { a = [1, [2]], "b c" = { d = true } }',
+        'list = [ ]'
+      ].join('\n'))).toEqual({
+        title: 'Literal "string"',
+        count: 1000,
+        ratio: -150,
+        date: '2024-01-15T10:00:00Z',
+        nested: { a: [1, [2]], 'b c': { d: true } },
+        list: []
+      });
+    });
+
+    test('should reject lines it cannot read', () => {
+      expect(() => parseToml('a = 1\n[table]')).toThrow(/Invalid front matter on line 2/);
+      expect(() => parseToml('a = [1, 2')).toThrow(/Invalid front matter on line 1/);
+      expect(() => parseToml('a = 1 2')).toThrow(/Invalid front matter on line 1/);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for the HTML parser
+ */
+import { parseHtml, decodeEntities, getTextContent } from '../../src/utils/html-parser.js';
+
+describe('HTML parser', () => {
+  describe('parseHtml', () => {
+    test('should build an element tree with attributes', () => {
+      const nodes = parseHtml('<p class="intro" data-x=\'1\' hidden>Hi <b>there</b></p>');
+
+      expect(nodes).toEqual([
+        {
+          type: 'element',
+          tag: 'p',
+          attributes: { class: 'intro', 'data-x': '1', hidden: '' },
+          children: [
+            { type: 'text', value: 'Hi ' },
+            { type: 'element', tag: 'b', attributes: {}, children: [{ type: 'text', value: 'there' }] }
+          ]
+        }
+      ]);
+    });
+
+    test('should handle void and self-closing elements', () => {
+      const nodes = parseHtml('<p>a<br>b<img src="x.png"/>c</p>');
+      expect(nodes[0].children.map(node => node.tag || node.value)).toEqual(['a', 'br', 'b', 'img', 'c']);
+    });
+
+    test('should implicitly close paragraphs and list items', () => {
+      const nodes = parseHtml('<p>one<p>two<ul><li>a<li>b</ul>');
+
+      expect(nodes.map(node => node.tag)).toEqual(['p', 'p', 'ul']);
+      expect(nodes[2].children.map(node => getTextContent(node))).toEqual(['a', 'b']);
+    });
+
+    test('should keep script content as raw text', () => {
+      const [script] = parseHtml('<script>if (a < b) { x("</p>"); }</script>');
+      expect(script.children).toEqual([{ type: 'text', value: 'if (a < b) { x("</p>"); }' }]);
+    });
+
+    test('should keep comments and ignore doctypes and stray closing tags', () => {
+      const nodes = parseHtml('<!DOCTYPE html><!-- note --></div>text');
+      expect(nodes).toEqual([
+        { type: 'comment', value: ' note ' },
+        { type: 'text', value: 'text' }
+      ]);
+    });
+
+    test('should treat a lone less-than sign as text', () => {
+      expect(getTextContent(parseHtml('1 < 2 and 3 > 2'))).toBe('1 < 2 and 3 > 2');
+    });
+  });
+
+  describe('decodeEntities', () => {
+    test('should decode named and numeric references', () => {
+      expect(decodeEntities('&lt;a&gt; &amp; &#39;b&#x27; &copy; &unknown;')).toBe('<a> & \'b\' © &unknown;');
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Tests for JSON Patch utilities
+ */
+import { applyJsonPatch, parsePointer } from '../../src/utils/json-patch.js';
+
+describe('JSON Patch', () => {
+  test('parsePointer() should unescape reference tokens', () => {
+    expect(parsePointer('')).toEqual([]);
+    expect(parsePointer('/a/b~1c/d~0e')).toEqual(['a', 'b/c', 'd~e']);
+    expect(() => parsePointer('a/b')).toThrow(/Invalid JSON Pointer/);
+  });
+
+  test('should not modify the input', () => {
+    const input = { list: [1, 2] };
+    const output = applyJsonPatch(input, [{ op: 'add', path: '/list/-', value: 3 }]);
+
+    expect(output).toEqual({ list: [1, 2, 3] });
+    expect(input).toEqual({ list: [1, 2] });
+  });
+
+  test('should apply add, remove and replace', () => {
+    expect(applyJsonPatch({ a: [1, 3] }, [
+      { op: 'add', path: '/a/1', value: 2 },
+      { op: 'add', path: '/b', value: { c: true } },
+      { op: 'replace', path: '/b/c', value: false },
+      { op: 'remove', path: '/a/0' }
+    ])).toEqual({ a: [2, 3], b: { c: false } });
+  });
+
+  test('should apply move, copy and test', () => {
+    expect(applyJsonPatch({ a: [1, 2, 3], b: {} }, [
+      { op: 'test', path: '/a', value: [1, 2, 3] },
+      { op: 'move', from: '/a/0', path: '/a/2' },
+      { op: 'copy', from: '/a', path: '/b/a' }
+    ])).toEqual({ a: [2, 3, 1], b: { a: [2, 3, 1] } });
+  });
+
+  test('should replace the whole document', () => {
+    expect(applyJsonPatch({ a: 1 }, [{ op: 'replace', path: '', value: { b: 2 } }])).toEqual({ b: 2 });
+  });
+
+  test('should report the failing operation', () => {
+    expect(() => applyJsonPatch({}, [{ op: 'remove', path: '/missing' }]))
+      .toThrow('JSON Patch operation 0 failed: path member "missing" does not exist');
+    expect(() => applyJsonPatch({ a: [] }, [{ op: 'add', path: '/a/1', value: 1 }]))
+      .toThrow(/invalid array index "1"/);
+    expect(() => applyJsonPatch({ a: 1 }, [{ op: 'test', path: '/a', value: 2 }]))
+      .toThrow(/test failed/);
+    expect(() => applyJsonPatch({}, [{ op: 'add', path: '/a' }])).toThrow(/requires a value/);
+    expect(() => applyJsonPatch({}, [{ op: 'bogus', path: '' }])).toThrow(/unknown operation/);
+    expect(() => applyJsonPatch({ a: {} }, [{ op: 'move', from: '/a', path: '/a/b' }])).toThrow(/into itself/);
+    expect(() => applyJsonPatch({}, {})).toThrow(/must be an array/);
+  });
+});
@@ -1,7 +1,7 @@
 /**
  * Tests for HTML sanitization utilities
  */
-import { sanitizeHtml, sanitizeUrl } from '../../src/utils/sanitize.js';
+import { sanitizeHtml, sanitizeUrl, cleanHtml, DEFAULT_SANITIZE_OPTIONS } from '../../src/utils/sanitize.js';
 
 describe('HTML Sanitization', () => {
   describe('sanitizeHtml', () => {
@@ -71,4 +71,65 @@ describe('HTML Sanitization', () => {
       expect(sanitizeUrl(undefined)).toBe('');
     });
   });
-});
\ No newline at end of file
+
+  describe('cleanHtml', () => {
+    test('should keep the formatting Markdown produces', () => {
+      const html = '<h2>Title</h2><p>Some <strong>bold</strong>, <em>em</em> and <code class="language-js">code</code><br></p>' +
+        '<ol start="3"><li><a href="https://example.com" title="Example">link</a></li></ol>' +
+        '<table><thead><tr><th align="left">A</th></tr></thead><tbody><tr><td>1</td></tr></tbody></table>';
+
+      expect(cleanHtml(html)).toBe(html);
+    });
+
+    test('should remove scripts, styles and other active content with their content', () => {
+      expect(cleanHtml('<p>a<script>alert(1)</script>b</p>')).toBe('<p>ab</p>');
+      expect(cleanHtml('<style>body{}</style><iframe src="x">fallback</iframe><svg><script>x</script></svg>ok')).toBe('ok');
+      expect(cleanHtml('<p>text<!-- comment --></p>')).toBe('<p>text</p>');
+    });
+
+    test('should unwrap elements that are not allowed', () => {
+      expect(cleanHtml('<div class="x"><p>Keep <font color="red">me</font></p></div>')).toBe('<p>Keep me</p>');
+    });
+
+    test('should remove attributes that are not allowed', () => {
+      expect(cleanHtml('<p style="color:red" onclick="x()" class="a">Hi</p>')).toBe('<p>Hi</p>');
+      expect(cleanHtml('<img src="a.png" alt="A" onerror="alert(1)" onload="x">')).toBe('<img src="a.png" alt="A">');
+    });
+
+    test('should drop URLs with schemes that are not allowed', () => {
+      expect(cleanHtml('<a href="javascript:alert(1)">x</a>')).toBe('<a>x</a>');
+      expect(cleanHtml('<a href="JaVaScRiPt:alert(1)">x</a>')).toBe('<a>x</a>');
+      expect(cleanHtml('<a href="java\tscript:alert(1)">x</a>')).toBe('<a>x</a>');
+      expect(cleanHtml('<a href="\u0001java\u0000scr\u007fipt:alert(1)">x</a>')).toBe('<a>x</a>');
+      expect(cleanHtml('<a href="jav&#x61;script:alert(1)">x</a>')).toBe('<a>x</a>');
+      expect(cleanHtml('<img src="data:image/svg+xml;base64,AAAA">')).toBe('<img>');
+      expect(cleanHtml('<a href="mailto:a@b.c">m</a><a href="/path?a=1&amp;b=2">r</a>'))
+        .toBe('<a href="mailto:a@b.c">m</a><a href="/path?a=1&amp;b=2">r</a>');
+    });
+
+    test('should escape text and attribute values', () => {
+      expect(cleanHtml('<p title="&quot;q&quot;">1 &lt; 2 &amp; 3 > 2</p>'))
+        .toBe('<p title="&quot;q&quot;">1 &lt; 2 &amp; 3 &gt; 2</p>');
+      expect(cleanHtml('a < b')).toBe('a &lt; b');
+    });
+
+    test('should accept a custom allowlist', () => {
+      const options = {
+        allowedTags: [...DEFAULT_SANITIZE_OPTIONS.allowedTags, 'span'],
+        allowedAttributes: { span: ['class'], a: ['href'], img: ['src'] },
+        allowedSchemes: ['https', 'data']
+      };
+
+      expect(cleanHtml('<span class="tag" title="t">x</span>', options)).toBe('<span class="tag">x</span>');
+      expect(cleanHtml('<a href="http://a.test">x</a><img src="data:image/png;base64,AA">', options))
+        .toBe('<a>x</a><img src="data:image/png;base64,AA">');
+      expect(cleanHtml('<span onmouseover="x()">x</span>', { ...options, allowedAttributes: { span: ['onmouseover'] } }))
+        .toBe('<span>x</span>');
+    });
+
+    test('should handle empty input', () => {
+      expect(cleanHtml('')).toBe('');
+      expect(cleanHtml(null)).toBe('');
+    });
+  });
+});
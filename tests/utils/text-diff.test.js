@@ -0,0 +1,78 @@
+/**
+ * Tests for the word-level text diff
+ */
+import { diffWords, tokenizeWords } from '../../src/utils/text-diff.js';
+
+describe('Text diff', () => {
+  test('tokenizeWords() should keep whitespace tokens', () => {
+    expect(tokenizeWords('one  two\nthree')).toEqual(['one', '  ', 'two', '\n', 'three']);
+    expect(tokenizeWords('')).toEqual([]);
+    expect(tokenizeWords(undefined)).toEqual([]);
+  });
+
+  test('should return a single equal segment for identical text', () => {
+    expect(diffWords('same text', 'same text')).toEqual([{ type: 'equal', value: 'same text' }]);
+  });
+
+  test('should detect inserted and deleted words', () => {
+    expect(diffWords('the quick fox', 'the quick brown fox')).toEqual([
+      { type: 'equal', value: 'the quick ' },
+      { type: 'insert', value: 'brown ' },
+      { type: 'equal', value: 'fox' }
+    ]);
+
+    expect(diffWords('a very long day', 'a long day')).toEqual([
+      { type: 'equal', value: 'a ' },
+      { type: 'delete', value: 'very ' },
+      { type: 'equal', value: 'long day' }
+    ]);
+  });
+
+  test('should group a run of replaced words', () => {
+    expect(diffWords('the quick brown fox', 'a slow red fox')).toEqual([
+      { type: 'delete', value: 'the quick brown' },
+      { type: 'insert', value: 'a slow red' },
+      { type: 'equal', value: ' fox' }
+    ]);
+  });
+
+  test('should handle empty input on either side', () => {
+    expect(diffWords('', 'new text')).toEqual([{ type: 'insert', value: 'new text' }]);
+    expect(diffWords('old text', '')).toEqual([{ type: 'delete', value: 'old text' }]);
+  });
+
+  test('joining the segments should restore both texts', () => {
+    const before = 'BlockDoc keeps content in blocks.\nEach block has an ID.';
+    const after = 'BlockDoc stores content in typed blocks.\nEvery block has a unique ID.';
+    const segments = diffWords(before, after);
+
+    expect(segments.filter(s => s.type !== 'insert').map(s => s.value).join('')).toBe(before);
+    expect(segments.filter(s => s.type !== 'delete').map(s => s.value).join('')).toBe(after);
+  });
+
+  describe('long texts', () => {
+    const words = (prefix, count) => Array.from({ length: count }, (_, index) => `${prefix}${index}`).join(' ');
+
+    test('should replace a long text that changed throughout', () => {
+      expect(diffWords(words('old', 10000), words('new', 10000))).toEqual([
+        { type: 'delete', value: words('old', 10000) },
+        { type: 'insert', value: words('new', 10000) }
+      ]);
+    });
+
+    test('should find scattered edits in a long text', () => {
+      const before = words('word', 10000);
+      const after = before.replace('word10 ', 'WORD10 ').replace('word9990', 'WORD9990');
+      const segments = diffWords(before, after);
+
+      expect(segments.filter(s => s.type !== 'equal')).toEqual([
+        { type: 'delete', value: 'word10' },
+        { type: 'insert', value: 'WORD10' },
+        { type: 'delete', value: 'word9990' },
+        { type: 'insert', value: 'WORD9990' }
+      ]);
+      expect(segments.filter(s => s.type !== 'insert').map(s => s.value).join('')).toBe(before);
+      expect(segments.filter(s => s.type !== 'delete').map(s => s.value).join('')).toBe(after);
+    });
+  });
+});